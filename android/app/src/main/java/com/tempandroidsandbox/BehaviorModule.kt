@@ -7,6 +7,29 @@ import com.facebook.react.bridge.Promise
 import com.facebook.react.bridge.Arguments
 import com.facebook.react.bridge.WritableArray
 import com.facebook.react.bridge.WritableMap
+import com.facebook.react.bridge.ReadableMap
+import com.facebook.react.modules.core.DeviceEventManagerModule
+import android.Manifest
+import android.app.PendingIntent
+import android.content.BroadcastReceiver
+import android.content.Context
+import android.content.Intent
+import android.content.IntentFilter
+import android.content.pm.PackageManager
+import android.net.Uri
+import android.os.Build
+import android.os.SystemClock
+import androidx.core.app.NotificationChannelCompat
+import androidx.core.app.NotificationCompat
+import androidx.core.app.NotificationManagerCompat
+import androidx.core.content.ContextCompat
+import androidx.core.content.FileProvider
+import androidx.work.Constraints
+import androidx.work.ExistingPeriodicWorkPolicy
+import androidx.work.PeriodicWorkRequestBuilder
+import androidx.work.WorkManager
+import java.io.File
+import java.util.concurrent.TimeUnit
 
 class BehaviorModule(reactContext: ReactApplicationContext) : ReactContextBaseJavaModule(reactContext) {
 
@@ -18,10 +41,104 @@ class BehaviorModule(reactContext: ReactApplicationContext) : ReactContextBaseJa
     private val emberExtractor by lazy { EmberFeatureExtractor(reactContext) }
     private val mlClassifier by lazy { OnnxMalwareClassifier.getInstance(reactContext) }
 
+    companion object {
+        // Event carrying ML scan stage progress to JavaScript
+        const val SCAN_PROGRESS_EVENT = "BehaviorScanProgress"
+
+        // Event carrying app installs, updates and removals to JavaScript
+        const val PACKAGE_CHANGE_EVENT = "BehaviorPackageChanged"
+
+        // Notification channel of the scan alerts
+        private const val ALERT_CHANNEL_ID = "scan_alerts"
+        private const val ALERT_NOTIFICATION_ID = 1
+
+        // ML scan stage after the EmberFeatureExtractor stages
+        const val STAGE_INFERENCE = "inference"
+
+        // Minimum time between two progress events of the same stage
+        private const val PROGRESS_INTERVAL_MS = 100L
+    }
+
+    // Receiver of the package broadcasts while package monitoring runs
+    private var packageReceiver: BroadcastReceiver? = null
+
     override fun getName(): String {
         return "BehaviorModule"
     }
 
+    override fun invalidate() {
+        unregisterPackageReceiver()
+        super.invalidate()
+    }
+
+    /**
+     * Required by NativeEventEmitter on the JavaScript side; events are sent regardless
+     */
+    @ReactMethod
+    fun addListener(eventName: String) {}
+
+    @ReactMethod
+    fun removeListeners(count: Int) {}
+
+    /**
+     * Emit an event to JavaScript (dropped while the React instance is not running)
+     */
+    private fun sendEvent(name: String, params: WritableMap) {
+        if (reactApplicationContext.hasActiveReactInstance()) {
+            reactApplicationContext
+                .getJSModule(DeviceEventManagerModule.RCTDeviceEventEmitter::class.java)
+                .emit(name, params)
+        }
+    }
+
+    /**
+     * Tracks the stages of one ML scan: emits SCAN_PROGRESS_EVENT for every stage change
+     * (and at most every PROGRESS_INTERVAL_MS within a stage) and records stage durations.
+     */
+    private inner class ScanProgressReporter(private val packageName: String) {
+        private val startedAt = SystemClock.elapsedRealtime()
+        private val stageDurations = LinkedHashMap<String, Long>()
+        private var currentStage: String? = null
+        private var stageStartedAt = startedAt
+        private var lastEventAt = 0L
+
+        fun report(stage: String, fraction: Float) {
+            val now = SystemClock.elapsedRealtime()
+            if (stage != currentStage) {
+                finishStage(now)
+                currentStage = stage
+                stageStartedAt = now
+            } else if (fraction < 1f && now - lastEventAt < PROGRESS_INTERVAL_MS) {
+                return
+            }
+            lastEventAt = now
+
+            val params = Arguments.createMap()
+            params.putString("packageName", packageName)
+            params.putString("stage", stage)
+            params.putDouble("stageProgress", fraction.toDouble())
+            params.putDouble("elapsedMs", (now - startedAt).toDouble())
+            sendEvent(SCAN_PROGRESS_EVENT, params)
+        }
+
+        private fun finishStage(now: Long) {
+            currentStage?.let { stageDurations[it] = now - stageStartedAt }
+        }
+
+        /**
+         * Stage durations in ms, plus "total"
+         */
+        fun timings(): WritableMap {
+            val now = SystemClock.elapsedRealtime()
+            finishStage(now)
+            currentStage = null
+            val map = Arguments.createMap()
+            stageDurations.forEach { (stage, ms) -> map.putDouble(stage, ms.toDouble()) }
+            map.putDouble("total", (now - startedAt).toDouble())
+            return map
+        }
+    }
+
     /**
      * Get list of all installed user apps
      * Called from React Native: BehaviorModule.getInstalledApps()
@@ -41,6 +158,13 @@ class BehaviorModule(reactContext: ReactApplicationContext) : ReactContextBaseJa
                 appMap.putString("fileSize", app["fileSize"] as String)
                 appMap.putBoolean("isSystemApp", app["isSystemApp"] as Boolean)
                 appMap.putString("iconBase64", app["iconBase64"] as String)
+                appMap.putString("hash", app["hash"] as String)
+                appMap.putDouble("versionCode", (app["versionCode"] as Long).toDouble())
+                appMap.putDouble("lastUpdateTime", (app["lastUpdateTime"] as Long).toDouble())
+                appMap.putDouble("firstInstallTime", (app["firstInstallTime"] as Long).toDouble())
+                appMap.putDouble("sizeBytes", (app["sizeBytes"] as Long).toDouble())
+                appMap.putBoolean("isSideloaded", app["isSideloaded"] as Boolean)
+                appMap.putBoolean("isTrusted", app["isTrusted"] as Boolean)
                 result.pushMap(appMap)
             }
             
@@ -82,6 +206,7 @@ class BehaviorModule(reactContext: ReactApplicationContext) : ReactContextBaseJa
             result.putInt("targetSdk", analysis["targetSdk"] as Int)
             result.putBoolean("isOutdated", analysis["isOutdated"] as Boolean)
             result.putInt("riskScore", analysis["riskScore"] as Int)
+            result.putBoolean("forceHigh", analysis["forceHigh"] as Boolean)
             result.putString("appCategory", analysis["appCategory"] as String)
             result.putBoolean("isTrusted", analysis["isTrusted"] as Boolean)
             
@@ -101,6 +226,7 @@ class BehaviorModule(reactContext: ReactApplicationContext) : ReactContextBaseJa
                 factorMap.putString("category", factor["category"] as String)
                 factorMap.putString("description", factor["description"] as String)
                 factorMap.putInt("points", factor["points"] as Int)
+                factorMap.putBoolean("forcesHigh", factor["forcesHigh"] as Boolean)
                 breakdown.pushMap(factorMap)
             }
             result.putArray("riskBreakdown", breakdown)
@@ -294,12 +420,19 @@ class BehaviorModule(reactContext: ReactApplicationContext) : ReactContextBaseJa
     /**
      * Get standalone ML analysis for an app
      * Called from React Native: BehaviorModule.getMLAnalysis(packageName)
+     * Emits SCAN_PROGRESS_EVENT while extracting features and running inference.
      */
     @ReactMethod
     fun getMLAnalysis(packageName: String, promise: Promise) {
         try {
-            val features = emberExtractor.extractFeatures(packageName)
+            val progress = ScanProgressReporter(packageName)
+            val features = emberExtractor.extractFeatures(
+                packageName,
+                EmberFeatureExtractor.ProgressListener { stage, fraction -> progress.report(stage, fraction) }
+            )
+            progress.report(STAGE_INFERENCE, 0f)
             val mlResult = mlClassifier.predict(features)
+            progress.report(STAGE_INFERENCE, 1f)
             val result: WritableMap = Arguments.createMap()
 
             result.putString("packageName", packageName)
@@ -324,6 +457,7 @@ class BehaviorModule(reactContext: ReactApplicationContext) : ReactContextBaseJa
             result.putString("riskLevel", mlRisk)
             result.putBoolean("isBenign", mlResult.predictedClass == 0)
             result.putDouble("scanTimestamp", System.currentTimeMillis().toDouble())
+            result.putMap("timings", progress.timings())
 
             promise.resolve(result)
         } catch (e: Exception) {
@@ -356,6 +490,7 @@ class BehaviorModule(reactContext: ReactApplicationContext) : ReactContextBaseJa
                 result.putInt("targetSdk", details["targetSdk"] as Int)
                 result.putInt("minSdk", details["minSdk"] as Int)
                 result.putString("sourceDir", details["sourceDir"] as String)
+                result.putString("hash", details["hash"] as String)
             }
             
             promise.resolve(result)
@@ -397,5 +532,184 @@ class BehaviorModule(reactContext: ReactApplicationContext) : ReactContextBaseJa
             promise.reject("ERROR", "Failed to uninstall app: ${e.message}")
         }
     }
-}
 
+    /**
+     * Write text content (e.g. an exported report) to the cache and open the share sheet for it
+     * Called from React Native: BehaviorModule.shareTextFile(fileName, mimeType, content, chooserTitle)
+     */
+    @ReactMethod
+    fun shareTextFile(fileName: String, mimeType: String, content: String, chooserTitle: String, promise: Promise) {
+        try {
+            val exportDir = File(reactApplicationContext.cacheDir, "exports")
+            exportDir.mkdirs()
+            val safeName = fileName.replace(Regex("[^A-Za-z0-9._-]"), "_")
+            val file = File(exportDir, safeName)
+            file.writeText(content, Charsets.UTF_8)
+
+            val uri = FileProvider.getUriForFile(
+                reactApplicationContext,
+                "${reactApplicationContext.packageName}.fileprovider",
+                file
+            )
+            val sendIntent = android.content.Intent(android.content.Intent.ACTION_SEND)
+            sendIntent.type = mimeType
+            sendIntent.putExtra(android.content.Intent.EXTRA_STREAM, uri)
+            sendIntent.putExtra(android.content.Intent.EXTRA_SUBJECT, safeName)
+            sendIntent.clipData = android.content.ClipData.newRawUri(safeName, uri)
+            sendIntent.addFlags(android.content.Intent.FLAG_GRANT_READ_URI_PERMISSION)
+
+            val chooser = android.content.Intent.createChooser(sendIntent, chooserTitle)
+            chooser.addFlags(android.content.Intent.FLAG_ACTIVITY_NEW_TASK)
+            reactApplicationContext.startActivity(chooser)
+            promise.resolve(true)
+        } catch (e: Exception) {
+            promise.reject("ERROR", "Failed to share file: ${e.message}")
+        }
+    }
+
+    /**
+     * Start emitting PACKAGE_CHANGE_EVENT ({ packageName, action: "added" | "replaced" | "removed" })
+     * Package broadcasts only reach receivers registered at runtime, so events arrive while the app process runs.
+     * Called from React Native: BehaviorModule.startPackageMonitoring()
+     */
+    @ReactMethod
+    fun startPackageMonitoring(promise: Promise) {
+        try {
+            if (packageReceiver == null) {
+                val receiver = object : BroadcastReceiver() {
+                    override fun onReceive(context: Context, intent: Intent) {
+                        val packageName = intent.data?.schemeSpecificPart ?: return
+                        // An update is sent as removed + added (both replacing), then replaced
+                        val replacing = intent.getBooleanExtra(Intent.EXTRA_REPLACING, false)
+                        val action = when (intent.action) {
+                            Intent.ACTION_PACKAGE_ADDED -> if (replacing) return else "added"
+                            Intent.ACTION_PACKAGE_REPLACED -> "replaced"
+                            Intent.ACTION_PACKAGE_REMOVED -> if (replacing) return else "removed"
+                            else -> return
+                        }
+                        val params = Arguments.createMap()
+                        params.putString("packageName", packageName)
+                        params.putString("action", action)
+                        sendEvent(PACKAGE_CHANGE_EVENT, params)
+                    }
+                }
+                val filter = IntentFilter().apply {
+                    addAction(Intent.ACTION_PACKAGE_ADDED)
+                    addAction(Intent.ACTION_PACKAGE_REPLACED)
+                    addAction(Intent.ACTION_PACKAGE_REMOVED)
+                    addDataScheme("package")
+                }
+                // System broadcasts still reach a non-exported receiver
+                ContextCompat.registerReceiver(reactApplicationContext, receiver, filter, ContextCompat.RECEIVER_NOT_EXPORTED)
+                packageReceiver = receiver
+            }
+            promise.resolve(true)
+        } catch (e: Exception) {
+            promise.reject("ERROR", "Failed to start package monitoring: ${e.message}")
+        }
+    }
+
+    /**
+     * Stop emitting PACKAGE_CHANGE_EVENT
+     * Called from React Native: BehaviorModule.stopPackageMonitoring()
+     */
+    @ReactMethod
+    fun stopPackageMonitoring(promise: Promise) {
+        unregisterPackageReceiver()
+        promise.resolve(true)
+    }
+
+    private fun unregisterPackageReceiver() {
+        packageReceiver?.let {
+            try {
+                reactApplicationContext.unregisterReceiver(it)
+            } catch (e: IllegalArgumentException) {
+                // Already unregistered
+            }
+        }
+        packageReceiver = null
+    }
+
+    /**
+     * Post a scan alert that opens a deep link when tapped
+     * A later alert with the same tag replaces the earlier one.
+     * Called from React Native: BehaviorModule.showNotification({ tag, title, body, link, channelName })
+     */
+    @ReactMethod
+    fun showNotification(options: ReadableMap, promise: Promise) {
+        try {
+            val context = reactApplicationContext
+            if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.TIRAMISU &&
+                ContextCompat.checkSelfPermission(context, Manifest.permission.POST_NOTIFICATIONS) != PackageManager.PERMISSION_GRANTED
+            ) {
+                promise.reject("PERMISSION_DENIED", "Notification permission not granted")
+                return
+            }
+
+            val manager = NotificationManagerCompat.from(context)
+            val channel = NotificationChannelCompat.Builder(ALERT_CHANNEL_ID, NotificationManagerCompat.IMPORTANCE_HIGH)
+                .setName(options.getString("channelName") ?: context.getString(R.string.scan_alerts_channel))
+                .build()
+            manager.createNotificationChannel(channel)
+
+            val tag = options.getString("tag") ?: ""
+            val body = options.getString("body") ?: ""
+            val openIntent = Intent(Intent.ACTION_VIEW, Uri.parse(options.getString("link")))
+                .setPackage(context.packageName)
+                .addFlags(Intent.FLAG_ACTIVITY_NEW_TASK)
+            val contentIntent = PendingIntent.getActivity(
+                context,
+                tag.hashCode(),
+                openIntent,
+                PendingIntent.FLAG_UPDATE_CURRENT or PendingIntent.FLAG_IMMUTABLE
+            )
+
+            val notification = NotificationCompat.Builder(context, ALERT_CHANNEL_ID)
+                .setSmallIcon(context.applicationInfo.icon)
+                .setContentTitle(options.getString("title"))
+                .setContentText(body)
+                .setStyle(NotificationCompat.BigTextStyle().bigText(body))
+                .setPriority(NotificationCompat.PRIORITY_HIGH)
+                .setContentIntent(contentIntent)
+                .setAutoCancel(true)
+                .build()
+            manager.notify(tag, ALERT_NOTIFICATION_ID, notification)
+            promise.resolve(true)
+        } catch (e: Exception) {
+            promise.reject("ERROR", "Failed to show notification: ${e.message}")
+        }
+    }
+
+    /**
+     * Schedule the periodic RescanWorker, replacing an earlier schedule
+     * WorkManager runs it about once per interval (not while the battery is low), even after a reboot.
+     * Called from React Native: BehaviorModule.scheduleRescan(intervalMs)
+     */
+    @ReactMethod
+    fun scheduleRescan(intervalMs: Double, promise: Promise) {
+        try {
+            val request = PeriodicWorkRequestBuilder<RescanWorker>(intervalMs.toLong(), TimeUnit.MILLISECONDS)
+                .setConstraints(Constraints.Builder().setRequiresBatteryNotLow(true).build())
+                .build()
+            WorkManager.getInstance(reactApplicationContext)
+                .enqueueUniquePeriodicWork(RescanWorker.WORK_NAME, ExistingPeriodicWorkPolicy.UPDATE, request)
+            promise.resolve(true)
+        } catch (e: Exception) {
+            promise.reject("ERROR", "Failed to schedule rescan: ${e.message}")
+        }
+    }
+
+    /**
+     * Cancel the periodic RescanWorker
+     * Called from React Native: BehaviorModule.cancelRescan()
+     */
+    @ReactMethod
+    fun cancelRescan(promise: Promise) {
+        try {
+            WorkManager.getInstance(reactApplicationContext).cancelUniqueWork(RescanWorker.WORK_NAME)
+            promise.resolve(true)
+        } catch (e: Exception) {
+            promise.reject("ERROR", "Failed to cancel rescan: ${e.message}")
+        }
+    }
+}
@@ -44,14 +44,35 @@ class EmberFeatureExtractor(private val context: Context) {
 
         // Max bytes to read (cap at 100MB to avoid OOM)
         private const val MAX_READ_BYTES = 100 * 1024 * 1024L
+
+        // APK bytes read per progress report
+        private const val READ_CHUNK_BYTES = 4 * 1024 * 1024
+
+        // Progress reports per sliding-window pass
+        private const val ENTROPY_PROGRESS_STEPS = 20
+
+        // Extraction stages, in order (reported through ProgressListener)
+        const val STAGE_READ           = "read"
+        const val STAGE_BYTE_HISTOGRAM = "byteHistogram"
+        const val STAGE_BYTE_ENTROPY   = "byteEntropy"
+        const val STAGE_STRINGS        = "strings"
+    }
+
+    /**
+     * Receives extraction progress: [stage] is one of the STAGE_* names and
+     * [fraction] the share of that stage already done (0–1).
+     */
+    fun interface ProgressListener {
+        fun onProgress(stage: String, fraction: Float)
     }
 
     private val pm: PackageManager = context.packageManager
 
     /**
      * Extract 2381-dimensional EMBER v2 feature vector from the APK of [packageName].
+     * [listener], if given, is told when each stage starts, progresses and ends.
      */
-    fun extractFeatures(packageName: String): FloatArray {
+    fun extractFeatures(packageName: String, listener: ProgressListener? = null): FloatArray {
         val features = FloatArray(NUM_FEATURES)
 
         try {
@@ -67,20 +88,33 @@ class EmberFeatureExtractor(private val context: Context) {
             val fileSize = apkFile.length()
             val readSize = min(fileSize, MAX_READ_BYTES).toInt()
 
-            // Read raw APK bytes
+            // Read raw APK bytes, in chunks so progress can be reported
             val bytes = ByteArray(readSize)
+            listener?.onProgress(STAGE_READ, 0f)
             RandomAccessFile(apkFile, "r").use { raf ->
-                raf.readFully(bytes)
+                var read = 0
+                while (read < readSize) {
+                    val chunk = min(READ_CHUNK_BYTES, readSize - read)
+                    raf.readFully(bytes, read, chunk)
+                    read += chunk
+                    listener?.onProgress(STAGE_READ, read.toFloat() / readSize)
+                }
             }
 
             // 1. ByteHistogram (256 dims) — normalized byte frequency
+            listener?.onProgress(STAGE_BYTE_HISTOGRAM, 0f)
             computeByteHistogram(bytes, features, OFF_BYTE_HIST)
+            listener?.onProgress(STAGE_BYTE_HISTOGRAM, 1f)
 
             // 2. ByteEntropyHistogram (256 dims) — 16×16 byte-entropy grid, flattened
-            computeByteEntropyHistogram(bytes, features, OFF_BYTE_ENTROPY)
+            listener?.onProgress(STAGE_BYTE_ENTROPY, 0f)
+            computeByteEntropyHistogram(bytes, features, OFF_BYTE_ENTROPY, listener)
+            listener?.onProgress(STAGE_BYTE_ENTROPY, 1f)
 
             // 3. StringExtractor (104 dims)
+            listener?.onProgress(STAGE_STRINGS, 0f)
             computeStringFeatures(bytes, features, OFF_STRINGS)
+            listener?.onProgress(STAGE_STRINGS, 1f)
 
             // 4. GeneralFileInfo (10 dims) — only file size for APK
             features[OFF_GENERAL] = fileSize.toFloat()
@@ -122,7 +156,12 @@ class EmberFeatureExtractor(private val context: Context) {
      * Uses sliding window to approximate the joint probability of byte value and local entropy.
      * Based on Saxe and Berlin, 2015 (Section 2.1.1 of https://arxiv.org/pdf/1508.03096.pdf).
      */
-    private fun computeByteEntropyHistogram(bytes: ByteArray, features: FloatArray, offset: Int) {
+    private fun computeByteEntropyHistogram(
+        bytes: ByteArray,
+        features: FloatArray,
+        offset: Int,
+        listener: ProgressListener? = null
+    ) {
         val grid = IntArray(16 * 16) // 16 entropy bins × 16 coarse byte bins
 
         if (bytes.size < ENTROPY_WINDOW) {
@@ -137,6 +176,9 @@ class EmberFeatureExtractor(private val context: Context) {
             }
         } else {
             // Sliding window
+            val windowCount = (bytes.size - ENTROPY_WINDOW) / ENTROPY_STEP + 1
+            val reportEvery = maxOf(1, windowCount / ENTROPY_PROGRESS_STEPS)
+            var window = 0
             var start = 0
             while (start + ENTROPY_WINDOW <= bytes.size) {
                 val hBin = computeEntropyBin(bytes, start, ENTROPY_WINDOW)
@@ -148,6 +190,10 @@ class EmberFeatureExtractor(private val context: Context) {
                     grid[hBin * 16 + i] += coarseCounts[i]
                 }
                 start += ENTROPY_STEP
+                window++
+                if (window % reportEvery == 0) {
+                    listener?.onProgress(STAGE_BYTE_ENTROPY, window.toFloat() / windowCount)
+                }
             }
         }
 
@@ -0,0 +1,26 @@
+package com.tempandroidsandbox
+
+import android.content.Intent
+import com.facebook.react.HeadlessJsTaskService
+import com.facebook.react.bridge.Arguments
+import com.facebook.react.jstasks.HeadlessJsTaskConfig
+
+/**
+ * RescanTaskService - Runs the "HexlabRescan" headless JavaScript task (registered in index.js)
+ * Started by RescanWorker; the task is also allowed while the app is in the foreground, where
+ * the JavaScript side skips a rescan that is already running.
+ */
+class RescanTaskService : HeadlessJsTaskService() {
+
+    companion object {
+        // Task name registered with AppRegistry.registerHeadlessTask
+        const val TASK_NAME = "HexlabRescan"
+
+        // A full-device rescan deep scans every app; give up after half an hour
+        private const val TASK_TIMEOUT_MS = 30 * 60 * 1000L
+    }
+
+    override fun getTaskConfig(intent: Intent?): HeadlessJsTaskConfig {
+        return HeadlessJsTaskConfig(TASK_NAME, Arguments.createMap(), TASK_TIMEOUT_MS, true)
+    }
+}
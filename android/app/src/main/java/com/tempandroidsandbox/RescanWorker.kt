@@ -0,0 +1,35 @@
+package com.tempandroidsandbox
+
+import android.content.Context
+import android.content.Intent
+import android.util.Log
+import androidx.work.Worker
+import androidx.work.WorkerParameters
+import com.facebook.react.HeadlessJsTaskService
+
+/**
+ * RescanWorker - Periodic WorkManager work behind the scheduled rescan
+ * Starts RescanTaskService, which runs the JavaScript rescan task even while the app is closed.
+ * BehaviorModule.scheduleRescan() enqueues it; JavaScript decides whether a rescan is due.
+ */
+class RescanWorker(context: Context, params: WorkerParameters) : Worker(context, params) {
+
+    companion object {
+        private const val TAG = "RescanWorker"
+
+        // Unique name of the periodic work, so scheduling again replaces it
+        const val WORK_NAME = "scheduled_rescan"
+    }
+
+    override fun doWork(): Result {
+        return try {
+            HeadlessJsTaskService.acquireWakeLockNow(applicationContext)
+            applicationContext.startService(Intent(applicationContext, RescanTaskService::class.java))
+            Result.success()
+        } catch (e: IllegalStateException) {
+            // Background service starts can be refused; WorkManager tries again with backoff
+            Log.w(TAG, "Could not start the rescan task: ${e.message}")
+            Result.retry()
+        }
+    }
+}
@@ -12,6 +12,8 @@ import android.util.Base64
 import android.util.Log
 import java.io.ByteArrayOutputStream
 import java.io.File
+import java.security.MessageDigest
+import java.util.concurrent.ConcurrentHashMap
 
 /**
  * ThreatScoringEngine - Advanced App Risk Analyzer
@@ -29,6 +31,9 @@ class ThreatScoringEngine(private val context: Context) {
     companion object {
         private const val TAG = "ThreatScoringEngine"
         
+        // SHA-256 of each APK, keyed by source path and last update time
+        private val apkHashCache = ConcurrentHashMap<String, String>()
+        
         // High-risk permissions: 10 points each
         private val HIGH_RISK_PERMISSIONS = listOf(
             "android.permission.CAMERA",
@@ -126,7 +131,9 @@ class ThreatScoringEngine(private val context: Context) {
     data class RiskFactor(
         val category: String,
         val description: String,
-        val points: Int
+        val points: Int,
+        // Whether this factor forces HIGH risk (suspicious combos, debuggable sideloaded builds)
+        val forcesHigh: Boolean = false
     )
 
     /**
@@ -145,11 +152,12 @@ class ThreatScoringEngine(private val context: Context) {
             val packageName = app.packageName
             val sourceDir = app.sourceDir
             val isSystemApp = (app.flags and ApplicationInfo.FLAG_SYSTEM) != 0
-            val fileSize = try {
-                formatFileSize(File(sourceDir).length())
+            val sizeBytes = try {
+                File(sourceDir).length()
             } catch (e: Exception) {
-                "Unknown"
+                0L
             }
+            val fileSize = if (sizeBytes > 0) formatFileSize(sizeBytes) else "Unknown"
             
             val iconBase64 = try {
                 drawableToBase64(resolveInfo.loadIcon(pm))
@@ -157,6 +165,13 @@ class ThreatScoringEngine(private val context: Context) {
                 ""
             }
             
+            // Version info lets the JS cache detect app updates without re-analyzing
+            val packageInfo = try {
+                pm.getPackageInfo(packageName, 0)
+            } catch (e: Exception) {
+                null
+            }
+            
             mapOf(
                 "id" to packageName,
                 "fileName" to appName,
@@ -164,12 +179,88 @@ class ThreatScoringEngine(private val context: Context) {
                 "fileType" to "apk",
                 "fileSize" to fileSize,
                 "isSystemApp" to isSystemApp,
-                "iconBase64" to iconBase64
+                "iconBase64" to iconBase64,
+                "hash" to computeApkHash(packageName),
+                "versionCode" to (packageInfo?.let { getVersionCode(it) } ?: 0L),
+                "lastUpdateTime" to (packageInfo?.lastUpdateTime ?: 0L),
+                // Used by the app picker to search, filter and sort
+                "firstInstallTime" to (packageInfo?.firstInstallTime ?: 0L),
+                "sizeBytes" to sizeBytes,
+                "isSideloaded" to getInstallerPackage(pm, packageName).isNullOrEmpty(),
+                "isTrusted" to isTrustedApp(packageName, app)
             )
         }.distinctBy { it["packageName"] }
          .sortedBy { it["isSystemApp"] as Boolean }
     }
 
+    /**
+     * SHA-256 of the installed APK (base split), reported to JS as "hash".
+     * Streams the file once per (sourceDir, lastUpdateTime); empty when it can't be read.
+     */
+    private fun computeApkHash(packageName: String): String {
+        return try {
+            val appInfo = context.packageManager.getApplicationInfo(packageName, 0)
+            val sourceDir = appInfo.sourceDir ?: return ""
+            val lastUpdateTime = context.packageManager.getPackageInfo(packageName, 0).lastUpdateTime
+            val cacheKey = "$sourceDir|$lastUpdateTime"
+            apkHashCache[cacheKey]?.let { return it }
+            
+            val digest = MessageDigest.getInstance("SHA-256")
+            File(sourceDir).inputStream().use { input ->
+                val buffer = ByteArray(64 * 1024)
+                var read = input.read(buffer)
+                while (read != -1) {
+                    digest.update(buffer, 0, read)
+                    read = input.read(buffer)
+                }
+            }
+            val hash = digest.digest().joinToString("") { "%02x".format(it) }
+            apkHashCache[cacheKey] = hash
+            hash
+        } catch (e: Exception) {
+            Log.w(TAG, "Could not hash APK of $packageName: ${e.message}")
+            ""
+        }
+    }
+
+    /**
+     * System apps, privileged apps and apps from trusted publishers
+     */
+    private fun isTrustedApp(packageName: String, appInfo: ApplicationInfo?): Boolean {
+        val isSystemApp = appInfo?.let { (it.flags and ApplicationInfo.FLAG_SYSTEM) != 0 } ?: false
+        val isTrustedPublisher = TRUSTED_PREFIXES.any { packageName.startsWith(it) }
+        val isPrivApp = appInfo?.sourceDir?.contains("/system/priv-app") ?: false
+        return isSystemApp || isTrustedPublisher || isPrivApp
+    }
+
+    /**
+     * Package that installed an app across API levels (null when sideloaded or unknown)
+     */
+    private fun getInstallerPackage(pm: PackageManager, packageName: String): String? {
+        return try {
+            if (android.os.Build.VERSION.SDK_INT >= android.os.Build.VERSION_CODES.R) {
+                pm.getInstallSourceInfo(packageName).installingPackageName
+            } else {
+                @Suppress("DEPRECATION")
+                pm.getInstallerPackageName(packageName)
+            }
+        } catch (e: Exception) {
+            null
+        }
+    }
+
+    /**
+     * Version code across API levels
+     */
+    private fun getVersionCode(packageInfo: android.content.pm.PackageInfo): Long {
+        return if (android.os.Build.VERSION.SDK_INT >= android.os.Build.VERSION_CODES.P) {
+            packageInfo.longVersionCode
+        } else {
+            @Suppress("DEPRECATION")
+            packageInfo.versionCode.toLong()
+        }
+    }
+
     /**
      * Convert Drawable to Base64 string
      */
@@ -282,25 +373,25 @@ class ThreatScoringEngine(private val context: Context) {
         
         // SMS + Internet (not messaging app)
         if (hasSms && hasInternet && category != "messaging") {
-            riskFactors.add(RiskFactor("Suspicious Combo", "SMS + Internet access (not a messaging app)", 35))
+            riskFactors.add(RiskFactor("Suspicious Combo", "SMS + Internet access (not a messaging app)", 35, forcesHigh = true))
             hasSuspiciousCombo = true
         }
         
         // Contacts + SMS + Internet
         if (hasContacts && hasSms && hasInternet && category !in listOf("messaging", "social")) {
-            riskFactors.add(RiskFactor("Suspicious Combo", "Contacts + SMS + Internet (data exfiltration pattern)", 35))
+            riskFactors.add(RiskFactor("Suspicious Combo", "Contacts + SMS + Internet (data exfiltration pattern)", 35, forcesHigh = true))
             hasSuspiciousCombo = true
         }
         
         // Call log + SMS + Internet
         if (hasCallLog && hasSms && hasInternet && category != "communication") {
-            riskFactors.add(RiskFactor("Suspicious Combo", "Call Log + SMS + Internet (spyware pattern)", 35))
+            riskFactors.add(RiskFactor("Suspicious Combo", "Call Log + SMS + Internet (spyware pattern)", 35, forcesHigh = true))
             hasSuspiciousCombo = true
         }
         
         // Surveillance pattern
         if (hasCamera && hasAudio && hasLocation && hasContacts && category !in listOf("social", "communication")) {
-            riskFactors.add(RiskFactor("Suspicious Combo", "Camera + Microphone + Location + Contacts (surveillance pattern)", 35))
+            riskFactors.add(RiskFactor("Suspicious Combo", "Camera + Microphone + Location + Contacts (surveillance pattern)", 35, forcesHigh = true))
             hasSuspiciousCombo = true
         }
         
@@ -328,28 +419,16 @@ class ThreatScoringEngine(private val context: Context) {
         }
         
         val permissions = packageInfo?.requestedPermissions?.toSet() ?: emptySet()
-        val isSystemApp = appInfo?.let { (it.flags and ApplicationInfo.FLAG_SYSTEM) != 0 } ?: false
         val appName = appInfo?.let { pm.getApplicationLabel(it).toString() } ?: packageName
         
         // Infer app category for context-aware scoring
         val appCategory = inferAppCategory(packageName, appName)
         
         // Check trusted status
-        val isTrustedPublisher = TRUSTED_PREFIXES.any { packageName.startsWith(it) }
-        val isPrivApp = appInfo?.sourceDir?.contains("/system/priv-app") ?: false
-        val isTrusted = isSystemApp || isTrustedPublisher || isPrivApp
+        val isTrusted = isTrustedApp(packageName, appInfo)
         
         // Installation source
-        val installerPackage = try {
-            if (android.os.Build.VERSION.SDK_INT >= android.os.Build.VERSION_CODES.R) {
-                pm.getInstallSourceInfo(packageName).installingPackageName
-            } else {
-                @Suppress("DEPRECATION")
-                pm.getInstallerPackageName(packageName)
-            }
-        } catch (e: Exception) {
-            null
-        }
+        val installerPackage = getInstallerPackage(pm, packageName)
         
         val isFromPlayStore = installerPackage == "com.android.vending"
         val isSideloaded = installerPackage == null || installerPackage.isEmpty()
@@ -426,9 +505,10 @@ class ThreatScoringEngine(private val context: Context) {
             
             // === Debuggable (+30, force HIGH if combined) ===
             if (isDebuggable) {
+                val debuggableForcesHigh = isSideloaded || hasSuspiciousCombo
                 riskScore += 30
-                riskFactors.add(RiskFactor("Build", "App is debuggable (security vulnerability)", 30))
-                if (isSideloaded || hasSuspiciousCombo) {
+                riskFactors.add(RiskFactor("Build", "App is debuggable (security vulnerability)", 30, forcesHigh = debuggableForcesHigh))
+                if (debuggableForcesHigh) {
                     forceHigh = true
                 }
             }
@@ -506,7 +586,7 @@ class ThreatScoringEngine(private val context: Context) {
         // Convert risk factors to list of maps for JS
         val riskIndicators = riskFactors.map { "${it.category}: ${it.description} (+${it.points})" }
         val riskBreakdown = riskFactors.map { 
-            mapOf("category" to it.category, "description" to it.description, "points" to it.points) 
+            mapOf("category" to it.category, "description" to it.description, "points" to it.points, "forcesHigh" to it.forcesHigh) 
         }
 
         return mapOf(
@@ -515,7 +595,7 @@ class ThreatScoringEngine(private val context: Context) {
             "packageName" to packageName,
             "fileType" to "apk",
             "fileSize" to fileSize,
-            "hash" to "sha256-${packageName.hashCode().toString(16)}",
+            "hash" to computeApkHash(packageName),
             "risk" to riskLevel,
             "confidence" to confidence,
             "action" to action,
@@ -530,6 +610,8 @@ class ThreatScoringEngine(private val context: Context) {
             "targetSdk" to targetSdk,
             "isOutdated" to isOutdated,
             "riskScore" to riskScore,
+            // Non-Play Store apps with this flag are HIGH whatever their score
+            "forceHigh" to forceHigh,
             "appCategory" to appCategory,
             "isTrusted" to isTrusted,
             "riskIndicators" to riskIndicators,
@@ -668,12 +750,7 @@ class ThreatScoringEngine(private val context: Context) {
             } catch (e: Exception) { "Unknown" }
             
             val versionName = packageInfo.versionName ?: "Unknown"
-            val versionCode = if (android.os.Build.VERSION.SDK_INT >= android.os.Build.VERSION_CODES.P) {
-                packageInfo.longVersionCode
-            } else {
-                @Suppress("DEPRECATION")
-                packageInfo.versionCode.toLong()
-            }
+            val versionCode = getVersionCode(packageInfo)
             
             mapOf(
                 "packageName" to packageName,
@@ -686,7 +763,8 @@ class ThreatScoringEngine(private val context: Context) {
                 "isSystemApp" to ((appInfo.flags and ApplicationInfo.FLAG_SYSTEM) != 0),
                 "targetSdk" to appInfo.targetSdkVersion,
                 "minSdk" to if (android.os.Build.VERSION.SDK_INT >= android.os.Build.VERSION_CODES.N) appInfo.minSdkVersion else 1,
-                "sourceDir" to sourceDir
+                "sourceDir" to sourceDir,
+                "hash" to computeApkHash(packageName)
             )
         } catch (e: Exception) {
             Log.e(TAG, "Error getting app details for $packageName: ${e.message}")
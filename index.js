@@ -2,5 +2,10 @@
 import { AppRegistry } from 'react-native';
 import App from './src/App';
 import { name as appName } from './app.json';
+import { RESCAN_TASK } from './src/utils/constants';
+import { runDueRescan } from './src/services/rescanScheduler';
 
 AppRegistry.registerComponent(appName, () => App);
+
+// Scheduled rescan started by the native RescanWorker, also while the app is closed
+AppRegistry.registerHeadlessTask(RESCAN_TASK, () => runDueRescan);
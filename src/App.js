@@ -1,46 +1,87 @@
 // Android Sandbox - Main App Entry Point
 // Sets up navigation with bottom tabs and stack navigator for scan results
 
-import React from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import React, { useEffect } from 'react';
+import { NavigationContainer, DarkTheme, DefaultTheme } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { Text, View, StyleSheet, Platform } from 'react-native';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 
-import { COLORS } from './utils/constants';
+import useTranslation from './hooks/useTranslation';
+import useSettings from './hooks/useSettings';
+import useTheme from './hooks/useTheme';
+import useThemedStyles from './hooks/useThemedStyles';
 import HomeScreen from './screens/HomeScreen';
 import ScanResultScreen from './screens/ScanResultScreen';
+import AppListScreen from './screens/AppListScreen';
+import BatchScanScreen from './screens/BatchScanScreen';
 import HistoryScreen from './screens/HistoryScreen';
 import SettingsScreen from './screens/SettingsScreen';
+import DeepLinkScreen from './screens/DeepLinkScreen';
+import { DEEP_LINK_PREFIXES, parseDeepLinkPath } from './utils/deepLinks';
+import { startAutoScan } from './services/autoScan';
+import { startRescanScheduler, syncBackgroundRescan } from './services/rescanScheduler';
+import { RESCAN_INTERVALS } from './utils/constants';
 
 // Create navigators
 const Tab = createBottomTabNavigator();
 const Stack = createNativeStackNavigator();
 
+/**
+ * Deep link configuration
+ * Every hexlab:// link opens DeepLink on top of Home, which validates it and replaces itself
+ * with the scan or report; malformed links arrive as { type: 'invalid' } and show an error there.
+ */
+const linking = {
+    prefixes: DEEP_LINK_PREFIXES,
+    getStateFromPath: (path) => ({
+        routes: [
+            {
+                name: 'Home',
+                state: {
+                    routes: [
+                        { name: 'HomeMain' },
+                        { name: 'DeepLink', params: parseDeepLinkPath(path) },
+                    ],
+                },
+            },
+        ],
+    }),
+};
+
 /**
  * Tab icon component
  * Displays emoji icon with color based on focus state
  */
-const TabIcon = ({ icon, color, size, focused }) => (
-    <View style={[styles.tabIconContainer, focused && styles.tabIconContainerFocused]}>
-        <MaterialCommunityIcons name={icon} size={size} color={color} />
-    </View>
-);
+const TabIcon = ({ icon, color, size, focused }) => {
+    const styles = useThemedStyles(createStyles);
+
+    return (
+        <View style={[styles.tabIconContainer, focused && styles.tabIconContainerFocused]}>
+            <MaterialCommunityIcons name={icon} size={size} color={color} />
+        </View>
+    );
+};
 
 /**
  * Home Stack Navigator
- * Contains Home screen and Scan Result screen
+ * Contains Home screen, filtered App List, Batch Scan, Deep Link and Scan Result screen
  */
 const HomeStack = () => {
+    const { colors } = useTheme();
+
     return (
         <Stack.Navigator
             screenOptions={{
                 headerShown: false,
-                contentStyle: { backgroundColor: COLORS.background },
+                contentStyle: { backgroundColor: colors.background },
             }}
         >
             <Stack.Screen name="HomeMain" component={HomeScreen} />
+            <Stack.Screen name="AppList" component={AppListScreen} />
+            <Stack.Screen name="BatchScan" component={BatchScanScreen} />
+            <Stack.Screen name="DeepLink" component={DeepLinkScreen} />
             <Stack.Screen
                 name="ScanResult"
                 component={ScanResultScreen}
@@ -57,11 +98,13 @@ const HomeStack = () => {
  * Contains History screen with navigation to Scan Result
  */
 const HistoryStack = () => {
+    const { colors } = useTheme();
+
     return (
         <Stack.Navigator
             screenOptions={{
                 headerShown: false,
-                contentStyle: { backgroundColor: COLORS.background },
+                contentStyle: { backgroundColor: colors.background },
             }}
         >
             <Stack.Screen name="HistoryMain" component={HistoryScreen} />
@@ -81,13 +124,17 @@ const HistoryStack = () => {
  * Bottom tabs: Home, History, Settings
  */
 const TabNavigator = () => {
+    const { t } = useTranslation();
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+
     return (
         <Tab.Navigator
             screenOptions={{
                 headerShown: false,
                 tabBarStyle: styles.tabBar,
-                tabBarActiveTintColor: COLORS.secondary,
-                tabBarInactiveTintColor: COLORS.textMuted,
+                tabBarActiveTintColor: colors.secondary,
+                tabBarInactiveTintColor: colors.textMuted,
                 tabBarLabelStyle: styles.tabLabel,
             }}
         >
@@ -95,6 +142,7 @@ const TabNavigator = () => {
                 name="Home"
                 component={HomeStack}
                 options={{
+                    tabBarLabel: t('tabs.home'),
                     tabBarIcon: ({ color, size, focused }) => (
                         <TabIcon icon={focused ? "home" : "home-outline"} color={color} size={size} focused={focused} />
                     ),
@@ -104,6 +152,7 @@ const TabNavigator = () => {
                 name="History"
                 component={HistoryStack}
                 options={{
+                    tabBarLabel: t('tabs.history'),
                     tabBarIcon: ({ color, size, focused }) => (
                         <TabIcon icon={focused ? "clipboard-text" : "clipboard-text-outline"} color={color} size={size} focused={focused} />
                     ),
@@ -113,6 +162,7 @@ const TabNavigator = () => {
                 name="Settings"
                 component={SettingsScreen}
                 options={{
+                    tabBarLabel: t('tabs.settings'),
                     tabBarIcon: ({ color, size, focused }) => (
                         <TabIcon icon={focused ? "cog" : "cog-outline"} color={color} size={size} focused={focused} />
                     ),
@@ -124,20 +174,47 @@ const TabNavigator = () => {
 
 /**
  * Main App Component
- * Wraps everything in NavigationContainer
+ * Wraps everything in NavigationContainer, themed to match the Settings appearance and handling deep links
  */
 const App = () => {
+    const theme = useTheme();
+    const { autoScanNewApps, rescanInterval } = useSettings();
+
+    // Scan apps installed or updated while the app runs, if enabled in Settings
+    useEffect(() => (autoScanNewApps ? startAutoScan() : undefined), [autoScanNewApps]);
+
+    // Rescan the whole device on the interval chosen in Settings: natively while the app is closed,
+    // and in the app to catch up on a rescan Android deferred
+    useEffect(() => {
+        syncBackgroundRescan(rescanInterval);
+        return RESCAN_INTERVALS[rescanInterval] ? startRescanScheduler() : undefined;
+    }, [rescanInterval]);
+
+    const baseTheme = theme.dark ? DarkTheme : DefaultTheme;
+    const navigationTheme = {
+        ...baseTheme,
+        dark: theme.dark,
+        colors: {
+            ...baseTheme.colors,
+            primary: theme.colors.secondary,
+            background: theme.colors.background,
+            card: theme.colors.surface,
+            text: theme.colors.textPrimary,
+            border: theme.colors.border,
+        },
+    };
+
     return (
-        <NavigationContainer>
+        <NavigationContainer theme={navigationTheme} linking={linking}>
             <TabNavigator />
         </NavigationContainer>
     );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
     tabBar: {
-        backgroundColor: COLORS.surface,
-        borderTopColor: COLORS.border,
+        backgroundColor: colors.surface,
+        borderTopColor: colors.border,
         borderTopWidth: 1,
         height: Platform.OS === 'android' ? 80 : 70,
         paddingBottom: Platform.OS === 'android' ? 20 : 8,
@@ -154,7 +231,7 @@ const styles = StyleSheet.create({
         borderRadius: 20,
     },
     tabIconContainerFocused: {
-        backgroundColor: 'rgba(52, 152, 219, 0.1)',
+        backgroundColor: colors.secondary + '1A',
     },
 });
 
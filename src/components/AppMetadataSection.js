@@ -0,0 +1,115 @@
+// AppMetadataSection Component
+// "App Metadata" section of the scan report: version, install/update dates, SDK range and APK location
+
+import React from 'react';
+import { View, Text, StyleSheet, ActivityIndicator } from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+import { describeSdkLevel, getSdkSecurityNotes } from '../utils/androidSdk';
+
+// Icon and theme color per SDK note level
+const NOTE_STYLES = {
+    warning: { icon: 'alert-circle', color: 'riskMedium' },
+    info: { icon: 'information', color: 'textSecondary' },
+    ok: { icon: 'check-circle', color: 'riskLow' },
+};
+
+/**
+ * Package metadata of an installed app
+ * @param {Object} props
+ * @param {Object} props.metadata - getAppMetadata() result, or null
+ * @param {boolean} props.loading - Show a loading indicator instead of the data
+ * @param {Object} props.error - Error info when the lookup failed
+ */
+const AppMetadataSection = ({ metadata, loading, error }) => {
+    const { t, formatDateWithAge, formatFileSize } = useTranslation();
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+
+    // Render one label/value row
+    const renderRow = (icon, label, value, valueStyle) => (
+        <View style={styles.row}>
+            <MaterialCommunityIcons name={icon} size={18} color={colors.secondary} />
+            <View style={styles.rowContent}>
+                <Text style={styles.label}>{label}</Text>
+                <Text style={[styles.value, valueStyle]}>{value}</Text>
+            </View>
+        </View>
+    );
+
+    const renderBody = () => {
+        if (loading) {
+            return <ActivityIndicator color={colors.secondary} />;
+        }
+        if (!metadata) {
+            return (
+                <Text style={styles.emptyText}>
+                    {error ? t('metadata.failed', { error: error.message }) : t('metadata.unavailable')}
+                </Text>
+            );
+        }
+
+        const sdkNotes = getSdkSecurityNotes(metadata.minSdk, metadata.targetSdk);
+
+        return (
+            <>
+                {renderRow('tag-outline', t('metadata.version'), t('metadata.versionValue', { name: metadata.versionName, code: metadata.versionCode }))}
+                {renderRow('calendar-plus', t('metadata.firstInstalled'), formatDateWithAge(metadata.installTime))}
+                {renderRow('calendar-refresh', t('metadata.lastUpdated'), formatDateWithAge(metadata.updateTime))}
+                {renderRow('cellphone-cog', t('metadata.systemApp'), metadata.isSystemApp ? t('common.yes') : t('common.no'))}
+
+                <View style={styles.divider} />
+
+                {renderRow('android', t('metadata.sdkRange'), `${describeSdkLevel(metadata.minSdk)} → ${describeSdkLevel(metadata.targetSdk)}`)}
+                <Text style={styles.sdkHint}>
+                    {t('metadata.sdkHint', { min: describeSdkLevel(metadata.minSdk), target: describeSdkLevel(metadata.targetSdk) })}
+                </Text>
+                {sdkNotes.map((note) => {
+                    const noteStyle = NOTE_STYLES[note.level];
+                    return (
+                        <View key={note.text} style={styles.noteRow}>
+                            <MaterialCommunityIcons name={noteStyle.icon} size={15} color={colors[noteStyle.color]} />
+                            <Text style={styles.noteText}>{note.text}</Text>
+                        </View>
+                    );
+                })}
+
+                <View style={styles.divider} />
+
+                {renderRow(
+                    'folder-zip-outline',
+                    metadata.fileSize ? t('metadata.apkLocationSize', { size: formatFileSize(metadata.fileSize) }) : t('metadata.apkLocation'),
+                    metadata.sourceDir || t('common.unknown'),
+                    styles.monoValue,
+                )}
+            </>
+        );
+    };
+
+    return (
+        <View style={styles.section}>
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('metadata.title')}</Text>
+            <View style={styles.card}>{renderBody()}</View>
+        </View>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    section: { marginBottom: 24 },
+    sectionTitle: { fontSize: 16, fontWeight: '700', color: colors.textSecondary, marginBottom: 12, textTransform: 'uppercase', letterSpacing: 1 },
+    card: { backgroundColor: colors.card, borderRadius: 16, padding: 18, borderWidth: 1, borderColor: colors.border },
+    emptyText: { fontSize: 14, color: colors.textMuted, textAlign: 'center', paddingVertical: 8 },
+    divider: { height: 1, backgroundColor: colors.divider, marginVertical: 12 },
+    row: { flexDirection: 'row', alignItems: 'flex-start', paddingVertical: 5 },
+    rowContent: { flex: 1, marginLeft: 12 },
+    label: { fontSize: 12, color: colors.textMuted, marginBottom: 2 },
+    value: { fontSize: 14, fontWeight: '600', color: colors.textPrimary },
+    monoValue: { fontSize: 12, fontWeight: '400', fontFamily: 'monospace' },
+    sdkHint: { fontSize: 12, color: colors.textSecondary, marginLeft: 30, marginBottom: 6 },
+    noteRow: { flexDirection: 'row', alignItems: 'flex-start', marginLeft: 30, marginTop: 4 },
+    noteText: { flex: 1, fontSize: 12, color: colors.textPrimary, lineHeight: 17, marginLeft: 6 },
+});
+
+export default AppMetadataSection;
@@ -1,7 +1,7 @@
 // AppSelectionModal Component
-// Modal dialog for selecting an app to deep scan
+// Modal dialog for selecting apps to deep scan, with search, filter chips, sort and multi-select
 
-import React from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
     View,
     Text,
@@ -11,9 +11,26 @@ import {
     FlatList,
     Image,
     ActivityIndicator,
+    TextInput,
+    ScrollView,
 } from 'react-native';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
-import { COLORS } from '../utils/constants';
+import { RISK_LEVELS } from '../utils/constants';
+import {
+    APP_TYPES,
+    APP_SORT_OPTIONS,
+    DEFAULT_APP_FILTERS,
+    applyAppFilters,
+    hasActiveFilters,
+} from '../utils/appFilters';
+import { loadAppPickerFilters, saveAppPickerFilters } from '../services/appPickerPreferences';
+import RiskBadge from './RiskBadge';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+
+// Risk chips in display order
+const RISK_CHIPS = [RISK_LEVELS.HIGH, RISK_LEVELS.MEDIUM, RISK_LEVELS.LOW];
 
 /**
  * App Selection Modal - Shows list of installed apps for selection
@@ -21,42 +38,130 @@ import { COLORS } from '../utils/constants';
  * @param {boolean} props.visible - Whether modal is visible
  * @param {Function} props.onClose - Callback to close modal
  * @param {Function} props.onSelectApp - Callback when app is selected
- * @param {Array} props.apps - Array of installed apps
+ * @param {Function} props.onSelectApps - Callback with the selected apps when a batch scan is started
+ * @param {Array} props.apps - Installed apps, with known `risk` and `lastScannedAt` (see withKnownVerdicts)
  * @param {boolean} props.loading - Whether apps are still loading
  */
-const AppSelectionModal = ({ visible, onClose, onSelectApp, apps, loading }) => {
-    const renderAppItem = ({ item }) => (
+const AppSelectionModal = ({ visible, onClose, onSelectApp, onSelectApps, apps, loading }) => {
+    const { t, formatRisk, formatDate } = useTranslation();
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const [query, setQuery] = useState('');
+    const [filters, setFilters] = useState(DEFAULT_APP_FILTERS);
+    const [multiSelect, setMultiSelect] = useState(false);
+    const [selected, setSelected] = useState([]);
+
+    // Restore the last filter and sort choices
+    useEffect(() => {
+        let active = true;
+        loadAppPickerFilters().then((saved) => {
+            if (active) setFilters(saved);
+        });
+        return () => {
+            active = false;
+        };
+    }, []);
+
+    // Update filters and remember them for the next opening
+    const updateFilters = (changes) => {
+        const next = { ...filters, ...changes };
+        setFilters(next);
+        saveAppPickerFilters(next);
+    };
+
+    const toggleRisk = (risk) => {
+        const risks = filters.risks.includes(risk)
+            ? filters.risks.filter((r) => r !== risk)
+            : [...filters.risks, risk];
+        updateFilters({ risks });
+    };
+
+    const toggleAppType = (appType) => {
+        updateFilters({ appType: filters.appType === appType ? APP_TYPES.ALL : appType });
+    };
+
+    // Every opening starts in single-app mode with nothing selected
+    useEffect(() => {
+        if (!visible) {
+            setMultiSelect(false);
+            setSelected([]);
+        }
+    }, [visible]);
+
+    const toggleSelected = (packageName) => {
+        setSelected((current) => (current.includes(packageName)
+            ? current.filter((name) => name !== packageName)
+            : [...current, packageName]));
+    };
+
+    // Add every app matching a predicate to the selection
+    const selectAll = (predicate) => {
+        const matching = (apps || []).filter(predicate).map((app) => app.packageName);
+        setSelected((current) => [...new Set([...current, ...matching])]);
+    };
+
+    const startBatch = () => {
+        onSelectApps((apps || []).filter((app) => selected.includes(app.packageName)));
+    };
+
+    const visibleApps = useMemo(
+        () => applyAppFilters(apps || [], query, filters),
+        [apps, query, filters],
+    );
+
+    // Render a filter or sort chip
+    const renderChip = (key, label, active, onPress) => (
         <TouchableOpacity
-            style={styles.appItem}
-            onPress={() => onSelectApp(item)}
+            key={key}
+            style={[styles.chip, active && styles.chipActive]}
+            onPress={onPress}
             activeOpacity={0.7}
         >
-            {item.iconBase64 ? (
-                <Image
-                    source={{ uri: `data:image/png;base64,${item.iconBase64}` }}
-                    style={styles.appIcon}
-                />
-            ) : (
-                <View style={styles.iconPlaceholder}>
-                    <MaterialCommunityIcons name="android" size={28} color={COLORS.textMuted} />
-                </View>
-            )}
-            <View style={styles.appInfo}>
-                <Text style={styles.appName} numberOfLines={1}>
-                    {item.fileName || item.appName || 'Unknown App'}
-                </Text>
-                <Text style={styles.packageName} numberOfLines={1}>
-                    {item.packageName}
-                </Text>
-            </View>
-            <MaterialCommunityIcons
-                name="chevron-right"
-                size={24}
-                color={COLORS.textMuted}
-            />
+            <Text style={[styles.chipText, active && styles.chipTextActive]}>{label}</Text>
         </TouchableOpacity>
     );
 
+    const renderAppItem = ({ item }) => {
+        const isSelected = selected.includes(item.packageName);
+        return (
+            <TouchableOpacity
+                style={[styles.appItem, isSelected && styles.appItemSelected]}
+                onPress={() => (multiSelect ? toggleSelected(item.packageName) : onSelectApp(item))}
+                activeOpacity={0.7}
+            >
+                {item.iconBase64 ? (
+                    <Image
+                        source={{ uri: `data:image/png;base64,${item.iconBase64}` }}
+                        style={styles.appIcon}
+                    />
+                ) : (
+                    <View style={styles.iconPlaceholder}>
+                        <MaterialCommunityIcons name="android" size={28} color={colors.textMuted} />
+                    </View>
+                )}
+                <View style={styles.appInfo}>
+                    <Text style={styles.appName} numberOfLines={1}>
+                        {item.fileName || item.appName || t('appPicker.unknownApp')}
+                    </Text>
+                    <Text style={styles.packageName} numberOfLines={1}>
+                        {item.packageName}
+                    </Text>
+                    {item.lastScannedAt && (
+                        <Text style={styles.scannedText}>
+                            {t('appPicker.scanned', { date: formatDate(item.lastScannedAt) })}
+                        </Text>
+                    )}
+                </View>
+                {item.risk && <RiskBadge risk={item.risk} style={styles.riskBadge} />}
+                <MaterialCommunityIcons
+                    name={multiSelect ? (isSelected ? 'checkbox-marked' : 'checkbox-blank-outline') : 'chevron-right'}
+                    size={24}
+                    color={isSelected ? colors.secondary : colors.textMuted}
+                />
+            </TouchableOpacity>
+        );
+    };
+
     return (
         <Modal
             visible={visible}
@@ -68,61 +173,158 @@ const AppSelectionModal = ({ visible, onClose, onSelectApp, apps, loading }) =>
                 <View style={styles.modalContainer}>
                     {/* Header */}
                     <View style={styles.header}>
-                        <Text style={styles.title}>Select App to Scan</Text>
-                        <TouchableOpacity onPress={onClose} style={styles.closeButton}>
-                            <MaterialCommunityIcons
-                                name="close"
-                                size={24}
-                                color={COLORS.textPrimary}
-                            />
-                        </TouchableOpacity>
+                        <Text style={styles.title}>{multiSelect ? t('appPicker.titleMulti') : t('appPicker.title')}</Text>
+                        <View style={styles.headerActions}>
+                            {onSelectApps && (
+                                <TouchableOpacity
+                                    onPress={() => {
+                                        setMultiSelect(!multiSelect);
+                                        setSelected([]);
+                                    }}
+                                    style={styles.modeButton}
+                                >
+                                    <Text style={styles.modeButtonText}>{multiSelect ? t('appPicker.single') : t('appPicker.multiSelect')}</Text>
+                                </TouchableOpacity>
+                            )}
+                            <TouchableOpacity onPress={onClose} style={styles.closeButton} accessibilityRole="button" accessibilityLabel={t('a11y.close')}>
+                                <MaterialCommunityIcons
+                                    name="close"
+                                    size={24}
+                                    color={colors.textPrimary}
+                                />
+                            </TouchableOpacity>
+                        </View>
                     </View>
 
                     {/* Subtitle */}
                     <Text style={styles.subtitle}>
-                        Choose an app for deep security analysis
+                        {multiSelect ? t('appPicker.subtitleMulti') : t('appPicker.subtitle')}
                     </Text>
 
+                    {/* Search */}
+                    <View style={styles.searchBox}>
+                        <MaterialCommunityIcons name="magnify" size={20} color={colors.textMuted} />
+                        <TextInput
+                            style={styles.searchInput}
+                            value={query}
+                            onChangeText={setQuery}
+                            placeholder={t('appPicker.search')}
+                            placeholderTextColor={colors.textMuted}
+                            autoCapitalize="none"
+                            autoCorrect={false}
+                        />
+                        {query.length > 0 && (
+                            <TouchableOpacity onPress={() => setQuery('')} accessibilityRole="button" accessibilityLabel={t('a11y.clearSearch')}>
+                                <MaterialCommunityIcons name="close-circle" size={18} color={colors.textMuted} />
+                            </TouchableOpacity>
+                        )}
+                    </View>
+
+                    {/* Filter chips */}
+                    <ScrollView
+                        horizontal
+                        showsHorizontalScrollIndicator={false}
+                        style={styles.chipScroll}
+                        contentContainerStyle={styles.chipRow}
+                    >
+                        {renderChip('user', t('appPicker.filters.user'), filters.appType === APP_TYPES.USER, () => toggleAppType(APP_TYPES.USER))}
+                        {renderChip('system', t('appPicker.filters.system'), filters.appType === APP_TYPES.SYSTEM, () => toggleAppType(APP_TYPES.SYSTEM))}
+                        {renderChip('sideloaded', t('appPicker.filters.sideloaded'), filters.sideloadedOnly, () => updateFilters({ sideloadedOnly: !filters.sideloadedOnly }))}
+                        {renderChip('scanned', t('appPicker.filters.scanned'), filters.scannedOnly, () => updateFilters({ scannedOnly: !filters.scannedOnly }))}
+                        {RISK_CHIPS.map((risk) => renderChip(risk, formatRisk(risk), filters.risks.includes(risk), () => toggleRisk(risk)))}
+                        {hasActiveFilters(filters) && renderChip('clear', t('appPicker.filters.clear'), false, () => updateFilters({
+                            appType: DEFAULT_APP_FILTERS.appType,
+                            sideloadedOnly: false,
+                            scannedOnly: false,
+                            risks: [],
+                        }))}
+                    </ScrollView>
+
+                    {/* Bulk selection */}
+                    {multiSelect && (
+                        <ScrollView
+                            horizontal
+                            showsHorizontalScrollIndicator={false}
+                            style={styles.chipScroll}
+                            contentContainerStyle={styles.chipRow}
+                        >
+                            {renderChip('allUser', t('appPicker.select.allUser'), false, () => selectAll((app) => !app.isSystemApp))}
+                            {renderChip('allSideloaded', t('appPicker.select.allSideloaded'), false, () => selectAll((app) => app.isSideloaded))}
+                            {selected.length > 0 && renderChip('none', t('appPicker.select.none'), false, () => setSelected([]))}
+                        </ScrollView>
+                    )}
+
+                    {/* Sort options */}
+                    <View style={styles.sortRow}>
+                        <Text style={styles.sortLabel}>{t('appPicker.sortLabel')}</Text>
+                        {Object.keys(APP_SORT_OPTIONS).map((sortBy) => renderChip(
+                            sortBy,
+                            t(`appPicker.sort.${sortBy}`),
+                            filters.sortBy === sortBy,
+                            () => updateFilters({ sortBy }),
+                        ))}
+                        {!loading && (
+                            <Text style={styles.countText}>{visibleApps.length}/{(apps || []).length}</Text>
+                        )}
+                    </View>
+
                     {/* App List */}
                     {loading ? (
                         <View style={styles.loadingContainer}>
-                            <ActivityIndicator size="large" color={COLORS.secondary} />
-                            <Text style={styles.loadingText}>Loading apps...</Text>
+                            <ActivityIndicator size="large" color={colors.secondary} />
+                            <Text style={styles.loadingText}>{t('appPicker.loading')}</Text>
                         </View>
                     ) : (
                         <FlatList
-                            data={apps}
+                            data={visibleApps}
                             keyExtractor={(item) => item.packageName || item.id}
                             renderItem={renderAppItem}
+                            extraData={selected}
                             style={styles.appList}
                             contentContainerStyle={styles.appListContent}
                             showsVerticalScrollIndicator={false}
+                            keyboardShouldPersistTaps="handled"
                             ListEmptyComponent={
                                 <View style={styles.emptyContainer}>
                                     <MaterialCommunityIcons
                                         name="application-off"
                                         size={48}
-                                        color={COLORS.textMuted}
+                                        color={colors.textMuted}
                                     />
-                                    <Text style={styles.emptyText}>No apps found</Text>
+                                    <Text style={styles.emptyText}>{t('appPicker.empty')}</Text>
                                 </View>
                             }
                         />
                     )}
+
+                    {/* Batch scan */}
+                    {multiSelect && (
+                        <TouchableOpacity
+                            style={[styles.batchButton, selected.length === 0 && styles.batchButtonDisabled]}
+                            onPress={startBatch}
+                            disabled={selected.length === 0}
+                            activeOpacity={0.7}
+                        >
+                            <MaterialCommunityIcons name="shield-search" size={20} color={colors.onSecondary} />
+                            <Text style={styles.batchButtonText}>
+                                {t('appPicker.scanSelected', { count: selected.length })}
+                            </Text>
+                        </TouchableOpacity>
+                    )}
                 </View>
             </View>
         </Modal>
     );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
     overlay: {
         flex: 1,
-        backgroundColor: 'rgba(0, 0, 0, 0.7)',
+        backgroundColor: colors.overlay,
         justifyContent: 'flex-end',
     },
     modalContainer: {
-        backgroundColor: COLORS.surface,
+        backgroundColor: colors.surface,
         borderTopLeftRadius: 24,
         borderTopRightRadius: 24,
         height: '75%',
@@ -139,16 +341,94 @@ const styles = StyleSheet.create({
     title: {
         fontSize: 20,
         fontWeight: '700',
-        color: COLORS.textPrimary,
+        color: colors.textPrimary,
+    },
+    headerActions: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    modeButton: {
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        marginRight: 8,
+        borderRadius: 12,
+        backgroundColor: colors.secondary + '20',
+    },
+    modeButtonText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: colors.secondary,
     },
     closeButton: {
         padding: 4,
     },
     subtitle: {
         fontSize: 14,
-        color: COLORS.textSecondary,
+        color: colors.textSecondary,
         paddingHorizontal: 20,
-        marginBottom: 16,
+        marginBottom: 12,
+    },
+    searchBox: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginHorizontal: 16,
+        paddingHorizontal: 12,
+        backgroundColor: colors.background,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: colors.border,
+    },
+    searchInput: {
+        flex: 1,
+        fontSize: 14,
+        color: colors.textPrimary,
+        paddingVertical: 10,
+        marginLeft: 8,
+    },
+    chipScroll: {
+        flexGrow: 0,
+        marginTop: 10,
+    },
+    chipRow: {
+        paddingHorizontal: 16,
+        alignItems: 'center',
+    },
+    chip: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: colors.border,
+        marginRight: 8,
+    },
+    chipActive: {
+        backgroundColor: colors.secondary + '25',
+        borderColor: colors.secondary,
+    },
+    chipText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: colors.textSecondary,
+    },
+    chipTextActive: {
+        color: colors.secondary,
+    },
+    sortRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 16,
+        marginTop: 8,
+        marginBottom: 12,
+    },
+    sortLabel: {
+        fontSize: 12,
+        color: colors.textMuted,
+        marginRight: 8,
+    },
+    countText: {
+        marginLeft: 'auto',
+        fontSize: 12,
+        color: colors.textMuted,
     },
     appList: {
         flex: 1,
@@ -159,12 +439,16 @@ const styles = StyleSheet.create({
     appItem: {
         flexDirection: 'row',
         alignItems: 'center',
-        backgroundColor: COLORS.background,
+        backgroundColor: colors.background,
         padding: 14,
         borderRadius: 12,
         marginBottom: 10,
         borderWidth: 1,
-        borderColor: COLORS.border,
+        borderColor: colors.border,
+    },
+    appItemSelected: {
+        borderColor: colors.secondary,
+        backgroundColor: colors.secondary + '10',
     },
     appIcon: {
         width: 48,
@@ -175,7 +459,7 @@ const styles = StyleSheet.create({
         width: 48,
         height: 48,
         borderRadius: 10,
-        backgroundColor: COLORS.surface,
+        backgroundColor: colors.surface,
         alignItems: 'center',
         justifyContent: 'center',
     },
@@ -186,12 +470,20 @@ const styles = StyleSheet.create({
     appName: {
         fontSize: 16,
         fontWeight: '600',
-        color: COLORS.textPrimary,
+        color: colors.textPrimary,
         marginBottom: 2,
     },
     packageName: {
         fontSize: 12,
-        color: COLORS.textMuted,
+        color: colors.textMuted,
+    },
+    scannedText: {
+        fontSize: 11,
+        color: colors.textSecondary,
+        marginTop: 2,
+    },
+    riskBadge: {
+        marginHorizontal: 6,
     },
     loadingContainer: {
         paddingVertical: 60,
@@ -199,7 +491,7 @@ const styles = StyleSheet.create({
     },
     loadingText: {
         fontSize: 14,
-        color: COLORS.textSecondary,
+        color: colors.textSecondary,
         marginTop: 12,
     },
     emptyContainer: {
@@ -208,9 +500,28 @@ const styles = StyleSheet.create({
     },
     emptyText: {
         fontSize: 14,
-        color: COLORS.textMuted,
+        color: colors.textMuted,
         marginTop: 12,
     },
+    batchButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginHorizontal: 16,
+        marginTop: 8,
+        paddingVertical: 14,
+        borderRadius: 12,
+        backgroundColor: colors.secondary,
+    },
+    batchButtonDisabled: {
+        opacity: 0.4,
+    },
+    batchButtonText: {
+        fontSize: 15,
+        fontWeight: '700',
+        color: colors.onSecondary,
+        marginLeft: 8,
+    },
 });
 
 export default AppSelectionModal;
@@ -0,0 +1,75 @@
+// DataSourceBanner Component
+// Warns the user whenever demo (mock) or degraded data is on display
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { DATA_SOURCES } from '../utils/constants';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+
+// Banner icon and theme color per data source (texts are `dataSource.<source>` messages); trusted sources render nothing
+const BANNER_VARIANTS = {
+    [DATA_SOURCES.MOCK]: {
+        icon: 'flask-outline',
+        color: 'riskMedium',
+    },
+    [DATA_SOURCES.ERROR]: {
+        icon: 'alert-circle-outline',
+        color: 'riskHigh',
+    },
+};
+
+/**
+ * Provenance warning banner
+ * @param {Object} props
+ * @param {string} props.source - One of DATA_SOURCES; only 'mock' and 'error' render a banner
+ * @param {string} props.message - Optional message overriding the default text
+ * @param {Object} props.style - Optional additional styles
+ */
+const DataSourceBanner = ({ source, message, style }) => {
+    const { t } = useTranslation();
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const variant = BANNER_VARIANTS[source];
+    if (!variant) return null;
+    const color = colors[variant.color];
+
+    return (
+        <View style={[styles.banner, { backgroundColor: color + '15', borderLeftColor: color }, style]}>
+            <MaterialCommunityIcons name={variant.icon} size={20} color={color} />
+            <View style={styles.content}>
+                <Text style={[styles.title, { color }]}>{t(`dataSource.${source}.title`)}</Text>
+                <Text style={styles.message}>{message || t(`dataSource.${source}.message`)}</Text>
+            </View>
+        </View>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    banner: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        padding: 12,
+        borderRadius: 10,
+        borderLeftWidth: 3,
+        marginBottom: 16,
+    },
+    content: {
+        flex: 1,
+        marginLeft: 10,
+    },
+    title: {
+        fontSize: 13,
+        fontWeight: '700',
+        marginBottom: 2,
+    },
+    message: {
+        fontSize: 12,
+        color: colors.textSecondary,
+        lineHeight: 17,
+    },
+});
+
+export default DataSourceBanner;
@@ -4,29 +4,12 @@
 import React from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, Image } from 'react-native';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
-import { COLORS, FILE_TYPE_ICONS, ACTION_STATUS } from '../utils/constants';
+import { FILE_TYPE_ICONS, DATA_SOURCES } from '../utils/constants';
 import RiskBadge from './RiskBadge';
-
-/**
- * Format timestamp to relative time (e.g., "2 min ago")
- */
-const formatRelativeTime = (timestamp) => {
-    if (!timestamp) return '';
-
-    const now = Date.now();
-    const scannedTime = typeof timestamp === 'string' ? new Date(timestamp).getTime() : timestamp;
-    const diffMs = now - scannedTime;
-    const diffSec = Math.floor(diffMs / 1000);
-    const diffMin = Math.floor(diffSec / 60);
-    const diffHour = Math.floor(diffMin / 60);
-    const diffDay = Math.floor(diffHour / 24);
-
-    if (diffSec < 60) return 'Just now';
-    if (diffMin < 60) return `${diffMin} min ago`;
-    if (diffHour < 24) return `${diffHour} hr ago`;
-    if (diffDay < 7) return `${diffDay} day${diffDay > 1 ? 's' : ''} ago`;
-    return new Date(scannedTime).toLocaleDateString();
-};
+import useSettings from '../hooks/useSettings';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
 
 /**
  * Reusable file display card component
@@ -36,36 +19,63 @@ const formatRelativeTime = (timestamp) => {
  * @param {Object} props.style - Optional additional styles
  */
 const FileCard = ({ file, onPress, style }) => {
+    const { t, formatRisk, formatAction, formatFileSize, formatRelativeTime } = useTranslation();
+    const { colors, actionColors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+
     // Get file type icon (fallback)
     const getFileIcon = (fileType) => {
         return FILE_TYPE_ICONS[fileType] || FILE_TYPE_ICONS.unknown;
     };
 
     // Get action status color
-    const getActionColor = (action) => {
-        switch (action) {
-            case ACTION_STATUS.ALLOWED:
-                return COLORS.actionAllowed;
-            case ACTION_STATUS.RESTRICTED:
-                return COLORS.actionRestricted;
-            case ACTION_STATUS.BLOCKED:
-                return COLORS.actionBlocked;
-            default:
-                return COLORS.textMuted;
-        }
-    };
+    const getActionColor = (action) => actionColors[action] || colors.textMuted;
 
     // Get relative time for last scan
     const lastScanTime = formatRelativeTime(file.scannedAt);
 
+    // Package update time (PackageManager lastUpdateTime), when the listing provides it
+    const updatedTime = file.lastUpdateTime ? formatRelativeTime(file.lastUpdateTime, { inline: true }) : null;
+
     // Check if we have a valid base64 icon
     const hasAppIcon = file.iconBase64 && file.iconBase64.length > 0;
 
+    // Provenance badge: sample data or a failed analysis must never look like a real verdict
+    const isPartial = Object.keys(file.errors || {}).length > 0;
+    const sourceBadge = file.source === DATA_SOURCES.MOCK
+        ? { label: t('fileCard.demoData'), color: colors.riskMedium }
+        : file.source === DATA_SOURCES.ERROR
+            ? { label: t('fileCard.scanFailed'), color: colors.riskHigh }
+            : isPartial
+                ? { label: t('fileCard.partialScan'), color: colors.actionRestricted }
+                : null;
+
+    // Sideloaded flag ("Highlight Sideloaded" setting); history entries keep it in the heuristic result
+    const { highlightSideloaded } = useSettings();
+    const isSideloaded = file.isSideloaded ?? file.engines?.heuristic?.isSideloaded;
+    const flagSideloaded = highlightSideloaded && Boolean(isSideloaded);
+
+    // Verdicts changed by a user override are always marked as such
+    const isOverridden = Boolean(file.override);
+
+    // Screen readers hear the card as one button: app, risk, action, badges and last scan time
+    const accessibilityLabel = [
+        file.fileName,
+        t(isOverridden ? 'a11y.riskOverridden' : 'a11y.risk', { risk: formatRisk(file.risk) }),
+        formatAction(file.action),
+        sourceBadge?.label,
+        flagSideloaded && t('fileCard.sideloaded'),
+        file.scannedAt && t('a11y.lastScanned', { time: formatRelativeTime(file.scannedAt, { inline: true }) }),
+    ].filter(Boolean).join(', ');
+
     return (
         <TouchableOpacity
-            style={[styles.card, style]}
+            style={[styles.card, flagSideloaded && styles.cardSideloaded, style]}
             onPress={onPress}
             activeOpacity={0.7}
+            accessibilityRole="button"
+            accessibilityLabel={accessibilityLabel}
+            accessibilityHint={t('a11y.openReport')}
         >
             {/* App Icon or Fallback File Icon */}
             <View style={styles.iconContainer}>
@@ -79,7 +89,7 @@ const FileCard = ({ file, onPress, style }) => {
                     <MaterialCommunityIcons
                         name={getFileIcon(file.fileType)}
                         size={24}
-                        color={COLORS.secondary}
+                        color={colors.secondary}
                     />
                 )}
             </View>
@@ -89,12 +99,33 @@ const FileCard = ({ file, onPress, style }) => {
                 <Text style={styles.fileName} numberOfLines={1}>
                     {file.fileName}
                 </Text>
-                <Text style={styles.fileType}>
-                    {file.fileType.toUpperCase()} • {file.fileSize}
+                <Text style={styles.fileType} numberOfLines={1}>
+                    {file.fileType.toUpperCase()} • {formatFileSize(file.fileSize)}{updatedTime ? ` • ${t('fileCard.updated', { time: updatedTime })}` : ''}
                 </Text>
+                {(sourceBadge || flagSideloaded || isOverridden) && (
+                    <View style={styles.badgeRow}>
+                        {sourceBadge && (
+                            <View style={[styles.sourceBadge, { backgroundColor: sourceBadge.color + '20' }]}>
+                                <Text style={[styles.sourceBadgeText, { color: sourceBadge.color }]}>{sourceBadge.label}</Text>
+                            </View>
+                        )}
+                        {flagSideloaded && (
+                            <View style={[styles.sourceBadge, styles.sideloadedBadge]}>
+                                <MaterialCommunityIcons name="download" size={10} color={colors.riskMedium} />
+                                <Text style={[styles.sourceBadgeText, styles.sideloadedBadgeText]}>{t('fileCard.sideloaded')}</Text>
+                            </View>
+                        )}
+                        {isOverridden && (
+                            <View style={[styles.sourceBadge, styles.overriddenBadge]}>
+                                <MaterialCommunityIcons name="account-edit" size={10} color={colors.secondary} />
+                                <Text style={[styles.sourceBadgeText, styles.overriddenBadgeText]}>{t('fileCard.overridden')}</Text>
+                            </View>
+                        )}
+                    </View>
+                )}
                 {lastScanTime ? (
                     <View style={styles.scanTimeRow}>
-                        <MaterialCommunityIcons name="clock-outline" size={11} color={COLORS.textMuted} />
+                        <MaterialCommunityIcons name="clock-outline" size={11} color={colors.textMuted} />
                         <Text style={styles.scanTime}>{lastScanTime}</Text>
                     </View>
                 ) : null}
@@ -102,34 +133,38 @@ const FileCard = ({ file, onPress, style }) => {
 
             {/* Risk and Action */}
             <View style={styles.status}>
-                <RiskBadge risk={file.risk} />
+                <RiskBadge risk={file.risk} overridden={isOverridden} />
                 <View style={styles.actionRow}>
                     <Text style={[styles.action, { color: getActionColor(file.action) }]}>
-                        {file.action}
+                        {formatAction(file.action)}
                     </Text>
-                    <MaterialCommunityIcons name="chevron-right" size={20} color={COLORS.textMuted} />
+                    <MaterialCommunityIcons name="chevron-right" size={20} color={colors.textMuted} />
                 </View>
             </View>
         </TouchableOpacity>
     );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
     card: {
         flexDirection: 'row',
         alignItems: 'center',
-        backgroundColor: COLORS.card,
+        backgroundColor: colors.card,
         borderRadius: 12,
         padding: 14,
         marginVertical: 6,
         borderWidth: 1,
-        borderColor: COLORS.border,
+        borderColor: colors.border,
+    },
+    cardSideloaded: {
+        borderLeftWidth: 3,
+        borderLeftColor: colors.riskMedium,
     },
     iconContainer: {
         width: 44,
         height: 44,
         borderRadius: 10,
-        backgroundColor: COLORS.surface,
+        backgroundColor: colors.surface,
         justifyContent: 'center',
         alignItems: 'center',
         marginRight: 12,
@@ -147,12 +182,12 @@ const styles = StyleSheet.create({
     fileName: {
         fontSize: 15,
         fontWeight: '600',
-        color: COLORS.textPrimary,
+        color: colors.textPrimary,
         marginBottom: 4,
     },
     fileType: {
         fontSize: 12,
-        color: COLORS.textSecondary,
+        color: colors.textSecondary,
     },
     scanTimeRow: {
         flexDirection: 'row',
@@ -161,9 +196,42 @@ const styles = StyleSheet.create({
     },
     scanTime: {
         fontSize: 10,
-        color: COLORS.textMuted,
+        color: colors.textMuted,
         marginLeft: 4,
     },
+    badgeRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+    },
+    sourceBadge: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        alignSelf: 'flex-start',
+        paddingHorizontal: 6,
+        paddingVertical: 2,
+        borderRadius: 4,
+        marginTop: 4,
+        marginRight: 4,
+    },
+    sourceBadgeText: {
+        fontSize: 9,
+        fontWeight: '700',
+        letterSpacing: 0.5,
+    },
+    sideloadedBadge: {
+        backgroundColor: colors.riskMedium + '20',
+    },
+    sideloadedBadgeText: {
+        color: colors.riskMedium,
+        marginLeft: 3,
+    },
+    overriddenBadge: {
+        backgroundColor: colors.secondary + '20',
+    },
+    overriddenBadgeText: {
+        color: colors.secondary,
+        marginLeft: 3,
+    },
     status: {
         alignItems: 'flex-end',
     },
@@ -0,0 +1,156 @@
+// NetworkSection Component
+// "Network & Data Exfiltration" section of the scan report
+
+import React from 'react';
+import { View, Text, StyleSheet, ActivityIndicator } from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { DATA_EXFIL_SOURCES } from '../utils/constants';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+
+// Helper: Short name of a permission without a known data source
+const shortPermissionName = (permission) => permission.split('.').pop();
+
+/**
+ * Network capabilities and data-exfiltration risk of an app
+ * @param {Object} props
+ * @param {Object} props.network - getNetworkAnalysis() result, or null
+ * @param {boolean} props.loading - Show a loading indicator instead of the data
+ * @param {Object} props.error - Error info when the network analysis failed
+ */
+const NetworkSection = ({ network, loading, error }) => {
+    const { t, formatRisk } = useTranslation();
+    const { colors, riskColors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+
+    const renderBody = () => {
+        if (loading) {
+            return <ActivityIndicator color={colors.secondary} />;
+        }
+        if (!network) {
+            return (
+                <Text style={styles.emptyText}>
+                    {error ? t('network.failed', { error: error.message }) : t('network.unavailable')}
+                </Text>
+            );
+        }
+
+        const riskColor = riskColors[network.riskLevel] || colors.textMuted;
+        const sources = network.dataExfilPermissions || [];
+        const capabilities = network.networkCapabilities || [];
+
+        return (
+            <>
+                {/* Exfiltration risk */}
+                <View style={styles.scoreRow}>
+                    <View style={[styles.scoreCircle, { borderColor: riskColor }]}>
+                        <Text style={[styles.scoreValue, { color: riskColor }]}>{network.exfilRiskScore}</Text>
+                        <Text style={styles.scoreLabel}>{t('network.score')}</Text>
+                    </View>
+                    <View style={styles.scoreInfo}>
+                        <Text style={[styles.riskLevel, { color: riskColor }]}>{t('network.riskLevel', { risk: formatRisk(network.riskLevel) })}</Text>
+                        <Text style={styles.riskNote}>
+                            {network.hasInternet
+                                ? (sources.length > 0
+                                    ? t('network.sourcesAtRisk', { count: sources.length })
+                                    : t('network.noSources'))
+                                : t('network.noInternet')}
+                        </Text>
+                    </View>
+                </View>
+
+                <View style={styles.divider} />
+
+                {/* Cleartext traffic */}
+                <View style={styles.statusRow}>
+                    <MaterialCommunityIcons
+                        name={network.usesCleartext ? 'lock-open-alert' : 'lock'}
+                        size={20}
+                        color={network.usesCleartext ? colors.riskMedium : colors.riskLow}
+                    />
+                    <View style={styles.statusContent}>
+                        <Text style={styles.statusLabel}>{t('network.cleartext')}</Text>
+                        <Text style={styles.statusValue}>
+                            {network.usesCleartext
+                                ? t('network.cleartextAllowed')
+                                : t('network.cleartextBlocked')}
+                        </Text>
+                    </View>
+                </View>
+
+                <View style={styles.divider} />
+
+                {/* Sensitive data sources */}
+                <Text style={styles.groupTitle}>{t('network.dataSources')}</Text>
+                {sources.length === 0 ? (
+                    <Text style={styles.emptyText}>{t('network.noDataSources')}</Text>
+                ) : sources.map((permission) => {
+                    const source = DATA_EXFIL_SOURCES[permission];
+                    return (
+                        <View key={permission} style={styles.sourceRow}>
+                            <MaterialCommunityIcons
+                                name={source?.icon || 'database'}
+                                size={18}
+                                color={network.hasInternet ? colors.riskMedium : colors.textMuted}
+                            />
+                            <Text style={styles.sourceLabel}>{source
+                                ? t(`network.sources.${shortPermissionName(permission)}`, { defaultValue: source.label })
+                                : shortPermissionName(permission)}</Text>
+                            <Text style={styles.sourcePermission}>{shortPermissionName(permission)}</Text>
+                        </View>
+                    );
+                })}
+
+                {/* Network capabilities */}
+                {capabilities.length > 0 && (
+                    <>
+                        <Text style={styles.groupTitle}>{t('network.capabilities')}</Text>
+                        <View style={styles.chipRow}>
+                            {capabilities.map((capability) => (
+                                <View key={capability} style={styles.chip}>
+                                    <Text style={styles.chipText}>{capability}</Text>
+                                </View>
+                            ))}
+                        </View>
+                    </>
+                )}
+            </>
+        );
+    };
+
+    return (
+        <View style={styles.section}>
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('network.title')}</Text>
+            <View style={styles.card}>{renderBody()}</View>
+        </View>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    section: { marginBottom: 24 },
+    sectionTitle: { fontSize: 16, fontWeight: '700', color: colors.textSecondary, marginBottom: 12, textTransform: 'uppercase', letterSpacing: 1 },
+    card: { backgroundColor: colors.card, borderRadius: 16, padding: 18, borderWidth: 1, borderColor: colors.border },
+    emptyText: { fontSize: 14, color: colors.textMuted, textAlign: 'center', paddingVertical: 8 },
+    divider: { height: 1, backgroundColor: colors.divider, marginVertical: 14 },
+    scoreRow: { flexDirection: 'row', alignItems: 'center' },
+    scoreCircle: { width: 64, height: 64, borderRadius: 32, borderWidth: 3, justifyContent: 'center', alignItems: 'center' },
+    scoreValue: { fontSize: 20, fontWeight: '800' },
+    scoreLabel: { fontSize: 10, color: colors.textMuted },
+    scoreInfo: { flex: 1, marginLeft: 16 },
+    riskLevel: { fontSize: 14, fontWeight: '700', letterSpacing: 0.5 },
+    riskNote: { fontSize: 13, color: colors.textSecondary, marginTop: 4, lineHeight: 18 },
+    statusRow: { flexDirection: 'row', alignItems: 'flex-start' },
+    statusContent: { flex: 1, marginLeft: 12 },
+    statusLabel: { fontSize: 12, color: colors.textMuted, marginBottom: 2 },
+    statusValue: { fontSize: 13, color: colors.textPrimary, lineHeight: 18 },
+    groupTitle: { fontSize: 13, fontWeight: '700', color: colors.textSecondary, marginBottom: 8, marginTop: 4 },
+    sourceRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 5 },
+    sourceLabel: { flex: 1, fontSize: 14, color: colors.textPrimary, marginLeft: 10 },
+    sourcePermission: { fontSize: 11, color: colors.textMuted, fontFamily: 'monospace' },
+    chipRow: { flexDirection: 'row', flexWrap: 'wrap', marginTop: 2 },
+    chip: { paddingHorizontal: 10, paddingVertical: 4, borderRadius: 12, backgroundColor: colors.surface, borderWidth: 1, borderColor: colors.border, marginRight: 6, marginBottom: 6 },
+    chipText: { fontSize: 12, color: colors.textSecondary },
+});
+
+export default NetworkSection;
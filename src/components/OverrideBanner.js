@@ -0,0 +1,81 @@
+// OverrideBanner Component
+// Marks a verdict as overridden by the user: what changed, who set it, when and why
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { describeOverride } from '../utils/verdictOverrides';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * Verdict override notice
+ * @param {Object} props
+ * @param {Object} props.override - `override` of an overridden result; nothing renders when missing
+ * @param {Object} props.style - Optional additional styles
+ */
+const OverrideBanner = ({ override, style }) => {
+    const { t, formatRisk, formatAction, formatDateTime } = useTranslation();
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    if (!override) return null;
+
+    const original = override.original;
+
+    return (
+        <View style={[styles.banner, style]}>
+            <MaterialCommunityIcons name="account-edit" size={20} color={colors.secondary} />
+            <View style={styles.content}>
+                <Text style={styles.title}>{t('override.bannerTitle')}</Text>
+                <Text style={styles.message}>{describeOverride(override, t).join(' · ')}</Text>
+                <Text style={styles.message}>
+                    {t('override.setBy', { user: override.setBy, date: formatDateTime(override.setAt) })}
+                </Text>
+                <Text style={styles.reason}>“{override.reason}”</Text>
+                {original?.risk && (
+                    <Text style={styles.message}>
+                        {t('override.engineVerdict', { verdict: original.action ? `${formatRisk(original.risk)} / ${formatAction(original.action)}` : formatRisk(original.risk) })}
+                    </Text>
+                )}
+            </View>
+        </View>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    banner: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        padding: 12,
+        borderRadius: 10,
+        borderLeftWidth: 3,
+        borderLeftColor: colors.secondary,
+        backgroundColor: colors.secondary + '15',
+        marginBottom: 16,
+    },
+    content: {
+        flex: 1,
+        marginLeft: 10,
+    },
+    title: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: colors.secondary,
+        marginBottom: 2,
+    },
+    message: {
+        fontSize: 12,
+        color: colors.textSecondary,
+        lineHeight: 17,
+    },
+    reason: {
+        fontSize: 12,
+        fontStyle: 'italic',
+        color: colors.textPrimary,
+        lineHeight: 17,
+        marginVertical: 2,
+    },
+});
+
+export default OverrideBanner;
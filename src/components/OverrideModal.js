@@ -0,0 +1,335 @@
+// OverrideModal Component
+// Modal form for overriding an app's verdict: mark trusted, suppress findings, force-block
+
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    Modal,
+    TouchableOpacity,
+    ScrollView,
+    Switch,
+    TextInput,
+    ActivityIndicator,
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * Verdict override form
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether modal is visible
+ * @param {Function} props.onClose - Callback to close modal
+ * @param {string} props.appName - Name of the app being overridden
+ * @param {Object} props.override - Current override, or null
+ * @param {Array<string>} props.indicators - Every riskIndicator of the app, suppressed ones included
+ * @param {Function} props.onSave - Called with { trusted, suppressedIndicators, forceBlock, reason, setBy }; may reject
+ * @param {Function} props.onRemove - Called to remove the current override; may reject
+ */
+const OverrideModal = ({ visible, onClose, appName, override, indicators, onSave, onRemove }) => {
+    const { t } = useTranslation();
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const [trusted, setTrusted] = useState(false);
+    const [forceBlock, setForceBlock] = useState(false);
+    const [suppressed, setSuppressed] = useState([]);
+    const [reason, setReason] = useState('');
+    const [setBy, setSetBy] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [errorMessage, setErrorMessage] = useState(null);
+
+    // Start from the current override every time the form opens
+    useEffect(() => {
+        if (visible) {
+            setTrusted(Boolean(override?.trusted));
+            setForceBlock(Boolean(override?.forceBlock));
+            setSuppressed(override?.suppressedIndicators || []);
+            setReason(override?.reason || '');
+            setSetBy(override?.setBy || '');
+            setErrorMessage(null);
+        }
+    }, [visible, override]);
+
+    const toggleIndicator = (indicator) => {
+        setSuppressed((current) => (current.includes(indicator)
+            ? current.filter((item) => item !== indicator)
+            : [...current, indicator]));
+    };
+
+    // Run a save/remove callback, keeping the form open with the error if it fails
+    const submit = async (action) => {
+        setSaving(true);
+        setErrorMessage(null);
+        try {
+            await action();
+            onClose();
+        } catch (error) {
+            setErrorMessage(error.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Render a toggle row
+    const renderToggle = (title, description, value, onValueChange) => (
+        <View style={styles.toggleRow}>
+            <View style={styles.toggleContent}>
+                <Text style={styles.toggleTitle}>{title}</Text>
+                <Text style={styles.toggleDescription}>{description}</Text>
+            </View>
+            <Switch
+                value={value}
+                onValueChange={onValueChange}
+                trackColor={{ false: colors.background, true: colors.secondary + '60' }}
+                thumbColor={value ? colors.secondary : colors.textMuted}
+            />
+        </View>
+    );
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            transparent={true}
+            onRequestClose={onClose}
+        >
+            <View style={styles.overlay}>
+                <View style={styles.modalContainer}>
+                    {/* Header */}
+                    <View style={styles.header}>
+                        <Text style={styles.title}>{t('override.title')}</Text>
+                        <TouchableOpacity onPress={onClose} style={styles.closeButton} accessibilityRole="button" accessibilityLabel={t('a11y.close')}>
+                            <MaterialCommunityIcons name="close" size={24} color={colors.textPrimary} />
+                        </TouchableOpacity>
+                    </View>
+                    <Text style={styles.subtitle} numberOfLines={1}>{appName}</Text>
+
+                    <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+                        {renderToggle(t('override.trustedTitle'), t('override.trustedDescription'), trusted, setTrusted)}
+                        {renderToggle(t('override.forceBlockTitle'), t('override.forceBlockDescription'), forceBlock, setForceBlock)}
+
+                        {/* Findings */}
+                        <Text style={styles.groupLabel}>{t('override.suppressFindings')}</Text>
+                        {indicators.length === 0 ? (
+                            <Text style={styles.emptyText}>{t('override.noFindings')}</Text>
+                        ) : indicators.map((indicator) => {
+                            const checked = suppressed.includes(indicator);
+                            return (
+                                <TouchableOpacity
+                                    key={indicator}
+                                    style={styles.indicatorRow}
+                                    onPress={() => toggleIndicator(indicator)}
+                                    activeOpacity={0.7}
+                                >
+                                    <MaterialCommunityIcons
+                                        name={checked ? 'checkbox-marked' : 'checkbox-blank-outline'}
+                                        size={20}
+                                        color={checked ? colors.secondary : colors.textMuted}
+                                    />
+                                    <Text style={[styles.indicatorText, checked && styles.indicatorSuppressed]}>
+                                        {indicator}
+                                    </Text>
+                                </TouchableOpacity>
+                            );
+                        })}
+
+                        {/* Attribution */}
+                        <Text style={styles.groupLabel}>{t('override.reason')}</Text>
+                        <TextInput
+                            style={[styles.input, styles.reasonInput]}
+                            value={reason}
+                            onChangeText={setReason}
+                            placeholder={t('override.reasonPlaceholder')}
+                            placeholderTextColor={colors.textMuted}
+                            multiline
+                        />
+                        <Text style={styles.groupLabel}>{t('override.setByLabel')}</Text>
+                        <TextInput
+                            style={styles.input}
+                            value={setBy}
+                            onChangeText={setSetBy}
+                            placeholder={t('override.setByPlaceholder')}
+                            placeholderTextColor={colors.textMuted}
+                            autoCorrect={false}
+                        />
+
+                        {errorMessage && <Text style={styles.errorText}>{errorMessage}</Text>}
+                    </ScrollView>
+
+                    {/* Buttons */}
+                    <View style={styles.buttonRow}>
+                        {override && (
+                            <TouchableOpacity
+                                style={[styles.button, styles.removeButton]}
+                                onPress={() => submit(onRemove)}
+                                disabled={saving}
+                            >
+                                <Text style={styles.removeButtonText}>{t('override.remove')}</Text>
+                            </TouchableOpacity>
+                        )}
+                        <TouchableOpacity
+                            style={[styles.button, styles.saveButton]}
+                            onPress={() => submit(() => onSave({
+                                trusted,
+                                suppressedIndicators: suppressed,
+                                forceBlock,
+                                reason,
+                                setBy,
+                            }))}
+                            disabled={saving}
+                        >
+                            {saving ? (
+                                <ActivityIndicator size="small" color={colors.onSecondary} />
+                            ) : (
+                                <Text style={styles.saveButtonText}>{t('common.save')}</Text>
+                            )}
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: colors.overlay,
+        justifyContent: 'flex-end',
+    },
+    modalContainer: {
+        backgroundColor: colors.surface,
+        borderTopLeftRadius: 24,
+        borderTopRightRadius: 24,
+        maxHeight: '85%',
+        paddingBottom: 20,
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingHorizontal: 20,
+        paddingTop: 20,
+        paddingBottom: 8,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: '700',
+        color: colors.textPrimary,
+    },
+    closeButton: {
+        padding: 4,
+    },
+    subtitle: {
+        fontSize: 14,
+        color: colors.textSecondary,
+        paddingHorizontal: 20,
+        marginBottom: 8,
+    },
+    content: {
+        paddingHorizontal: 20,
+        paddingBottom: 8,
+    },
+    toggleRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+        borderBottomColor: colors.divider,
+    },
+    toggleContent: {
+        flex: 1,
+        marginRight: 12,
+    },
+    toggleTitle: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.textPrimary,
+    },
+    toggleDescription: {
+        fontSize: 12,
+        color: colors.textSecondary,
+        marginTop: 2,
+    },
+    groupLabel: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: colors.textMuted,
+        textTransform: 'uppercase',
+        letterSpacing: 0.5,
+        marginTop: 16,
+        marginBottom: 8,
+    },
+    emptyText: {
+        fontSize: 13,
+        color: colors.textMuted,
+    },
+    indicatorRow: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        paddingVertical: 6,
+    },
+    indicatorText: {
+        flex: 1,
+        fontSize: 13,
+        color: colors.textPrimary,
+        marginLeft: 8,
+    },
+    indicatorSuppressed: {
+        color: colors.textMuted,
+        textDecorationLine: 'line-through',
+    },
+    input: {
+        backgroundColor: colors.background,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: colors.border,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+        fontSize: 14,
+        color: colors.textPrimary,
+    },
+    reasonInput: {
+        minHeight: 72,
+        textAlignVertical: 'top',
+    },
+    errorText: {
+        fontSize: 13,
+        color: colors.riskHigh,
+        marginTop: 12,
+    },
+    buttonRow: {
+        flexDirection: 'row',
+        paddingHorizontal: 20,
+        paddingTop: 12,
+    },
+    button: {
+        flex: 1,
+        alignItems: 'center',
+        paddingVertical: 14,
+        borderRadius: 12,
+    },
+    saveButton: {
+        backgroundColor: colors.secondary,
+    },
+    saveButtonText: {
+        fontSize: 15,
+        fontWeight: '700',
+        color: colors.onSecondary,
+    },
+    removeButton: {
+        borderWidth: 1,
+        borderColor: colors.riskHigh,
+        marginRight: 12,
+    },
+    removeButtonText: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.riskHigh,
+    },
+});
+
+export default OverrideModal;
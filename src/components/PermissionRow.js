@@ -0,0 +1,99 @@
+// PermissionRow Component
+// One permission of the scan report; expands to its catalog entry when tapped
+
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { describeSdkLevel } from '../utils/androidSdk';
+import { describePermission } from '../utils/permissionCatalog';
+import { RISK_SHAPES, UNKNOWN_RISK_SHAPE } from '../utils/theme';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+
+/**
+ * Permission with its catalog rating; tapping shows protection level, API levels, explanation and abuse examples
+ * @param {Object} props
+ * @param {Object} props.permission - getDetailedPermissions() entry (enriched from the permission catalog)
+ */
+const PermissionRow = ({ permission }) => {
+    const { t, formatRisk } = useTranslation();
+    const { colors, riskColors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const [expanded, setExpanded] = useState(false);
+    const rating = permission.riskRating || permission.riskLevel;
+    const riskColor = riskColors[rating] || colors.textMuted;
+    const texts = describePermission(permission, t);
+
+    return (
+        <View style={styles.container}>
+            <TouchableOpacity
+                style={styles.row}
+                onPress={() => setExpanded(!expanded)}
+                activeOpacity={0.7}
+                accessibilityRole="button"
+                accessibilityState={{ expanded }}
+            >
+                <View style={[styles.icon, { backgroundColor: riskColor + '20' }]}>
+                    <MaterialCommunityIcons name={permission.icon || 'shield-alert'} size={18} color={riskColor} />
+                </View>
+                <View style={styles.info}>
+                    <Text style={styles.name}>{permission.shortName}</Text>
+                    <Text style={styles.description} numberOfLines={1}>{texts.summary}</Text>
+                </View>
+                <View style={[styles.riskBadge, { backgroundColor: riskColor + '20' }]}>
+                    <MaterialCommunityIcons name={RISK_SHAPES[rating] || UNKNOWN_RISK_SHAPE} size={10} color={riskColor} />
+                    <Text style={[styles.riskText, { color: riskColor }]}>{formatRisk(rating)}</Text>
+                </View>
+            </TouchableOpacity>
+
+            {expanded && (
+                <View style={styles.details}>
+                    <Text style={styles.fullName} selectable>{permission.permission}</Text>
+                    <View style={styles.tagRow}>
+                        <Text style={styles.tag}>{texts.protectionLabel}</Text>
+                        {texts.groupLabel && <Text style={styles.tag}>{texts.groupLabel}</Text>}
+                        {permission.addedIn && <Text style={styles.tag}>{t('permission.since', { level: permission.addedIn })}</Text>}
+                        {permission.deprecatedIn && (
+                            <Text style={[styles.tag, styles.deprecatedTag]}>{t('permission.deprecated', { version: describeSdkLevel(permission.deprecatedIn) })}</Text>
+                        )}
+                    </View>
+                    <Text style={styles.detailText}>{texts.explanation}</Text>
+                    <Text style={styles.detailMuted}>{texts.protectionText}</Text>
+                    {texts.abuse.length > 0 && (
+                        <>
+                            <Text style={styles.detailLabel}>{t('permission.abuse')}</Text>
+                            {texts.abuse.map((example) => (
+                                <Text key={example} style={styles.detailText}>• {example}</Text>
+                            ))}
+                        </>
+                    )}
+                    {permission.riskLevel && permission.riskLevel !== rating && (
+                        <Text style={styles.detailMuted}>{t('permission.engineRating', { risk: formatRisk(permission.riskLevel) })}</Text>
+                    )}
+                </View>
+            )}
+        </View>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    container: { borderBottomWidth: 1, borderBottomColor: colors.divider },
+    row: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10 },
+    icon: { width: 36, height: 36, borderRadius: 8, justifyContent: 'center', alignItems: 'center', marginRight: 12 },
+    info: { flex: 1 },
+    name: { fontSize: 14, fontWeight: '600', color: colors.textPrimary },
+    description: { fontSize: 11, color: colors.textMuted, marginTop: 2 },
+    riskBadge: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 8, paddingVertical: 4, borderRadius: 6 },
+    riskText: { fontSize: 10, fontWeight: '700', marginLeft: 3 },
+    details: { backgroundColor: colors.surface, borderRadius: 10, padding: 12, marginBottom: 10 },
+    fullName: { fontSize: 11, color: colors.textMuted, fontFamily: 'monospace' },
+    tagRow: { flexDirection: 'row', flexWrap: 'wrap', marginTop: 8 },
+    tag: { fontSize: 11, fontWeight: '600', color: colors.textSecondary, backgroundColor: colors.card, borderRadius: 8, paddingHorizontal: 8, paddingVertical: 3, marginRight: 6, marginBottom: 6, overflow: 'hidden' },
+    deprecatedTag: { color: colors.riskMedium },
+    detailText: { fontSize: 13, color: colors.textPrimary, lineHeight: 18, marginTop: 4 },
+    detailMuted: { fontSize: 12, color: colors.textSecondary, lineHeight: 17, marginTop: 6 },
+    detailLabel: { fontSize: 12, fontWeight: '700', color: colors.textSecondary, marginTop: 10 },
+});
+
+export default PermissionRow;
@@ -0,0 +1,254 @@
+// PostureSummary Component
+// Device-wide security posture: score, risk/action counts, risky flags and the riskiest apps
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { RISK_LEVELS } from '../utils/constants';
+import { POSTURE_FLAGS, POSTURE_FILTER_TYPES, deviceScoreRisk } from '../utils/posture';
+import { RISK_SHAPES, UNKNOWN_RISK_SHAPE } from '../utils/theme';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+
+// Risk level whose color marks each analyzeApp action; mock results use ACTION_STATUS (theme action colors)
+const ACTION_RISKS = {
+    REVIEW: RISK_LEVELS.HIGH,
+    MONITOR: RISK_LEVELS.MEDIUM,
+    SAFE: RISK_LEVELS.LOW,
+};
+
+// Icon per counted app finding
+const FLAG_ICONS = {
+    sideloaded: 'download-off-outline',
+    debuggable: 'bug-outline',
+    outdatedSdk: 'update',
+};
+
+/**
+ * Device posture dashboard
+ * @param {Object} props
+ * @param {Object} props.posture - Result of computePosture()
+ * @param {Function} props.onSelectFilter - Called with a posture filter ({ type, value }) when a tile is tapped
+ * @param {Function} props.onSelectApp - Called with an app when a riskiest-app row is tapped
+ * @param {Object} props.style - Optional additional styles
+ */
+const PostureSummary = ({ posture, onSelectFilter, onSelectApp, style }) => {
+    const { t, formatRisk, formatAction } = useTranslation();
+    const { colors, riskColors, actionColors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    if (!posture || posture.analyzedCount === 0) return null;
+
+    const scoreColor = riskColors[deviceScoreRisk(posture.deviceScore)];
+
+    // Render a tappable count tile
+    const renderTile = (key, label, count, color, filter, icon) => (
+        <TouchableOpacity
+            key={key}
+            style={[styles.tile, { borderColor: color + '40' }]}
+            onPress={() => onSelectFilter(filter)}
+            disabled={count === 0}
+            activeOpacity={0.7}
+            accessibilityRole="button"
+            accessibilityState={{ disabled: count === 0 }}
+        >
+            {icon && <MaterialCommunityIcons name={icon} size={16} color={color} />}
+            <Text style={[styles.tileCount, { color: count === 0 ? colors.textMuted : color }]}>{count}</Text>
+            <Text style={styles.tileLabel} numberOfLines={1}>{label}</Text>
+        </TouchableOpacity>
+    );
+
+    return (
+        <View style={[styles.container, style]}>
+            {/* Device score */}
+            <View style={styles.scoreRow}>
+                <View style={[styles.scoreCircle, { borderColor: scoreColor }]}>
+                    <Text style={[styles.scoreValue, { color: scoreColor }]}>{posture.deviceScore}</Text>
+                    <Text style={styles.scoreMax}>/100</Text>
+                </View>
+                <View style={styles.scoreInfo}>
+                    <Text style={styles.title}>{t('posture.title')}</Text>
+                    <Text style={styles.subtitle}>
+                        {t('posture.analyzed', { count: posture.analyzedCount })}
+                        {posture.failedCount > 0 ? t('posture.failed', { count: posture.failedCount }) : ''}
+                    </Text>
+                </View>
+            </View>
+
+            {/* Risk levels */}
+            <Text style={styles.groupLabel}>{t('posture.riskLevels')}</Text>
+            <View style={styles.tileRow}>
+                {Object.keys(posture.riskCounts).map((risk) => renderTile(
+                    risk,
+                    formatRisk(risk),
+                    posture.riskCounts[risk],
+                    riskColors[risk],
+                    { type: POSTURE_FILTER_TYPES.RISK, value: risk },
+                    RISK_SHAPES[risk],
+                ))}
+            </View>
+
+            {/* Action status */}
+            <Text style={styles.groupLabel}>{t('posture.actions')}</Text>
+            <View style={styles.tileRow}>
+                {Object.keys(posture.actionCounts).map((action) => renderTile(
+                    action,
+                    formatAction(action),
+                    posture.actionCounts[action],
+                    riskColors[ACTION_RISKS[action]] || actionColors[action] || colors.textSecondary,
+                    { type: POSTURE_FILTER_TYPES.ACTION, value: action },
+                ))}
+            </View>
+
+            {/* Risky app flags */}
+            <Text style={styles.groupLabel}>{t('posture.findings')}</Text>
+            <View style={styles.tileRow}>
+                {Object.keys(POSTURE_FLAGS).map((flag) => renderTile(
+                    flag,
+                    t(`posture.flags.${flag}`),
+                    posture.flagCounts[flag],
+                    colors.actionRestricted,
+                    { type: POSTURE_FILTER_TYPES.FLAG, value: flag },
+                    FLAG_ICONS[flag],
+                ))}
+            </View>
+
+            {/* Riskiest apps */}
+            {posture.topRisky.length > 0 && (
+                <>
+                    <Text style={styles.groupLabel}>{t('posture.riskiestApps')}</Text>
+                    {posture.topRisky.map((app, index) => (
+                        <TouchableOpacity
+                            key={app.id || app.packageName}
+                            style={styles.riskyRow}
+                            onPress={() => onSelectApp(app)}
+                            activeOpacity={0.7}
+                        >
+                            <Text style={styles.riskyRank}>{index + 1}</Text>
+                            <Text style={styles.riskyName} numberOfLines={1}>{app.fileName}</Text>
+                            <MaterialCommunityIcons
+                                name={RISK_SHAPES[app.risk] || UNKNOWN_RISK_SHAPE}
+                                size={14}
+                                color={riskColors[app.risk] || colors.textSecondary}
+                                style={styles.riskyShape}
+                            />
+                            <Text style={[styles.riskyScore, { color: riskColors[app.risk] || colors.textSecondary }]}>
+                                {app.riskScore}
+                            </Text>
+                            <MaterialCommunityIcons name="chevron-right" size={18} color={colors.textMuted} />
+                        </TouchableOpacity>
+                    ))}
+                </>
+            )}
+        </View>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    container: {
+        backgroundColor: colors.surface,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: colors.border,
+        padding: 16,
+        marginBottom: 24,
+    },
+    scoreRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    scoreCircle: {
+        width: 72,
+        height: 72,
+        borderRadius: 36,
+        borderWidth: 4,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    scoreValue: {
+        fontSize: 24,
+        fontWeight: '800',
+    },
+    scoreMax: {
+        fontSize: 10,
+        color: colors.textMuted,
+        marginTop: -2,
+    },
+    scoreInfo: {
+        flex: 1,
+        marginLeft: 16,
+    },
+    title: {
+        fontSize: 18,
+        fontWeight: '700',
+        color: colors.textPrimary,
+    },
+    subtitle: {
+        fontSize: 13,
+        color: colors.textSecondary,
+        marginTop: 4,
+    },
+    groupLabel: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: colors.textMuted,
+        textTransform: 'uppercase',
+        letterSpacing: 0.5,
+        marginTop: 14,
+        marginBottom: 8,
+    },
+    tileRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginHorizontal: -4,
+    },
+    tile: {
+        flexGrow: 1,
+        flexBasis: '28%',
+        alignItems: 'center',
+        paddingVertical: 10,
+        margin: 4,
+        borderRadius: 10,
+        borderWidth: 1,
+        backgroundColor: colors.background,
+    },
+    tileCount: {
+        fontSize: 20,
+        fontWeight: '800',
+    },
+    tileLabel: {
+        fontSize: 11,
+        color: colors.textSecondary,
+        marginTop: 2,
+    },
+    riskyRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+        borderBottomColor: colors.divider,
+    },
+    riskyRank: {
+        width: 20,
+        fontSize: 13,
+        fontWeight: '700',
+        color: colors.textMuted,
+    },
+    riskyName: {
+        flex: 1,
+        fontSize: 14,
+        color: colors.textPrimary,
+    },
+    riskyShape: {
+        marginLeft: 8,
+    },
+    riskyScore: {
+        fontSize: 14,
+        fontWeight: '700',
+        marginLeft: 4,
+        marginRight: 8,
+    },
+});
+
+export default PostureSummary;
@@ -0,0 +1,230 @@
+// RescanSummaryModal Component
+// Summary of the last scheduled rescan: new high-risk apps, changed verdicts and apps no longer installed
+
+import React from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    Modal,
+    TouchableOpacity,
+    ScrollView,
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+import RiskBadge from './RiskBadge';
+
+/**
+ * Scheduled rescan summary
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether modal is visible
+ * @param {Object} props.summary - Summary from the rescan scheduler ({ newHighRisk, changed, disappeared,
+ *   scannedCount, failedCount, finishedAt })
+ * @param {Function} props.onSelectScan - Called with the scanId of a tapped app
+ * @param {Function} props.onClose - Callback to dismiss the summary
+ */
+const RescanSummaryModal = ({ visible, summary, onSelectScan, onClose }) => {
+    const { t, formatDateTime } = useTranslation();
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+
+    if (!summary) {
+        return null;
+    }
+    const { newHighRisk, changed, disappeared, scannedCount, failedCount, finishedAt } = summary;
+    const hasChanges = newHighRisk.length > 0 || changed.length > 0 || disappeared.length > 0;
+
+    // Render a scanned app that opens its report, with its previous verdict when it had one
+    const renderScannedApp = (item) => (
+        <TouchableOpacity
+            key={item.packageName}
+            style={styles.appRow}
+            onPress={() => onSelectScan(item.scanId)}
+            activeOpacity={0.7}
+            accessibilityRole="button"
+            accessibilityHint={t('a11y.openReport')}
+        >
+            <View style={styles.appInfo}>
+                <Text style={styles.appName} numberOfLines={1}>{item.appName}</Text>
+                <Text style={styles.packageName} numberOfLines={1}>{item.packageName}</Text>
+            </View>
+            {item.previousRisk && (
+                <>
+                    <RiskBadge risk={item.previousRisk} />
+                    <MaterialCommunityIcons name="arrow-right" size={16} color={colors.textMuted} style={styles.arrow} />
+                </>
+            )}
+            <RiskBadge risk={item.risk} />
+        </TouchableOpacity>
+    );
+
+    // Render one list of the summary, or nothing when it is empty
+    const renderGroup = (title, items, renderItem) => (items.length > 0 && (
+        <View style={styles.group}>
+            <Text style={styles.groupLabel} accessibilityRole="header">{t(title, { count: items.length })}</Text>
+            {items.map(renderItem)}
+        </View>
+    ));
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            transparent={true}
+            onRequestClose={onClose}
+        >
+            <View style={styles.overlay}>
+                <View style={styles.modalContainer}>
+                    {/* Header */}
+                    <View style={styles.header}>
+                        <Text style={styles.title} accessibilityRole="header">{t('rescan.summaryTitle')}</Text>
+                        <TouchableOpacity onPress={onClose} style={styles.closeButton} accessibilityRole="button" accessibilityLabel={t('a11y.close')}>
+                            <MaterialCommunityIcons name="close" size={24} color={colors.textPrimary} />
+                        </TouchableOpacity>
+                    </View>
+                    <Text style={styles.subtitle}>
+                        {t('rescan.summarySubtitle', { count: scannedCount, date: formatDateTime(finishedAt) })}
+                    </Text>
+                    {failedCount > 0 && (
+                        <Text style={styles.failedText}>{t('rescan.summaryFailed', { count: failedCount })}</Text>
+                    )}
+
+                    <ScrollView contentContainerStyle={styles.content}>
+                        {!hasChanges && (
+                            <View style={styles.emptyContainer}>
+                                <MaterialCommunityIcons name="shield-check" size={40} color={colors.riskLow} />
+                                <Text style={styles.emptyText}>{t('rescan.noChanges')}</Text>
+                            </View>
+                        )}
+                        {renderGroup('rescan.newHighRisk', newHighRisk, renderScannedApp)}
+                        {renderGroup('rescan.changed', changed, renderScannedApp)}
+                        {renderGroup('rescan.disappeared', disappeared, (item) => (
+                            <View key={item.packageName} style={styles.appRow}>
+                                <MaterialCommunityIcons name="package-variant-remove" size={20} color={colors.textMuted} />
+                                <View style={[styles.appInfo, styles.removedInfo]}>
+                                    <Text style={styles.appName} numberOfLines={1}>{item.appName}</Text>
+                                    <Text style={styles.packageName} numberOfLines={1}>{item.packageName}</Text>
+                                </View>
+                            </View>
+                        ))}
+                    </ScrollView>
+
+                    <TouchableOpacity style={styles.doneButton} onPress={onClose} accessibilityRole="button">
+                        <Text style={styles.doneButtonText}>{t('rescan.done')}</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: colors.overlay,
+        justifyContent: 'flex-end',
+    },
+    modalContainer: {
+        backgroundColor: colors.surface,
+        borderTopLeftRadius: 24,
+        borderTopRightRadius: 24,
+        maxHeight: '85%',
+        paddingBottom: 20,
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingHorizontal: 20,
+        paddingTop: 20,
+        paddingBottom: 8,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: '700',
+        color: colors.textPrimary,
+    },
+    closeButton: {
+        padding: 4,
+    },
+    subtitle: {
+        fontSize: 14,
+        color: colors.textSecondary,
+        paddingHorizontal: 20,
+    },
+    failedText: {
+        fontSize: 13,
+        color: colors.riskMedium,
+        paddingHorizontal: 20,
+        marginTop: 4,
+    },
+    content: {
+        paddingHorizontal: 20,
+        paddingBottom: 8,
+    },
+    emptyContainer: {
+        alignItems: 'center',
+        paddingVertical: 24,
+    },
+    emptyText: {
+        fontSize: 14,
+        color: colors.textSecondary,
+        textAlign: 'center',
+        marginTop: 8,
+    },
+    group: {
+        marginTop: 16,
+    },
+    groupLabel: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: colors.textMuted,
+        textTransform: 'uppercase',
+        letterSpacing: 0.5,
+        marginBottom: 4,
+    },
+    appRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+        borderBottomColor: colors.divider,
+    },
+    appInfo: {
+        flex: 1,
+        marginRight: 12,
+    },
+    removedInfo: {
+        marginLeft: 10,
+    },
+    appName: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.textPrimary,
+    },
+    packageName: {
+        fontSize: 12,
+        color: colors.textMuted,
+        marginTop: 2,
+    },
+    arrow: {
+        marginHorizontal: 6,
+    },
+    doneButton: {
+        alignItems: 'center',
+        marginHorizontal: 20,
+        marginTop: 12,
+        paddingVertical: 14,
+        borderRadius: 12,
+        backgroundColor: colors.secondary,
+    },
+    doneButtonText: {
+        fontSize: 15,
+        fontWeight: '700',
+        color: colors.onSecondary,
+    },
+});
+
+export default RescanSummaryModal;
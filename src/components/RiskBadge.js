@@ -1,56 +1,51 @@
 // RiskBadge Component
-// Displays color-coded risk level badge (LOW/MEDIUM/HIGH)
+// Displays risk level badge (LOW/MEDIUM/HIGH) with a color and a shape per level
 
 import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
-import { COLORS, RISK_LEVELS } from '../utils/constants';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { RISK_SHAPES, UNKNOWN_RISK_SHAPE } from '../utils/theme';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
 
 /**
- * Color-coded badge component for displaying risk levels
+ * Badge component for displaying risk levels
+ * The level's shape (circle, triangle, octagon) repeats what the color says, for color-blind users.
  * @param {Object} props
  * @param {string} props.risk - Risk level: 'LOW', 'MEDIUM', or 'HIGH'
+ * @param {boolean} props.overridden - Whether the risk level was set by a user override
  * @param {Object} props.style - Optional additional styles
  */
-const RiskBadge = ({ risk, style }) => {
-    // Determine badge color based on risk level
-    const getBadgeColor = () => {
-        switch (risk) {
-            case RISK_LEVELS.LOW:
-                return COLORS.riskLow;
-            case RISK_LEVELS.MEDIUM:
-                return COLORS.riskMedium;
-            case RISK_LEVELS.HIGH:
-                return COLORS.riskHigh;
-            default:
-                return COLORS.textMuted;
-        }
-    };
+const RiskBadge = ({ risk, overridden = false, style }) => {
+    const { t, formatRisk } = useTranslation();
+    const { colors, riskColors } = useTheme();
+    const styles = useThemedStyles(createStyles);
 
-    // Get risk indicator emoji
-    const getRiskIndicator = () => {
-        switch (risk) {
-            case RISK_LEVELS.LOW:
-                return '🟢';
-            case RISK_LEVELS.MEDIUM:
-                return '🟡';
-            case RISK_LEVELS.HIGH:
-                return '🔴';
-            default:
-                return '⚪';
-        }
-    };
-
-    const badgeColor = getBadgeColor();
+    const badgeColor = riskColors[risk] || colors.textMuted;
 
     return (
-        <View style={[styles.badge, { backgroundColor: badgeColor + '20' }, style]}>
-            <Text style={styles.indicator}>{getRiskIndicator()}</Text>
-            <Text style={[styles.text, { color: badgeColor }]}>{risk}</Text>
+        <View
+            style={[styles.badge, { backgroundColor: badgeColor + '20' }, style]}
+            accessible
+            accessibilityRole="text"
+            accessibilityLabel={t(overridden ? 'a11y.riskOverridden' : 'a11y.risk', { risk: formatRisk(risk) })}
+        >
+            <MaterialCommunityIcons
+                name={RISK_SHAPES[risk] || UNKNOWN_RISK_SHAPE}
+                size={12}
+                color={badgeColor}
+                style={styles.indicator}
+            />
+            <Text style={[styles.text, { color: badgeColor }]}>{formatRisk(risk)}</Text>
+            {overridden && (
+                <MaterialCommunityIcons name="account-edit" size={12} color={badgeColor} style={styles.overrideIcon} />
+            )}
         </View>
     );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
     badge: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -60,7 +55,6 @@ const styles = StyleSheet.create({
         alignSelf: 'flex-start',
     },
     indicator: {
-        fontSize: 10,
         marginRight: 4,
     },
     text: {
@@ -68,6 +62,9 @@ const styles = StyleSheet.create({
         fontWeight: '700',
         letterSpacing: 0.5,
     },
+    overrideIcon: {
+        marginLeft: 4,
+    },
 });
 
 export default RiskBadge;
@@ -0,0 +1,165 @@
+// RiskBreakdownSection Component
+// "Risk Breakdown" section of the scan report: points waterfall of the heuristic riskScore and the app category
+
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { buildRiskWaterfall, explainRiskFactor, describeAppCategory } from '../utils/riskBreakdown';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+
+// Helper: Signed points label
+const formatPoints = (points) => (points > 0 ? `+${points}` : `${points}`);
+
+// Helper: Bar color of a step in the theme colors
+const stepColor = (step, colors) => {
+    if (step.points > 0) return colors.riskMedium;
+    if (step.points < 0) return colors.riskLow;
+    return colors.textMuted;
+};
+
+/**
+ * How each heuristic factor adds up to riskScore; factors expand to an explanation when tapped
+ * @param {Object} props
+ * @param {Object} props.result - analyzeApp result (riskBreakdown, riskScore, risk, appCategory, targetSdk)
+ */
+const RiskBreakdownSection = ({ result }) => {
+    const { t } = useTranslation();
+    const { colors, riskColors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const [expandedKey, setExpandedKey] = useState(null);
+    const [categoryExpanded, setCategoryExpanded] = useState(false);
+
+    const { steps, total, scale } = buildRiskWaterfall(result, t);
+    const category = describeAppCategory(result.appCategory, t);
+    const toPercent = (points) => `${(points / scale) * 100}%`;
+
+    const toggleStep = (key) => setExpandedKey((current) => (current === key ? null : key));
+
+    return (
+        <View style={styles.section}>
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('riskBreakdown.title')}</Text>
+            <View style={styles.card}>
+                {/* App category */}
+                <TouchableOpacity
+                    style={styles.categoryRow}
+                    onPress={() => setCategoryExpanded((value) => !value)}
+                    activeOpacity={0.7}
+                    accessibilityRole="button"
+                    accessibilityState={{ expanded: categoryExpanded }}
+                >
+                    <MaterialCommunityIcons name="tag-outline" size={18} color={colors.secondary} />
+                    <Text style={styles.categoryLabel}>{t('riskBreakdown.judgedAs')}</Text>
+                    <View style={[styles.categoryChip, !category.known && styles.categoryChipUnknown]}>
+                        <Text style={styles.categoryChipText}>{category.label}</Text>
+                    </View>
+                    <MaterialCommunityIcons name={categoryExpanded ? 'chevron-up' : 'chevron-down'} size={18} color={colors.textMuted} />
+                </TouchableOpacity>
+                {categoryExpanded && (
+                    <View style={styles.explanation}>
+                        <Text style={styles.explanationText}>{category.text}</Text>
+                        {category.expected.length > 0 && (
+                            <Text style={styles.explanationNote}>{t('riskBreakdown.expected', { permissions: category.expected.join(', ') })}</Text>
+                        )}
+                        {category.exemptCombos.length > 0 && (
+                            <Text style={styles.explanationNote}>{t('riskBreakdown.notFlagged', { combos: category.exemptCombos.join('; ') })}</Text>
+                        )}
+                    </View>
+                )}
+
+                <View style={styles.divider} />
+
+                {/* Waterfall */}
+                {steps.length === 0 ? (
+                    <Text style={styles.emptyText}>{t('riskBreakdown.empty')}</Text>
+                ) : steps.map((step) => {
+                    const expanded = expandedKey === step.key;
+                    const explanation = expanded ? explainRiskFactor(step, result, t) : null;
+                    return (
+                        <View key={step.key}>
+                            <TouchableOpacity
+                                style={styles.stepRow}
+                                onPress={() => toggleStep(step.key)}
+                                activeOpacity={0.7}
+                                accessibilityRole="button"
+                                accessibilityState={{ expanded }}
+                            >
+                                <View style={styles.stepHeader}>
+                                    <Text style={styles.stepCategory}>{step.category}</Text>
+                                    <Text style={[styles.stepPoints, { color: stepColor(step, colors) }]}>{formatPoints(step.points)}</Text>
+                                </View>
+                                <Text style={styles.stepDescription}>{step.description}</Text>
+                                <View style={styles.track}>
+                                    <View
+                                        style={[
+                                            styles.bar,
+                                            {
+                                                left: toPercent(Math.min(step.start, step.end)),
+                                                width: toPercent(Math.abs(step.points)),
+                                                backgroundColor: stepColor(step, colors),
+                                            },
+                                            step.points === 0 && styles.zeroBar,
+                                        ]}
+                                    />
+                                </View>
+                            </TouchableOpacity>
+                            {expanded && (
+                                <View style={styles.explanation}>
+                                    <Text style={styles.explanationText}>{explanation.text}</Text>
+                                    {explanation.notes.map((note) => (
+                                        <Text key={note} style={styles.explanationNote}>• {note}</Text>
+                                    ))}
+                                </View>
+                            )}
+                        </View>
+                    );
+                })}
+
+                {/* Total */}
+                <View style={styles.totalRow}>
+                    <View style={styles.stepHeader}>
+                        <Text style={styles.totalLabel}>{t('riskBreakdown.total')}</Text>
+                        <Text style={[styles.totalValue, { color: riskColors[result.risk] || colors.textPrimary }]}>{total}</Text>
+                    </View>
+                    <View style={styles.track}>
+                        <View style={[styles.bar, styles.totalBar, { width: toPercent(total), backgroundColor: riskColors[result.risk] || colors.secondary }]} />
+                    </View>
+                </View>
+                <Text style={styles.hint}>{t('riskBreakdown.hint')}</Text>
+            </View>
+        </View>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    section: { marginBottom: 24 },
+    sectionTitle: { fontSize: 16, fontWeight: '700', color: colors.textSecondary, marginBottom: 12, textTransform: 'uppercase', letterSpacing: 1 },
+    card: { backgroundColor: colors.card, borderRadius: 16, padding: 18, borderWidth: 1, borderColor: colors.border },
+    emptyText: { fontSize: 14, color: colors.textMuted, textAlign: 'center', paddingVertical: 8 },
+    divider: { height: 1, backgroundColor: colors.divider, marginVertical: 12 },
+    categoryRow: { flexDirection: 'row', alignItems: 'center' },
+    categoryLabel: { flex: 1, fontSize: 14, color: colors.textPrimary, marginLeft: 10 },
+    categoryChip: { paddingHorizontal: 10, paddingVertical: 4, borderRadius: 12, backgroundColor: colors.secondary + '20', marginRight: 6 },
+    categoryChipUnknown: { backgroundColor: colors.surface },
+    categoryChipText: { fontSize: 12, fontWeight: '700', color: colors.textPrimary },
+    stepRow: { paddingVertical: 6 },
+    stepHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+    stepCategory: { fontSize: 11, fontWeight: '700', color: colors.textMuted, textTransform: 'uppercase', letterSpacing: 0.5 },
+    stepPoints: { fontSize: 13, fontWeight: '700', fontFamily: 'monospace' },
+    stepDescription: { fontSize: 13, color: colors.textPrimary, marginTop: 2 },
+    track: { height: 8, borderRadius: 4, backgroundColor: colors.surface, marginTop: 6, overflow: 'hidden' },
+    bar: { position: 'absolute', top: 0, bottom: 0, borderRadius: 4 },
+    // Steps worth 0 points still show a thin marker
+    zeroBar: { width: 2 },
+    totalBar: { left: 0 },
+    explanation: { backgroundColor: colors.surface, borderRadius: 10, padding: 12, marginBottom: 6 },
+    explanationText: { fontSize: 13, color: colors.textPrimary, lineHeight: 18 },
+    explanationNote: { fontSize: 12, color: colors.textSecondary, lineHeight: 17, marginTop: 6 },
+    totalRow: { borderTopWidth: 1, borderTopColor: colors.divider, marginTop: 8, paddingTop: 10 },
+    totalLabel: { fontSize: 14, fontWeight: '700', color: colors.textPrimary },
+    totalValue: { fontSize: 16, fontWeight: '800' },
+    hint: { fontSize: 11, color: colors.textMuted, textAlign: 'center', marginTop: 12 },
+});
+
+export default RiskBreakdownSection;
@@ -5,7 +5,9 @@ import React from 'react';
 import { TouchableOpacity, Text, View, StyleSheet, ActivityIndicator } from 'react-native';
 import LinearGradient from 'react-native-linear-gradient';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
-import { COLORS } from '../utils/constants';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
 
 /**
  * Primary scan button component
@@ -16,31 +18,38 @@ import { COLORS } from '../utils/constants';
  * @param {boolean} props.disabled - Disable button
  * @param {Object} props.style - Optional additional styles
  */
-const ScanButton = ({ onPress, label = 'Start Scan', loading = false, loadingText = 'Loading the model...', disabled = false, style }) => {
+const ScanButton = ({ onPress, label, loading = false, loadingText, disabled = false, style }) => {
+    const { t } = useTranslation();
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+
     return (
         <TouchableOpacity
             style={[styles.container, style]}
             onPress={onPress}
             disabled={disabled || loading}
             activeOpacity={0.8}
+            accessibilityRole="button"
+            accessibilityLabel={loading ? (loadingText || t('scanButton.loading')) : (label || t('scanButton.start'))}
+            accessibilityState={{ disabled: disabled || loading, busy: loading }}
         >
             <LinearGradient
-                colors={disabled ? [COLORS.textMuted, COLORS.textMuted] : [COLORS.secondary, '#2980B9']}
+                colors={disabled ? [colors.textMuted, colors.textMuted] : [colors.secondary, colors.secondaryDark]}
                 start={{ x: 0, y: 0 }}
                 end={{ x: 1, y: 0 }}
                 style={styles.gradient}
             >
                 {loading ? (
                     <View style={styles.loadingRow}>
-                        <ActivityIndicator color={COLORS.textPrimary} size="small" />
-                        <Text style={styles.loadingText}>{loadingText}</Text>
+                        <ActivityIndicator color={colors.onSecondary} size="small" />
+                        <Text style={styles.loadingText}>{loadingText || t('scanButton.loading')}</Text>
                     </View>
                 ) : (
                     <>
                         <View style={styles.iconContainer}>
-                            <MaterialCommunityIcons name="shield-check" size={24} color={COLORS.textPrimary} />
+                            <MaterialCommunityIcons name="shield-check" size={24} color={colors.onSecondary} />
                         </View>
-                        <Text style={styles.label}>{label}</Text>
+                        <Text style={styles.label}>{label || t('scanButton.start')}</Text>
                     </>
                 )}
             </LinearGradient>
@@ -48,11 +57,11 @@ const ScanButton = ({ onPress, label = 'Start Scan', loading = false, loadingTex
     );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
     container: {
         borderRadius: 16,
         elevation: 8,
-        shadowColor: COLORS.secondary,
+        shadowColor: colors.secondary,
         shadowOffset: { width: 0, height: 4 },
         shadowOpacity: 0.3,
         shadowRadius: 8,
@@ -75,14 +84,14 @@ const styles = StyleSheet.create({
     loadingText: {
         fontSize: 16,
         fontWeight: '600',
-        color: COLORS.textPrimary,
+        color: colors.onSecondary,
         marginLeft: 10,
         letterSpacing: 0.3,
     },
     label: {
         fontSize: 18,
         fontWeight: '700',
-        color: COLORS.textPrimary,
+        color: colors.onSecondary,
         letterSpacing: 0.5,
     },
 });
@@ -0,0 +1,96 @@
+// ScanDiffSection Component
+// "Changes since last scan" section of the scan report
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+import { formatChangeLabel } from '../utils/scanDiff';
+
+// Icon and theme color per change impact
+const IMPACT_STYLES = {
+    worse: { icon: 'arrow-up-bold-circle-outline', color: 'riskHigh' },
+    better: { icon: 'arrow-down-bold-circle-outline', color: 'riskLow' },
+    neutral: { icon: 'swap-horizontal-circle-outline', color: 'textMuted' },
+};
+
+// Helper: Format a before/after value of a change for display with a useTranslation() translator
+const formatValue = (field, value, { t, formatRisk, formatPercent }) => {
+    if (value === null || value === undefined) return '—';
+    if (field === 'risk') return formatRisk(value);
+    if (field === 'installer') return t(`scanDiff.installers.${value}`);
+    if (field === 'mlPrediction') return t(`scan.ml.classes.${value}`, { defaultValue: value });
+    if (typeof value === 'boolean') return value ? t('common.yes') : t('common.no');
+    if (typeof value === 'number' && value > 0 && value < 1) return formatPercent(value);
+    if (typeof value === 'string' && value.length > 24) return `${value.slice(0, 12)}…`;
+    return String(value);
+};
+
+/**
+ * Changes since last scan
+ * @param {Object} props
+ * @param {Object} props.diff - Result of diffScans(); nothing is rendered while null
+ */
+const ScanDiffSection = ({ diff }) => {
+    const translator = useTranslation();
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { t, formatDateTime } = translator;
+    if (!diff) return null;
+
+    const renderBody = () => {
+        if (diff.isFirstScan) {
+            return <Text style={styles.emptyText}>{t('scanDiff.firstScan')}</Text>;
+        }
+        if (diff.changes.length === 0) {
+            return <Text style={styles.emptyText}>{t('scanDiff.noChanges')}</Text>;
+        }
+        return diff.changes.map((item, index) => {
+            const impact = IMPACT_STYLES[item.impact] || IMPACT_STYLES.neutral;
+            const showValues = item.kind === 'changed';
+            return (
+                <View key={`${item.field}-${index}`} style={styles.changeRow}>
+                    <MaterialCommunityIcons name={impact.icon} size={18} color={colors[impact.color]} />
+                    <View style={styles.changeContent}>
+                        <Text style={styles.changeLabel}>{formatChangeLabel(item.label, translator)}</Text>
+                        {showValues && (
+                            <Text style={styles.changeValues}>
+                                {formatValue(item.field, item.before, translator)} → {formatValue(item.field, item.after, translator)}
+                            </Text>
+                        )}
+                    </View>
+                </View>
+            );
+        });
+    };
+
+    return (
+        <View style={styles.section}>
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('scanDiff.title')}</Text>
+            <View style={styles.card}>
+                {diff.previousScannedAt && (
+                    <Text style={styles.comparedWith}>
+                        {t('scanDiff.comparedWith', { date: formatDateTime(diff.previousScannedAt) })}
+                    </Text>
+                )}
+                {renderBody()}
+            </View>
+        </View>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    section: { marginBottom: 24 },
+    sectionTitle: { fontSize: 16, fontWeight: '700', color: colors.textSecondary, marginBottom: 12, textTransform: 'uppercase', letterSpacing: 1 },
+    card: { backgroundColor: colors.card, borderRadius: 16, padding: 18, borderWidth: 1, borderColor: colors.border },
+    comparedWith: { fontSize: 12, color: colors.textMuted, marginBottom: 12 },
+    emptyText: { fontSize: 14, color: colors.textMuted, textAlign: 'center', paddingVertical: 8 },
+    changeRow: { flexDirection: 'row', alignItems: 'flex-start', marginBottom: 10 },
+    changeContent: { flex: 1, marginLeft: 10 },
+    changeLabel: { fontSize: 13, color: colors.textPrimary, lineHeight: 18 },
+    changeValues: { fontSize: 12, color: colors.textSecondary, marginTop: 2 },
+});
+
+export default ScanDiffSection;
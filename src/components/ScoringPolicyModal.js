@@ -0,0 +1,296 @@
+// ScoringPolicyModal Component
+// Advanced editor for the scoring policy: input weights, risk thresholds, ML confidences and rules
+
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    Modal,
+    TouchableOpacity,
+    ScrollView,
+    Switch,
+    TextInput,
+    ActivityIndicator,
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { POLICY_INPUTS, POLICY_RULES, getPolicyProblems } from '../utils/scoringPolicy';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+
+// Helper: Form values (strings) of a policy; ML confidences are edited as percentages
+const toFormValues = (policy) => ({
+    weights: Object.fromEntries(POLICY_INPUTS.map(({ key }) => [key, String(policy.weights[key])])),
+    high: String(policy.thresholds.high),
+    medium: String(policy.thresholds.medium),
+    strong: String(Math.round(policy.mlConfidence.strong * 100)),
+    weak: String(Math.round(policy.mlConfidence.weak * 100)),
+});
+
+// Helper: Number of a form field; blank or malformed input becomes NaN so validation rejects it
+const toNumber = (text) => (text.trim() === '' ? NaN : Number(text));
+
+/**
+ * Scoring policy editor
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether modal is visible
+ * @param {Function} props.onClose - Callback to close modal
+ * @param {Object} props.policy - Policy to start from (the active one)
+ * @param {Function} props.onSave - Called with the edited policy { weights, thresholds, mlConfidence, rules }; may reject
+ */
+const ScoringPolicyModal = ({ visible, onClose, policy, onSave }) => {
+    const { t } = useTranslation();
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const [values, setValues] = useState(() => toFormValues(policy));
+    const [rules, setRules] = useState(policy.rules);
+    const [saving, setSaving] = useState(false);
+    const [errorMessage, setErrorMessage] = useState(null);
+
+    // Start from the active policy every time the editor opens
+    const handleShow = () => {
+        setValues(toFormValues(policy));
+        setRules(policy.rules);
+        setErrorMessage(null);
+    };
+
+    const handleSave = async () => {
+        const edited = {
+            weights: Object.fromEntries(POLICY_INPUTS.map(({ key }) => [key, toNumber(values.weights[key])])),
+            thresholds: { high: toNumber(values.high), medium: toNumber(values.medium) },
+            mlConfidence: { strong: toNumber(values.strong) / 100, weak: toNumber(values.weak) / 100 },
+            rules,
+        };
+        const problems = getPolicyProblems(edited);
+        if (problems.length > 0) {
+            setErrorMessage(problems.map((problem) => t(problem)).join('\n'));
+            return;
+        }
+
+        setSaving(true);
+        setErrorMessage(null);
+        try {
+            await onSave(edited);
+            onClose();
+        } catch (error) {
+            setErrorMessage(error.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Render a labelled numeric field
+    const renderNumberField = (label, value, onChangeText, suffix) => (
+        <View key={label} style={styles.fieldRow}>
+            <Text style={styles.fieldLabel}>{label}</Text>
+            <TextInput
+                style={styles.input}
+                value={value}
+                onChangeText={onChangeText}
+                keyboardType="decimal-pad"
+                selectTextOnFocus
+            />
+            <Text style={styles.fieldSuffix}>{suffix}</Text>
+        </View>
+    );
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            transparent={true}
+            onShow={handleShow}
+            onRequestClose={onClose}
+        >
+            <View style={styles.overlay}>
+                <View style={styles.modalContainer}>
+                    {/* Header */}
+                    <View style={styles.header}>
+                        <Text style={styles.title}>{t('scoring.editor.title')}</Text>
+                        <TouchableOpacity onPress={onClose} style={styles.closeButton} accessibilityRole="button" accessibilityLabel={t('a11y.close')}>
+                            <MaterialCommunityIcons name="close" size={24} color={colors.textPrimary} />
+                        </TouchableOpacity>
+                    </View>
+                    <Text style={styles.subtitle}>{t('scoring.editor.subtitle', { policy: t(`scoring.presets.${policy.preset}.label`, { defaultValue: policy.label }) })}</Text>
+
+                    <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+                        {/* Weights */}
+                        <Text style={styles.groupLabel}>{t('scoring.editor.weights')}</Text>
+                        <Text style={styles.groupHint}>{t('scoring.editor.weightsHint')}</Text>
+                        {POLICY_INPUTS.map(({ key, label }) => renderNumberField(
+                            t(`scoring.inputs.${key}`, { defaultValue: label }),
+                            values.weights[key],
+                            (text) => setValues((current) => ({ ...current, weights: { ...current.weights, [key]: text } })),
+                            '×',
+                        ))}
+
+                        {/* Thresholds */}
+                        <Text style={styles.groupLabel}>{t('scoring.editor.thresholds')}</Text>
+                        {renderNumberField(t('scoring.editor.highAt'), values.high, (text) => setValues((current) => ({ ...current, high: text })), t('scoring.editor.points'))}
+                        {renderNumberField(t('scoring.editor.mediumAt'), values.medium, (text) => setValues((current) => ({ ...current, medium: text })), t('scoring.editor.points'))}
+
+                        {/* ML escalation */}
+                        <Text style={styles.groupLabel}>{t('scoring.editor.mlEscalation')}</Text>
+                        <Text style={styles.groupHint}>{t('scoring.editor.mlEscalationHint')}</Text>
+                        {renderNumberField(t('scoring.editor.strongConfidence'), values.strong, (text) => setValues((current) => ({ ...current, strong: text })), '%')}
+                        {renderNumberField(t('scoring.editor.weakConfidence'), values.weak, (text) => setValues((current) => ({ ...current, weak: text })), '%')}
+
+                        {/* Rules */}
+                        <Text style={styles.groupLabel}>{t('scoring.editor.rules')}</Text>
+                        {POLICY_RULES.map(({ key, label }) => (
+                            <View key={key} style={styles.toggleRow}>
+                                <Text style={styles.toggleTitle}>{t(`scoring.rules.${key}`, { defaultValue: label })}</Text>
+                                <Switch
+                                    value={Boolean(rules[key])}
+                                    onValueChange={(value) => setRules((current) => ({ ...current, [key]: value }))}
+                                    trackColor={{ false: colors.background, true: colors.secondary + '60' }}
+                                    thumbColor={rules[key] ? colors.secondary : colors.textMuted}
+                                />
+                            </View>
+                        ))}
+
+                        {errorMessage && <Text style={styles.errorText}>{errorMessage}</Text>}
+                    </ScrollView>
+
+                    {/* Buttons */}
+                    <View style={styles.buttonRow}>
+                        <TouchableOpacity
+                            style={[styles.button, styles.saveButton]}
+                            onPress={handleSave}
+                            disabled={saving}
+                        >
+                            {saving ? (
+                                <ActivityIndicator size="small" color={colors.onSecondary} />
+                            ) : (
+                                <Text style={styles.saveButtonText}>{t('scoring.editor.save')}</Text>
+                            )}
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: colors.overlay,
+        justifyContent: 'flex-end',
+    },
+    modalContainer: {
+        backgroundColor: colors.surface,
+        borderTopLeftRadius: 24,
+        borderTopRightRadius: 24,
+        maxHeight: '85%',
+        paddingBottom: 20,
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingHorizontal: 20,
+        paddingTop: 20,
+        paddingBottom: 8,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: '700',
+        color: colors.textPrimary,
+    },
+    closeButton: {
+        padding: 4,
+    },
+    subtitle: {
+        fontSize: 14,
+        color: colors.textSecondary,
+        paddingHorizontal: 20,
+        marginBottom: 8,
+    },
+    content: {
+        paddingHorizontal: 20,
+        paddingBottom: 8,
+    },
+    groupLabel: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: colors.textMuted,
+        textTransform: 'uppercase',
+        letterSpacing: 0.5,
+        marginTop: 16,
+        marginBottom: 8,
+    },
+    groupHint: {
+        fontSize: 12,
+        color: colors.textSecondary,
+        marginBottom: 8,
+    },
+    fieldRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 4,
+    },
+    fieldLabel: {
+        flex: 1,
+        fontSize: 14,
+        color: colors.textPrimary,
+    },
+    input: {
+        width: 72,
+        backgroundColor: colors.background,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: colors.border,
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        fontSize: 14,
+        color: colors.textPrimary,
+        textAlign: 'right',
+    },
+    fieldSuffix: {
+        width: 28,
+        fontSize: 13,
+        color: colors.textMuted,
+        marginLeft: 8,
+    },
+    toggleRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+        borderBottomColor: colors.divider,
+    },
+    toggleTitle: {
+        flex: 1,
+        fontSize: 14,
+        color: colors.textPrimary,
+        marginRight: 12,
+    },
+    errorText: {
+        fontSize: 13,
+        color: colors.riskHigh,
+        marginTop: 12,
+    },
+    buttonRow: {
+        flexDirection: 'row',
+        paddingHorizontal: 20,
+        paddingTop: 12,
+    },
+    button: {
+        flex: 1,
+        alignItems: 'center',
+        paddingVertical: 14,
+        borderRadius: 12,
+    },
+    saveButton: {
+        backgroundColor: colors.secondary,
+    },
+    saveButtonText: {
+        fontSize: 15,
+        fontWeight: '700',
+        color: colors.onSecondary,
+    },
+});
+
+export default ScoringPolicyModal;
@@ -0,0 +1,139 @@
+// VerdictSection Component
+// "Verdict Derivation" section of the scan report: how the scoring policy produced the final verdict
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import RiskBadge from './RiskBadge';
+import { formatVerdictMessage } from '../utils/scoringPolicy';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+import useAnnouncement from '../hooks/useAnnouncement';
+
+/**
+ * Final verdict with its inputs, weights and the rules that shaped it
+ * @param {Object} props
+ * @param {Object} props.verdict - evaluateVerdict() result
+ */
+const VerdictSection = ({ verdict }) => {
+    const translator = useTranslation();
+    const { t, formatRisk, formatAction } = translator;
+    const { colors, riskColors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { policy } = verdict;
+    const riskColor = riskColors[verdict.risk] || colors.textMuted;
+
+    // Screen readers hear when the verdict changes on screen (override, scoring policy, late engine results)
+    useAnnouncement(
+        t('a11y.verdictChanged', { risk: formatRisk(verdict.risk), action: formatAction(verdict.action) }),
+        { announceInitial: false },
+    );
+
+    return (
+        <View style={styles.section}>
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('verdict.title')}</Text>
+            <View style={styles.card}>
+                {/* Final verdict */}
+                <View style={styles.verdictRow}>
+                    <View style={[styles.scoreCircle, { borderColor: riskColor }]}>
+                        <Text style={[styles.scoreValue, { color: riskColor }]}>{verdict.score}</Text>
+                        <Text style={styles.scoreLabel}>{t('verdict.score')}</Text>
+                    </View>
+                    <View style={styles.verdictInfo}>
+                        <View style={styles.badgeRow}>
+                            <RiskBadge risk={verdict.risk} />
+                            <Text style={styles.actionText}>{formatAction(verdict.action)}</Text>
+                        </View>
+                        <Text style={styles.policyText}>
+                            {t('verdict.policy', {
+                                policy: t(`scoring.presets.${policy.preset}.label`, { defaultValue: policy.label }),
+                                high: policy.thresholds.high,
+                                medium: policy.thresholds.medium,
+                            })}
+                        </Text>
+                    </View>
+                </View>
+
+                <View style={styles.divider} />
+
+                {/* Weighted inputs */}
+                <Text style={styles.groupTitle}>{t('verdict.inputs')}</Text>
+                {verdict.inputs.map((input) => (
+                    <View key={input.key} style={styles.inputRow}>
+                        <View style={styles.inputHeader}>
+                            <Text style={[styles.inputLabel, !input.available && styles.mutedText]}>{t(`scoring.inputs.${input.key}`, { defaultValue: input.label })}</Text>
+                            <Text style={styles.inputWeight}>
+                                {input.available ? `${input.value} × ${input.weight}` : t('verdict.notAvailable')}
+                            </Text>
+                        </View>
+                        {input.available && (
+                            <>
+                                <Text style={styles.inputRaw}>{formatVerdictMessage(input.raw, translator)}</Text>
+                                <View style={styles.barTrack}>
+                                    <View style={[styles.barFill, { width: `${Math.min(100, Math.round(input.contribution))}%` }]} />
+                                </View>
+                            </>
+                        )}
+                    </View>
+                ))}
+
+                <View style={styles.divider} />
+
+                {/* Ordered rationale */}
+                <Text style={styles.groupTitle}>{t('verdict.steps')}</Text>
+                {verdict.steps.map((step, index) => (
+                    <View key={`${step.rule}-${index}`} style={styles.stepRow}>
+                        <Text style={styles.stepNumber}>{index + 1}</Text>
+                        <View style={styles.stepContent}>
+                            <Text style={styles.stepText}>{formatVerdictMessage(step.detail, translator)}</Text>
+                            {step.to && (
+                                <View style={styles.stepChange}>
+                                    {step.from && (
+                                        <>
+                                            <Text style={[styles.stepRisk, { color: riskColors[step.from] }]}>{formatRisk(step.from)}</Text>
+                                            <MaterialCommunityIcons name="arrow-right" size={12} color={colors.textMuted} />
+                                        </>
+                                    )}
+                                    <Text style={[styles.stepRisk, { color: riskColors[step.to] }]}>{formatRisk(step.to)}</Text>
+                                </View>
+                            )}
+                        </View>
+                    </View>
+                ))}
+            </View>
+        </View>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    section: { marginBottom: 24 },
+    sectionTitle: { fontSize: 16, fontWeight: '700', color: colors.textSecondary, marginBottom: 12, textTransform: 'uppercase', letterSpacing: 1 },
+    card: { backgroundColor: colors.card, borderRadius: 16, padding: 18, borderWidth: 1, borderColor: colors.border },
+    divider: { height: 1, backgroundColor: colors.divider, marginVertical: 14 },
+    verdictRow: { flexDirection: 'row', alignItems: 'center' },
+    scoreCircle: { width: 64, height: 64, borderRadius: 32, borderWidth: 3, justifyContent: 'center', alignItems: 'center' },
+    scoreValue: { fontSize: 20, fontWeight: '800' },
+    scoreLabel: { fontSize: 10, color: colors.textMuted },
+    verdictInfo: { flex: 1, marginLeft: 16 },
+    badgeRow: { flexDirection: 'row', alignItems: 'center' },
+    actionText: { fontSize: 13, fontWeight: '700', color: colors.textPrimary, marginLeft: 10, letterSpacing: 0.5 },
+    policyText: { fontSize: 12, color: colors.textSecondary, marginTop: 6 },
+    groupTitle: { fontSize: 13, fontWeight: '700', color: colors.textSecondary, marginBottom: 8 },
+    inputRow: { paddingVertical: 5 },
+    inputHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+    inputLabel: { fontSize: 14, color: colors.textPrimary },
+    inputWeight: { fontSize: 12, color: colors.textSecondary, fontFamily: 'monospace' },
+    inputRaw: { fontSize: 12, color: colors.textMuted, marginTop: 2 },
+    mutedText: { color: colors.textMuted },
+    barTrack: { height: 4, borderRadius: 2, backgroundColor: colors.surface, marginTop: 6, overflow: 'hidden' },
+    barFill: { height: '100%', backgroundColor: colors.secondary },
+    stepRow: { flexDirection: 'row', alignItems: 'flex-start', paddingVertical: 4 },
+    stepNumber: { width: 20, fontSize: 12, fontWeight: '700', color: colors.secondary },
+    stepContent: { flex: 1 },
+    stepText: { fontSize: 13, color: colors.textPrimary, lineHeight: 18 },
+    stepChange: { flexDirection: 'row', alignItems: 'center', marginTop: 2 },
+    stepRisk: { fontSize: 11, fontWeight: '700', marginHorizontal: 2 },
+});
+
+export default VerdictSection;
@@ -0,0 +1,24 @@
+// Android Sandbox - useAnnouncement Hook
+// Screen reader announcements of changing screen content
+
+import { useEffect, useRef } from 'react';
+import { AccessibilityInfo } from 'react-native';
+
+/**
+ * Announce a message through the screen reader (TalkBack, VoiceOver) whenever it changes
+ * @param {string} message - Message to announce; null or '' announces nothing
+ * @param {Object} options
+ * @param {boolean} options.announceInitial - Also announce the message of the first render (default true)
+ */
+const useAnnouncement = (message, { announceInitial = true } = {}) => {
+    const previousRef = useRef(announceInitial ? null : message);
+
+    useEffect(() => {
+        if (message && message !== previousRef.current) {
+            AccessibilityInfo.announceForAccessibility(message);
+        }
+        previousRef.current = message;
+    }, [message]);
+};
+
+export default useAnnouncement;
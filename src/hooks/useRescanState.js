@@ -0,0 +1,29 @@
+// Android Sandbox - useRescanState Hook
+// Scheduled rescan state (last run, pending summary, running), re-rendering the component whenever it changes
+
+import { useState, useEffect } from 'react';
+import { loadRescanState, getRescanState, subscribeRescanState } from '../services/rescanScheduler';
+
+/**
+ * Subscribe a component to the rescan schedule state
+ * @returns {Object} - { lastRun, summary, running }
+ */
+const useRescanState = () => {
+    const [rescanState, setRescanState] = useState(getRescanState());
+
+    useEffect(() => {
+        let active = true;
+        loadRescanState().then(() => {
+            if (active) setRescanState(getRescanState());
+        });
+        const unsubscribe = subscribeRescanState(setRescanState);
+        return () => {
+            active = false;
+            unsubscribe();
+        };
+    }, []);
+
+    return rescanState;
+};
+
+export default useRescanState;
@@ -0,0 +1,29 @@
+// Android Sandbox - useSettings Hook
+// Current user settings, re-rendering the component whenever they change
+
+import { useState, useEffect } from 'react';
+import { loadSettings, getSettings, subscribeSettings } from '../services/settingsStore';
+
+/**
+ * Subscribe a component to the settings store
+ * @returns {Object} - Settings shaped like DEFAULT_SETTINGS
+ */
+const useSettings = () => {
+    const [settings, setSettingsState] = useState(getSettings());
+
+    useEffect(() => {
+        let active = true;
+        loadSettings().then((loaded) => {
+            if (active) setSettingsState(loaded);
+        });
+        const unsubscribe = subscribeSettings(setSettingsState);
+        return () => {
+            active = false;
+            unsubscribe();
+        };
+    }, []);
+
+    return settings;
+};
+
+export default useSettings;
@@ -0,0 +1,18 @@
+// Android Sandbox - useTheme Hook
+// Colors of the theme chosen in Settings
+
+import { useColorScheme } from 'react-native';
+import useSettings from './useSettings';
+import { getTheme } from '../utils/theme';
+
+/**
+ * Theme for the appearance settings, re-rendering the component when the theme or device mode changes
+ * @returns {Object} - getTheme() result: { name, dark, colorBlind, colors, riskColors, actionColors }
+ */
+const useTheme = () => {
+    const { theme, colorBlindRisk } = useSettings();
+    const colorScheme = useColorScheme();
+    return getTheme(theme, { colorScheme, colorBlind: colorBlindRisk });
+};
+
+export default useTheme;
@@ -0,0 +1,27 @@
+// Android Sandbox - useThemedStyles Hook
+// Component styles built from the current theme colors
+
+import useTheme from './useTheme';
+
+// Style sheets per style factory, then per color palette
+const sheets = new WeakMap();
+
+/**
+ * Styles of a module-level factory for the current theme
+ * Each factory runs once per palette, so switching themes never rebuilds a sheet twice.
+ * @param {Function} createStyles - (colors) => StyleSheet.create({...})
+ * @returns {Object} - Styles for the current theme colors
+ */
+const useThemedStyles = (createStyles) => {
+    const { colors } = useTheme();
+
+    let byColors = sheets.get(createStyles);
+    if (!byColors) {
+        byColors = new WeakMap();
+        sheets.set(createStyles, byColors);
+    }
+    if (!byColors.has(colors)) byColors.set(colors, createStyles(colors));
+    return byColors.get(colors);
+};
+
+export default useThemedStyles;
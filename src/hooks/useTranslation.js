@@ -0,0 +1,17 @@
+// Android Sandbox - useTranslation Hook
+// Messages and formatters in the language chosen in Settings
+
+import useSettings from './useSettings';
+import { getTranslator } from '../services/i18n';
+
+/**
+ * Translator for the current language, re-rendering the component when the language changes
+ * @returns {Object} - getTranslator() result: { t, formatRisk, formatAction, formatNumber, formatPercent,
+ *   formatFileSize, formatDate, formatDateTime, formatRelativeTime, formatDateWithAge, language, locale }
+ */
+const useTranslation = () => {
+    const { language } = useSettings();
+    return getTranslator(language);
+};
+
+export default useTranslation;
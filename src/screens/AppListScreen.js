@@ -0,0 +1,132 @@
+// AppListScreen
+// Filtered list of analyzed apps, opened from a device posture tile
+
+import React from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    SafeAreaView,
+    TouchableOpacity,
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+import FileCard from '../components/FileCard';
+import { buildListedScanResult } from '../utils/deepScanResult';
+
+/**
+ * App List Screen - Apps matching a posture filter
+ * Route params: { title, apps } where apps are getRecentFiles() results
+ */
+const AppListScreen = ({ route, navigation }) => {
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { title, apps = [] } = route.params;
+    const { t } = useTranslation();
+
+    // Handle file card press - view scan result
+    const handleFilePress = (file) => {
+        navigation.navigate('ScanResult', buildListedScanResult(file));
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity
+                    style={styles.backButton}
+                    onPress={() => navigation.goBack()}
+                    activeOpacity={0.7}
+                    accessibilityRole="button"
+                    accessibilityLabel={t('a11y.back')}
+                >
+                    <MaterialCommunityIcons name="arrow-left" size={22} color={colors.textPrimary} />
+                </TouchableOpacity>
+                <View style={styles.headerText}>
+                    <Text style={styles.title} numberOfLines={1}>{title}</Text>
+                    <Text style={styles.subtitle}>{t('appList.count', { count: apps.length })}</Text>
+                </View>
+            </View>
+
+            <ScrollView
+                style={styles.scrollView}
+                contentContainerStyle={styles.scrollContent}
+                showsVerticalScrollIndicator={false}
+            >
+                {apps.length === 0 ? (
+                    <View style={styles.emptyContainer}>
+                        <Text style={styles.emptyText}>{t('appList.empty')}</Text>
+                    </View>
+                ) : (
+                    apps.map((file) => (
+                        <FileCard
+                            key={file.id}
+                            file={file}
+                            onPress={() => handleFilePress(file)}
+                        />
+                    ))
+                )}
+            </ScrollView>
+        </SafeAreaView>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: colors.background,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingTop: 40,
+        paddingBottom: 16,
+        paddingHorizontal: 16,
+        borderBottomWidth: 1,
+        borderBottomColor: colors.divider,
+    },
+    backButton: {
+        padding: 6,
+        marginRight: 10,
+    },
+    headerText: {
+        flex: 1,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: '800',
+        color: colors.textPrimary,
+    },
+    subtitle: {
+        fontSize: 13,
+        color: colors.textSecondary,
+        marginTop: 2,
+    },
+    scrollView: {
+        flex: 1,
+    },
+    scrollContent: {
+        paddingHorizontal: 20,
+        paddingTop: 16,
+        paddingBottom: 100,
+    },
+    emptyContainer: {
+        alignItems: 'center',
+        paddingVertical: 60,
+        backgroundColor: colors.surface,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: colors.border,
+        borderStyle: 'dashed',
+    },
+    emptyText: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.textSecondary,
+    },
+});
+
+export default AppListScreen;
@@ -0,0 +1,361 @@
+// BatchScanScreen
+// Runs a deep scan over several apps with live per-app progress, then summarizes the final verdicts
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    SafeAreaView,
+    TouchableOpacity,
+    Image,
+    ActivityIndicator,
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { RISK_LEVELS } from '../utils/constants';
+import { RISK_SHAPES } from '../utils/theme';
+import { runBatchDeepScan } from '../services/api';
+import { toErrorInfo, isScanCancelled } from '../services/errors';
+import { buildDeepScanResult } from '../utils/deepScanResult';
+import RiskBadge from '../components/RiskBadge';
+import useSettings from '../hooks/useSettings';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+import { resolveScoringPolicy } from '../utils/scoringPolicy';
+
+// Per-app row states
+const ROW_STATUS = {
+    PENDING: 'pending',
+    SCANNING: 'scanning',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+};
+
+// Order of the summary counts
+const SUMMARY_RISKS = [RISK_LEVELS.HIGH, RISK_LEVELS.MEDIUM, RISK_LEVELS.LOW];
+
+/**
+ * Batch Scan Screen - Deep scans the selected apps
+ * Route params: { apps } where apps come from the app picker
+ */
+const BatchScanScreen = ({ route, navigation }) => {
+    const { apps = [] } = route.params;
+    const { t, formatRisk, formatPercent } = useTranslation();
+    const { colors, riskColors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+
+    const [rows, setRows] = useState(() => apps.map((app) => ({ app, status: ROW_STATUS.PENDING })));
+    const [running, setRunning] = useState(true);
+    const abortRef = useRef(null);
+    const scoringPolicy = resolveScoringPolicy(useSettings());
+
+    // Start the batch once; leaving the screen cancels the apps not started yet
+    useEffect(() => {
+        let active = true;
+        const controller = new AbortController();
+        abortRef.current = controller;
+
+        const updateRow = (index, changes) => {
+            setRows((current) => current.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+        };
+
+        runBatchDeepScan(apps, {
+            signal: controller.signal,
+            onStart: ({ index }) => updateRow(index, { status: ROW_STATUS.SCANNING }),
+            onProgress: ({ index, outcome }) => updateRow(index, outcome.status === 'fulfilled'
+                ? outcome.value
+                : { status: ROW_STATUS.FAILED, error: toErrorInfo(outcome.error) }),
+        })
+            .catch((error) => {
+                if (!active) return;
+                // Whatever did not finish is reported as cancelled, or as failed when the batch itself failed
+                const unfinished = isScanCancelled(error)
+                    ? { status: ROW_STATUS.CANCELLED }
+                    : { status: ROW_STATUS.FAILED, error: toErrorInfo(error) };
+                setRows((current) => current.map((row) => (
+                    row.status === ROW_STATUS.PENDING || row.status === ROW_STATUS.SCANNING
+                        ? { ...row, ...unfinished }
+                        : row
+                )));
+            })
+            .finally(() => {
+                if (active) setRunning(false);
+            });
+        return () => {
+            active = false;
+            controller.abort();
+        };
+    }, [apps]);
+
+    // Open the full report of a scanned app
+    const handleRowPress = ({ app, scan }) => {
+        navigation.navigate('ScanResult', buildDeepScanResult(app, scan));
+    };
+
+    const finished = rows.filter((row) => row.status === ROW_STATUS.DONE || row.status === ROW_STATUS.FAILED).length;
+    const failedCount = rows.filter((row) => row.status === ROW_STATUS.FAILED).length;
+    const riskCounts = {};
+    rows.forEach((row) => {
+        if (row.status === ROW_STATUS.DONE) {
+            riskCounts[row.verdict.risk] = (riskCounts[row.verdict.risk] || 0) + 1;
+        }
+    });
+    const progressPercent = apps.length > 0 ? Math.round((finished / apps.length) * 100) : 100;
+
+    // Render the status column of a row
+    const renderRowStatus = (row) => {
+        switch (row.status) {
+            case ROW_STATUS.SCANNING:
+                return <ActivityIndicator size="small" color={colors.secondary} />;
+            case ROW_STATUS.DONE:
+                return (
+                    <>
+                        <RiskBadge risk={row.verdict.risk} overridden={Boolean(row.scan.heuristic.override)} />
+                        <MaterialCommunityIcons name="chevron-right" size={20} color={colors.textMuted} />
+                    </>
+                );
+            case ROW_STATUS.FAILED:
+                return <Text style={[styles.statusText, { color: colors.riskHigh }]}>{t('batch.status.failed')}</Text>;
+            case ROW_STATUS.CANCELLED:
+                return <Text style={styles.statusText}>{t('batch.status.cancelled')}</Text>;
+            default:
+                return <Text style={styles.statusText}>{t('batch.status.queued')}</Text>;
+        }
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity
+                    style={styles.backButton}
+                    onPress={() => navigation.goBack()}
+                    activeOpacity={0.7}
+                    accessibilityRole="button"
+                    accessibilityLabel={t('a11y.back')}
+                >
+                    <MaterialCommunityIcons name="arrow-left" size={22} color={colors.textPrimary} />
+                </TouchableOpacity>
+                <View style={styles.headerText}>
+                    <Text style={styles.title}>{t('batch.title')}</Text>
+                    <Text style={styles.subtitle}>
+                        {running
+                            ? t('batch.scanning', { finished, total: apps.length })
+                            : t('batch.scanned', { finished, total: apps.length })}
+                        {failedCount > 0 ? t('batch.failed', { count: failedCount }) : ''}
+                    </Text>
+                </View>
+                {running && (
+                    <TouchableOpacity style={styles.cancelButton} onPress={() => abortRef.current?.abort()} activeOpacity={0.7}>
+                        <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+                    </TouchableOpacity>
+                )}
+            </View>
+
+            <ScrollView
+                style={styles.scrollView}
+                contentContainerStyle={styles.scrollContent}
+                showsVerticalScrollIndicator={false}
+            >
+                {/* Progress and final verdict summary */}
+                <View style={styles.summaryCard}>
+                    <View style={styles.progressBar}>
+                        <View style={[styles.progressFill, { width: `${progressPercent}%` }]} />
+                    </View>
+                    <View style={styles.summaryRow}>
+                        {SUMMARY_RISKS.map((risk) => (
+                            <View key={risk} style={styles.summaryTile} accessible>
+                                <MaterialCommunityIcons name={RISK_SHAPES[risk]} size={16} color={riskColors[risk]} />
+                                <Text style={[styles.summaryCount, { color: riskColors[risk] }]}>{riskCounts[risk] || 0}</Text>
+                                <Text style={styles.summaryLabel}>{formatRisk(risk)}</Text>
+                            </View>
+                        ))}
+                    </View>
+                    <Text style={styles.summaryNote}>{t('batch.policyNote', { policy: t(`scoring.presets.${scoringPolicy.preset}.label`, { defaultValue: scoringPolicy.label }) })}</Text>
+                </View>
+
+                {/* Per-app rows */}
+                {rows.map((row) => (
+                    <TouchableOpacity
+                        key={row.app.packageName}
+                        style={styles.row}
+                        onPress={() => handleRowPress(row)}
+                        disabled={row.status !== ROW_STATUS.DONE}
+                        activeOpacity={0.7}
+                    >
+                        {row.app.iconBase64 ? (
+                            <Image source={{ uri: `data:image/png;base64,${row.app.iconBase64}` }} style={styles.appIcon} />
+                        ) : (
+                            <View style={styles.iconPlaceholder}>
+                                <MaterialCommunityIcons name="android" size={22} color={colors.textMuted} />
+                            </View>
+                        )}
+                        <View style={styles.rowInfo}>
+                            <Text style={styles.appName} numberOfLines={1}>
+                                {row.app.fileName || row.app.appName || row.app.packageName}
+                            </Text>
+                            <Text style={styles.rowDetail} numberOfLines={1}>
+                                {row.status === ROW_STATUS.FAILED
+                                    ? row.error.message
+                                    : row.status === ROW_STATUS.DONE && row.scan.ml
+                                        ? t('batch.engines', {
+                                            prediction: row.scan.ml.prediction,
+                                            confidence: formatPercent(row.scan.ml.confidence),
+                                            risk: formatRisk(row.scan.heuristic.risk),
+                                        })
+                                        : row.app.packageName}
+                            </Text>
+                        </View>
+                        <View style={styles.rowStatus}>{renderRowStatus(row)}</View>
+                    </TouchableOpacity>
+                ))}
+            </ScrollView>
+        </SafeAreaView>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: colors.background,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingTop: 40,
+        paddingBottom: 16,
+        paddingHorizontal: 16,
+        borderBottomWidth: 1,
+        borderBottomColor: colors.divider,
+    },
+    backButton: {
+        padding: 6,
+        marginRight: 10,
+    },
+    headerText: {
+        flex: 1,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: '800',
+        color: colors.textPrimary,
+    },
+    subtitle: {
+        fontSize: 13,
+        color: colors.textSecondary,
+        marginTop: 2,
+    },
+    cancelButton: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: colors.riskHigh,
+    },
+    cancelButtonText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: colors.riskHigh,
+    },
+    scrollView: {
+        flex: 1,
+    },
+    scrollContent: {
+        paddingHorizontal: 20,
+        paddingTop: 16,
+        paddingBottom: 100,
+    },
+    summaryCard: {
+        backgroundColor: colors.surface,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: colors.border,
+        padding: 16,
+        marginBottom: 16,
+    },
+    progressBar: {
+        height: 6,
+        borderRadius: 3,
+        backgroundColor: colors.background,
+        overflow: 'hidden',
+    },
+    progressFill: {
+        height: '100%',
+        backgroundColor: colors.secondary,
+    },
+    summaryRow: {
+        flexDirection: 'row',
+        marginTop: 14,
+    },
+    summaryTile: {
+        flex: 1,
+        alignItems: 'center',
+    },
+    summaryCount: {
+        fontSize: 22,
+        fontWeight: '800',
+    },
+    summaryLabel: {
+        fontSize: 11,
+        color: colors.textSecondary,
+        marginTop: 2,
+    },
+    summaryNote: {
+        fontSize: 11,
+        color: colors.textMuted,
+        textAlign: 'center',
+        marginTop: 12,
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: colors.card,
+        borderRadius: 12,
+        padding: 12,
+        marginVertical: 5,
+        borderWidth: 1,
+        borderColor: colors.border,
+    },
+    appIcon: {
+        width: 36,
+        height: 36,
+        borderRadius: 8,
+    },
+    iconPlaceholder: {
+        width: 36,
+        height: 36,
+        borderRadius: 8,
+        backgroundColor: colors.surface,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    rowInfo: {
+        flex: 1,
+        marginHorizontal: 12,
+    },
+    appName: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.textPrimary,
+    },
+    rowDetail: {
+        fontSize: 12,
+        color: colors.textSecondary,
+        marginTop: 2,
+    },
+    rowStatus: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    statusText: {
+        fontSize: 11,
+        fontWeight: '700',
+        color: colors.textMuted,
+        letterSpacing: 0.5,
+    },
+});
+
+export default BatchScanScreen;
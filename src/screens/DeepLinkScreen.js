@@ -0,0 +1,154 @@
+// DeepLinkScreen
+// Resolves a hexlab:// link and replaces itself with the scan result it points to
+
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    SafeAreaView,
+    TouchableOpacity,
+    ActivityIndicator,
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { getInstalledApps, getAppMetadata, getScanById } from '../services/api';
+import { toErrorInfo } from '../services/errors';
+import { DEEP_LINK_TYPES, isValidPackageName, isValidScanId } from '../utils/deepLinks';
+import { buildScanRequest, buildStoredScanResult } from '../utils/deepScanResult';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+
+// Helper: ScanResultScreen params of a scan link; null when the package is not installed
+const resolveScanLink = async (packageName) => {
+    const apps = await getInstalledApps();
+    const listed = apps.find((app) => app.packageName === packageName);
+    if (listed) return buildScanRequest(listed);
+
+    // Not in the listing: hidden by the system/trusted app settings, or not installed at all
+    const metadata = await getAppMetadata(packageName).catch(() => null);
+    if (!metadata) return null;
+    return buildScanRequest({
+        packageName,
+        fileName: metadata.appName || packageName,
+        fileSize: metadata.fileSize,
+        hash: metadata.hash,
+    });
+};
+
+// Helper: ScanResultScreen params of a report link; null when the scan is not in the history
+const resolveReportLink = async (scanId) => {
+    const entry = await getScanById(scanId);
+    return entry ? buildStoredScanResult(entry) : null;
+};
+
+/**
+ * Deep Link Screen - Opens the target of a link
+ * Route params: parseDeepLinkPath() result ({ type, packageName } | { type, scanId } | { type: 'invalid' })
+ * Params are validated again here, so the screen is safe to navigate to from anywhere.
+ */
+const DeepLinkScreen = ({ route, navigation }) => {
+    const { t } = useTranslation();
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { type, packageName, scanId } = route.params || {};
+    const [errorMessage, setErrorMessage] = useState(null);
+
+    useEffect(() => {
+        let active = true;
+        setErrorMessage(null);
+
+        // Resolves to the ScanResultScreen params, or to { message } when the link cannot be opened
+        const resolveLink = async () => {
+            if (type === DEEP_LINK_TYPES.SCAN && isValidPackageName(packageName)) {
+                const target = await resolveScanLink(packageName);
+                return target || { message: t('deepLink.notInstalled', { package: packageName }) };
+            }
+            if (type === DEEP_LINK_TYPES.REPORT && isValidScanId(scanId)) {
+                const target = await resolveReportLink(scanId);
+                return target || { message: t('deepLink.reportNotFound') };
+            }
+            return { message: t('deepLink.invalid') };
+        };
+
+        resolveLink()
+            .catch((error) => ({ message: t('deepLink.failed', { error: toErrorInfo(error).message }) }))
+            .then((target) => {
+                if (!active) return;
+                if (target.message) setErrorMessage(target.message);
+                else navigation.replace('ScanResult', target);
+            });
+        return () => {
+            active = false;
+        };
+    }, [type, packageName, scanId, navigation, t]);
+
+    return (
+        <SafeAreaView style={styles.container}>
+            {errorMessage ? (
+                <View style={styles.content}>
+                    <MaterialCommunityIcons name="link-variant-off" size={48} color={colors.riskMedium} />
+                    <Text style={styles.title} accessibilityRole="header">{t('deepLink.title')}</Text>
+                    <Text style={styles.message}>{errorMessage}</Text>
+                    <TouchableOpacity
+                        style={styles.homeButton}
+                        onPress={() => navigation.navigate('HomeMain')}
+                        activeOpacity={0.7}
+                        accessibilityRole="button"
+                    >
+                        <MaterialCommunityIcons name="home" size={18} color={colors.onSecondary} />
+                        <Text style={styles.homeButtonText}>{t('deepLink.goHome')}</Text>
+                    </TouchableOpacity>
+                </View>
+            ) : (
+                <View style={styles.content}>
+                    <ActivityIndicator size="large" color={colors.secondary} />
+                    <Text style={styles.message} accessibilityLiveRegion="polite">{t('deepLink.opening')}</Text>
+                </View>
+            )}
+        </SafeAreaView>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: colors.background,
+    },
+    content: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingHorizontal: 32,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: '800',
+        color: colors.textPrimary,
+        marginTop: 16,
+    },
+    message: {
+        fontSize: 14,
+        color: colors.textSecondary,
+        textAlign: 'center',
+        lineHeight: 20,
+        marginTop: 12,
+    },
+    homeButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: 24,
+        paddingVertical: 12,
+        paddingHorizontal: 20,
+        borderRadius: 12,
+        backgroundColor: colors.secondary,
+    },
+    homeButtonText: {
+        fontSize: 15,
+        fontWeight: '700',
+        color: colors.onSecondary,
+        marginLeft: 8,
+    },
+});
+
+export default DeepLinkScreen;
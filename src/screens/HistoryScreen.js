@@ -9,24 +9,35 @@ import {
     ScrollView,
     SafeAreaView,
     RefreshControl,
+    TouchableOpacity,
+    Alert,
 } from 'react-native';
-import { COLORS } from '../utils/constants';
-import { getScanHistory } from '../services/api';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { getScanHistory, exportFindingsSarif } from '../services/api';
+import { buildStoredScanResult } from '../utils/deepScanResult';
 import FileCard from '../components/FileCard';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
 
 /**
  * History Screen - Scan history list
  * Shows previously scanned files grouped by date (Today, Yesterday, Earlier)
  */
 const HistoryScreen = ({ navigation }) => {
+    const { t } = useTranslation();
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
     const [history, setHistory] = useState({ today: [], yesterday: [], earlier: [] });
     const [loading, setLoading] = useState(true);
     const [refreshing, setRefreshing] = useState(false);
+    const [exporting, setExporting] = useState(false);
 
-    // Fetch history on mount
+    // Fetch history on mount and whenever the tab regains focus (new scans may exist)
     useEffect(() => {
-        fetchHistory();
-    }, []);
+        const unsubscribe = navigation.addListener('focus', fetchHistory);
+        return unsubscribe;
+    }, [navigation]);
 
     const fetchHistory = async () => {
         try {
@@ -48,22 +59,19 @@ const HistoryScreen = ({ navigation }) => {
 
     // Handle file card press - view scan result
     const handleFilePress = (file) => {
-        navigation.navigate('ScanResult', {
-            file: {
-                fileName: file.fileName,
-                fileType: file.fileType,
-                fileSize: file.fileSize,
-                hash: file.hash,
-                packageName: file.packageName,
-                iconBase64: file.iconBase64,
-            },
-            result: {
-                risk: file.risk,
-                confidence: file.confidence,
-                action: file.action,
-                packageName: file.packageName,
-            },
-        });
+        navigation.navigate('ScanResult', buildStoredScanResult(file));
+    };
+
+    // Export the latest findings of every scanned app as SARIF
+    const handleExportSarif = async () => {
+        setExporting(true);
+        try {
+            await exportFindingsSarif();
+        } catch (error) {
+            Alert.alert(t('history.exportFailed'), error.message);
+        } finally {
+            setExporting(false);
+        }
     };
 
     // Render a date group section
@@ -74,7 +82,7 @@ const HistoryScreen = ({ navigation }) => {
             <View style={styles.dateSection}>
                 <View style={styles.dateLabelContainer}>
                     <Text style={styles.dateLabel}>{title}</Text>
-                    <Text style={styles.dateCount}>{files.length} files</Text>
+                    <Text style={styles.dateCount}>{t('history.scanCount', { count: files.length })}</Text>
                 </View>
                 {files.map((file) => (
                     <FileCard
@@ -98,8 +106,8 @@ const HistoryScreen = ({ navigation }) => {
             {/* Header */}
             <View style={styles.header}>
                 <Text style={styles.headerIcon}>📜</Text>
-                <Text style={styles.title}>Scan History</Text>
-                <Text style={styles.subtitle}>Previously analyzed files</Text>
+                <Text style={styles.title}>{t('history.title')}</Text>
+                <Text style={styles.subtitle}>{t('history.subtitle')}</Text>
             </View>
 
             <ScrollView
@@ -110,28 +118,39 @@ const HistoryScreen = ({ navigation }) => {
                     <RefreshControl
                         refreshing={refreshing}
                         onRefresh={onRefresh}
-                        tintColor={COLORS.secondary}
-                        colors={[COLORS.secondary]}
+                        tintColor={colors.secondary}
+                        colors={[colors.secondary]}
                     />
                 }
             >
                 {loading ? (
                     <View style={styles.loadingContainer}>
-                        <Text style={styles.loadingText}>Loading history...</Text>
+                        <Text style={styles.loadingText}>{t('history.loading')}</Text>
                     </View>
                 ) : isHistoryEmpty ? (
                     <View style={styles.emptyContainer}>
                         <Text style={styles.emptyIcon}>📂</Text>
-                        <Text style={styles.emptyText}>No scan history</Text>
+                        <Text style={styles.emptyText}>{t('history.emptyTitle')}</Text>
                         <Text style={styles.emptyHint}>
-                            Scanned files will appear here
+                            {t('history.emptyHint')}
                         </Text>
                     </View>
                 ) : (
                     <>
-                        {renderDateSection('Today', history.today)}
-                        {renderDateSection('Yesterday', history.yesterday)}
-                        {renderDateSection('Earlier', history.earlier)}
+                        <TouchableOpacity
+                            style={styles.exportButton}
+                            onPress={handleExportSarif}
+                            disabled={exporting}
+                            activeOpacity={0.7}
+                        >
+                            <MaterialCommunityIcons name="export-variant" size={18} color={colors.secondary} />
+                            <Text style={styles.exportButtonText}>
+                                {exporting ? t('history.exporting') : t('history.exportSarif')}
+                            </Text>
+                        </TouchableOpacity>
+                        {renderDateSection(t('history.today'), history.today)}
+                        {renderDateSection(t('history.yesterday'), history.yesterday)}
+                        {renderDateSection(t('history.earlier'), history.earlier)}
                     </>
                 )}
             </ScrollView>
@@ -139,17 +158,17 @@ const HistoryScreen = ({ navigation }) => {
     );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
     container: {
         flex: 1,
-        backgroundColor: COLORS.background,
+        backgroundColor: colors.background,
     },
     header: {
         alignItems: 'center',
         paddingTop: 40,
         paddingBottom: 16,
         borderBottomWidth: 1,
-        borderBottomColor: COLORS.divider,
+        borderBottomColor: colors.divider,
     },
     headerIcon: {
         fontSize: 32,
@@ -158,11 +177,11 @@ const styles = StyleSheet.create({
     title: {
         fontSize: 22,
         fontWeight: '800',
-        color: COLORS.textPrimary,
+        color: colors.textPrimary,
     },
     subtitle: {
         fontSize: 13,
-        color: COLORS.textSecondary,
+        color: colors.textSecondary,
         marginTop: 4,
     },
     scrollView: {
@@ -173,6 +192,23 @@ const styles = StyleSheet.create({
         paddingTop: 16,
         paddingBottom: 100,
     },
+    exportButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingVertical: 12,
+        marginBottom: 20,
+        backgroundColor: colors.secondary + '15',
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: colors.secondary + '30',
+    },
+    exportButtonText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: colors.secondary,
+        marginLeft: 8,
+    },
     dateSection: {
         marginBottom: 24,
     },
@@ -185,11 +221,11 @@ const styles = StyleSheet.create({
     dateLabel: {
         fontSize: 16,
         fontWeight: '700',
-        color: COLORS.textPrimary,
+        color: colors.textPrimary,
     },
     dateCount: {
         fontSize: 12,
-        color: COLORS.textMuted,
+        color: colors.textMuted,
     },
     loadingContainer: {
         alignItems: 'center',
@@ -197,15 +233,15 @@ const styles = StyleSheet.create({
     },
     loadingText: {
         fontSize: 14,
-        color: COLORS.textSecondary,
+        color: colors.textSecondary,
     },
     emptyContainer: {
         alignItems: 'center',
         paddingVertical: 60,
-        backgroundColor: COLORS.surface,
+        backgroundColor: colors.surface,
         borderRadius: 16,
         borderWidth: 1,
-        borderColor: COLORS.border,
+        borderColor: colors.border,
         borderStyle: 'dashed',
     },
     emptyIcon: {
@@ -215,12 +251,12 @@ const styles = StyleSheet.create({
     emptyText: {
         fontSize: 17,
         fontWeight: '600',
-        color: COLORS.textSecondary,
+        color: colors.textSecondary,
         marginBottom: 6,
     },
     emptyHint: {
         fontSize: 13,
-        color: COLORS.textMuted,
+        color: colors.textMuted,
         textAlign: 'center',
     },
 });
@@ -1,7 +1,7 @@
 // HomeScreen
-// Main landing screen with scan button and recent files list
+// Main landing screen with scan button, device posture summary and recent files list
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
     View,
     Text,
@@ -10,43 +10,119 @@ import {
     SafeAreaView,
     StatusBar,
     Image,
+    Alert,
 } from 'react-native';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
-import { COLORS } from '../utils/constants';
-import { getRecentFiles, scanFile, analyzeApp, getDetailedPermissions, getMalwareAnalysis, getMLAnalysis, getInstalledApps } from '../services/api';
+import { useIsFocused } from '@react-navigation/native';
+import { DATA_SOURCES } from '../utils/constants';
+import { getRecentFiles, scanFile, getDetailedPermissions, getMalwareAnalysis, getInstalledApps, getLastScansByPackage, isDemoMode } from '../services/api';
+import { isScanCancelled } from '../services/errors';
+import { subscribeSimulatorSettings } from '../services/simulator';
+import { getSettings, subscribeSettings } from '../services/settingsStore';
+import { subscribeOverrides } from '../services/overrideStore';
+import { dismissRescanSummary } from '../services/rescanScheduler';
+import { computePosture, filterAppsByPosture, describePostureFilter } from '../utils/posture';
+import { withKnownVerdicts } from '../utils/appFilters';
+import { buildListedScanResult, buildScanRequest } from '../utils/deepScanResult';
+import { DEEP_LINK_TYPES } from '../utils/deepLinks';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+import useRescanState from '../hooks/useRescanState';
 import FileCard from '../components/FileCard';
+import PostureSummary from '../components/PostureSummary';
+import DataSourceBanner from '../components/DataSourceBanner';
 import ScanButton from '../components/ScanButton';
 import AppSelectionModal from '../components/AppSelectionModal';
+import RescanSummaryModal from '../components/RescanSummaryModal';
 
 // Import the logo
 const AppLogo = require('../assets/logo.png');
 
 /**
  * Home Screen - Main landing page
- * Shows app title, scan button, and recent files
+ * Shows app title, scan button, device posture and recent files
  */
 const HomeScreen = ({ navigation }) => {
+    const { t } = useTranslation();
+    const { colors, dark } = useTheme();
+    const styles = useThemedStyles(createStyles);
     const [recentFiles, setRecentFiles] = useState([]);
     const [allApps, setAllApps] = useState([]);
     const [loading, setLoading] = useState(false);
     const [appsLoading, setAppsLoading] = useState(false);
-    const [scanning, setScanning] = useState(false);
     const [modalVisible, setModalVisible] = useState(false);
+    const [progress, setProgress] = useState({ completed: 0, total: 0 });
+    const [loadError, setLoadError] = useState(null);
+    const { summary: rescanSummary } = useRescanState();
+    const isFocused = useIsFocused();
 
-    // Fetch recent files on mount
+    // Controller for the in-flight bulk analysis; aborted when leaving the screen
+    const abortRef = useRef(null);
+    const loadedRef = useRef(false);
+
+    // Load the app list when the screen gains focus, cancel it when the screen loses focus
     useEffect(() => {
-        fetchRecentFiles();
-    }, []);
+        const unsubscribeFocus = navigation.addListener('focus', () => {
+            if (!loadedRef.current) {
+                fetchRecentFiles();
+            }
+        });
+        const unsubscribeBlur = navigation.addListener('blur', () => {
+            abortRef.current?.abort();
+        });
+        // A different simulator scenario means a different device: reload on next focus
+        const unsubscribeSimulator = subscribeSimulatorSettings(() => {
+            loadedRef.current = false;
+        });
+        // Showing or hiding system/trusted apps changes the list: reload on next focus
+        let listSettings = getSettings();
+        const unsubscribeSettings = subscribeSettings((settings) => {
+            if (settings.showSystemApps !== listSettings.showSystemApps ||
+                settings.showTrustedApps !== listSettings.showTrustedApps) {
+                loadedRef.current = false;
+            }
+            listSettings = settings;
+        });
+        // An overridden verdict changes the cards and the posture: reload on next focus
+        const unsubscribeOverrides = subscribeOverrides(() => {
+            loadedRef.current = false;
+        });
+        return () => {
+            unsubscribeFocus();
+            unsubscribeBlur();
+            unsubscribeSimulator();
+            unsubscribeSettings();
+            unsubscribeOverrides();
+            abortRef.current?.abort();
+        };
+    }, [navigation]);
 
     const fetchRecentFiles = async () => {
+        abortRef.current?.abort();
+        const controller = new AbortController();
+        abortRef.current = controller;
+
         setLoading(true);
+        setLoadError(null);
+        setProgress({ completed: 0, total: 0 });
         try {
-            const files = await getRecentFiles();
+            const files = await getRecentFiles({
+                signal: controller.signal,
+                onProgress: ({ completed, total }) => setProgress({ completed, total }),
+            });
             setRecentFiles(files);
+            loadedRef.current = true;
         } catch (error) {
-            console.error('Failed to fetch recent files:', error);
+            if (!isScanCancelled(error)) {
+                console.error('Failed to fetch recent files:', error);
+                setLoadError(error.message);
+            }
         } finally {
-            setLoading(false);
+            if (abortRef.current === controller) {
+                abortRef.current = null;
+                setLoading(false);
+            }
         }
     };
 
@@ -55,89 +131,60 @@ const HomeScreen = ({ navigation }) => {
         setModalVisible(true);
         setAppsLoading(true);
         try {
-            const apps = await getInstalledApps();
-            setAllApps(apps);
+            const [apps, lastScans] = await Promise.all([getInstalledApps(), getLastScansByPackage()]);
+            setAllApps(withKnownVerdicts(apps, lastScans, recentFiles));
         } catch (error) {
             console.error('Failed to fetch apps for selection:', error);
+            setModalVisible(false);
+            Alert.alert(t('home.listAppsFailed'), error.message);
         } finally {
             setAppsLoading(false);
         }
     };
 
-    // Handle app selection from modal - perform deep scan with ML
-    const handleAppSelect = async (app) => {
+    // Handle app selection from modal - deep scan with ML on the result screen
+    const handleAppSelect = (app) => {
         setModalVisible(false);
-        setScanning(true);
-        try {
-            // Perform deep scan: basic analysis + ML analysis
-            const [basicResult, mlResult] = await Promise.all([
-                analyzeApp(app.packageName),
-                getMLAnalysis(app.packageName),
-            ]);
+        // The result screen runs the deep scan itself and shows its live progress
+        navigation.navigate('ScanResult', buildScanRequest(app));
+    };
 
-            // Navigate to scan result screen with ML-focused data
-            navigation.navigate('ScanResult', {
-                file: {
-                    fileName: app.fileName || app.appName,
-                    fileType: 'apk',
-                    fileSize: app.fileSize || 'N/A',
-                    hash: app.hash || `sha256-${app.packageName}`,
-                    packageName: app.packageName,
-                    iconBase64: app.iconBase64,
-                },
-                result: {
-                    risk: basicResult.risk,
-                    confidence: basicResult.confidence,
-                    action: basicResult.action,
-                    packageName: app.packageName,
-                    // ML data
-                    mlPrediction: mlResult.prediction,
-                    mlConfidence: mlResult.confidence,
-                    mlProbabilities: mlResult.probabilities,
-                    mlRiskLevel: mlResult.riskLevel,
-                    mlIsBenign: mlResult.isBenign,
-                    mlAvailable: true,
-                    // App info
-                    permissionCount: basicResult.permissionCount,
-                    highRiskPerms: basicResult.highRiskPerms,
-                    targetSdk: basicResult.targetSdk,
-                    isFromPlayStore: basicResult.isFromPlayStore,
-                    isSideloaded: basicResult.isSideloaded,
-                    isTrusted: basicResult.isTrusted,
-                    appCategory: basicResult.appCategory,
-                },
-                scanMode: 'ml',
-            });
-        } catch (error) {
-            console.error('Deep scan failed:', error);
-        } finally {
-            setScanning(false);
-        }
+    // Handle multi-app selection from modal - deep scan them on the batch summary screen
+    const handleBatchSelect = (apps) => {
+        setModalVisible(false);
+        navigation.navigate('BatchScan', { apps });
     };
 
     // Handle file card press - view scan result
     const handleFilePress = (file) => {
-        navigation.navigate('ScanResult', {
-            file: {
-                fileName: file.fileName,
-                fileType: file.fileType,
-                fileSize: file.fileSize,
-                hash: file.hash,
-                packageName: file.packageName,
-                iconBase64: file.iconBase64,
-            },
-            result: {
-                risk: file.risk,
-                confidence: file.confidence,
-                action: file.action,
-                packageName: file.packageName,
-            },
+        navigation.navigate('ScanResult', buildListedScanResult(file));
+    };
+
+    // Dismiss the scheduled rescan summary
+    const handleRescanSummaryClose = () => {
+        dismissRescanSummary().catch((error) => console.error('Failed to dismiss rescan summary:', error));
+    };
+
+    // Open the stored report of an app listed in the rescan summary
+    const handleRescanScanSelect = (scanId) => {
+        handleRescanSummaryClose();
+        navigation.navigate('DeepLink', { type: DEEP_LINK_TYPES.REPORT, scanId });
+    };
+
+    // Open the apps matching a posture tile
+    const handlePostureFilter = (filter) => {
+        navigation.navigate('AppList', {
+            title: describePostureFilter(filter, t),
+            apps: filterAppsByPosture(recentFiles, filter),
         });
     };
 
+    const posture = useMemo(() => computePosture(recentFiles), [recentFiles]);
+    const failedCount = posture.failedCount;
+
     return (
         <SafeAreaView style={styles.container}>
-            <StatusBar barStyle="light-content" backgroundColor={COLORS.background} />
+            <StatusBar barStyle={dark ? 'light-content' : 'dark-content'} backgroundColor={colors.background} />
 
             <ScrollView
                 style={styles.scrollView}
@@ -154,37 +201,63 @@ const HomeScreen = ({ navigation }) => {
                         />
                     </View>
                     <Text style={styles.title}>Hexlab</Text>
-                    <Text style={styles.subtitle}>Security Analysis Platform</Text>
+                    <Text style={styles.subtitle}>{t('home.subtitle')}</Text>
                 </View>
 
                 {/* Scan Button Section */}
                 <View style={styles.scanSection}>
                     <ScanButton
                         onPress={handleScan}
-                        loading={scanning}
-                        loadingText="Loading the model..."
-                        label="Start Security Scan"
+                        label={t('home.startScan')}
                     />
-                    <Text style={styles.scanHint}>
-                        Analyze installed apps for permissions and threats
-                    </Text>
+                    <Text style={styles.scanHint}>{t('home.scanHint')}</Text>
                 </View>
 
+                {/* Device Posture Section */}
+                {!loading && (
+                    <PostureSummary
+                        posture={posture}
+                        onSelectFilter={handlePostureFilter}
+                        onSelectApp={handleFilePress}
+                    />
+                )}
+
                 {/* Recent Files Section */}
                 <View style={styles.recentSection}>
-                    <Text style={styles.sectionTitle}>Installed Apps</Text>
+                    <Text style={styles.sectionTitle}>{t('home.installedApps')}</Text>
+
+                    {isDemoMode() && <DataSourceBanner source={DATA_SOURCES.MOCK} />}
+                    {loadError && (
+                        <DataSourceBanner
+                            source={DATA_SOURCES.ERROR}
+                            message={t('home.loadFailed', { error: loadError })}
+                        />
+                    )}
+                    {failedCount > 0 && (
+                        <DataSourceBanner
+                            source={DATA_SOURCES.ERROR}
+                            message={t('home.failedApps', { count: failedCount })}
+                        />
+                    )}
 
                     {loading ? (
                         <View style={styles.loadingContainer}>
-                            <Text style={styles.loadingText}>Loading...</Text>
+                            <Text style={styles.loadingText}>
+                                {progress.total > 0
+                                    ? t('home.analyzingApps', { completed: progress.completed, total: progress.total })
+                                    : t('common.loading')}
+                            </Text>
+                            {progress.total > 0 && (
+                                <View style={styles.progressTrack}>
+                                    <View style={[styles.progressFill, { width: `${Math.round((progress.completed / progress.total) * 100)}%` }]} />
+                                </View>
+                            )}
                         </View>
                     ) : recentFiles.length === 0 ? (
                         <View style={styles.emptyContainer}>
-                            <MaterialCommunityIcons name="shield-search" size={60} color={COLORS.textMuted} style={styles.emptyIcon} />
-                            <Text style={styles.emptyText}>No recent scans</Text>
-                            <Text style={styles.emptyHint}>
-                                Tap "Start Security Scan" to analyze your first app
-                            </Text>
+                            <MaterialCommunityIcons name="shield-search" size={60} color={colors.textMuted} style={styles.emptyIcon} />
+                            <Text style={styles.emptyText}>{t('home.emptyTitle')}</Text>
+                            <Text style={styles.emptyHint}>{t('home.emptyHint')}</Text>
                         </View>
                     ) : (
                         recentFiles.map((file) => (
@@ -203,17 +276,26 @@ const HomeScreen = ({ navigation }) => {
                 visible={modalVisible}
                 onClose={() => setModalVisible(false)}
                 onSelectApp={handleAppSelect}
+                onSelectApps={handleBatchSelect}
                 apps={allApps}
                 loading={appsLoading}
             />
+
+            {/* Scheduled Rescan Summary (shown on Home until dismissed) */}
+            <RescanSummaryModal
+                visible={Boolean(rescanSummary) && isFocused && !modalVisible}
+                summary={rescanSummary}
+                onSelectScan={handleRescanScanSelect}
+                onClose={handleRescanSummaryClose}
+            />
         </SafeAreaView>
     );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
     container: {
         flex: 1,
-        backgroundColor: COLORS.background,
+        backgroundColor: colors.background,
     },
     scrollView: {
         flex: 1,
@@ -244,24 +326,24 @@ const styles = StyleSheet.create({
     title: {
         fontSize: 28,
         fontWeight: '800',
-        color: COLORS.textPrimary,
+        color: colors.textPrimary,
         letterSpacing: 0.5,
     },
     subtitle: {
         fontSize: 14,
-        color: COLORS.textSecondary,
+        color: colors.textSecondary,
         marginTop: 6,
     },
     scanSection: {
         alignItems: 'center',
         paddingVertical: 30,
         borderBottomWidth: 1,
-        borderBottomColor: COLORS.divider,
+        borderBottomColor: colors.divider,
         marginBottom: 24,
     },
     scanHint: {
         fontSize: 13,
-        color: COLORS.textMuted,
+        color: colors.textMuted,
         marginTop: 14,
     },
     recentSection: {
@@ -270,7 +352,7 @@ const styles = StyleSheet.create({
     sectionTitle: {
         fontSize: 20,
         fontWeight: '700',
-        color: COLORS.textPrimary,
+        color: colors.textPrimary,
         marginBottom: 16,
         marginLeft: 4,
     },
@@ -280,15 +362,28 @@ const styles = StyleSheet.create({
     },
     loadingText: {
         fontSize: 14,
-        color: COLORS.textSecondary,
+        color: colors.textSecondary,
+    },
+    progressTrack: {
+        width: '80%',
+        height: 6,
+        backgroundColor: colors.surface,
+        borderRadius: 3,
+        overflow: 'hidden',
+        marginTop: 12,
+    },
+    progressFill: {
+        height: '100%',
+        backgroundColor: colors.secondary,
+        borderRadius: 3,
     },
     emptyContainer: {
         alignItems: 'center',
         paddingVertical: 40,
-        backgroundColor: COLORS.surface,
+        backgroundColor: colors.surface,
         borderRadius: 16,
         borderWidth: 1,
-        borderColor: COLORS.border,
+        borderColor: colors.border,
         borderStyle: 'dashed',
     },
     emptyIcon: {
@@ -298,12 +393,12 @@ const styles = StyleSheet.create({
     emptyText: {
         fontSize: 16,
         fontWeight: '600',
-        color: COLORS.textSecondary,
+        color: colors.textSecondary,
         marginBottom: 6,
     },
     emptyHint: {
         fontSize: 13,
-        color: COLORS.textMuted,
+        color: colors.textMuted,
         textAlign: 'center',
         paddingHorizontal: 20,
     },
@@ -1,8 +1,8 @@
 // ScanResultScreen
 // Displays security assessment results in SOC-style alert report format
-// Supports ML-only scan mode with animated scanning overlay
+// Supports ML-only scan mode, showing the live progress of the native ML scan
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useEffectEvent, useRef } from 'react';
 import {
     View,
     Text,
@@ -13,198 +13,490 @@ import {
     ActivityIndicator,
     Alert,
     Image,
-    NativeModules,
     Animated,
     Easing,
+    Platform,
+    AccessibilityInfo,
 } from 'react-native';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
-import { COLORS, RISK_LEVELS, ACTION_STATUS, FILE_TYPE_ICONS } from '../utils/constants';
+import { RISK_LEVELS, FILE_TYPE_ICONS, DATA_SOURCES, ML_SCAN_STAGES } from '../utils/constants';
 import RiskBadge from '../components/RiskBadge';
-import { getDetailedPermissions, getMalwareAnalysis, getMLAnalysis } from '../services/api';
+import DataSourceBanner from '../components/DataSourceBanner';
+import ScanDiffSection from '../components/ScanDiffSection';
+import NetworkSection from '../components/NetworkSection';
+import AppMetadataSection from '../components/AppMetadataSection';
+import VerdictSection from '../components/VerdictSection';
+import RiskBreakdownSection from '../components/RiskBreakdownSection';
+import PermissionRow from '../components/PermissionRow';
+import OverrideBanner from '../components/OverrideBanner';
+import OverrideModal from '../components/OverrideModal';
+import {
+    analyzeApp,
+    getAppMetadata,
+    setVerdictOverride,
+    removeVerdictOverride,
+    getDetailedPermissions,
+    getMalwareAnalysis,
+    getMLAnalysis,
+    getNetworkAnalysis,
+    getScanById,
+    getScanDiff,
+    getFinalVerdict,
+    runDeepScan,
+    subscribeScanProgress,
+    openAppSettings,
+    uninstallApp,
+    shareScanReport,
+} from '../services/api';
+import { buildScanReport, REPORT_FORMATS } from '../services/reportExport';
+import { toErrorInfo } from '../services/errors';
+import { buildDeepScanResult } from '../utils/deepScanResult';
+import useSettings from '../hooks/useSettings';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+import useAnnouncement from '../hooks/useAnnouncement';
+
+// Helper: Overall ML scan progress (0-1) of a progress event, weighted by ML_SCAN_STAGES
+const getOverallProgress = ({ stage, stageProgress }) => {
+    let total = 0;
+    for (const { key, weight } of ML_SCAN_STAGES) {
+        if (key === stage) {
+            return total + weight * stageProgress;
+        }
+        total += weight;
+    }
+    return total;
+};
+
+// Helper: Format a duration in milliseconds
+const formatDuration = (ms) => (ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`);
 
 const ScanResultScreen = ({ route, navigation }) => {
-    const { file, result, scanMode } = route.params;
+    const { colors, riskColors, actionColors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { scanMode, app } = route.params;
     const isMLMode = scanMode === 'ml';
+    // Opened with an app but no result: the deep scan runs here
+    const needsScan = isMLMode && !route.params.result;
+
+    // The verdict is refreshed in place when the user overrides it
+    const [file, setFile] = useState(route.params.file);
+    const [result, setResult] = useState(route.params.result || null);
+    const [scanId, setScanId] = useState(route.params.scanId);
+    const [overrideVisible, setOverrideVisible] = useState(false);
+    const [overrideIndicators, setOverrideIndicators] = useState([]);
 
     const [permissions, setPermissions] = useState([]);
     const [malwareAnalysis, setMalwareAnalysis] = useState(null);
     const [mlAnalysis, setMlAnalysis] = useState(null);
+    const [networkAnalysis, setNetworkAnalysis] = useState(null);
+    const [appMetadata, setAppMetadata] = useState({ data: null, loading: true, error: null });
     const [loading, setLoading] = useState(true);
     const [showAllPermissions, setShowAllPermissions] = useState(false);
+    const [fetchErrors, setFetchErrors] = useState({});
+    const [scanDiff, setScanDiff] = useState(null);
+    const settings = useSettings();
+    const { showDetailedRisk } = settings;
+    const { t, formatRisk, formatPercent, formatFileSize } = useTranslation();
 
-    // Animation states for ML scan mode
-    const [scanAnimating, setScanAnimating] = useState(isMLMode);
+    // ML scan mode: progress reported by the native engine, null until the first event
+    const [scanRunning, setScanRunning] = useState(needsScan);
+    const [scanStage, setScanStage] = useState(null);
     const scanProgress = useRef(new Animated.Value(0)).current;
     const pulseAnim = useRef(new Animated.Value(1)).current;
-    const fadeIn = useRef(new Animated.Value(0)).current;
-    const slideUp = useRef(new Animated.Value(40)).current;
-    const [scanStatus, setScanStatus] = useState('Initializing EMBER2024 model...');
+    const fadeIn = useRef(new Animated.Value(needsScan ? 0 : 1)).current;
+    const slideUp = useRef(new Animated.Value(needsScan ? 40 : 0)).current;
+    const mountedRef = useRef(true);
 
-    const { BehaviorModule } = NativeModules;
+    // Current stage of the running scan for screen readers ("Step 2 of 4: ..."). TalkBack follows the
+    // live region of the scan overlay; iOS has no live regions, so VoiceOver gets an announcement per stage.
+    const stageIndex = scanStage ? ML_SCAN_STAGES.findIndex((stage) => stage.key === scanStage.stage) : -1;
+    const stageMessage = stageIndex >= 0
+        ? t('a11y.scanStage', {
+            step: stageIndex + 1,
+            total: ML_SCAN_STAGES.length,
+            stage: t(`scan.stages.${scanStage.stage}`, { defaultValue: ML_SCAN_STAGES[stageIndex].label }),
+        })
+        : null;
+    useAnnouncement(Platform.OS === 'ios' && scanRunning ? stageMessage : null);
 
-    useEffect(() => {
-        if (isMLMode) {
-            runScanAnimation();
+    // Deep scan the app or load its detailed data, once per screen
+    const loadInitialData = useEffectEvent(() => {
+        if (needsScan) {
+            runScan();
         } else {
+            // Loaded in both modes so an exported report is always complete
             fetchDetailedData();
         }
+    });
+
+    useEffect(() => {
+        loadInitialData();
+        return () => {
+            mountedRef.current = false;
+        };
     }, []);
 
-    // Animated scanning sequence for ML mode
-    const runScanAnimation = () => {
-        // Pulse animation loop
-        const pulse = Animated.loop(
-            Animated.sequence([
-                Animated.timing(pulseAnim, { toValue: 1.15, duration: 800, easing: Easing.inOut(Easing.ease), useNativeDriver: true }),
-                Animated.timing(pulseAnim, { toValue: 1, duration: 800, easing: Easing.inOut(Easing.ease), useNativeDriver: true }),
-            ])
-        );
-        pulse.start();
-
-        // Progress bar + status messages
-        const stages = [
-            { progress: 0.15, status: 'Reading APK binary data...', delay: 600 },
-            { progress: 0.30, status: 'Extracting EMBER features...', delay: 700 },
-            { progress: 0.50, status: 'Computing feature vectors (2381-d)...', delay: 800 },
-            { progress: 0.70, status: 'Running ONNX inference...', delay: 600 },
-            { progress: 0.85, status: 'Analyzing classification output...', delay: 500 },
-            { progress: 1.0, status: 'Generating security report...', delay: 400 },
-        ];
-
-        let totalDelay = 300;
-        stages.forEach((stage) => {
-            setTimeout(() => {
-                setScanStatus(stage.status);
-                Animated.timing(scanProgress, {
-                    toValue: stage.progress,
-                    duration: stage.delay,
-                    easing: Easing.out(Easing.quad),
-                    useNativeDriver: false,
-                }).start();
-            }, totalDelay);
-            totalDelay += stage.delay + 200;
-        });
+    // Package metadata is always read live: it describes the app as installed now
+    const metadataPackage = file.packageName || route.params.result?.packageName;
+    useEffect(() => {
+        if (!metadataPackage) {
+            setAppMetadata({ data: null, loading: false, error: null });
+            return;
+        }
+        let active = true;
+        getAppMetadata(metadataPackage)
+            .then((data) => ({ data, loading: false, error: null }))
+            .catch((error) => ({ data: null, loading: false, error: toErrorInfo(error) }))
+            .then((metadata) => {
+                if (active) setAppMetadata(metadata);
+            });
+        return () => {
+            active = false;
+        };
+    }, [metadataPackage]);
 
-        // Finish animation
-        setTimeout(() => {
-            pulse.stop();
-            setScanAnimating(false);
-            setLoading(false);
-            // Fade in results
-            Animated.parallel([
-                Animated.timing(fadeIn, { toValue: 1, duration: 500, useNativeDriver: true }),
-                Animated.timing(slideUp, { toValue: 0, duration: 500, easing: Easing.out(Easing.cubic), useNativeDriver: true }),
-            ]).start();
-        }, totalDelay + 300);
+    // Stored scans are compared with the previous scan of the same app
+    useEffect(() => {
+        if (scanId) {
+            getScanDiff(scanId)
+                .then(setScanDiff)
+                .catch((error) => console.error('Failed to compute scan diff:', error));
+        }
+    }, [scanId]);
+
+    // Record a progress event of the running scan: stage, stage durations, overall progress
+    const handleScanProgress = (event) => {
+        setScanStage((current) => {
+            const durations = { ...current?.durations };
+            const stageChanged = current?.stage !== event.stage;
+            if (current && stageChanged) {
+                durations[current.stage] = event.elapsedMs - current.startedAtMs;
+            }
+            return {
+                stage: event.stage,
+                stageProgress: event.stageProgress,
+                elapsedMs: event.elapsedMs,
+                startedAtMs: stageChanged ? event.elapsedMs : current.startedAtMs,
+                durations,
+            };
+        });
+        Animated.timing(scanProgress, {
+            toValue: getOverallProgress(event),
+            duration: 150,
+            easing: Easing.out(Easing.quad),
+            useNativeDriver: false,
+        }).start();
     };
 
-    const fetchDetailedData = async () => {
+    // Deep scan the app, following the progress of the native ML engine
+    // Results served from cache report no progress and are shown right away
+    const runScan = async () => {
+        let pulse = null;
+        const unsubscribe = subscribeScanProgress((event) => {
+            if (event.packageName !== app.packageName || !mountedRef.current) return;
+            if (!pulse) {
+                pulse = Animated.loop(
+                    Animated.sequence([
+                        Animated.timing(pulseAnim, { toValue: 1.15, duration: 800, easing: Easing.inOut(Easing.ease), useNativeDriver: true }),
+                        Animated.timing(pulseAnim, { toValue: 1, duration: 800, easing: Easing.inOut(Easing.ease), useNativeDriver: true }),
+                    ])
+                );
+                pulse.start();
+            }
+            handleScanProgress(event);
+        });
+
         try {
-            const packageName = file.packageName || result.packageName;
-            if (packageName) {
-                const [perms, malware, ml] = await Promise.all([
-                    getDetailedPermissions(packageName),
-                    getMalwareAnalysis(packageName),
-                    getMLAnalysis(packageName),
-                ]);
-                setPermissions(perms);
-                setMalwareAnalysis(malware);
-                setMlAnalysis(ml);
+            const scan = await runDeepScan(app);
+            if (!mountedRef.current) return;
+            const scanned = buildDeepScanResult(app, scan);
+            setFile(scanned.file);
+            setResult(scanned.result);
+            setScanId(scanned.scanId);
+            setPermissions(scan.permissions || []);
+            setMalwareAnalysis(scan.malware);
+            setMlAnalysis(scan.ml);
+            setNetworkAnalysis(scan.network);
+            setLoading(false);
+            setScanRunning(false);
+            AccessibilityInfo.announceForAccessibility(t('a11y.scanComplete', { app: scanned.file.fileName }));
+            if (pulse) {
+                Animated.parallel([
+                    Animated.timing(fadeIn, { toValue: 1, duration: 500, useNativeDriver: true }),
+                    Animated.timing(slideUp, { toValue: 0, duration: 500, easing: Easing.out(Easing.cubic), useNativeDriver: true }),
+                ]).start();
+            } else {
+                fadeIn.setValue(1);
+                slideUp.setValue(0);
             }
         } catch (error) {
-            console.error('Failed to fetch detailed data:', error);
+            console.error('Deep scan failed:', error);
+            if (mountedRef.current) {
+                Alert.alert(t('scan.deepScanFailed'), error.message);
+                navigation.goBack();
+            }
         } finally {
-            setLoading(false);
+            unsubscribe();
+            pulse?.stop();
         }
     };
 
-    const getActionColor = (action) => {
-        switch (action) {
-            case ACTION_STATUS.ALLOWED: return COLORS.actionAllowed;
-            case ACTION_STATUS.RESTRICTED: return COLORS.actionRestricted;
-            case ACTION_STATUS.BLOCKED: return COLORS.actionBlocked;
-            default: return COLORS.textMuted;
+    const fetchDetailedData = async () => {
+        const packageName = file.packageName || result.packageName;
+        if (!packageName) {
+            setLoading(false);
+            return;
         }
-    };
 
-    const getRiskColor = (riskLevel) => {
-        switch (riskLevel) {
-            case 'HIGH': return COLORS.riskHigh;
-            case 'MEDIUM': return COLORS.riskMedium;
-            case 'LOW': return COLORS.riskLow;
-            default: return COLORS.textMuted;
-        }
-    };
+        // Reports opened from history show the engine outputs stored with that scan
+        // (scans stored before the network analysis existed fetch it live)
+        const storedScan = scanId ? await getScanById(scanId).catch(() => null) : null;
+        const [permsOutcome, malwareOutcome, mlOutcome, networkOutcome] = await Promise.allSettled([
+            getDetailedPermissions(packageName),
+            storedScan ? storedScan.engines.malware : getMalwareAnalysis(packageName),
+            storedScan ? storedScan.engines.ml : getMLAnalysis(packageName),
+            storedScan && storedScan.engines.network !== undefined
+                ? storedScan.engines.network
+                : getNetworkAnalysis(packageName),
+        ]);
 
-    const getPermissionIcon = (iconName) => {
-        const iconMap = {
-            camera: 'camera', microphone: 'microphone', location: 'map-marker',
-            contacts: 'contacts', storage: 'folder', phone: 'phone',
-            sms: 'message-text', calendar: 'calendar', network: 'wifi',
-            web: 'web', 'map-marker': 'map-marker',
-        };
-        return iconMap[iconName] || 'shield-alert';
+        // Each step fails independently; failures are shown as degraded data, never replaced by samples
+        const errors = {};
+        if (permsOutcome.status === 'fulfilled') setPermissions(permsOutcome.value);
+        else errors.permissions = toErrorInfo(permsOutcome.reason);
+        if (malwareOutcome.status === 'fulfilled') setMalwareAnalysis(malwareOutcome.value);
+        else errors.malware = toErrorInfo(malwareOutcome.reason);
+        if (mlOutcome.status === 'fulfilled') setMlAnalysis(mlOutcome.value);
+        else errors.ml = toErrorInfo(mlOutcome.reason);
+        if (networkOutcome.status === 'fulfilled') setNetworkAnalysis(networkOutcome.value);
+        else errors.network = toErrorInfo(networkOutcome.reason);
+
+        setFetchErrors(errors);
+        setLoading(false);
     };
 
+    const getActionColor = (action) => actionColors[action] || colors.textMuted;
+
+    const getRiskColor = (riskLevel) => riskColors[riskLevel] || colors.textMuted;
+
+    // Screen readers read a 0-1 bar as one progress bar with its percentage
+    const getBarAccessibility = (label, fraction) => ({
+        accessible: true,
+        accessibilityRole: 'progressbar',
+        accessibilityLabel: label,
+        accessibilityValue: { min: 0, max: 100, now: Math.round(fraction * 100), text: formatPercent(fraction) },
+    });
+
     const handleUninstall = () => {
         const packageName = file.packageName || result.packageName;
-        if (packageName && BehaviorModule) {
-            Alert.alert('Uninstall App', `Are you sure you want to uninstall ${file.fileName}?`, [
-                { text: 'Cancel', style: 'cancel' },
-                { text: 'Uninstall', style: 'destructive', onPress: async () => {
-                    try { await BehaviorModule.uninstallApp(packageName); }
-                    catch (e) { Alert.alert('Error', 'Unable to uninstall.'); }
+        if (packageName) {
+            Alert.alert(t('scan.uninstallTitle'), t('scan.uninstallMessage', { app: file.fileName }), [
+                { text: t('common.cancel'), style: 'cancel' },
+                { text: t('scan.actions.uninstall'), style: 'destructive', onPress: async () => {
+                    try { await uninstallApp(packageName); }
+                    catch (e) { Alert.alert(t('common.error'), t('scan.uninstallFailed')); }
                 }},
             ]);
         }
     };
 
+    // Load every finding of the app (suppressed ones included) and open the override form
+    const handleOverride = async () => {
+        const packageName = file.packageName || result.packageName;
+        try {
+            const analysis = await analyzeApp(packageName);
+            const suppressed = analysis.override?.suppressedIndicators || [];
+            setOverrideIndicators([...new Set([...(analysis.riskIndicators || []), ...suppressed])]);
+            setOverrideVisible(true);
+        } catch (error) {
+            Alert.alert(t('common.error'), t('scan.findingsFailed', { error: error.message }));
+        }
+    };
+
+    // Re-read the verdict after an override change (the stored scan when opened from history)
+    const refreshVerdict = async () => {
+        const packageName = file.packageName || result.packageName;
+        const storedScan = scanId ? await getScanById(scanId) : null;
+        const latest = storedScan
+            ? { ...storedScan.engines.heuristic, risk: storedScan.risk, action: storedScan.action, override: storedScan.override }
+            : await analyzeApp(packageName);
+        setResult((current) => ({
+            ...current,
+            risk: latest.risk,
+            action: latest.action,
+            riskScore: latest.riskScore,
+            riskIndicators: latest.riskIndicators,
+            riskBreakdown: latest.riskBreakdown,
+            override: latest.override || null,
+        }));
+    };
+
+    const handleSaveOverride = async (values) => {
+        await setVerdictOverride(file.packageName || result.packageName, values);
+        await refreshVerdict();
+    };
+
+    const handleRemoveOverride = async () => {
+        await removeVerdictOverride(file.packageName || result.packageName);
+        await refreshVerdict();
+    };
+
     const handleOpenSettings = async () => {
         const packageName = file.packageName || result.packageName;
-        if (packageName && BehaviorModule) {
-            try { await BehaviorModule.openAppSettings(packageName); }
-            catch (e) { Alert.alert('Error', 'Unable to open app settings.'); }
+        if (packageName) {
+            try { await openAppSettings(packageName); }
+            catch (e) { Alert.alert(t('common.error'), t('scan.settingsFailed')); }
         }
     };
 
-    const confidencePercent = Math.round(result.confidence * 100);
-    const mlPrediction = result.mlPrediction || (mlAnalysis && mlAnalysis.prediction) || 'N/A';
-    const mlConfidence = result.mlConfidence || (mlAnalysis && mlAnalysis.confidence) || 0;
-    const mlConfPercent = Math.round(mlConfidence * 100);
-    const mlProbs = result.mlProbabilities || (mlAnalysis && mlAnalysis.probabilities) || {};
-    const mlIsBenign = mlPrediction === 'Benign';
-    const mlDisplayLabel = mlIsBenign ? 'Safe' : 'Malicious';
-    const mlColor = mlIsBenign ? COLORS.riskLow : COLORS.riskHigh;
+    // Serialize everything on screen and hand it to the share sheet
+    const exportReport = async (format) => {
+        try {
+            const report = buildScanReport({
+                file,
+                result,
+                permissions,
+                malwareAnalysis,
+                mlAnalysis,
+                networkAnalysis,
+                scanDiff,
+                verdict,
+                engineErrors,
+                scanId,
+            });
+            await shareScanReport(report, format);
+        } catch (error) {
+            Alert.alert(t('scan.exportFailed'), error.message);
+        }
+    };
 
-    // Permission grouping for full mode
-    const highRiskPerms = permissions.filter(p => p.riskLevel === 'HIGH');
-    const mediumRiskPerms = permissions.filter(p => p.riskLevel === 'MEDIUM');
-    const lowRiskPerms = permissions.filter(p => p.riskLevel === 'LOW');
+    const handleExport = () => {
+        Alert.alert(t('scan.exportTitle'), t('scan.exportMessage'), [
+            { text: 'JSON', onPress: () => exportReport(REPORT_FORMATS.JSON) },
+            { text: 'Markdown', onPress: () => exportReport(REPORT_FORMATS.MARKDOWN) },
+            { text: 'HTML', onPress: () => exportReport(REPORT_FORMATS.HTML) },
+        ], { cancelable: true });
+    };
+
+    // ── Scanning Overlay ──
+    if (scanRunning) {
+        // Until the engine reports progress (or when it never does) the scan is shown as plain loading
+        if (!scanStage) {
+            return (
+                <SafeAreaView style={styles.container}>
+                    <View style={styles.scanOverlay}>
+                        <ActivityIndicator size="large" color={colors.secondary} />
+                        <Text style={[styles.scanAppName, styles.scanLoadingText]} accessibilityLiveRegion="polite">{t('scan.scanning', { app: file.fileName })}</Text>
+                    </View>
+                </SafeAreaView>
+            );
+        }
 
-    // ── Scanning Animation Overlay ──
-    if (scanAnimating) {
         const progressWidth = scanProgress.interpolate({ inputRange: [0, 1], outputRange: ['0%', '100%'] });
         return (
             <SafeAreaView style={styles.container}>
                 <View style={styles.scanOverlay}>
                     <Animated.View style={[styles.scanPulseCircle, { transform: [{ scale: pulseAnim }] }]}>
-                        <MaterialCommunityIcons name="brain" size={56} color={COLORS.secondary} />
+                        <MaterialCommunityIcons name="brain" size={56} color={colors.secondary} />
                     </Animated.View>
-                    <Text style={styles.scanTitle}>ML Security Analysis</Text>
+                    <Text style={styles.scanTitle}>{t('scan.mlTitle')}</Text>
                     <Text style={styles.scanAppName}>{file.fileName}</Text>
-                    <View style={styles.scanProgressContainer}>
+                    <View style={styles.scanProgressContainer} {...getBarAccessibility(t('a11y.scanProgress'), getOverallProgress(scanStage))}>
                         <Animated.View style={[styles.scanProgressFill, { width: progressWidth }]} />
                     </View>
-                    <Text style={styles.scanStatusText}>{scanStatus}</Text>
+                    <View
+                        style={styles.scanStageList}
+                        accessible
+                        accessibilityLabel={stageMessage}
+                        accessibilityLiveRegion="polite"
+                    >
+                        {ML_SCAN_STAGES.map((stage, index) => {
+                            const done = index < stageIndex;
+                            const active = index === stageIndex;
+                            return (
+                                <View key={stage.key} style={styles.scanStageRow}>
+                                    <MaterialCommunityIcons
+                                        name={done ? 'check-circle' : active ? 'progress-clock' : 'circle-outline'}
+                                        size={16}
+                                        color={done ? colors.riskLow : active ? colors.secondary : colors.textMuted}
+                                    />
+                                    <Text style={[styles.scanStageLabel, !done && !active && styles.scanStagePending]}>
+                                        {t(`scan.stages.${stage.key}`, { defaultValue: stage.label })}
+                                    </Text>
+                                    <Text style={styles.scanStageValue}>
+                                        {done && scanStage.durations[stage.key] != null
+                                            ? formatDuration(scanStage.durations[stage.key])
+                                            : active ? formatPercent(scanStage.stageProgress) : ''}
+                                    </Text>
+                                </View>
+                            );
+                        })}
+                    </View>
+                    <Text style={styles.scanStatusText}>{t('scan.elapsed', { time: formatDuration(scanStage.elapsedMs) })}</Text>
                     <View style={styles.scanModelBadge}>
-                        <MaterialCommunityIcons name="chip" size={14} color={COLORS.secondary} />
-                        <Text style={styles.scanModelText}>EMBER2024 · ONNX Runtime</Text>
+                        <MaterialCommunityIcons name="chip" size={14} color={colors.secondary} />
+                        <Text style={styles.scanModelText}>{t('scan.modelBadge')}</Text>
                     </View>
                 </View>
             </SafeAreaView>
         );
     }
 
+    const confidencePercent = Math.round(result.confidence * 100);
+    const mlPrediction = result.mlPrediction || (mlAnalysis && mlAnalysis.prediction) || 'N/A';
+    const mlConfidence = result.mlConfidence || (mlAnalysis && mlAnalysis.confidence) || 0;
+    const mlConfPercent = Math.round(mlConfidence * 100);
+    const mlProbs = result.mlProbabilities || (mlAnalysis && mlAnalysis.probabilities) || {};
+    const mlAvailable = mlPrediction !== 'N/A';
+    const mlIsBenign = mlPrediction === 'Benign';
+    const mlDisplayLabel = !mlAvailable ? t('scan.ml.unavailable') : (mlIsBenign ? t('scan.ml.safe') : t('scan.ml.malicious'));
+    const mlColor = !mlAvailable ? colors.textMuted : (mlIsBenign ? colors.riskLow : colors.riskHigh);
+    // Stage timings of the native inference that produced this ML result
+    const mlTimings = mlAnalysis?.timings;
+
+    // Final verdict of all engine results under the scoring policy selected in settings
+    // (re-rendered by useSettings when the policy changes)
+    const verdict = getFinalVerdict({
+        heuristic: result,
+        malware: malwareAnalysis,
+        ml: mlAnalysis || (mlAvailable ? { prediction: mlPrediction, confidence: mlConfidence, probabilities: mlProbs } : null),
+    });
+    const verdictColor = getRiskColor(verdict.risk);
+
+    // Provenance: warn whenever sample data or a failed analysis step is part of this report
+    const engineErrors = { ...(result.engineErrors || {}), ...fetchErrors };
+    const failedEngines = Object.keys(engineErrors);
+    const dataSources = [result.source, result.mlSource, malwareAnalysis?.source, mlAnalysis?.source, networkAnalysis?.source, permissions[0]?.source];
+    const bannerSource = dataSources.includes(DATA_SOURCES.MOCK)
+        ? DATA_SOURCES.MOCK
+        : (failedEngines.length > 0 || result.source === DATA_SOURCES.ERROR) ? DATA_SOURCES.ERROR : null;
+    const bannerMessage = bannerSource === DATA_SOURCES.ERROR && failedEngines.length > 0
+        ? t('scan.enginesFailed', {
+            engines: failedEngines
+                .map((engine) => `${t(`scan.engines.${engine}`, { defaultValue: engine })} (${engineErrors[engine].message})`)
+                .join('; '),
+        })
+        : undefined;
+
+    // Permission grouping for full mode
+    const highRiskPerms = permissions.filter(p => p.riskRating === 'HIGH');
+    const mediumRiskPerms = permissions.filter(p => p.riskRating === 'MEDIUM');
+    const lowRiskPerms = permissions.filter(p => p.riskRating === 'LOW');
+
+    const overrideModal = (
+        <OverrideModal
+            visible={overrideVisible}
+            onClose={() => setOverrideVisible(false)}
+            appName={file.fileName}
+            override={result.override}
+            indicators={overrideIndicators}
+            onSave={handleSaveOverride}
+            onRemove={handleRemoveOverride}
+        />
+    );
+
     // ── ML-Only Results Mode ──
     if (isMLMode) {
         return (
@@ -214,24 +506,31 @@ const ScanResultScreen = ({ route, navigation }) => {
 
                         {/* Header with Back */}
                         <View style={styles.headerBar}>
-                            <TouchableOpacity style={styles.headerBackButton} onPress={() => navigation.navigate('HomeMain')} activeOpacity={0.7}>
-                                <MaterialCommunityIcons name="chevron-left" size={28} color={COLORS.textPrimary} />
-                                <Text style={styles.headerBackText}>Home</Text>
+                            <TouchableOpacity style={styles.headerBackButton} onPress={() => navigation.navigate('HomeMain')} activeOpacity={0.7} accessibilityRole="button">
+                                <MaterialCommunityIcons name="chevron-left" size={28} color={colors.textPrimary} />
+                                <Text style={styles.headerBackText}>{t('scan.home')}</Text>
                             </TouchableOpacity>
                         </View>
 
-                        {/* Result Header */}
+                        {/* Result Header: final verdict, with the ML classification it includes */}
                         <View style={styles.mlResultHeader}>
-                            <View style={[styles.mlResultIconCircle, { backgroundColor: mlColor + '20' }]}>
-                                <MaterialCommunityIcons name={mlIsBenign ? 'shield-check' : 'shield-alert'} size={48} color={mlColor} />
+                            <View style={[styles.mlResultIconCircle, { backgroundColor: verdictColor + '20' }]}>
+                                <MaterialCommunityIcons name={verdict.risk === RISK_LEVELS.LOW ? 'shield-check' : 'shield-alert'} size={48} color={verdictColor} />
                             </View>
-                            <Text style={[styles.mlResultVerdict, { color: mlColor }]}>{mlDisplayLabel}</Text>
-                            <Text style={styles.mlResultConfLabel}>{mlConfPercent}% Confidence</Text>
+                            <Text style={[styles.mlResultVerdict, { color: verdictColor }]} accessibilityRole="header">{t('scan.riskVerdict', { risk: formatRisk(verdict.risk) })}</Text>
+                            <Text style={styles.mlResultConfLabel}>
+                                {mlAvailable
+                                    ? t('scan.ml.summary', { label: mlDisplayLabel, confidence: formatPercent(mlConfidence) })
+                                    : t('scan.ml.failed')}
+                            </Text>
                         </View>
 
+                        <DataSourceBanner source={bannerSource} message={bannerMessage} />
+                        <OverrideBanner override={result.override} />
+
                         {/* App Info Card */}
                         <View style={styles.section}>
-                            <Text style={styles.sectionTitle}>Scanned Application</Text>
+                            <Text style={styles.sectionTitle} accessibilityRole="header">{t('scan.scannedApp')}</Text>
                             <View style={styles.card}>
                                 <View style={styles.fileHeader}>
                                     {file.iconBase64 ? (
@@ -241,174 +540,222 @@ const ScanResultScreen = ({ route, navigation }) => {
                                     )}
                                     <View style={styles.fileInfo}>
                                         <Text style={styles.fileName}>{file.fileName}</Text>
-                                        <Text style={styles.fileHash} numberOfLines={1}>Package: {file.packageName || 'N/A'}</Text>
+                                        <Text style={styles.fileHash} numberOfLines={1}>{t('scan.package', { name: file.packageName || t('common.notAvailable') })}</Text>
                                     </View>
                                 </View>
                             </View>
                         </View>
 
+                        <ScanDiffSection diff={scanDiff} />
+
+                        <VerdictSection verdict={verdict} />
+
                         {/* ML Model Details */}
                         <View style={styles.section}>
-                            <Text style={styles.sectionTitle}>Model Information</Text>
+                            <Text style={styles.sectionTitle} accessibilityRole="header">{t('scan.model.title')}</Text>
                             <View style={styles.card}>
                                 <View style={styles.mlDetailRow}>
-                                    <MaterialCommunityIcons name="brain" size={20} color={COLORS.secondary} />
+                                    <MaterialCommunityIcons name="brain" size={20} color={colors.secondary} />
                                     <View style={styles.mlDetailContent}>
-                                        <Text style={styles.mlDetailLabel}>Model</Text>
-                                        <Text style={styles.mlDetailValue}>EMBER2024 APK Classifier</Text>
+                                        <Text style={styles.mlDetailLabel}>{t('scan.model.model')}</Text>
+                                        <Text style={styles.mlDetailValue}>{t('scan.model.modelValue')}</Text>
                                     </View>
                                 </View>
                                 <View style={styles.divider} />
                                 <View style={styles.mlDetailRow}>
-                                    <MaterialCommunityIcons name="chip" size={20} color={COLORS.secondary} />
+                                    <MaterialCommunityIcons name="chip" size={20} color={colors.secondary} />
                                     <View style={styles.mlDetailContent}>
-                                        <Text style={styles.mlDetailLabel}>Runtime</Text>
-                                        <Text style={styles.mlDetailValue}>ONNX Runtime (On-Device)</Text>
+                                        <Text style={styles.mlDetailLabel}>{t('scan.model.runtime')}</Text>
+                                        <Text style={styles.mlDetailValue}>{t('scan.model.runtimeValue')}</Text>
                                     </View>
                                 </View>
                                 <View style={styles.divider} />
                                 <View style={styles.mlDetailRow}>
-                                    <MaterialCommunityIcons name="vector-polyline" size={20} color={COLORS.secondary} />
+                                    <MaterialCommunityIcons name="vector-polyline" size={20} color={colors.secondary} />
                                     <View style={styles.mlDetailContent}>
-                                        <Text style={styles.mlDetailLabel}>Feature Vector</Text>
-                                        <Text style={styles.mlDetailValue}>2381-dimensional (raw APK bytes)</Text>
+                                        <Text style={styles.mlDetailLabel}>{t('scan.model.features')}</Text>
+                                        <Text style={styles.mlDetailValue}>{t('scan.model.featuresValue')}</Text>
                                     </View>
                                 </View>
                                 <View style={styles.divider} />
                                 <View style={styles.mlDetailRow}>
-                                    <MaterialCommunityIcons name="target" size={20} color={COLORS.secondary} />
+                                    <MaterialCommunityIcons name="target" size={20} color={colors.secondary} />
                                     <View style={styles.mlDetailContent}>
-                                        <Text style={styles.mlDetailLabel}>Classification</Text>
-                                        <Text style={styles.mlDetailValue}>Binary (Safe / Malicious)</Text>
+                                        <Text style={styles.mlDetailLabel}>{t('scan.model.classification')}</Text>
+                                        <Text style={styles.mlDetailValue}>{t('scan.model.classificationValue')}</Text>
                                     </View>
                                 </View>
+                                {mlTimings && (
+                                    <>
+                                        <View style={styles.divider} />
+                                        <View style={styles.mlDetailRow}>
+                                            <MaterialCommunityIcons name="timer-outline" size={20} color={colors.secondary} />
+                                            <View style={styles.mlDetailContent}>
+                                                <Text style={styles.mlDetailLabel}>
+                                                    {mlAnalysis.source === DATA_SOURCES.CACHE ? t('scan.model.scanTimeCached') : t('scan.model.scanTime')}
+                                                </Text>
+                                                <Text style={styles.mlDetailValue}>{formatDuration(mlTimings.total)}</Text>
+                                                {ML_SCAN_STAGES.filter((stage) => mlTimings[stage.key] != null).map((stage) => (
+                                                    <Text key={stage.key} style={styles.mlTimingText}>
+                                                        {t(`scan.stages.${stage.key}`, { defaultValue: stage.label })}: {formatDuration(mlTimings[stage.key])}
+                                                    </Text>
+                                                ))}
+                                            </View>
+                                        </View>
+                                    </>
+                                )}
                             </View>
                         </View>
 
-                        {/* Classification Result */}
-                        <View style={styles.section}>
-                            <Text style={styles.sectionTitle}>Classification Result</Text>
-                            <View style={styles.card}>
-                                {/* Prediction Badge */}
-                                <View style={styles.mlPredictionRow}>
-                                    <View style={[styles.mlIconContainer, { backgroundColor: mlColor + '15' }]}>
-                                        <MaterialCommunityIcons name={mlIsBenign ? 'check-decagram' : 'alert-decagram'} size={28} color={mlColor} />
-                                    </View>
-                                    <View style={styles.mlPredictionInfo}>
-                                        <Text style={styles.mlPredictionLabel}>Prediction</Text>
-                                        <View style={styles.mlPredictionBadgeRow}>
-                                            <View style={[styles.mlPredictionBadge, { backgroundColor: mlColor + '20' }]}>
-                                                <Text style={[styles.mlPredictionBadgeText, { color: mlColor }]}>{mlPrediction}</Text>
+                        {mlAvailable ? (
+                            <>
+                                {/* Classification Result */}
+                                <View style={styles.section}>
+                                    <Text style={styles.sectionTitle} accessibilityRole="header">{t('scan.ml.resultTitle')}</Text>
+                                    <View style={styles.card}>
+                                        {/* Prediction Badge */}
+                                        <View style={styles.mlPredictionRow}>
+                                            <View style={[styles.mlIconContainer, { backgroundColor: mlColor + '15' }]}>
+                                                <MaterialCommunityIcons name={mlIsBenign ? 'check-decagram' : 'alert-decagram'} size={28} color={mlColor} />
+                                            </View>
+                                            <View style={styles.mlPredictionInfo}>
+                                                <Text style={styles.mlPredictionLabel}>{t('scan.ml.prediction')}</Text>
+                                                <View style={styles.mlPredictionBadgeRow}>
+                                                    <View style={[styles.mlPredictionBadge, { backgroundColor: mlColor + '20' }]}>
+                                                        <Text style={[styles.mlPredictionBadgeText, { color: mlColor }]}>{t(`scan.ml.classes.${mlPrediction}`, { defaultValue: mlPrediction })}</Text>
+                                                    </View>
+                                                </View>
                                             </View>
                                         </View>
-                                    </View>
-                                </View>
-
-                                <View style={styles.divider} />
-
-                                {/* Confidence Bar */}
-                                <View style={styles.confidenceSection}>
-                                    <View style={styles.confidenceHeader}>
-                                        <Text style={styles.assessmentLabel}>Detection Confidence</Text>
-                                        <Text style={[styles.confidenceValue, { color: mlColor }]}>{mlConfPercent}%</Text>
-                                    </View>
-                                    <View style={styles.progressBar}>
-                                        <View style={[styles.progressFill, { width: `${mlConfPercent}%`, backgroundColor: mlColor }]} />
-                                    </View>
-                                </View>
 
-                                <View style={styles.divider} />
+                                        <View style={styles.divider} />
 
-                                {/* Class Probabilities */}
-                                <Text style={styles.explanationTitle}>Class Probabilities</Text>
-                                {[{ key: 'Benign', label: 'Safe' }, { key: 'Malicious', label: 'Malicious' }].map(({ key: cls, label }) => {
-                                    const prob = mlProbs[cls] || 0;
-                                    const pct = Math.round(prob * 100);
-                                    const clsColor = cls === 'Benign' ? COLORS.riskLow : COLORS.riskHigh;
-                                    return (
-                                        <View key={cls} style={styles.mlProbRow}>
-                                            <Text style={styles.mlProbLabel}>{cls}</Text>
-                                            <View style={styles.mlProbBarContainer}>
-                                                <View style={[styles.mlProbBar, { width: `${Math.max(pct, 2)}%`, backgroundColor: clsColor }]} />
+                                        {/* Confidence Bar */}
+                                        <View style={styles.confidenceSection} {...getBarAccessibility(t('scan.confidence'), mlConfidence)}>
+                                            <View style={styles.confidenceHeader}>
+                                                <Text style={styles.assessmentLabel}>{t('scan.confidence')}</Text>
+                                                <Text style={[styles.confidenceValue, { color: mlColor }]}>{formatPercent(mlConfidence)}</Text>
+                                            </View>
+                                            <View style={styles.progressBar}>
+                                                <View style={[styles.progressFill, { width: `${mlConfPercent}%`, backgroundColor: mlColor }]} />
                                             </View>
-                                            <Text style={styles.mlProbValue}>{pct}%</Text>
                                         </View>
-                                    );
-                                })}
-                            </View>
-                        </View>
 
-                        {/* Risk Interpretation */}
-                        <View style={styles.section}>
-                            <Text style={styles.sectionTitle}>Risk Interpretation</Text>
-                            <View style={styles.card}>
-                                <View style={[styles.riskInterpretBanner, { backgroundColor: mlColor + '10', borderLeftColor: mlColor }]}>
-                                    <MaterialCommunityIcons name={mlIsBenign ? 'information' : 'alert'} size={20} color={mlColor} />
-                                    <Text style={[styles.riskInterpretText, { color: mlColor }]}>
-                                        {mlIsBenign
-                                            ? 'The ML model classifies this application as benign software with no malicious behavior detected in the binary structure.'
-                                            : 'The ML model has identified patterns in the APK binary that are consistent with known malicious software.'}
-                                    </Text>
+                                        <View style={styles.divider} />
+
+                                        {/* Class Probabilities */}
+                                        <Text style={styles.explanationTitle}>{t('scan.ml.probabilities')}</Text>
+                                        {['Benign', 'Malicious'].map((cls) => {
+                                            const prob = mlProbs[cls] || 0;
+                                            const pct = Math.round(prob * 100);
+                                            const clsColor = cls === 'Benign' ? colors.riskLow : colors.riskHigh;
+                                            return (
+                                                <View key={cls} style={styles.mlProbRow} {...getBarAccessibility(t('a11y.probability', { label: t(`scan.ml.classes.${cls}`) }), prob)}>
+                                                    <Text style={styles.mlProbLabel}>{t(`scan.ml.classes.${cls}`)}</Text>
+                                                    <View style={styles.mlProbBarContainer}>
+                                                        <View style={[styles.mlProbBar, { width: `${Math.max(pct, 2)}%`, backgroundColor: clsColor }]} />
+                                                    </View>
+                                                    <Text style={styles.mlProbValue}>{formatPercent(prob)}</Text>
+                                                </View>
+                                            );
+                                        })}
+                                    </View>
                                 </View>
-                                <View style={styles.divider} />
-                                <Text style={styles.explanationTitle}>What does this mean?</Text>
-                                {mlIsBenign ? (
-                                    <>
-                                        <View style={styles.explanationRow}>
-                                            <MaterialCommunityIcons name="check-circle" size={16} color={COLORS.riskLow} />
-                                            <Text style={styles.explanationText}>No malicious code patterns detected in the APK binary analysis.</Text>
-                                        </View>
-                                        <View style={styles.explanationRow}>
-                                            <MaterialCommunityIcons name="check-circle" size={16} color={COLORS.riskLow} />
-                                            <Text style={styles.explanationText}>Binary feature distribution is consistent with legitimate applications.</Text>
-                                        </View>
-                                        <View style={styles.explanationRow}>
-                                            <MaterialCommunityIcons name="check-circle" size={16} color={COLORS.riskLow} />
-                                            <Text style={styles.explanationText}>The app can be used safely based on the ML assessment.</Text>
-                                        </View>
-                                    </>
-                                ) : (
-                                    <>
-                                        <View style={styles.explanationRow}>
-                                            <MaterialCommunityIcons name="alert-circle" size={16} color={COLORS.riskHigh} />
-                                            <Text style={styles.explanationText}>APK binary features match known malware signatures in the training dataset.</Text>
-                                        </View>
-                                        <View style={styles.explanationRow}>
-                                            <MaterialCommunityIcons name="alert-circle" size={16} color={COLORS.riskHigh} />
-                                            <Text style={styles.explanationText}>This app may contain code designed to steal data, display unwanted ads, or perform unauthorized actions.</Text>
-                                        </View>
-                                        <View style={styles.explanationRow}>
-                                            <MaterialCommunityIcons name="alert-circle" size={16} color={COLORS.riskHigh} />
-                                            <Text style={styles.explanationText}>Consider uninstalling this application and reporting it.</Text>
+
+                                {/* Risk Interpretation - hidden when "Detailed Risk Info" is off */}
+                                {showDetailedRisk && (
+                                    <View style={styles.section}>
+                                        <Text style={styles.sectionTitle} accessibilityRole="header">{t('scan.ml.interpretation')}</Text>
+                                        <View style={styles.card}>
+                                            <View style={[styles.riskInterpretBanner, { backgroundColor: mlColor + '10', borderLeftColor: mlColor }]}>
+                                                <MaterialCommunityIcons name={mlIsBenign ? 'information' : 'alert'} size={20} color={mlColor} />
+                                                <Text style={[styles.riskInterpretText, { color: mlColor }]}>
+                                                    {mlIsBenign
+                                                        ? t('scan.ml.benignSummary')
+                                                        : t('scan.ml.maliciousSummary')}
+                                                </Text>
+                                            </View>
+                                            <View style={styles.divider} />
+                                            <Text style={styles.explanationTitle}>{t('scan.ml.meaning')}</Text>
+                                            {mlIsBenign ? (
+                                                <>
+                                                    <View style={styles.explanationRow}>
+                                                        <MaterialCommunityIcons name="check-circle" size={16} color={colors.riskLow} />
+                                                        <Text style={styles.explanationText}>{t('scan.ml.benignPoints.patterns')}</Text>
+                                                    </View>
+                                                    <View style={styles.explanationRow}>
+                                                        <MaterialCommunityIcons name="check-circle" size={16} color={colors.riskLow} />
+                                                        <Text style={styles.explanationText}>{t('scan.ml.benignPoints.features')}</Text>
+                                                    </View>
+                                                    <View style={styles.explanationRow}>
+                                                        <MaterialCommunityIcons name="check-circle" size={16} color={colors.riskLow} />
+                                                        <Text style={styles.explanationText}>{t('scan.ml.benignPoints.safe')}</Text>
+                                                    </View>
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <View style={styles.explanationRow}>
+                                                        <MaterialCommunityIcons name="alert-circle" size={16} color={colors.riskHigh} />
+                                                        <Text style={styles.explanationText}>{t('scan.ml.maliciousPoints.signatures')}</Text>
+                                                    </View>
+                                                    <View style={styles.explanationRow}>
+                                                        <MaterialCommunityIcons name="alert-circle" size={16} color={colors.riskHigh} />
+                                                        <Text style={styles.explanationText}>{t('scan.ml.maliciousPoints.behavior')}</Text>
+                                                    </View>
+                                                    <View style={styles.explanationRow}>
+                                                        <MaterialCommunityIcons name="alert-circle" size={16} color={colors.riskHigh} />
+                                                        <Text style={styles.explanationText}>{t('scan.ml.maliciousPoints.advice')}</Text>
+                                                    </View>
+                                                </>
+                                            )}
                                         </View>
-                                    </>
+                                    </View>
                                 )}
+                            </>
+                        ) : (
+                            <View style={styles.section}>
+                                <Text style={styles.sectionTitle} accessibilityRole="header">{t('scan.ml.resultTitle')}</Text>
+                                <View style={styles.card}>
+                                    <View style={styles.mlUnavailable}>
+                                        <MaterialCommunityIcons name="brain" size={24} color={colors.textMuted} />
+                                        <Text style={styles.mlUnavailableText}>{t('scan.ml.notAvailable')}</Text>
+                                    </View>
+                                </View>
                             </View>
-                        </View>
+                        )}
 
                         {/* Actions */}
                         <View style={styles.section}>
-                            <Text style={styles.sectionTitle}>Actions</Text>
+                            <Text style={styles.sectionTitle} accessibilityRole="header">{t('scan.actions.title')}</Text>
                             <View style={styles.actionButtonsContainer}>
-                                <TouchableOpacity style={[styles.actionButton, styles.settingsButton]} onPress={handleOpenSettings}>
-                                    <MaterialCommunityIcons name="cog" size={20} color={COLORS.secondary} />
-                                    <Text style={styles.settingsButtonText}>App Settings</Text>
+                                <TouchableOpacity style={[styles.actionButton, styles.settingsButton]} onPress={handleOpenSettings} accessibilityRole="button">
+                                    <MaterialCommunityIcons name="cog" size={20} color={colors.secondary} />
+                                    <Text style={styles.settingsButtonText}>{t('scan.actions.appSettings')}</Text>
                                 </TouchableOpacity>
-                                <TouchableOpacity style={[styles.actionButton, styles.uninstallButton]} onPress={handleUninstall}>
-                                    <MaterialCommunityIcons name="delete" size={20} color={COLORS.riskHigh} />
-                                    <Text style={styles.uninstallButtonText}>Uninstall</Text>
+                                <TouchableOpacity style={[styles.actionButton, styles.uninstallButton]} onPress={handleUninstall} accessibilityRole="button">
+                                    <MaterialCommunityIcons name="delete" size={20} color={colors.riskHigh} />
+                                    <Text style={styles.uninstallButtonText}>{t('scan.actions.uninstall')}</Text>
                                 </TouchableOpacity>
                             </View>
+                            <TouchableOpacity style={[styles.actionButton, styles.exportButton]} onPress={handleExport} accessibilityRole="button">
+                                <MaterialCommunityIcons name="export-variant" size={20} color={colors.secondary} />
+                                <Text style={styles.settingsButtonText}>{t('scan.actions.export')}</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={[styles.actionButton, styles.exportButton]} onPress={handleOverride} accessibilityRole="button">
+                                <MaterialCommunityIcons name="account-edit" size={20} color={colors.secondary} />
+                                <Text style={styles.settingsButtonText}>{result.override ? t('scan.actions.editOverride') : t('scan.actions.override')}</Text>
+                            </TouchableOpacity>
                         </View>
 
                         {/* Back Button */}
-                        <TouchableOpacity style={styles.backButton} onPress={() => navigation.navigate('HomeMain')} activeOpacity={0.7}>
-                            <MaterialCommunityIcons name="arrow-left" size={18} color={COLORS.secondary} />
-                            <Text style={styles.backButtonText}>Back to Home</Text>
+                        <TouchableOpacity style={styles.backButton} onPress={() => navigation.navigate('HomeMain')} activeOpacity={0.7} accessibilityRole="button">
+                            <MaterialCommunityIcons name="arrow-left" size={18} color={colors.secondary} />
+                            <Text style={styles.backButtonText}>{t('scan.backHome')}</Text>
                         </TouchableOpacity>
 
                     </Animated.View>
                 </ScrollView>
+                {overrideModal}
             </SafeAreaView>
         );
     }
@@ -418,19 +765,19 @@ const ScanResultScreen = ({ route, navigation }) => {
 
     const getThreatExplanation = () => {
         const explanations = [];
-        if (result.risk === RISK_LEVELS.HIGH) explanations.push('This app has requested multiple high-risk permissions that could compromise your privacy.');
-        else if (result.risk === RISK_LEVELS.MEDIUM) explanations.push('This app has some permissions that may pose moderate privacy risks.');
+        if (verdict.risk === RISK_LEVELS.HIGH) explanations.push(t('scan.threat.highRisk'));
+        else if (verdict.risk === RISK_LEVELS.MEDIUM) explanations.push(t('scan.threat.mediumRisk'));
         if (malwareAnalysis) {
-            if (malwareAnalysis.suspiciousNameMatch) explanations.push('The app name matches known suspicious patterns.');
-            if (malwareAnalysis.matchedComboCount > 0) explanations.push(`Detected ${malwareAnalysis.matchedComboCount} suspicious permission combinations.`);
-            if (malwareAnalysis.indicators && malwareAnalysis.indicators.length > 0) explanations.push('Behavioral indicators suggest potential malicious activity.');
+            if (malwareAnalysis.suspiciousNameMatch) explanations.push(t('scan.threat.suspiciousName'));
+            if (malwareAnalysis.matchedComboCount > 0) explanations.push(t('scan.threat.combos', { count: malwareAnalysis.matchedComboCount }));
+            if (malwareAnalysis.indicators && malwareAnalysis.indicators.length > 0) explanations.push(t('scan.threat.indicators'));
         }
-        const hrPerms = permissions.filter(p => p.riskLevel === 'HIGH');
-        if (hrPerms.length > 0) {
-            const permNames = hrPerms.slice(0, 3).map(p => p.shortName).join(', ');
-            explanations.push(`High-risk permissions detected: ${permNames}.`);
+        // Same catalog rating as the Permission Breakdown grouping
+        if (highRiskPerms.length > 0) {
+            const permNames = highRiskPerms.slice(0, 3).map(p => p.shortName).join(', ');
+            explanations.push(t('scan.threat.highRiskPermissions', { permissions: permNames }));
         }
-        if (explanations.length === 0) explanations.push('This app appears to be safe with no significant security concerns.');
+        if (explanations.length === 0) explanations.push(t('scan.threat.safe'));
         return explanations;
     };
 
@@ -440,20 +787,23 @@ const ScanResultScreen = ({ route, navigation }) => {
 
                 {/* Header with Back Button */}
                 <View style={styles.headerBar}>
-                    <TouchableOpacity style={styles.headerBackButton} onPress={() => navigation.navigate('HomeMain')} activeOpacity={0.7}>
-                        <MaterialCommunityIcons name="chevron-left" size={28} color={COLORS.textPrimary} />
-                        <Text style={styles.headerBackText}>Home</Text>
+                    <TouchableOpacity style={styles.headerBackButton} onPress={() => navigation.navigate('HomeMain')} activeOpacity={0.7} accessibilityRole="button">
+                        <MaterialCommunityIcons name="chevron-left" size={28} color={colors.textPrimary} />
+                        <Text style={styles.headerBackText}>{t('scan.home')}</Text>
                     </TouchableOpacity>
                 </View>
                 <View style={styles.header}>
                     <Text style={styles.headerIcon}>📋</Text>
-                    <Text style={styles.headerTitle}>Security Report</Text>
-                    <Text style={styles.headerSubtitle}>File Analysis Complete</Text>
+                    <Text style={styles.headerTitle} accessibilityRole="header">{t('scan.reportTitle')}</Text>
+                    <Text style={styles.headerSubtitle}>{t('scan.reportSubtitle')}</Text>
                 </View>
 
+                <DataSourceBanner source={bannerSource} message={bannerMessage} />
+                <OverrideBanner override={result.override} />
+
                 {/* File Details */}
                 <View style={styles.section}>
-                    <Text style={styles.sectionTitle}>File Details</Text>
+                    <Text style={styles.sectionTitle} accessibilityRole="header">{t('scan.fileDetails')}</Text>
                     <View style={styles.card}>
                         <View style={styles.fileHeader}>
                             {file.iconBase64 ? (
@@ -463,18 +813,18 @@ const ScanResultScreen = ({ route, navigation }) => {
                             )}
                             <View style={styles.fileInfo}>
                                 <Text style={styles.fileName}>{file.fileName}</Text>
-                                <Text style={styles.fileHash} numberOfLines={1}>Hash: {file.hash}</Text>
+                                <Text style={styles.fileHash} numberOfLines={1}>{t('scan.hash', { hash: file.hash })}</Text>
                             </View>
                         </View>
                         <View style={styles.divider} />
                         <View style={styles.detailsGrid}>
                             <View style={styles.detailItem}>
-                                <Text style={styles.detailLabel}>File Type</Text>
+                                <Text style={styles.detailLabel}>{t('scan.fileType')}</Text>
                                 <Text style={styles.detailValue}>{file.fileType.toUpperCase()}</Text>
                             </View>
                             <View style={styles.detailItem}>
-                                <Text style={styles.detailLabel}>File Size</Text>
-                                <Text style={styles.detailValue}>{file.fileSize}</Text>
+                                <Text style={styles.detailLabel}>{t('scan.fileSize')}</Text>
+                                <Text style={styles.detailValue}>{formatFileSize(file.fileSize)}</Text>
                             </View>
                         </View>
                     </View>
@@ -482,78 +832,82 @@ const ScanResultScreen = ({ route, navigation }) => {
 
                 {/* Security Assessment */}
                 <View style={styles.section}>
-                    <Text style={styles.sectionTitle}>Security Assessment</Text>
+                    <Text style={styles.sectionTitle} accessibilityRole="header">{t('scan.assessment')}</Text>
                     <View style={styles.card}>
                         <View style={styles.assessmentRow}>
-                            <Text style={styles.assessmentLabel}>Risk Level</Text>
-                            <RiskBadge risk={result.risk} style={styles.riskBadge} />
+                            <Text style={styles.assessmentLabel}>{t('scan.riskLevel')}</Text>
+                            <RiskBadge risk={verdict.risk} overridden={Boolean(result.override)} style={styles.riskBadge} />
                         </View>
                         <View style={styles.divider} />
-                        <View style={styles.confidenceSection}>
+                        <View style={styles.confidenceSection} {...getBarAccessibility(t('scan.confidence'), result.confidence)}>
                             <View style={styles.confidenceHeader}>
-                                <Text style={styles.assessmentLabel}>Detection Confidence</Text>
-                                <Text style={styles.confidenceValue}>{confidencePercent}%</Text>
+                                <Text style={styles.assessmentLabel}>{t('scan.confidence')}</Text>
+                                <Text style={styles.confidenceValue}>{formatPercent(result.confidence)}</Text>
                             </View>
                             <View style={styles.progressBar}>
-                                <View style={[styles.progressFill, { width: `${confidencePercent}%`, backgroundColor: getActionColor(result.action) }]} />
+                                <View style={[styles.progressFill, { width: `${confidencePercent}%`, backgroundColor: getActionColor(verdict.action) }]} />
                             </View>
                         </View>
                     </View>
                 </View>
 
+                <VerdictSection verdict={verdict} />
+
+                <ScanDiffSection diff={scanDiff} />
+
                 {/* ML Classification */}
                 <View style={styles.section}>
-                    <Text style={styles.sectionTitle}>ML Classification</Text>
+                    <Text style={styles.sectionTitle} accessibilityRole="header">{t('scan.ml.title')}</Text>
                     <View style={styles.card}>
                         {loading ? (
-                            <ActivityIndicator color={COLORS.secondary} />
-                        ) : (mlAnalysis || result.mlAvailable) ? (
+                            <ActivityIndicator color={colors.secondary} />
+                        ) : mlAvailable ? (
                             <>
                                 <View style={styles.mlPredictionRow}>
                                     <View style={styles.mlIconContainer}>
-                                        <MaterialCommunityIcons name="brain" size={24} color={COLORS.secondary} />
+                                        <MaterialCommunityIcons name="brain" size={24} color={colors.secondary} />
                                     </View>
                                     <View style={styles.mlPredictionInfo}>
-                                        <Text style={styles.mlPredictionLabel}>EMBER2024 Model</Text>
+                                        <Text style={styles.mlPredictionLabel}>{t('scan.ml.model')}</Text>
                                         <View style={styles.mlPredictionBadgeRow}>
                                             <View style={[styles.mlPredictionBadge, { backgroundColor: mlColor + '20' }]}>
-                                                <Text style={[styles.mlPredictionBadgeText, { color: mlColor }]}>{mlPrediction}</Text>
+                                                <Text style={[styles.mlPredictionBadgeText, { color: mlColor }]}>{t(`scan.ml.classes.${mlPrediction}`, { defaultValue: mlPrediction })}</Text>
                                             </View>
-                                            <Text style={styles.mlConfText}>{mlConfPercent}% confidence</Text>
+                                            <Text style={styles.mlConfText}>{t('scan.ml.confidence', { confidence: formatPercent(mlConfidence) })}</Text>
                                         </View>
                                     </View>
                                 </View>
                                 <View style={styles.divider} />
-                                <View style={styles.confidenceSection}>
+                                <View style={styles.confidenceSection} {...getBarAccessibility(t('scan.ml.confidenceLabel'), mlConfidence)}>
                                     <View style={styles.confidenceHeader}>
-                                        <Text style={styles.assessmentLabel}>ML Confidence</Text>
-                                        <Text style={styles.confidenceValue}>{mlConfPercent}%</Text>
+                                        <Text style={styles.assessmentLabel}>{t('scan.ml.confidenceLabel')}</Text>
+                                        <Text style={styles.confidenceValue}>{formatPercent(mlConfidence)}</Text>
                                     </View>
                                     <View style={styles.progressBar}>
                                         <View style={[styles.progressFill, { width: `${mlConfPercent}%`, backgroundColor: mlColor }]} />
                                     </View>
                                 </View>
                                 <View style={styles.divider} />
-                                <Text style={styles.explanationTitle}>Class Probabilities</Text>
-                                {[{ key: 'Benign', label: 'Safe' }, { key: 'Malicious', label: 'Malicious' }].map(({ key: cls, label }) => {
+                                <Text style={styles.explanationTitle}>{t('scan.ml.probabilities')}</Text>
+                                {['Benign', 'Malicious'].map((cls) => {
                                     const prob = mlProbs[cls] || 0;
                                     const pct = Math.round(prob * 100);
-                                    const clsColor = cls === 'Benign' ? COLORS.riskLow : COLORS.riskHigh;
+                                    const clsColor = cls === 'Benign' ? colors.riskLow : colors.riskHigh;
                                     return (
-                                        <View key={cls} style={styles.mlProbRow}>
-                                            <Text style={styles.mlProbLabel}>{cls}</Text>
+                                        <View key={cls} style={styles.mlProbRow} {...getBarAccessibility(t('a11y.probability', { label: t(`scan.ml.classes.${cls}`) }), prob)}>
+                                            <Text style={styles.mlProbLabel}>{t(`scan.ml.classes.${cls}`)}</Text>
                                             <View style={styles.mlProbBarContainer}>
                                                 <View style={[styles.mlProbBar, { width: `${Math.max(pct, 2)}%`, backgroundColor: clsColor }]} />
                                             </View>
-                                            <Text style={styles.mlProbValue}>{pct}%</Text>
+                                            <Text style={styles.mlProbValue}>{formatPercent(prob)}</Text>
                                         </View>
                                     );
                                 })}
                             </>
                         ) : (
                             <View style={styles.mlUnavailable}>
-                                <MaterialCommunityIcons name="brain" size={24} color={COLORS.textMuted} />
-                                <Text style={styles.mlUnavailableText}>ML analysis not available</Text>
+                                <MaterialCommunityIcons name="brain" size={24} color={colors.textMuted} />
+                                <Text style={styles.mlUnavailableText}>{t('scan.ml.notAvailable')}</Text>
                             </View>
                         )}
                     </View>
@@ -561,70 +915,77 @@ const ScanResultScreen = ({ route, navigation }) => {
 
                 {/* App Information */}
                 <View style={styles.section}>
-                    <Text style={styles.sectionTitle}>App Information</Text>
+                    <Text style={styles.sectionTitle} accessibilityRole="header">{t('scan.info.title')}</Text>
                     <View style={styles.card}>
                         <View style={styles.infoRow}>
                             <View style={styles.infoIconContainer}>
-                                <MaterialCommunityIcons name={result.isFromPlayStore ? 'google-play' : (result.isSideloaded ? 'download' : 'store')} size={20} color={result.isFromPlayStore ? COLORS.riskLow : (result.isSideloaded ? COLORS.riskMedium : COLORS.textSecondary)} />
+                                <MaterialCommunityIcons name={result.isFromPlayStore ? 'google-play' : (result.isSideloaded ? 'download' : 'store')} size={20} color={result.isFromPlayStore ? colors.riskLow : (result.isSideloaded ? colors.riskMedium : colors.textSecondary)} />
                             </View>
                             <View style={styles.infoContent}>
-                                <Text style={styles.infoLabel}>Installation Source</Text>
-                                <Text style={[styles.infoValue, { color: result.isFromPlayStore ? COLORS.riskLow : (result.isSideloaded ? COLORS.riskMedium : COLORS.textPrimary) }]}>
-                                    {result.isFromPlayStore ? '✓ Google Play Store' : (result.isSideloaded ? '⚠ Sideloaded' : 'Third-Party Store')}
+                                <Text style={styles.infoLabel}>{t('scan.info.source')}</Text>
+                                <Text style={[styles.infoValue, { color: result.isFromPlayStore ? colors.riskLow : (result.isSideloaded ? colors.riskMedium : colors.textPrimary) }]}>
+                                    {result.isFromPlayStore ? t('scan.info.playStore') : (result.isSideloaded ? t('scan.info.sideloaded') : t('scan.info.thirdParty'))}
                                 </Text>
                             </View>
                         </View>
                         <View style={styles.divider} />
                         <View style={styles.infoRow}>
                             <View style={styles.infoIconContainer}>
-                                <MaterialCommunityIcons name={result.isTrusted ? 'shield-check' : 'shield-outline'} size={20} color={result.isTrusted ? COLORS.riskLow : COLORS.textSecondary} />
+                                <MaterialCommunityIcons name={result.isTrusted ? 'shield-check' : 'shield-outline'} size={20} color={result.isTrusted ? colors.riskLow : colors.textSecondary} />
                             </View>
                             <View style={styles.infoContent}>
-                                <Text style={styles.infoLabel}>Publisher Status</Text>
-                                <Text style={[styles.infoValue, { color: result.isTrusted ? COLORS.riskLow : COLORS.textPrimary }]}>
-                                    {result.isTrusted ? '✓ Verified Publisher' : 'Unverified Publisher'}
+                                <Text style={styles.infoLabel}>{t('scan.info.publisher')}</Text>
+                                <Text style={[styles.infoValue, { color: result.isTrusted ? colors.riskLow : colors.textPrimary }]}>
+                                    {result.isTrusted ? t('scan.info.verified') : t('scan.info.unverified')}
                                 </Text>
                             </View>
                         </View>
                         <View style={styles.divider} />
                         <View style={styles.infoRow}>
                             <View style={styles.infoIconContainer}>
-                                <MaterialCommunityIcons name="package-variant" size={20} color={COLORS.textMuted} />
+                                <MaterialCommunityIcons name="package-variant" size={20} color={colors.textMuted} />
                             </View>
                             <View style={styles.infoContent}>
-                                <Text style={styles.infoLabel}>Package Name</Text>
-                                <Text style={[styles.infoValue, styles.packageNameText]} numberOfLines={1}>{file.packageName || result.packageName || 'Unknown'}</Text>
+                                <Text style={styles.infoLabel}>{t('scan.info.packageName')}</Text>
+                                <Text style={[styles.infoValue, styles.packageNameText]} numberOfLines={1}>{file.packageName || result.packageName || t('common.unknown')}</Text>
                             </View>
                         </View>
                     </View>
                 </View>
 
-                {/* Threat Details - only for MEDIUM/HIGH */}
-                {result.risk !== 'LOW' && (
+                <AppMetadataSection metadata={appMetadata.data} loading={appMetadata.loading} error={appMetadata.error} />
+
+                <NetworkSection network={networkAnalysis} loading={loading} error={engineErrors.network} />
+
+                {/* Risk Breakdown - hidden when "Detailed Risk Info" is off or the engine sent no breakdown */}
+                {showDetailedRisk && Array.isArray(result.riskBreakdown) && <RiskBreakdownSection result={result} />}
+
+                {/* Threat Details - only for MEDIUM/HIGH, hidden when "Detailed Risk Info" is off */}
+                {showDetailedRisk && verdict.risk !== RISK_LEVELS.LOW && (
                     <View style={styles.section}>
-                        <Text style={styles.sectionTitle}>Threat Analysis</Text>
+                        <Text style={styles.sectionTitle} accessibilityRole="header">{t('scan.threat.title')}</Text>
                         <View style={styles.card}>
                             {loading ? (
-                                <ActivityIndicator color={COLORS.secondary} />
+                                <ActivityIndicator color={colors.secondary} />
                             ) : (
                                 <>
                                     {malwareAnalysis && (
                                         <View style={styles.threatScoreRow}>
                                             <View style={styles.threatScoreCircle}>
                                                 <Text style={styles.threatScoreValue}>{malwareAnalysis.threatScore}</Text>
-                                                <Text style={styles.threatScoreLabel}>Score</Text>
+                                                <Text style={styles.threatScoreLabel}>{t('scan.threat.score')}</Text>
                                             </View>
                                             <View style={styles.threatInfo}>
-                                                <Text style={[styles.threatLevel, { color: getRiskColor(malwareAnalysis.threatLevel) }]}>{malwareAnalysis.threatLevel} THREAT</Text>
-                                                <Text style={styles.threatStatus}>{malwareAnalysis.isSafe ? '✓ App appears safe' : '⚠ Potential risks detected'}</Text>
+                                                <Text style={[styles.threatLevel, { color: getRiskColor(malwareAnalysis.threatLevel) }]}>{t('scan.threat.level', { level: t(`scan.threat.levels.${malwareAnalysis.threatLevel}`, { defaultValue: malwareAnalysis.threatLevel }) })}</Text>
+                                                <Text style={styles.threatStatus}>{malwareAnalysis.isSafe ? t('scan.threat.appearsSafe') : t('scan.threat.risksDetected')}</Text>
                                             </View>
                                         </View>
                                     )}
                                     <View style={styles.divider} />
-                                    <Text style={styles.explanationTitle}>Why this assessment?</Text>
+                                    <Text style={styles.explanationTitle}>{t('scan.threat.why')}</Text>
                                     {getThreatExplanation().map((explanation, index) => (
                                         <View key={index} style={styles.explanationRow}>
-                                            <MaterialCommunityIcons name={result.risk === RISK_LEVELS.LOW ? 'check-circle' : 'alert-circle'} size={16} color={result.risk === RISK_LEVELS.LOW ? COLORS.riskLow : COLORS.riskMedium} />
+                                            <MaterialCommunityIcons name={result.risk === RISK_LEVELS.LOW ? 'check-circle' : 'alert-circle'} size={16} color={result.risk === RISK_LEVELS.LOW ? colors.riskLow : colors.riskMedium} />
                                             <Text style={styles.explanationText}>{explanation}</Text>
                                         </View>
                                     ))}
@@ -634,50 +995,44 @@ const ScanResultScreen = ({ route, navigation }) => {
                     </View>
                 )}
 
-                {/* Permission Breakdown - only for MEDIUM/HIGH */}
-                {result.risk !== 'LOW' && (
+                {/* Permission Breakdown - only for MEDIUM/HIGH, hidden when "Detailed Risk Info" is off */}
+                {showDetailedRisk && verdict.risk !== RISK_LEVELS.LOW && (
                     <View style={styles.section}>
-                        <Text style={styles.sectionTitle}>Permission Breakdown</Text>
+                        <Text style={styles.sectionTitle} accessibilityRole="header">{t('scan.permissions.title')}</Text>
                         <View style={styles.card}>
                             {loading ? (
-                                <ActivityIndicator color={COLORS.secondary} />
+                                <ActivityIndicator color={colors.secondary} />
                             ) : permissions.length === 0 ? (
-                                <Text style={styles.noPermissions}>No special permissions required</Text>
+                                <Text style={styles.noPermissions}>{t('scan.permissions.none')}</Text>
                             ) : (
                                 <>
                                     <View style={styles.permissionStats}>
-                                        <View style={[styles.permStat, { backgroundColor: COLORS.riskHigh + '20' }]}>
-                                            <Text style={[styles.permStatNum, { color: COLORS.riskHigh }]}>{highRiskPerms.length}</Text>
-                                            <Text style={styles.permStatLabel}>High</Text>
+                                        <View style={[styles.permStat, { backgroundColor: colors.riskHigh + '20' }]}>
+                                            <Text style={[styles.permStatNum, { color: colors.riskHigh }]}>{highRiskPerms.length}</Text>
+                                            <Text style={styles.permStatLabel}>{t('scan.permissions.high')}</Text>
                                         </View>
-                                        <View style={[styles.permStat, { backgroundColor: COLORS.riskMedium + '20' }]}>
-                                            <Text style={[styles.permStatNum, { color: COLORS.riskMedium }]}>{mediumRiskPerms.length}</Text>
-                                            <Text style={styles.permStatLabel}>Medium</Text>
+                                        <View style={[styles.permStat, { backgroundColor: colors.riskMedium + '20' }]}>
+                                            <Text style={[styles.permStatNum, { color: colors.riskMedium }]}>{mediumRiskPerms.length}</Text>
+                                            <Text style={styles.permStatLabel}>{t('scan.permissions.medium')}</Text>
                                         </View>
-                                        <View style={[styles.permStat, { backgroundColor: COLORS.riskLow + '20' }]}>
-                                            <Text style={[styles.permStatNum, { color: COLORS.riskLow }]}>{lowRiskPerms.length}</Text>
-                                            <Text style={styles.permStatLabel}>Low</Text>
+                                        <View style={[styles.permStat, { backgroundColor: colors.riskLow + '20' }]}>
+                                            <Text style={[styles.permStatNum, { color: colors.riskLow }]}>{lowRiskPerms.length}</Text>
+                                            <Text style={styles.permStatLabel}>{t('scan.permissions.low')}</Text>
                                         </View>
                                     </View>
                                     <View style={styles.divider} />
-                                    {(showAllPermissions ? permissions : permissions.slice(0, 8)).map((perm, index) => (
-                                        <View key={index} style={styles.permissionRow}>
-                                            <View style={[styles.permIcon, { backgroundColor: getRiskColor(perm.riskLevel) + '20' }]}>
-                                                <MaterialCommunityIcons name={getPermissionIcon(perm.icon)} size={18} color={getRiskColor(perm.riskLevel)} />
-                                            </View>
-                                            <View style={styles.permInfo}>
-                                                <Text style={styles.permName}>{perm.shortName}</Text>
-                                                <Text style={styles.permDesc} numberOfLines={1}>{perm.description}</Text>
-                                            </View>
-                                            <View style={[styles.permRiskBadge, { backgroundColor: getRiskColor(perm.riskLevel) + '20' }]}>
-                                                <Text style={[styles.permRiskText, { color: getRiskColor(perm.riskLevel) }]}>{perm.riskLevel}</Text>
-                                            </View>
-                                        </View>
+                                    {(showAllPermissions ? permissions : permissions.slice(0, 8)).map((perm) => (
+                                        <PermissionRow key={perm.permission} permission={perm} />
                                     ))}
                                     {permissions.length > 8 && (
-                                        <TouchableOpacity style={styles.morePermsButton} onPress={() => setShowAllPermissions(!showAllPermissions)}>
-                                            <Text style={styles.morePermsText}>{showAllPermissions ? 'Show Less' : `+${permissions.length - 8} more permissions`}</Text>
-                                            <MaterialCommunityIcons name={showAllPermissions ? 'chevron-up' : 'chevron-down'} size={18} color={COLORS.secondary} />
+                                        <TouchableOpacity
+                                            style={styles.morePermsButton}
+                                            onPress={() => setShowAllPermissions(!showAllPermissions)}
+                                            accessibilityRole="button"
+                                            accessibilityState={{ expanded: showAllPermissions }}
+                                        >
+                                            <Text style={styles.morePermsText}>{showAllPermissions ? t('scan.permissions.showLess') : t('scan.permissions.more', { count: permissions.length - 8 })}</Text>
+                                            <MaterialCommunityIcons name={showAllPermissions ? 'chevron-up' : 'chevron-down'} size={18} color={colors.secondary} />
                                         </TouchableOpacity>
                                     )}
                                 </>
@@ -688,93 +1043,109 @@ const ScanResultScreen = ({ route, navigation }) => {
 
                 {/* Actions */}
                 <View style={styles.section}>
-                    <Text style={styles.sectionTitle}>Actions</Text>
+                    <Text style={styles.sectionTitle} accessibilityRole="header">{t('scan.actions.title')}</Text>
                     <View style={styles.actionButtonsContainer}>
-                        <TouchableOpacity style={[styles.actionButton, styles.settingsButton]} onPress={handleOpenSettings}>
-                            <MaterialCommunityIcons name="cog" size={20} color={COLORS.secondary} />
-                            <Text style={styles.settingsButtonText}>App Settings</Text>
+                        <TouchableOpacity style={[styles.actionButton, styles.settingsButton]} onPress={handleOpenSettings} accessibilityRole="button">
+                            <MaterialCommunityIcons name="cog" size={20} color={colors.secondary} />
+                            <Text style={styles.settingsButtonText}>{t('scan.actions.appSettings')}</Text>
                         </TouchableOpacity>
-                        <TouchableOpacity style={[styles.actionButton, styles.uninstallButton]} onPress={handleUninstall}>
-                            <MaterialCommunityIcons name="delete" size={20} color={COLORS.riskHigh} />
-                            <Text style={styles.uninstallButtonText}>Uninstall</Text>
+                        <TouchableOpacity style={[styles.actionButton, styles.uninstallButton]} onPress={handleUninstall} accessibilityRole="button">
+                            <MaterialCommunityIcons name="delete" size={20} color={colors.riskHigh} />
+                            <Text style={styles.uninstallButtonText}>{t('scan.actions.uninstall')}</Text>
                         </TouchableOpacity>
                     </View>
+                    <TouchableOpacity style={[styles.actionButton, styles.exportButton]} onPress={handleExport} accessibilityRole="button">
+                        <MaterialCommunityIcons name="export-variant" size={20} color={colors.secondary} />
+                        <Text style={styles.settingsButtonText}>{t('scan.actions.export')}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={[styles.actionButton, styles.exportButton]} onPress={handleOverride} accessibilityRole="button">
+                        <MaterialCommunityIcons name="account-edit" size={20} color={colors.secondary} />
+                        <Text style={styles.settingsButtonText}>{result.override ? t('scan.actions.editOverride') : t('scan.actions.override')}</Text>
+                    </TouchableOpacity>
                 </View>
 
-                <TouchableOpacity style={styles.backButton} onPress={() => navigation.navigate('HomeMain')} activeOpacity={0.7}>
-                    <MaterialCommunityIcons name="arrow-left" size={18} color={COLORS.secondary} />
-                    <Text style={styles.backButtonText}>Back to Home</Text>
+                <TouchableOpacity style={styles.backButton} onPress={() => navigation.navigate('HomeMain')} activeOpacity={0.7} accessibilityRole="button">
+                    <MaterialCommunityIcons name="arrow-left" size={18} color={colors.secondary} />
+                    <Text style={styles.backButtonText}>{t('scan.backHome')}</Text>
                 </TouchableOpacity>
 
             </ScrollView>
+            {overrideModal}
         </SafeAreaView>
     );
 };
 
-const styles = StyleSheet.create({
-    container: { flex: 1, backgroundColor: COLORS.background },
+const createStyles = (colors) => StyleSheet.create({
+    container: { flex: 1, backgroundColor: colors.background },
     scrollView: { flex: 1 },
     scrollContent: { paddingHorizontal: 20, paddingBottom: 30 },
 
     // Scan animation overlay
     scanOverlay: { flex: 1, justifyContent: 'center', alignItems: 'center', paddingHorizontal: 40 },
-    scanPulseCircle: { width: 120, height: 120, borderRadius: 60, backgroundColor: COLORS.secondary + '15', justifyContent: 'center', alignItems: 'center', marginBottom: 30, borderWidth: 2, borderColor: COLORS.secondary + '40' },
-    scanTitle: { fontSize: 22, fontWeight: '800', color: COLORS.textPrimary, marginBottom: 6 },
-    scanAppName: { fontSize: 14, color: COLORS.textSecondary, marginBottom: 30 },
-    scanProgressContainer: { width: '100%', height: 6, backgroundColor: COLORS.surface, borderRadius: 3, overflow: 'hidden', marginBottom: 16 },
-    scanProgressFill: { height: '100%', backgroundColor: COLORS.secondary, borderRadius: 3 },
-    scanStatusText: { fontSize: 13, color: COLORS.textMuted, textAlign: 'center', minHeight: 20 },
-    scanModelBadge: { flexDirection: 'row', alignItems: 'center', marginTop: 30, paddingHorizontal: 14, paddingVertical: 8, backgroundColor: COLORS.surface, borderRadius: 20, borderWidth: 1, borderColor: COLORS.border },
-    scanModelText: { fontSize: 12, color: COLORS.textSecondary, marginLeft: 6, fontWeight: '600' },
+    scanPulseCircle: { width: 120, height: 120, borderRadius: 60, backgroundColor: colors.secondary + '15', justifyContent: 'center', alignItems: 'center', marginBottom: 30, borderWidth: 2, borderColor: colors.secondary + '40' },
+    scanTitle: { fontSize: 22, fontWeight: '800', color: colors.textPrimary, marginBottom: 6 },
+    scanAppName: { fontSize: 14, color: colors.textSecondary, marginBottom: 30 },
+    scanProgressContainer: { width: '100%', height: 6, backgroundColor: colors.surface, borderRadius: 3, overflow: 'hidden', marginBottom: 16 },
+    scanProgressFill: { height: '100%', backgroundColor: colors.secondary, borderRadius: 3 },
+    scanStatusText: { fontSize: 13, color: colors.textMuted, textAlign: 'center', minHeight: 20 },
+    scanLoadingText: { marginTop: 16 },
+    scanStageList: { width: '100%', marginBottom: 16 },
+    scanStageRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 4 },
+    scanStageLabel: { flex: 1, fontSize: 13, color: colors.textPrimary, marginLeft: 8 },
+    scanStagePending: { color: colors.textMuted },
+    scanStageValue: { fontSize: 12, color: colors.textSecondary, fontWeight: '600' },
+    scanModelBadge: { flexDirection: 'row', alignItems: 'center', marginTop: 30, paddingHorizontal: 14, paddingVertical: 8, backgroundColor: colors.surface, borderRadius: 20, borderWidth: 1, borderColor: colors.border },
+    scanModelText: { fontSize: 12, color: colors.textSecondary, marginLeft: 6, fontWeight: '600' },
 
     // Header
     headerBar: { flexDirection: 'row', alignItems: 'center', paddingTop: 12, paddingBottom: 4 },
     headerBackButton: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8, paddingRight: 12, borderRadius: 10 },
-    headerBackText: { fontSize: 16, fontWeight: '600', color: COLORS.textPrimary, marginLeft: 2 },
+    headerBackText: { fontSize: 16, fontWeight: '600', color: colors.textPrimary, marginLeft: 2 },
     header: { alignItems: 'center', paddingTop: 8, paddingBottom: 20 },
     headerIcon: { fontSize: 36, marginBottom: 10 },
-    headerTitle: { fontSize: 24, fontWeight: '800', color: COLORS.textPrimary },
-    headerSubtitle: { fontSize: 14, color: COLORS.textSecondary, marginTop: 4 },
+    headerTitle: { fontSize: 24, fontWeight: '800', color: colors.textPrimary },
+    headerSubtitle: { fontSize: 14, color: colors.textSecondary, marginTop: 4 },
 
     // ML Result Header (ML mode)
     mlResultHeader: { alignItems: 'center', paddingTop: 10, paddingBottom: 24 },
     mlResultIconCircle: { width: 100, height: 100, borderRadius: 50, justifyContent: 'center', alignItems: 'center', marginBottom: 16 },
     mlResultVerdict: { fontSize: 32, fontWeight: '900', letterSpacing: 1 },
-    mlResultConfLabel: { fontSize: 14, color: COLORS.textSecondary, marginTop: 6 },
+    mlResultConfLabel: { fontSize: 14, color: colors.textSecondary, marginTop: 6 },
 
     // Sections & Cards
     section: { marginBottom: 24 },
-    sectionTitle: { fontSize: 16, fontWeight: '700', color: COLORS.textSecondary, marginBottom: 12, textTransform: 'uppercase', letterSpacing: 1 },
-    card: { backgroundColor: COLORS.card, borderRadius: 16, padding: 18, borderWidth: 1, borderColor: COLORS.border, marginBottom: 12 },
-    divider: { height: 1, backgroundColor: COLORS.divider, marginVertical: 14 },
+    sectionTitle: { fontSize: 16, fontWeight: '700', color: colors.textSecondary, marginBottom: 12, textTransform: 'uppercase', letterSpacing: 1 },
+    card: { backgroundColor: colors.card, borderRadius: 16, padding: 18, borderWidth: 1, borderColor: colors.border, marginBottom: 12 },
+    divider: { height: 1, backgroundColor: colors.divider, marginVertical: 14 },
 
     // File header
     fileHeader: { flexDirection: 'row', alignItems: 'center' },
     fileIcon: { fontSize: 32, marginRight: 14 },
     appIcon: { width: 48, height: 48, borderRadius: 10, marginRight: 14 },
     fileInfo: { flex: 1 },
-    fileName: { fontSize: 17, fontWeight: '700', color: COLORS.textPrimary, marginBottom: 4 },
-    fileHash: { fontSize: 11, color: COLORS.textMuted, fontFamily: 'monospace' },
+    fileName: { fontSize: 17, fontWeight: '700', color: colors.textPrimary, marginBottom: 4 },
+    fileHash: { fontSize: 11, color: colors.textMuted, fontFamily: 'monospace' },
     detailsGrid: { flexDirection: 'row' },
     detailItem: { flex: 1 },
-    detailLabel: { fontSize: 12, color: COLORS.textMuted, marginBottom: 4 },
-    detailValue: { fontSize: 15, fontWeight: '600', color: COLORS.textPrimary },
+    detailLabel: { fontSize: 12, color: colors.textMuted, marginBottom: 4 },
+    detailValue: { fontSize: 15, fontWeight: '600', color: colors.textPrimary },
 
     // Assessment
     assessmentRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
-    assessmentLabel: { fontSize: 14, color: COLORS.textSecondary },
+    assessmentLabel: { fontSize: 14, color: colors.textSecondary },
     riskBadge: { paddingHorizontal: 14, paddingVertical: 6 },
     confidenceSection: { marginTop: 4 },
     confidenceHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 },
-    confidenceValue: { fontSize: 16, fontWeight: '700', color: COLORS.textPrimary },
-    progressBar: { height: 10, backgroundColor: COLORS.surface, borderRadius: 5, overflow: 'hidden' },
+    confidenceValue: { fontSize: 16, fontWeight: '700', color: colors.textPrimary },
+    progressBar: { height: 10, backgroundColor: colors.surface, borderRadius: 5, overflow: 'hidden' },
     progressFill: { height: '100%', borderRadius: 5 },
 
     // ML detail rows (ML mode)
     mlDetailRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10 },
     mlDetailContent: { flex: 1, marginLeft: 12 },
-    mlDetailLabel: { fontSize: 12, color: COLORS.textMuted, marginBottom: 2 },
-    mlDetailValue: { fontSize: 14, fontWeight: '600', color: COLORS.textPrimary },
+    mlDetailLabel: { fontSize: 12, color: colors.textMuted, marginBottom: 2 },
+    mlDetailValue: { fontSize: 14, fontWeight: '600', color: colors.textPrimary },
+    mlTimingText: { fontSize: 12, color: colors.textSecondary, marginTop: 2 },
 
     // Risk interpretation (ML mode)
     riskInterpretBanner: { flexDirection: 'row', alignItems: 'flex-start', padding: 14, borderRadius: 10, borderLeftWidth: 3 },
@@ -782,66 +1153,60 @@ const styles = StyleSheet.create({
 
     // ML classification
     mlPredictionRow: { flexDirection: 'row', alignItems: 'center' },
-    mlIconContainer: { width: 48, height: 48, borderRadius: 12, backgroundColor: COLORS.secondary + '15', justifyContent: 'center', alignItems: 'center', marginRight: 14 },
+    mlIconContainer: { width: 48, height: 48, borderRadius: 12, backgroundColor: colors.secondary + '15', justifyContent: 'center', alignItems: 'center', marginRight: 14 },
     mlPredictionInfo: { flex: 1 },
-    mlPredictionLabel: { fontSize: 12, color: COLORS.textMuted, marginBottom: 4 },
+    mlPredictionLabel: { fontSize: 12, color: colors.textMuted, marginBottom: 4 },
     mlPredictionBadgeRow: { flexDirection: 'row', alignItems: 'center' },
     mlPredictionBadge: { paddingHorizontal: 10, paddingVertical: 4, borderRadius: 8, marginRight: 8 },
     mlPredictionBadgeText: { fontSize: 13, fontWeight: '700' },
-    mlConfText: { fontSize: 12, color: COLORS.textSecondary },
+    mlConfText: { fontSize: 12, color: colors.textSecondary },
     mlProbRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
-    mlProbLabel: { width: 70, fontSize: 12, color: COLORS.textSecondary, fontWeight: '500' },
-    mlProbBarContainer: { flex: 1, height: 8, backgroundColor: COLORS.surface, borderRadius: 4, overflow: 'hidden', marginHorizontal: 8 },
+    mlProbLabel: { width: 70, fontSize: 12, color: colors.textSecondary, fontWeight: '500' },
+    mlProbBarContainer: { flex: 1, height: 8, backgroundColor: colors.surface, borderRadius: 4, overflow: 'hidden', marginHorizontal: 8 },
     mlProbBar: { height: '100%', borderRadius: 4 },
-    mlProbValue: { width: 36, fontSize: 12, fontWeight: '600', color: COLORS.textPrimary, textAlign: 'right' },
+    mlProbValue: { width: 36, fontSize: 12, fontWeight: '600', color: colors.textPrimary, textAlign: 'right' },
     mlUnavailable: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 16 },
-    mlUnavailableText: { fontSize: 13, color: COLORS.textMuted, marginLeft: 8 },
+    mlUnavailableText: { fontSize: 13, color: colors.textMuted, marginLeft: 8 },
 
     // Threat analysis
     threatScoreRow: { flexDirection: 'row', alignItems: 'center' },
-    threatScoreCircle: { width: 60, height: 60, borderRadius: 30, backgroundColor: COLORS.surface, justifyContent: 'center', alignItems: 'center', marginRight: 16 },
-    threatScoreValue: { fontSize: 20, fontWeight: '800', color: COLORS.textPrimary },
-    threatScoreLabel: { fontSize: 10, color: COLORS.textMuted },
+    threatScoreCircle: { width: 60, height: 60, borderRadius: 30, backgroundColor: colors.surface, justifyContent: 'center', alignItems: 'center', marginRight: 16 },
+    threatScoreValue: { fontSize: 20, fontWeight: '800', color: colors.textPrimary },
+    threatScoreLabel: { fontSize: 10, color: colors.textMuted },
     threatInfo: { flex: 1 },
     threatLevel: { fontSize: 16, fontWeight: '700', marginBottom: 4 },
-    threatStatus: { fontSize: 13, color: COLORS.textSecondary },
-    explanationTitle: { fontSize: 14, fontWeight: '600', color: COLORS.textPrimary, marginBottom: 10 },
+    threatStatus: { fontSize: 13, color: colors.textSecondary },
+    explanationTitle: { fontSize: 14, fontWeight: '600', color: colors.textPrimary, marginBottom: 10 },
     explanationRow: { flexDirection: 'row', alignItems: 'flex-start', marginBottom: 8 },
-    explanationText: { flex: 1, fontSize: 13, color: COLORS.textSecondary, marginLeft: 8, lineHeight: 18 },
+    explanationText: { flex: 1, fontSize: 13, color: colors.textSecondary, marginLeft: 8, lineHeight: 18 },
 
     // Permissions
-    noPermissions: { fontSize: 14, color: COLORS.textMuted, textAlign: 'center', paddingVertical: 20 },
+    noPermissions: { fontSize: 14, color: colors.textMuted, textAlign: 'center', paddingVertical: 20 },
     permissionStats: { flexDirection: 'row', justifyContent: 'space-around' },
     permStat: { alignItems: 'center', paddingVertical: 10, paddingHorizontal: 20, borderRadius: 12 },
     permStatNum: { fontSize: 22, fontWeight: '800' },
-    permStatLabel: { fontSize: 11, color: COLORS.textMuted, marginTop: 2 },
-    permissionRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10, borderBottomWidth: 1, borderBottomColor: COLORS.divider },
-    permIcon: { width: 36, height: 36, borderRadius: 8, justifyContent: 'center', alignItems: 'center', marginRight: 12 },
-    permInfo: { flex: 1 },
-    permName: { fontSize: 14, fontWeight: '600', color: COLORS.textPrimary },
-    permDesc: { fontSize: 11, color: COLORS.textMuted, marginTop: 2 },
-    permRiskBadge: { paddingHorizontal: 8, paddingVertical: 4, borderRadius: 6 },
-    permRiskText: { fontSize: 10, fontWeight: '700' },
-    morePermsButton: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 12, marginTop: 8, borderTopWidth: 1, borderTopColor: COLORS.divider },
-    morePermsText: { fontSize: 13, color: COLORS.secondary, fontWeight: '600', marginRight: 4 },
+    permStatLabel: { fontSize: 11, color: colors.textMuted, marginTop: 2 },
+    morePermsButton: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 12, marginTop: 8, borderTopWidth: 1, borderTopColor: colors.divider },
+    morePermsText: { fontSize: 13, color: colors.secondary, fontWeight: '600', marginRight: 4 },
 
     // Action buttons
     actionButtonsContainer: { flexDirection: 'row', gap: 12 },
     actionButton: { flex: 1, flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 14, borderRadius: 12, borderWidth: 1 },
-    settingsButton: { backgroundColor: COLORS.secondary + '15', borderColor: COLORS.secondary },
-    settingsButtonText: { fontSize: 14, fontWeight: '600', color: COLORS.secondary, marginLeft: 8 },
-    uninstallButton: { backgroundColor: COLORS.riskHigh + '15', borderColor: COLORS.riskHigh },
-    uninstallButtonText: { fontSize: 14, fontWeight: '600', color: COLORS.riskHigh, marginLeft: 8 },
-    backButton: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 14, marginTop: 10, marginBottom: 10, backgroundColor: COLORS.secondary + '15', borderRadius: 12, borderWidth: 1, borderColor: COLORS.secondary + '30' },
-    backButtonText: { fontSize: 15, color: COLORS.secondary, fontWeight: '600', marginLeft: 8 },
+    settingsButton: { backgroundColor: colors.secondary + '15', borderColor: colors.secondary },
+    settingsButtonText: { fontSize: 14, fontWeight: '600', color: colors.secondary, marginLeft: 8 },
+    exportButton: { flex: 0, marginTop: 12, backgroundColor: colors.secondary + '15', borderColor: colors.secondary },
+    uninstallButton: { backgroundColor: colors.riskHigh + '15', borderColor: colors.riskHigh },
+    uninstallButtonText: { fontSize: 14, fontWeight: '600', color: colors.riskHigh, marginLeft: 8 },
+    backButton: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 14, marginTop: 10, marginBottom: 10, backgroundColor: colors.secondary + '15', borderRadius: 12, borderWidth: 1, borderColor: colors.secondary + '30' },
+    backButtonText: { fontSize: 15, color: colors.secondary, fontWeight: '600', marginLeft: 8 },
 
     // App info
     infoRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10 },
-    infoIconContainer: { width: 36, height: 36, borderRadius: 8, backgroundColor: COLORS.surface, justifyContent: 'center', alignItems: 'center', marginRight: 12 },
+    infoIconContainer: { width: 36, height: 36, borderRadius: 8, backgroundColor: colors.surface, justifyContent: 'center', alignItems: 'center', marginRight: 12 },
     infoContent: { flex: 1 },
-    infoLabel: { fontSize: 12, color: COLORS.textMuted, marginBottom: 2 },
-    infoValue: { fontSize: 14, fontWeight: '600', color: COLORS.textPrimary },
-    packageNameText: { fontSize: 11, fontFamily: 'monospace', color: COLORS.textSecondary },
+    infoLabel: { fontSize: 12, color: colors.textMuted, marginBottom: 2 },
+    infoValue: { fontSize: 14, fontWeight: '600', color: colors.textPrimary },
+    packageNameText: { fontSize: 11, fontFamily: 'monospace', color: colors.textSecondary },
 });
 
 export default ScanResultScreen;
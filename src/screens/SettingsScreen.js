@@ -1,7 +1,7 @@
 // SettingsScreen
 // App settings with toggle switches and app information
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
     View,
     Text,
@@ -11,21 +11,127 @@ import {
     Switch,
     TouchableOpacity,
     Linking,
+    Alert,
 } from 'react-native';
-import { COLORS, APP_CONFIG } from '../utils/constants';
+import { APP_CONFIG, RISK_LEVELS, RESCAN_INTERVALS } from '../utils/constants';
+import { getResultCacheStats, clearResultCache, isNativeEngineAvailable, requestNotificationPermission } from '../services/api';
+import { AUTO_SCAN_MIN_RISKS } from '../services/autoScan';
+import { runRescan, getNextRescanTime } from '../services/rescanScheduler';
+import useRescanState from '../hooks/useRescanState';
+import {
+    listScenarios,
+    loadSimulatorSettings,
+    getSimulatorSettings,
+    setSimulatorSettings,
+    subscribeSimulatorSettings,
+} from '../services/simulator';
+import { setSettings } from '../services/settingsStore';
+import useSettings from '../hooks/useSettings';
+import { SCORING_PRESETS, CUSTOM_PRESET, resolveScoringPolicy } from '../utils/scoringPolicy';
+import ScoringPolicyModal from '../components/ScoringPolicyModal';
+import useTranslation from '../hooks/useTranslation';
+import useTheme from '../hooks/useTheme';
+import useThemedStyles from '../hooks/useThemedStyles';
+import { LANGUAGES, SYSTEM_LANGUAGE } from '../services/i18n';
+import { THEMES, SYSTEM_THEME } from '../utils/theme';
+import RiskBadge from '../components/RiskBadge';
 
 /**
  * Settings Screen - App configuration
  * Toggle switches for scan settings and app information display
  */
-const SettingsScreen = () => {
-    const [showSystemApps, setShowSystemApps] = useState(false);
-    const [showDetailedRisk, setShowDetailedRisk] = useState(true);
-    const [highlightSideloaded, setHighlightSideloaded] = useState(true);
-    const [showTrustedApps, setShowTrustedApps] = useState(true);
+const SettingsScreen = ({ navigation }) => {
+    const settings = useSettings();
+    const {
+        showSystemApps,
+        showTrustedApps,
+        showDetailedRisk,
+        highlightSideloaded,
+        customScoringPolicy,
+        language,
+        theme,
+        colorBlindRisk,
+        autoScanNewApps,
+        autoScanMinRisk,
+        rescanInterval,
+    } = settings;
+    const { t, formatNumber, formatFileSize, formatDateTime } = useTranslation();
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const scoringPolicy = resolveScoringPolicy(settings);
+    const [policyEditorVisible, setPolicyEditorVisible] = useState(false);
+    const [cacheStats, setCacheStats] = useState(null);
+    const [simulator, setSimulator] = useState(getSimulatorSettings());
+    const nativeAvailable = isNativeEngineAvailable();
+    const demoMode = !nativeAvailable || simulator.enabled;
+    const rescan = useRescanState();
+    const nextRescan = getNextRescanTime(rescanInterval, rescan.lastRun);
+
+    // Refresh cache statistics whenever the tab gains focus
+    useEffect(() => {
+        const unsubscribe = navigation.addListener('focus', fetchCacheStats);
+        return unsubscribe;
+    }, [navigation]);
+
+    // Keep the simulator controls in sync with the stored developer settings
+    useEffect(() => {
+        loadSimulatorSettings().then(setSimulator);
+        return subscribeSimulatorSettings(setSimulator);
+    }, []);
+
+    const fetchCacheStats = async () => {
+        try {
+            setCacheStats(await getResultCacheStats());
+        } catch (error) {
+            console.error('Failed to fetch cache stats:', error);
+        }
+    };
+
+    // Confirm and clear all cached analysis results
+    const handleClearCache = () => {
+        Alert.alert(t('settings.cache.clearTitle'), t('settings.cache.clearMessage'), [
+            { text: t('common.cancel'), style: 'cancel' },
+            { text: t('settings.cache.clearConfirm'), style: 'destructive', onPress: async () => {
+                try {
+                    await clearResultCache();
+                    await fetchCacheStats();
+                } catch (e) {
+                    Alert.alert(t('common.error'), t('settings.cache.clearFailed'));
+                }
+            }},
+        ]);
+    };
+
+    // Persist a setting; subscribers (app lists, cards, scan results) pick it up immediately
+    const handleSettingChange = (key) => (value) => {
+        setSettings({ [key]: value }).catch(() => Alert.alert(t('common.error'), t('settings.saveFailed')));
+    };
+
+    // Switching back to "Custom" reuses the last edited policy; the editor creates one otherwise
+    const handlePresetSelect = (preset) => {
+        if (preset === CUSTOM_PRESET && !customScoringPolicy) {
+            setPolicyEditorVisible(true);
+            return;
+        }
+        handleSettingChange('scoringPreset')(preset);
+    };
+
+    // Alerts need the notification permission (Android 13+); apps are still scanned without it
+    const handleAutoScanChange = async (enabled) => {
+        handleSettingChange('autoScanNewApps')(enabled);
+        if (enabled && !(await requestNotificationPermission().catch(() => false))) {
+            Alert.alert(t('settings.autoScan.title'), t('settings.autoScan.permissionDenied'));
+        }
+    };
+
+    const handleSavePolicy = (policy) => setSettings({ scoringPreset: CUSTOM_PRESET, customScoringPolicy: policy });
+
+    const handleSimulatorChange = (changes) => {
+        setSimulatorSettings(changes).catch(() => Alert.alert(t('common.error'), t('settings.developer.saveFailed')));
+    };
 
     // Render a toggle setting row
-    const renderToggleSetting = (icon, title, description, value, onValueChange) => {
+    const renderToggleSetting = (icon, title, description, value, onValueChange, disabled = false) => {
         return (
             <View style={styles.settingRow}>
                 <View style={styles.settingIcon}>
@@ -38,13 +144,24 @@ const SettingsScreen = () => {
                 <Switch
                     value={value}
                     onValueChange={onValueChange}
-                    trackColor={{ false: COLORS.surface, true: COLORS.secondary + '60' }}
-                    thumbColor={value ? COLORS.secondary : COLORS.textMuted}
+                    disabled={disabled}
+                    trackColor={{ false: colors.surface, true: colors.secondary + '60' }}
+                    thumbColor={value ? colors.secondary : colors.textMuted}
                 />
             </View>
         );
     };
 
+    // Last scheduled rescan: when it finished and how it went
+    const describeLastRescan = () => {
+        const { lastRun } = rescan;
+        if (!lastRun) return t('common.never');
+        const date = formatDateTime(lastRun.finishedAt);
+        return lastRun.status === 'failed'
+            ? t('settings.rescan.lastRunFailed', { date, error: lastRun.error?.message })
+            : t('settings.rescan.lastRunCompleted', { date, count: lastRun.scannedCount });
+    };
+
     // Render an info row
     const renderInfoRow = (label, value, isStatus = false) => {
         return (
@@ -70,8 +187,8 @@ const SettingsScreen = () => {
             {/* Header */}
             <View style={styles.header}>
                 <Text style={styles.headerIcon}>⚙️</Text>
-                <Text style={styles.title}>Settings</Text>
-                <Text style={styles.subtitle}>Configure your security preferences</Text>
+                <Text style={styles.title}>{t('settings.title')}</Text>
+                <Text style={styles.subtitle}>{t('settings.subtitle')}</Text>
             </View>
 
             <ScrollView
@@ -81,59 +198,308 @@ const SettingsScreen = () => {
             >
                 {/* Display Settings Section */}
                 <View style={styles.section}>
-                    <Text style={styles.sectionTitle}>Display Settings</Text>
+                    <Text style={styles.sectionTitle}>{t('settings.display.title')}</Text>
                     <View style={styles.card}>
                         {renderToggleSetting(
                             '📱',
-                            'Show System Apps',
-                            'Include pre-installed system apps',
+                            t('settings.display.showSystemApps'),
+                            t('settings.display.showSystemAppsHint'),
                             showSystemApps,
-                            setShowSystemApps
+                            handleSettingChange('showSystemApps')
                         )}
                         <View style={styles.divider} />
                         {renderToggleSetting(
                             '✅',
-                            'Show Trusted Apps',
-                            'Display apps from verified publishers',
+                            t('settings.display.showTrustedApps'),
+                            t('settings.display.showTrustedAppsHint'),
                             showTrustedApps,
-                            setShowTrustedApps
+                            handleSettingChange('showTrustedApps')
                         )}
                     </View>
                 </View>
 
+                {/* Language Section */}
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>{t('settings.language.title')}</Text>
+                    <View style={styles.card}>
+                        {[{ code: SYSTEM_LANGUAGE, label: t('settings.language.system') }, ...LANGUAGES].map((option, index) => (
+                            <View key={option.code}>
+                                {index > 0 && <View style={styles.divider} />}
+                                <TouchableOpacity style={styles.actionRow} onPress={() => handleSettingChange('language')(option.code)}>
+                                    <View style={styles.settingContent}>
+                                        <Text style={styles.settingTitle}>{option.label}</Text>
+                                        {option.code === SYSTEM_LANGUAGE && (
+                                            <Text style={styles.settingDescription}>{t('settings.language.systemHint')}</Text>
+                                        )}
+                                    </View>
+                                    {language === option.code && <Text style={styles.checkmark}>✓</Text>}
+                                </TouchableOpacity>
+                            </View>
+                        ))}
+                    </View>
+                </View>
+
+                {/* Appearance Section */}
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>{t('settings.appearance.title')}</Text>
+                    <View style={styles.card}>
+                        {[SYSTEM_THEME, ...THEMES].map((option, index) => (
+                            <View key={option}>
+                                {index > 0 && <View style={styles.divider} />}
+                                <TouchableOpacity style={styles.actionRow} onPress={() => handleSettingChange('theme')(option)}>
+                                    <View style={styles.settingContent}>
+                                        <Text style={styles.settingTitle}>{t(`settings.appearance.themes.${option}`)}</Text>
+                                        {option === SYSTEM_THEME && (
+                                            <Text style={styles.settingDescription}>{t('settings.appearance.systemHint')}</Text>
+                                        )}
+                                        {option === 'highContrast' && (
+                                            <Text style={styles.settingDescription}>{t('settings.appearance.highContrastHint')}</Text>
+                                        )}
+                                    </View>
+                                    {theme === option && <Text style={styles.checkmark}>✓</Text>}
+                                </TouchableOpacity>
+                            </View>
+                        ))}
+                        <View style={styles.divider} />
+                        {renderToggleSetting(
+                            '🎨',
+                            t('settings.appearance.colorBlindRisk'),
+                            t('settings.appearance.colorBlindRiskHint'),
+                            colorBlindRisk,
+                            handleSettingChange('colorBlindRisk')
+                        )}
+                        <View style={styles.riskPreview}>
+                            <Text style={styles.riskPreviewLabel}>{t('settings.appearance.riskPreview')}</Text>
+                            {[RISK_LEVELS.LOW, RISK_LEVELS.MEDIUM, RISK_LEVELS.HIGH].map((risk) => (
+                                <RiskBadge key={risk} risk={risk} style={styles.riskPreviewBadge} />
+                            ))}
+                        </View>
+                    </View>
+                </View>
+
                 {/* Security Settings Section */}
                 <View style={styles.section}>
-                    <Text style={styles.sectionTitle}>Security Analysis</Text>
+                    <Text style={styles.sectionTitle}>{t('settings.analysis.title')}</Text>
                     <View style={styles.card}>
                         {renderToggleSetting(
                             '📊',
-                            'Detailed Risk Info',
-                            'Show risk breakdown and scores',
+                            t('settings.analysis.detailedRisk'),
+                            t('settings.analysis.detailedRiskHint'),
                             showDetailedRisk,
-                            setShowDetailedRisk
+                            handleSettingChange('showDetailedRisk')
                         )}
                         <View style={styles.divider} />
                         {renderToggleSetting(
                             '⚠️',
-                            'Highlight Sideloaded',
-                            'Flag apps not from Play Store',
+                            t('settings.analysis.highlightSideloaded'),
+                            t('settings.analysis.highlightSideloadedHint'),
                             highlightSideloaded,
-                            setHighlightSideloaded
+                            handleSettingChange('highlightSideloaded')
                         )}
                     </View>
                 </View>
 
+                {/* Background Scanning Section */}
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>{t('settings.autoScan.title')}</Text>
+                    <View style={styles.card}>
+                        {renderToggleSetting(
+                            '🛡️',
+                            t('settings.autoScan.enabled'),
+                            nativeAvailable ? t('settings.autoScan.enabledHint') : t('settings.autoScan.nativeUnavailable'),
+                            autoScanNewApps && nativeAvailable,
+                            handleAutoScanChange,
+                            !nativeAvailable
+                        )}
+                        {autoScanNewApps && nativeAvailable && AUTO_SCAN_MIN_RISKS.map((minRisk) => (
+                            <View key={minRisk}>
+                                <View style={styles.divider} />
+                                <TouchableOpacity
+                                    style={styles.actionRow}
+                                    onPress={() => handleSettingChange('autoScanMinRisk')(minRisk)}
+                                    accessibilityRole="button"
+                                    accessibilityState={{ selected: autoScanMinRisk === minRisk }}
+                                >
+                                    <View style={styles.settingContent}>
+                                        <Text style={styles.settingTitle}>{t(`settings.autoScan.minRisks.${minRisk}`)}</Text>
+                                        <Text style={styles.settingDescription}>{t(`settings.autoScan.minRisks.${minRisk}Hint`)}</Text>
+                                    </View>
+                                    {autoScanMinRisk === minRisk && <Text style={styles.checkmark}>✓</Text>}
+                                </TouchableOpacity>
+                            </View>
+                        ))}
+                    </View>
+                </View>
+
+                {/* Scheduled Rescan Section */}
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>{t('settings.rescan.title')}</Text>
+                    <View style={styles.card}>
+                        {Object.keys(RESCAN_INTERVALS).map((interval, index) => (
+                            <View key={interval}>
+                                {index > 0 && <View style={styles.divider} />}
+                                <TouchableOpacity
+                                    style={styles.actionRow}
+                                    onPress={() => handleSettingChange('rescanInterval')(interval)}
+                                    accessibilityRole="button"
+                                    accessibilityState={{ selected: rescanInterval === interval }}
+                                >
+                                    <View style={styles.settingContent}>
+                                        <Text style={styles.settingTitle}>{t(`settings.rescan.intervals.${interval}`)}</Text>
+                                        <Text style={styles.settingDescription}>{t(`settings.rescan.intervals.${interval}Hint`)}</Text>
+                                    </View>
+                                    {rescanInterval === interval && <Text style={styles.checkmark}>✓</Text>}
+                                </TouchableOpacity>
+                            </View>
+                        ))}
+                        <View style={styles.divider} />
+                        {renderInfoRow(t('settings.rescan.lastRun'), rescan.running ? t('settings.rescan.running') : describeLastRescan())}
+                        {nextRescan !== null && (
+                            <>
+                                <View style={styles.divider} />
+                                {renderInfoRow(
+                                    t('settings.rescan.nextRun'),
+                                    nextRescan <= Date.now() ? t('settings.rescan.nextRunDue') : formatDateTime(nextRescan)
+                                )}
+                            </>
+                        )}
+                        <View style={styles.divider} />
+                        <TouchableOpacity
+                            style={styles.actionRow}
+                            onPress={() => runRescan()}
+                            disabled={rescan.running || demoMode}
+                            accessibilityRole="button"
+                            accessibilityState={{ disabled: rescan.running || demoMode }}
+                        >
+                            <View style={styles.settingIcon}>
+                                <Text style={styles.icon}>🔁</Text>
+                            </View>
+                            <View style={styles.settingContent}>
+                                <Text style={styles.settingTitle}>{t(rescan.running ? 'settings.rescan.running' : 'settings.rescan.runNow')}</Text>
+                                <Text style={styles.settingDescription}>{t(demoMode ? 'settings.rescan.demoMode' : 'settings.rescan.runNowHint')}</Text>
+                            </View>
+                            <Text style={styles.chevron}>›</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+
+                {/* Scoring Policy Section */}
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>{t('settings.scoring.title')}</Text>
+                    <View style={styles.card}>
+                        {[
+                            ...Object.entries(SCORING_PRESETS).map(([key, preset]) => ({ key, ...preset })),
+                            { key: CUSTOM_PRESET, label: t('scoring.presets.custom.label'), description: t(customScoringPolicy ? 'scoring.presets.custom.description' : 'settings.scoring.customEmpty') },
+                        ].map((preset, index) => (
+                            <View key={preset.key}>
+                                {index > 0 && <View style={styles.divider} />}
+                                <TouchableOpacity style={styles.actionRow} onPress={() => handlePresetSelect(preset.key)}>
+                                    <View style={styles.settingContent}>
+                                        <Text style={styles.settingTitle}>
+                                            {t(`scoring.presets.${preset.key}.label`, { defaultValue: preset.label })}
+                                        </Text>
+                                        <Text style={styles.settingDescription}>
+                                            {t(`scoring.presets.${preset.key}.description`, { defaultValue: preset.description })}
+                                        </Text>
+                                    </View>
+                                    {scoringPolicy.preset === preset.key && <Text style={styles.checkmark}>✓</Text>}
+                                </TouchableOpacity>
+                            </View>
+                        ))}
+                        <View style={styles.divider} />
+                        <TouchableOpacity style={styles.actionRow} onPress={() => setPolicyEditorVisible(true)}>
+                            <View style={styles.settingIcon}>
+                                <Text style={styles.icon}>🎛️</Text>
+                            </View>
+                            <View style={styles.settingContent}>
+                                <Text style={styles.settingTitle}>{t('settings.scoring.editor')}</Text>
+                                <Text style={styles.settingDescription}>
+                                    {t('settings.scoring.summary', {
+                                        weights: `${scoringPolicy.weights.heuristic}/${scoringPolicy.weights.malware}/${scoringPolicy.weights.ml}`,
+                                        high: scoringPolicy.thresholds.high,
+                                        medium: scoringPolicy.thresholds.medium,
+                                    })}
+                                </Text>
+                            </View>
+                            <Text style={styles.chevron}>›</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+
+                {/* Scan Cache Section */}
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>{t('settings.cache.title')}</Text>
+                    <View style={styles.card}>
+                        {renderInfoRow(t('settings.cache.apps'), cacheStats ? formatNumber(cacheStats.packageCount) : '—')}
+                        <View style={styles.divider} />
+                        {renderInfoRow(t('settings.cache.heuristic'), cacheStats ? formatNumber(cacheStats.byEngine.heuristic) : '—')}
+                        <View style={styles.divider} />
+                        {renderInfoRow(t('settings.cache.malware'), cacheStats ? formatNumber(cacheStats.byEngine.malware) : '—')}
+                        <View style={styles.divider} />
+                        {renderInfoRow(t('settings.cache.ml'), cacheStats ? formatNumber(cacheStats.byEngine.ml) : '—')}
+                        <View style={styles.divider} />
+                        {renderInfoRow(t('settings.cache.network'), cacheStats ? formatNumber(cacheStats.byEngine.network) : '—')}
+                        <View style={styles.divider} />
+                        {renderInfoRow(t('settings.cache.storage'), cacheStats ? formatFileSize(cacheStats.sizeBytes) : '—')}
+                        <View style={styles.divider} />
+                        {renderInfoRow(t('settings.cache.lastUpdated'), cacheStats?.lastUpdated ? formatDateTime(cacheStats.lastUpdated) : t('common.never'))}
+                        <View style={styles.divider} />
+                        <TouchableOpacity style={styles.actionRow} onPress={handleClearCache}>
+                            <View style={styles.settingIcon}>
+                                <Text style={styles.icon}>🗑️</Text>
+                            </View>
+                            <View style={styles.settingContent}>
+                                <Text style={styles.settingTitle}>{t('settings.cache.clear')}</Text>
+                                <Text style={styles.settingDescription}>{t('settings.cache.clearHint')}</Text>
+                            </View>
+                            <Text style={styles.chevron}>›</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+
+                {/* Developer Section (bridge simulator) */}
+                {(__DEV__ || !nativeAvailable) && (
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>{t('settings.developer.title')}</Text>
+                        <View style={styles.card}>
+                            {renderToggleSetting(
+                                '🧪',
+                                t('settings.developer.simulator'),
+                                nativeAvailable ? t('settings.developer.simulatorHint') : t('settings.developer.nativeUnavailable'),
+                                simulator.enabled || !nativeAvailable,
+                                (enabled) => handleSimulatorChange({ enabled }),
+                                !nativeAvailable
+                            )}
+                            {(simulator.enabled || !nativeAvailable) && listScenarios().map((scenario) => (
+                                <View key={scenario.id}>
+                                    <View style={styles.divider} />
+                                    <TouchableOpacity
+                                        style={styles.actionRow}
+                                        onPress={() => handleSimulatorChange({ scenarioId: scenario.id })}
+                                    >
+                                        <View style={styles.settingContent}>
+                                            <Text style={styles.settingTitle}>{scenario.name}</Text>
+                                            <Text style={styles.settingDescription}>{scenario.description}</Text>
+                                        </View>
+                                        {simulator.scenarioId === scenario.id && <Text style={styles.checkmark}>✓</Text>}
+                                    </TouchableOpacity>
+                                </View>
+                            ))}
+                        </View>
+                    </View>
+                )}
+
                 {/* Quick Actions Section */}
                 <View style={styles.section}>
-                    <Text style={styles.sectionTitle}>Quick Actions</Text>
+                    <Text style={styles.sectionTitle}>{t('settings.actions.title')}</Text>
                     <View style={styles.card}>
                         <TouchableOpacity style={styles.actionRow} onPress={openSecuritySettings}>
                             <View style={styles.settingIcon}>
                                 <Text style={styles.icon}>🔐</Text>
                             </View>
                             <View style={styles.settingContent}>
-                                <Text style={styles.settingTitle}>Device Security</Text>
-                                <Text style={styles.settingDescription}>Open Android security settings</Text>
+                                <Text style={styles.settingTitle}>{t('settings.actions.deviceSecurity')}</Text>
+                                <Text style={styles.settingDescription}>{t('settings.actions.deviceSecurityHint')}</Text>
                             </View>
                             <Text style={styles.chevron}>›</Text>
                         </TouchableOpacity>
@@ -142,28 +508,27 @@ const SettingsScreen = () => {
 
                 {/* App Information Section */}
                 <View style={styles.section}>
-                    <Text style={styles.sectionTitle}>App Information</Text>
+                    <Text style={styles.sectionTitle}>{t('settings.info.title')}</Text>
                     <View style={styles.card}>
-                        {renderInfoRow('App Name', APP_CONFIG.name)}
+                        {renderInfoRow(t('settings.info.appName'), APP_CONFIG.name)}
                         <View style={styles.divider} />
-                        {renderInfoRow('Version', APP_CONFIG.version)}
+                        {renderInfoRow(t('settings.info.version'), APP_CONFIG.version)}
                         <View style={styles.divider} />
-                        {renderInfoRow('Analysis Engine', 'ThreatScoringEngine v2.0')}
+                        {renderInfoRow(t('settings.info.engine'), 'ThreatScoringEngine v2.0')}
                         <View style={styles.divider} />
-                        {renderInfoRow('Status', 'Active', true)}
+                        {renderInfoRow(t('settings.info.status'), t('settings.info.active'), true)}
                     </View>
                 </View>
 
                 {/* About Section */}
                 <View style={styles.section}>
-                    <Text style={styles.sectionTitle}>About</Text>
+                    <Text style={styles.sectionTitle}>{t('settings.about.title')}</Text>
                     <View style={styles.card}>
                         <View style={styles.aboutContent}>
                             <Text style={styles.aboutIcon}>🛡️</Text>
                             <Text style={styles.aboutTitle}>Android Sandbox</Text>
                             <Text style={styles.aboutDescription}>
-                                Advanced app security analyzer with context-aware risk scoring,
-                                runtime behavioral detection, and comprehensive threat analysis.
+                                {t('settings.about.description')}
                             </Text>
                         </View>
                     </View>
@@ -172,26 +537,33 @@ const SettingsScreen = () => {
                 {/* Footer */}
                 <View style={styles.footer}>
                     <Text style={styles.footerText}>
-                        Built with ❤️ by Skanda, Deekshith, Pratham and Afthab
+                        {t('settings.footer')}
                     </Text>
                 </View>
             </ScrollView>
+
+            <ScoringPolicyModal
+                visible={policyEditorVisible}
+                onClose={() => setPolicyEditorVisible(false)}
+                policy={scoringPolicy}
+                onSave={handleSavePolicy}
+            />
         </SafeAreaView>
     );
 
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
     container: {
         flex: 1,
-        backgroundColor: COLORS.background,
+        backgroundColor: colors.background,
     },
     header: {
         alignItems: 'center',
         paddingTop: 40,
         paddingBottom: 16,
         borderBottomWidth: 1,
-        borderBottomColor: COLORS.divider,
+        borderBottomColor: colors.divider,
     },
     headerIcon: {
         fontSize: 32,
@@ -200,11 +572,11 @@ const styles = StyleSheet.create({
     title: {
         fontSize: 22,
         fontWeight: '800',
-        color: COLORS.textPrimary,
+        color: colors.textPrimary,
     },
     subtitle: {
         fontSize: 13,
-        color: COLORS.textSecondary,
+        color: colors.textSecondary,
         marginTop: 4,
     },
     scrollView: {
@@ -221,17 +593,17 @@ const styles = StyleSheet.create({
     sectionTitle: {
         fontSize: 14,
         fontWeight: '700',
-        color: COLORS.textSecondary,
+        color: colors.textSecondary,
         marginBottom: 12,
         textTransform: 'uppercase',
         letterSpacing: 1,
     },
     card: {
-        backgroundColor: COLORS.card,
+        backgroundColor: colors.card,
         borderRadius: 16,
         padding: 4,
         borderWidth: 1,
-        borderColor: COLORS.border,
+        borderColor: colors.border,
     },
     settingRow: {
         flexDirection: 'row',
@@ -242,7 +614,7 @@ const styles = StyleSheet.create({
         width: 40,
         height: 40,
         borderRadius: 10,
-        backgroundColor: COLORS.surface,
+        backgroundColor: colors.surface,
         justifyContent: 'center',
         alignItems: 'center',
         marginRight: 14,
@@ -257,16 +629,16 @@ const styles = StyleSheet.create({
     settingTitle: {
         fontSize: 15,
         fontWeight: '600',
-        color: COLORS.textPrimary,
+        color: colors.textPrimary,
         marginBottom: 2,
     },
     settingDescription: {
         fontSize: 12,
-        color: COLORS.textMuted,
+        color: colors.textMuted,
     },
     divider: {
         height: 1,
-        backgroundColor: COLORS.divider,
+        backgroundColor: colors.divider,
         marginHorizontal: 14,
     },
     infoRow: {
@@ -277,7 +649,7 @@ const styles = StyleSheet.create({
     },
     infoLabel: {
         fontSize: 14,
-        color: COLORS.textSecondary,
+        color: colors.textSecondary,
     },
     infoValueContainer: {
         flexDirection: 'row',
@@ -286,17 +658,17 @@ const styles = StyleSheet.create({
     infoValue: {
         fontSize: 14,
         fontWeight: '600',
-        color: COLORS.textPrimary,
+        color: colors.textPrimary,
     },
     statusDot: {
         width: 8,
         height: 8,
         borderRadius: 4,
-        backgroundColor: COLORS.riskLow,
+        backgroundColor: colors.riskLow,
         marginRight: 8,
     },
     statusText: {
-        color: COLORS.riskLow,
+        color: colors.riskLow,
     },
     aboutContent: {
         alignItems: 'center',
@@ -309,12 +681,12 @@ const styles = StyleSheet.create({
     aboutTitle: {
         fontSize: 18,
         fontWeight: '700',
-        color: COLORS.textPrimary,
+        color: colors.textPrimary,
         marginBottom: 10,
     },
     aboutDescription: {
         fontSize: 13,
-        color: COLORS.textSecondary,
+        color: colors.textSecondary,
         textAlign: 'center',
         lineHeight: 20,
     },
@@ -325,11 +697,11 @@ const styles = StyleSheet.create({
     },
     footerText: {
         fontSize: 12,
-        color: COLORS.textMuted,
+        color: colors.textMuted,
     },
     footerSubtext: {
         fontSize: 11,
-        color: COLORS.textMuted,
+        color: colors.textMuted,
         marginTop: 2,
     },
     actionRow: {
@@ -339,9 +711,29 @@ const styles = StyleSheet.create({
     },
     chevron: {
         fontSize: 24,
-        color: COLORS.textMuted,
+        color: colors.textMuted,
         fontWeight: '300',
     },
+    checkmark: {
+        fontSize: 18,
+        color: colors.secondary,
+        fontWeight: '700',
+    },
+    riskPreview: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        paddingHorizontal: 14,
+        paddingBottom: 14,
+    },
+    riskPreviewLabel: {
+        fontSize: 12,
+        color: colors.textMuted,
+        marginRight: 8,
+    },
+    riskPreviewBadge: {
+        marginRight: 6,
+    },
 });
 
 export default SettingsScreen;
@@ -1,182 +1,459 @@
 // Android Sandbox - API Service
 // Integrates with native Android BehaviorModule for real security analysis
 
-import { NativeModules, Platform } from 'react-native';
+import { NativeEventEmitter, NativeModules, PermissionsAndroid, Platform, Share } from 'react-native';
+import { DATA_SOURCES, SCAN_QUEUE_CONFIG, SCAN_PROGRESS_EVENT, PACKAGE_CHANGE_EVENT } from '../utils/constants';
+import { evaluateVerdict, resolveScoringPolicy } from '../utils/scoringPolicy';
+import { diffScans } from '../utils/scanDiff';
+import { enrichPermission } from '../utils/permissionCatalog';
+import { addScanRecord, getHistoryEntries, getHistoryEntry, getPreviousScan } from './historyStore';
+import { runScanQueue } from './scanQueue';
+import { NativeBridgeError, toErrorInfo } from './errors';
+import { loadSimulatorSettings, getSimulatorSettings, getSimulatedModule } from './simulator';
+import { renderReport } from './reportExport';
+import { loadSettings, getSettings } from './settingsStore';
+import { getTranslator } from './i18n';
+import { buildSarifLog, renderSarifLog } from './sarifExport';
+import { loadOverrides, getOverride, setOverride, removeOverride } from './overrideStore';
+import { applyOverride, applyOverrideToEntry } from '../utils/verdictOverrides';
+import {
+    CACHE_ENGINES,
+    buildFingerprint,
+    getCachedResult,
+    setCachedResult,
+    pruneStaleResults,
+    getCacheStats,
+    clearCache,
+} from './scanCache';
 
 // Get the native behavior module
 const { BehaviorModule } = NativeModules;
 
 /**
- * Get list of installed apps from native module
- * @returns {Promise<Array>} - Array of installed apps
+ * Whether the real native engine is present on this device
+ * @returns {boolean}
+ */
+export const isNativeEngineAvailable = () => Platform.OS === 'android' && Boolean(BehaviorModule);
+
+/**
+ * Whether results come from the bridge simulator instead of the native engine
+ * True when the native module is missing or the developer setting enables the simulator.
+ * In demo mode every result is scenario data tagged with source 'mock'.
+ * @returns {boolean}
  */
-export const getInstalledApps = async () => {
+export const isDemoMode = () => !isNativeEngineAvailable() || getSimulatorSettings().enabled;
+
+// Helper: Resolve the module answering bridge calls: the native engine, or the scenario simulator in demo mode
+const resolveBridge = async () => {
+    // The loaded value goes stale after a change; always read the current settings
+    await loadSimulatorSettings();
+    const settings = getSimulatorSettings();
+    if (isNativeEngineAvailable() && !settings.enabled) {
+        return { module: BehaviorModule, source: DATA_SOURCES.NATIVE };
+    }
+    return { module: getSimulatedModule(settings.scenarioId), source: DATA_SOURCES.MOCK };
+};
+
+// Helper: Call a bridge method, wrapping any failure in a NativeBridgeError
+const invoke = async (bridge, method, ...args) => {
     try {
-        if (Platform.OS === 'android' && BehaviorModule) {
-            const apps = await BehaviorModule.getInstalledApps();
-            return apps;
-        }
-        // Fallback for iOS or if module unavailable
-        return getMockApps();
+        return await bridge.module[method](...args);
     } catch (error) {
-        console.error('Get Installed Apps Error:', error);
-        return getMockApps();
+        throw new NativeBridgeError(method, error, { args, source: bridge.source });
     }
 };
 
+// Helper: Tag a result with its provenance (one of DATA_SOURCES)
+const withSource = (value, source) => ({ ...value, source });
+
 /**
- * Analyze a specific app for security risks
- * @param {string} packageName - Package name to analyze
- * @returns {Promise<Object>} - Risk assessment result
+ * Run an engine call through the result cache
+ * The cached value is reused only while the package fingerprint is unchanged.
+ * Simulated results bypass the cache entirely.
+ * @param {string} engine - One of CACHE_ENGINES
+ * @param {string} packageName - Package name
+ * @param {string} method - BehaviorModule method to call on a cache miss
+ * @param {string} knownFingerprint - Fingerprint from a fresh app listing, if available
+ * @returns {Promise<Object>} - Engine result
  */
-export const analyzeApp = async (packageName) => {
-    try {
-        if (Platform.OS === 'android' && BehaviorModule) {
-            const result = await BehaviorModule.analyzeApp(packageName);
-            return result;
+const runEngine = async (engine, packageName, method, knownFingerprint = null) => {
+    const bridge = await resolveBridge();
+    if (bridge.source === DATA_SOURCES.MOCK) {
+        return withSource(await invoke(bridge, method, packageName), DATA_SOURCES.MOCK);
+    }
+
+    let fingerprint = knownFingerprint;
+    if (!fingerprint) {
+        try {
+            const details = await invoke(bridge, 'getAppFullDetails', packageName);
+            fingerprint = details.error ? null : buildFingerprint(details);
+        } catch (e) {
+            fingerprint = null;
         }
-        // Fallback mock response
-        return {
-            risk: 'MEDIUM',
-            confidence: 0.75,
-            action: 'RESTRICTED',
-        };
-    } catch (error) {
-        console.error('Analyze App Error:', error);
-        throw error;
     }
+
+    if (fingerprint) {
+        const cached = await getCachedResult(engine, packageName, fingerprint);
+        if (cached) {
+            return withSource(cached, DATA_SOURCES.CACHE);
+        }
+    }
+
+    const value = await invoke(bridge, method, packageName);
+    if (fingerprint) {
+        setCachedResult(engine, packageName, fingerprint, value)
+            .catch((error) => console.error('Cache Write Error:', error));
+    }
+    return withSource(value, DATA_SOURCES.NATIVE);
+};
+
+// Helper: Whether an app is listed under the "Show System Apps" / "Show Trusted Apps" settings
+const isListedApp = (app, settings) =>
+    (settings.showSystemApps || !app.isSystemApp) && (settings.showTrustedApps || !app.isTrusted);
+
+/**
+ * Get list of installed apps from native module
+ * System and trusted apps are left out unless enabled in Settings (or `includeHidden` is set).
+ * Also drops cached results of apps that were updated or removed
+ * @param {Object} options
+ * @param {boolean} options.includeHidden - List every installed app, whatever the settings
+ * @returns {Promise<Array>} - Array of installed apps, each tagged with its source
+ * @throws {NativeBridgeError} - If the native listing fails
+ */
+export const getInstalledApps = async ({ includeHidden = false } = {}) => {
+    const [bridge] = await Promise.all([resolveBridge(), loadSettings()]);
+    const apps = await invoke(bridge, 'getInstalledApps');
+    const settings = getSettings();
+
+    if (bridge.source === DATA_SOURCES.NATIVE) {
+        const fingerprints = {};
+        apps.forEach((app) => {
+            fingerprints[app.packageName] = buildFingerprint(app);
+        });
+        pruneStaleResults(fingerprints)
+            .catch((error) => console.error('Cache Prune Error:', error));
+    }
+    // Prune against the full listing above: hidden apps are still installed
+    return apps
+        .filter((app) => includeHidden || isListedApp(app, settings))
+        .map((app) => withSource(app, bridge.source));
+};
+
+// Helper: Engine verdict of an app, without the user's override (this is what gets cached and stored)
+const runHeuristic = (packageName, fingerprint = null) =>
+    runEngine(CACHE_ENGINES.heuristic, packageName, 'analyzeApp', fingerprint);
+
+// Helper: Final verdict of engine results under the scoring policy selected in settings (settings must be
+// loaded). Every verdict the app shows or exports is computed here.
+const finalVerdictOf = (heuristic, malware = null, ml = null) =>
+    evaluateVerdict({ heuristic, malware, ml }, resolveScoringPolicy(getSettings()));
+
+// Helper: Attach a final verdict; the top-level risk and action follow it
+const withVerdict = (item, verdict) => ({ ...item, risk: verdict.risk, action: verdict.action, verdict });
+
+// Helper: Apply the current overrides and scoring policy to stored history entries
+const withCurrentVerdicts = async (entries) => {
+    await Promise.all([loadOverrides(), loadSettings()]);
+    return entries.map((stored) => {
+        const entry = applyOverrideToEntry(stored, getOverride(stored.packageName));
+        const heuristic = entry.engines?.heuristic || { risk: entry.risk, action: entry.action, override: entry.override };
+        return withVerdict(entry, finalVerdictOf(heuristic, entry.engines?.malware, entry.engines?.ml));
+    });
 };
 
+/**
+ * Final verdict of engine results under the scoring policy selected in settings
+ * Listed apps, history entries and scans already carry theirs as `verdict`; this is for results
+ * that are still being put together, like the result screen loading the engines one by one.
+ * @param {Object} engines - { heuristic, malware, ml } engine results; malware and ml may be null
+ * @returns {Object} - evaluateVerdict() result
+ */
+export const getFinalVerdict = ({ heuristic, malware = null, ml = null }) => finalVerdictOf(heuristic, malware, ml);
+
+/**
+ * Analyze a specific app for security risks
+ * Results are cached per package version; the user's verdict override, if any,
+ * is applied on top and attached as `override`
+ * @param {string} packageName - Package name to analyze
+ * @param {string} fingerprint - Optional fingerprint from a fresh app listing
+ * @returns {Promise<Object>} - Risk assessment result, tagged with its source
+ * @throws {NativeBridgeError} - If native analysis fails
+ */
+export const analyzeApp = async (packageName, fingerprint = null) => {
+    const [result] = await Promise.all([runHeuristic(packageName, fingerprint), loadOverrides()]);
+    return applyOverride(result, getOverride(packageName));
+};
+
+/**
+ * Get the user's verdict override of an app
+ * @param {string} packageName - Package name
+ * @returns {Promise<Object|null>} - Override or null
+ */
+export const getVerdictOverride = async (packageName) => {
+    await loadOverrides();
+    return getOverride(packageName);
+};
+
+/**
+ * Override the verdict of an app (mark trusted, suppress findings, force-block)
+ * @param {string} packageName - Package name
+ * @param {Object} override - { trusted, suppressedIndicators, forceBlock, reason, setBy }
+ * @returns {Promise<Object>} - The stored override
+ * @throws {ValidationError} - If the reason is missing or the override changes nothing
+ */
+export const setVerdictOverride = (packageName, override) => setOverride(packageName, override);
+
+/**
+ * Remove the verdict override of an app
+ * @param {string} packageName - Package name
+ * @returns {Promise<void>}
+ */
+export const removeVerdictOverride = (packageName) => removeOverride(packageName);
+
 /**
  * Scan file metadata and get risk assessment
  * @param {Object} fileMetadata - File metadata object
- * @returns {Promise<Object>} - Risk assessment result
+ * @returns {Promise<Object>} - Risk assessment result, tagged with its source
  */
 export const scanFile = async (fileMetadata) => {
-    try {
-        // If it's an APK with package name, use native analysis
-        if (fileMetadata.packageName && Platform.OS === 'android' && BehaviorModule) {
-            const result = await BehaviorModule.analyzeApp(fileMetadata.packageName);
-            return {
-                risk: result.risk,
-                confidence: result.confidence,
-                action: result.action,
-            };
-        }
-
-        // Fallback: Simulate API response for non-APK files
-        await simulateDelay(1000);
-        return getMockScanResult(fileMetadata.fileType);
-    } catch (error) {
-        console.error('Scan File Error:', error);
-        throw error;
+    // If it's an APK with package name, use native analysis
+    if (fileMetadata.packageName) {
+        const [result] = await Promise.all([analyzeApp(fileMetadata.packageName), loadSettings()]);
+        const verdict = finalVerdictOf(result);
+        return {
+            risk: verdict.risk,
+            confidence: result.confidence,
+            action: verdict.action,
+            source: result.source,
+        };
     }
+
+    // Fallback: Simulate API response for non-APK files
+    await simulateDelay(1000);
+    return withSource(getMockScanResult(fileMetadata.fileType), DATA_SOURCES.MOCK);
 };
 
 /**
  * Fetch recently scanned files (uses installed apps as demo)
+ * Apps are analyzed through the scan queue with bounded parallelism.
+ * Apps whose analysis fails are returned with source 'error' and an `error` description
+ * instead of a made-up verdict. `risk` and `action` are the final verdict (`verdict`) of the
+ * heuristic result under the scoring policy selected in settings.
+ * @param {Object} options - Queue options
+ * @param {Function} options.onProgress - Per-item progress callback ({ completed, total, ... })
+ * @param {AbortSignal} options.signal - Cancels the remaining analysis
+ * @param {number} options.concurrency - Max parallel native calls
+ * @param {number} options.itemTimeoutMs - Per-app timeout
  * @returns {Promise<Array>} - Array of recent file scan results
+ * @throws {NativeBridgeError|ScanCancelledError}
  */
-export const getRecentFiles = async () => {
-    try {
-        const apps = await getInstalledApps();
-
-        // Analyze all apps (no limit)
-        const recentApps = apps;
-        const analyzedApps = await Promise.all(
-            recentApps.map(async (app) => {
-                try {
-                    if (Platform.OS === 'android' && BehaviorModule) {
-                        const analysis = await BehaviorModule.analyzeApp(app.packageName);
-                        return {
-                            id: analysis.id,
-                            fileName: analysis.fileName,
-                            fileType: analysis.fileType,
-                            fileSize: analysis.fileSize,
-                            packageName: analysis.packageName,
-                            hash: analysis.hash,
-                            risk: analysis.risk,
-                            confidence: analysis.confidence,
-                            action: analysis.action,
-                            scannedAt: new Date().toISOString(),
-                            iconBase64: app.iconBase64 || '',
-                        };
-                    }
-                    return app;
-                } catch (e) {
-                    // Return app with default risk if analysis fails
-                    return {
-                        ...app,
-                        risk: 'LOW',
-                        confidence: 0.5,
-                        action: 'ALLOWED',
-                        scannedAt: new Date().toISOString(),
-                    };
-                }
-            })
-        );
-
-        return analyzedApps;
-    } catch (error) {
-        console.error('Get Recent Files Error:', error);
-        return getMockApps();
+export const getRecentFiles = async (options = {}) => {
+    const apps = await getInstalledApps();
+
+    const outcomes = await runScanQueue(
+        apps,
+        async (app) => {
+            const analysis = await analyzeApp(app.packageName, buildFingerprint(app));
+            return withVerdict({
+                id: analysis.id,
+                fileName: analysis.fileName,
+                fileType: analysis.fileType,
+                fileSize: analysis.fileSize,
+                packageName: analysis.packageName,
+                hash: analysis.hash,
+                risk: analysis.risk,
+                confidence: analysis.confidence,
+                action: analysis.action,
+                riskScore: analysis.riskScore,
+                override: analysis.override || null,
+                // Explainability: how riskScore was built and the category it was judged against
+                riskBreakdown: analysis.riskBreakdown || [],
+                riskIndicators: analysis.riskIndicators || [],
+                appCategory: analysis.appCategory,
+                isFromPlayStore: analysis.isFromPlayStore,
+                isTrusted: analysis.isTrusted,
+                // Posture flags (used by the device posture dashboard)
+                isSideloaded: analysis.isSideloaded,
+                isDebuggable: analysis.isDebuggable,
+                isOutdated: analysis.isOutdated,
+                targetSdk: analysis.targetSdk,
+                // Package install/update times from the listing, shown on the app cards
+                firstInstallTime: app.firstInstallTime,
+                lastUpdateTime: app.lastUpdateTime,
+                scannedAt: new Date(analysis.scannedAt || Date.now()).toISOString(),
+                iconBase64: app.iconBase64 || '',
+                source: analysis.source,
+            }, finalVerdictOf(analysis));
+        },
+        options,
+    );
+
+    return outcomes.map((outcome, index) => {
+        if (outcome.status === 'fulfilled') {
+            return outcome.value;
+        }
+        // Analysis failed or timed out: surface it instead of guessing a verdict
+        return {
+            ...apps[index],
+            risk: 'UNKNOWN',
+            confidence: 0,
+            action: 'UNKNOWN',
+            verdict: null,
+            scannedAt: null,
+            source: DATA_SOURCES.ERROR,
+            error: toErrorInfo(outcome.error),
+        };
+    });
+};
+
+/**
+ * Run a deep scan on an app (heuristic + malware + ML + network + permissions) and record it in history
+ * The heuristic verdict is required; a failed malware, ML, network or permission lookup leaves its
+ * result null and is reported in `errors` so the scan is shown as degraded.
+ * History keeps the engine verdict; the returned entry and heuristic carry the override.
+ * `verdict` is the final verdict under the scoring policy selected in settings; the returned
+ * entry's risk and action follow it.
+ * @param {Object} app - App to scan (packageName, fileName, fileSize, iconBase64)
+ * @returns {Promise<Object>} - { entry, heuristic, malware, ml, network, permissions, errors, verdict }
+ * @throws {NativeBridgeError} - If the heuristic analysis fails
+ */
+export const runDeepScan = async (app) => {
+    const [heuristicOutcome, malwareOutcome, mlOutcome, networkOutcome, permissionsOutcome] = await Promise.allSettled([
+        runHeuristic(app.packageName),
+        getMalwareAnalysis(app.packageName),
+        getMLAnalysis(app.packageName),
+        getNetworkAnalysis(app.packageName),
+        getDetailedPermissions(app.packageName),
+        loadOverrides(),
+        loadSettings(),
+    ]);
+    if (heuristicOutcome.status === 'rejected') {
+        throw heuristicOutcome.reason;
     }
+
+    const heuristic = heuristicOutcome.value;
+    const malware = malwareOutcome.status === 'fulfilled' ? malwareOutcome.value : null;
+    const ml = mlOutcome.status === 'fulfilled' ? mlOutcome.value : null;
+    const network = networkOutcome.status === 'fulfilled' ? networkOutcome.value : null;
+    const permissions = permissionsOutcome.status === 'fulfilled' ? permissionsOutcome.value : null;
+    const errors = {};
+    if (malwareOutcome.status === 'rejected') errors.malware = toErrorInfo(malwareOutcome.reason);
+    if (mlOutcome.status === 'rejected') errors.ml = toErrorInfo(mlOutcome.reason);
+    if (networkOutcome.status === 'rejected') errors.network = toErrorInfo(networkOutcome.reason);
+    if (permissionsOutcome.status === 'rejected') errors.permissions = toErrorInfo(permissionsOutcome.reason);
+
+    const entry = await addScanRecord(app, { heuristic, malware, ml, network, permissions, errors });
+    const override = getOverride(app.packageName);
+    const overridden = applyOverride(heuristic, override);
+    const verdict = finalVerdictOf(overridden, malware, ml);
+    return {
+        entry: withVerdict(applyOverrideToEntry(entry, override), verdict),
+        heuristic: overridden,
+        malware,
+        ml,
+        network,
+        permissions,
+        errors,
+        verdict,
+    };
+};
+
+/**
+ * Deep scan several apps, recording each scan in history
+ * Apps run through the scan queue with a lower parallelism than the app list analysis.
+ * A failed app never stops the batch; it is returned with status 'failed' and its `error`.
+ * @param {Array} apps - Apps to scan (packageName, fileName, fileSize, iconBase64)
+ * @param {Object} options - Queue options
+ * @param {Function} options.onStart - Called with ({ item, index }) when an app starts
+ * @param {Function} options.onProgress - Called after every app ({ completed, total, index, outcome })
+ * @param {AbortSignal} options.signal - Cancels the remaining apps
+ * @returns {Promise<Array>} - Per app, in input order: { app, status, scan, verdict, error }
+ * @throws {ScanCancelledError}
+ */
+export const runBatchDeepScan = async (apps, options = {}) => {
+    const outcomes = await runScanQueue(
+        apps,
+        async (app) => {
+            const scan = await runDeepScan(app);
+            return { app, status: 'done', scan, verdict: scan.verdict, error: null };
+        },
+        {
+            concurrency: SCAN_QUEUE_CONFIG.deepScanConcurrency,
+            itemTimeoutMs: SCAN_QUEUE_CONFIG.deepScanTimeoutMs,
+            ...options,
+        },
+    );
+
+    return outcomes.map((outcome, index) => (outcome.status === 'fulfilled'
+        ? outcome.value
+        : { app: apps[index], status: 'failed', scan: null, verdict: null, error: toErrorInfo(outcome.error) }));
+};
+
+/**
+ * Scan a newly installed or updated app in the background and record it in history
+ * Runs the heuristic and ML engines only; `verdict` is their hybrid final verdict under the
+ * scoring policy selected in settings. A failed ML lookup is reported in `errors` and the
+ * verdict falls back to the heuristic alone.
+ * @param {string} packageName - Package name
+ * @returns {Promise<Object>} - { entry, heuristic, ml, errors, verdict }
+ * @throws {NativeBridgeError} - If the heuristic analysis fails
+ */
+export const runAutoScan = async (packageName) => {
+    const [heuristicOutcome, mlOutcome] = await Promise.allSettled([
+        runHeuristic(packageName),
+        getMLAnalysis(packageName),
+        loadOverrides(),
+        loadSettings(),
+    ]);
+    if (heuristicOutcome.status === 'rejected') {
+        throw heuristicOutcome.reason;
+    }
+
+    const heuristic = heuristicOutcome.value;
+    const ml = mlOutcome.status === 'fulfilled' ? mlOutcome.value : null;
+    const errors = {};
+    if (mlOutcome.status === 'rejected') errors.ml = toErrorInfo(mlOutcome.reason);
+
+    const entry = await addScanRecord({ packageName }, { heuristic, ml, errors });
+    const override = getOverride(packageName);
+    const overridden = applyOverride(heuristic, override);
+    const verdict = finalVerdictOf(overridden, null, ml);
+    return {
+        entry: withVerdict(applyOverrideToEntry(entry, override), verdict),
+        heuristic: overridden,
+        ml,
+        errors,
+        verdict,
+    };
 };
 
 /**
  * Fetch full scan history grouped by date
+ * Reads the on-device history store; nothing is re-analyzed. Current overrides are applied and
+ * every entry's risk and action are its final verdict (`verdict`) under the current scoring policy.
  * @returns {Promise<Object>} - Scan history grouped by date
  */
 export const getScanHistory = async () => {
     try {
-        const apps = await getInstalledApps();
-
-        // Analyze all apps (no limit)
-        const analyzedApps = await Promise.all(
-            apps.map(async (app, index) => {
-                try {
-                    if (Platform.OS === 'android' && BehaviorModule) {
-                        const analysis = await BehaviorModule.analyzeApp(app.packageName);
-                        return {
-                            id: analysis.id,
-                            fileName: analysis.fileName,
-                            fileType: analysis.fileType,
-                            fileSize: analysis.fileSize,
-                            packageName: analysis.packageName,
-                            hash: analysis.hash,
-                            risk: analysis.risk,
-                            confidence: analysis.confidence,
-                            action: analysis.action,
-                            scannedAt: new Date(Date.now() - index * 3600000).toISOString(),
-                            iconBase64: app.iconBase64 || '',
-                        };
-                    }
-                    return app;
-                } catch (e) {
-                    return {
-                        ...app,
-                        risk: 'LOW',
-                        confidence: 0.5,
-                        action: 'ALLOWED',
-                        scannedAt: new Date().toISOString(),
-                    };
-                }
-            })
-        );
-
-        // Group by date
+        const entries = await withCurrentVerdicts(await getHistoryEntries());
+
+        // Group by calendar day of the real scan timestamp
         const today = [];
         const yesterday = [];
         const earlier = [];
-        const now = new Date();
+        const startOfToday = new Date();
+        startOfToday.setHours(0, 0, 0, 0);
+        const startOfYesterday = new Date(startOfToday);
+        startOfYesterday.setDate(startOfYesterday.getDate() - 1);
 
-        analyzedApps.forEach((app, index) => {
-            if (index < 5) {
-                today.push(app);
-            } else if (index < 10) {
-                yesterday.push(app);
+        entries.forEach((entry) => {
+            const scannedAt = new Date(entry.scannedAt);
+            if (scannedAt >= startOfToday) {
+                today.push(entry);
+            } else if (scannedAt >= startOfYesterday) {
+                yesterday.push(entry);
             } else {
-                earlier.push(app);
+                earlier.push(entry);
             }
         });
 
@@ -187,6 +464,62 @@ export const getScanHistory = async () => {
     }
 };
 
+/**
+ * Get the latest stored scan of every scanned package, with its final verdict
+ * @returns {Promise<Object>} - { [packageName]: { id, risk, action, scannedAt } }
+ */
+export const getLastScansByPackage = async () => {
+    const entries = await withCurrentVerdicts(await getHistoryEntries());
+    const lastScans = {};
+    entries.forEach(({ id, packageName, risk, action, scannedAt }) => {
+        // Entries are newest first, so the first one seen per package is the latest
+        if (!lastScans[packageName]) {
+            lastScans[packageName] = { id, risk, action, scannedAt };
+        }
+    });
+    return lastScans;
+};
+
+/**
+ * Get a stored scan by its ID, with the current override and final verdict applied
+ * @param {string} scanId - History entry ID
+ * @returns {Promise<Object|null>} - History entry or null
+ */
+export const getScanById = async (scanId) => {
+    const entry = await getHistoryEntry(scanId);
+    if (!entry) {
+        return null;
+    }
+    const [current] = await withCurrentVerdicts([entry]);
+    return current;
+};
+
+/**
+ * Compare a stored scan with the previous scan of the same app
+ * @param {string} scanId - History entry ID
+ * @returns {Promise<Object|null>} - Diff from diffScans(), or null if the scan is not stored
+ */
+export const getScanDiff = async (scanId) => {
+    const entry = await getHistoryEntry(scanId);
+    if (!entry) {
+        return null;
+    }
+    const previous = await getPreviousScan(entry);
+    return diffScans(previous, entry);
+};
+
+/**
+ * Summarize the result cache (for Settings)
+ * @returns {Promise<Object>} - { totalEntries, byEngine, packageCount, sizeBytes, lastUpdated }
+ */
+export const getResultCacheStats = () => getCacheStats();
+
+/**
+ * Clear every cached analysis result
+ * @returns {Promise<void>}
+ */
+export const clearResultCache = () => clearCache();
+
 // Helper: Simulate delay
 const simulateDelay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
@@ -196,114 +529,209 @@ const simulateDelay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
  * @returns {Promise<string>} - Status message
  */
 export const monitorAllApps = async () => {
-    try {
-        if (Platform.OS === 'android' && BehaviorModule) {
-            return await BehaviorModule.monitorAllApps();
-        }
-        return 'Monitoring not available on this platform';
-    } catch (error) {
-        console.error('Monitor All Apps Error:', error);
-        throw error;
+    const bridge = await resolveBridge();
+    return invoke(bridge, 'monitorAllApps');
+};
+
+/**
+ * Open the system settings page of an app
+ * @param {string} packageName - Package name
+ * @returns {Promise<boolean>}
+ * @throws {NativeBridgeError}
+ */
+export const openAppSettings = async (packageName) => {
+    const bridge = await resolveBridge();
+    return invoke(bridge, 'openAppSettings', packageName);
+};
+
+/**
+ * Show the system uninstall dialog for an app
+ * @param {string} packageName - Package name
+ * @returns {Promise<boolean>}
+ * @throws {NativeBridgeError}
+ */
+export const uninstallApp = async (packageName) => {
+    const bridge = await resolveBridge();
+    return invoke(bridge, 'uninstallApp', packageName);
+};
+
+// Helper: Share a rendered export file; falls back to plain text without the native module
+const shareTextFile = async ({ fileName, mimeType, content }) => {
+    if (isNativeEngineAvailable()) {
+        const bridge = { module: BehaviorModule, source: DATA_SOURCES.NATIVE };
+        const { t } = getTranslator(getSettings().language);
+        return invoke(bridge, 'shareTextFile', fileName, mimeType, content, t('common.shareChooser'));
     }
+    await Share.share({ title: fileName, message: content });
+    return true;
+};
+
+/**
+ * Share an exported scan report through the Android share sheet
+ * The file is written by the native module so it can be attached to tickets; without
+ * the native module the report is shared as plain text instead.
+ * @param {Object} report - Document from buildScanReport()
+ * @param {string} format - One of REPORT_FORMATS
+ * @returns {Promise<boolean>}
+ * @throws {NativeBridgeError}
+ */
+export const shareScanReport = (report, format) => shareTextFile(renderReport(report, format));
+
+/**
+ * Export the findings of every scanned app as a SARIF log and share it
+ * Uses the newest stored scan of each package; nothing is re-analyzed.
+ * Suppressed findings are left out; each app's verdict is its final verdict, marked when overridden.
+ * @returns {Promise<Object>} - { appCount, resultCount }
+ * @throws {NativeBridgeError}
+ */
+export const exportFindingsSarif = async () => {
+    const log = buildSarifLog(await withCurrentVerdicts(await getHistoryEntries()));
+    const [run] = log.runs;
+    await shareTextFile(renderSarifLog(log));
+    return { appCount: run.artifacts.length, resultCount: run.results.length };
 };
 
 /**
  * Get detailed permissions for an app with risk levels and descriptions
+ * Each permission is enriched from the permission catalog (protection level, group, API levels,
+ * message keys of its texts and abuse examples, riskRating); unknown and custom permissions are
+ * marked `known: false`. describePermission() resolves the texts in the current language.
  * @param {string} packageName - Package name to analyze
- * @returns {Promise<Array>} - Array of permission objects
+ * @returns {Promise<Array>} - Array of permission objects, each tagged with its source
+ * @throws {NativeBridgeError}
  */
 export const getDetailedPermissions = async (packageName) => {
-    try {
-        if (Platform.OS === 'android' && BehaviorModule) {
-            const permissions = await BehaviorModule.getDetailedPermissions(packageName);
-            return permissions;
-        }
-        // Mock permissions for non-Android
-        return getMockPermissions();
-    } catch (error) {
-        console.error('Get Detailed Permissions Error:', error);
-        return getMockPermissions();
-    }
+    const bridge = await resolveBridge();
+    const permissions = await invoke(bridge, 'getDetailedPermissions', packageName);
+    return permissions.map((perm) => withSource(enrichPermission(perm), bridge.source));
 };
 
 /**
  * Get malware analysis for an app
+ * Results are cached per package version
  * @param {string} packageName - Package name to analyze
- * @returns {Promise<Object>} - Malware analysis result
+ * @returns {Promise<Object>} - Malware analysis result, tagged with its source
+ * @throws {NativeBridgeError}
  */
-export const getMalwareAnalysis = async (packageName) => {
-    try {
-        if (Platform.OS === 'android' && BehaviorModule) {
-            const analysis = await BehaviorModule.getMalwareAnalysis(packageName);
-            return analysis;
-        }
-        // Mock malware analysis for non-Android
-        return getMockMalwareAnalysis();
-    } catch (error) {
-        console.error('Get Malware Analysis Error:', error);
-        return getMockMalwareAnalysis();
+export const getMalwareAnalysis = (packageName) =>
+    runEngine(CACHE_ENGINES.malware, packageName, 'getMalwareAnalysis');
+
+/**
+ * Get package metadata of an installed app (BehaviorModule.getAppFullDetails)
+ * @param {string} packageName - Package name
+ * @returns {Promise<Object>} - { appName, versionName, versionCode, installTime, updateTime, minSdk, targetSdk,
+ *   isSystemApp, sourceDir, fileSize, hash }, tagged with its source
+ * @throws {NativeBridgeError} - If the lookup fails or the package is not installed
+ */
+export const getAppMetadata = async (packageName) => {
+    const bridge = await resolveBridge();
+    const details = await invoke(bridge, 'getAppFullDetails', packageName);
+    if (details.error) {
+        throw new NativeBridgeError('getAppFullDetails', new Error(details.error), { args: [packageName], source: bridge.source });
     }
+    return withSource(details, bridge.source);
 };
 
+/**
+ * Get network capabilities and data-exfiltration risk for an app
+ * Results are cached per package version
+ * @param {string} packageName - Package name to analyze
+ * @returns {Promise<Object>} - { hasInternet, exfilRiskScore, riskLevel, usesCleartext, networkCapabilities,
+ *   dataExfilPermissions, ... }, tagged with its source
+ * @throws {NativeBridgeError}
+ */
+export const getNetworkAnalysis = (packageName) =>
+    runEngine(CACHE_ENGINES.network, packageName, 'getNetworkAnalysis');
+
 /**
  * Get ML-based malware classification for an app
  * Uses the CICMalDroid XGBoost ONNX model for on-device inference
+ * Inference reads the whole APK, so results are cached and never repeated for an unchanged binary
  * @param {string} packageName - Package name to analyze
- * @returns {Promise<Object>} - ML classification result
+ * @returns {Promise<Object>} - ML classification result, tagged with its source
+ * @throws {NativeBridgeError}
  */
-export const getMLAnalysis = async (packageName) => {
-    try {
-        if (Platform.OS === 'android' && BehaviorModule) {
-            const analysis = await BehaviorModule.getMLAnalysis(packageName);
-            return analysis;
-        }
-        // Mock ML analysis for non-Android
-        return getMockMLAnalysis();
-    } catch (error) {
-        console.error('Get ML Analysis Error:', error);
-        return getMockMLAnalysis();
+export const getMLAnalysis = (packageName) =>
+    runEngine(CACHE_ENGINES.ml, packageName, 'getMLAnalysis');
+
+/**
+ * Subscribe to ML scan progress reported by the native engine
+ * Only a real native inference reports progress; cached and simulated results emit nothing.
+ * @param {Function} listener - Called with ({ packageName, stage, stageProgress, elapsedMs }), stage is an ML_SCAN_STAGES key
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeScanProgress = (listener) => {
+    if (!isNativeEngineAvailable()) {
+        return () => {};
     }
+    const subscription = new NativeEventEmitter(BehaviorModule).addListener(SCAN_PROGRESS_EVENT, listener);
+    return () => subscription.remove();
 };
 
-// Helper: Get mock permissions
-const getMockPermissions = () => [
-    { permission: 'android.permission.CAMERA', shortName: 'Camera', riskLevel: 'HIGH', category: 'Privacy', description: 'Access device camera', icon: 'camera' },
-    { permission: 'android.permission.LOCATION', shortName: 'Location', riskLevel: 'HIGH', category: 'Privacy', description: 'Access device location', icon: 'map-marker' },
-    { permission: 'android.permission.INTERNET', shortName: 'Internet', riskLevel: 'LOW', category: 'Network', description: 'Access internet', icon: 'web' },
-];
-
-// Helper: Get mock malware analysis
-const getMockMalwareAnalysis = () => ({
-    packageName: 'com.example.app',
-    appName: 'Sample App',
-    threatLevel: 'LOW',
-    threatScore: 15,
-    suspiciousNameMatch: false,
-    matchedComboCount: 0,
-    suspiciousPermCount: 1,
-    indicatorCount: 0,
-    isSafe: true,
-    indicators: [],
-    suspiciousPermissions: [],
-});
-
-// Helper: Get mock ML analysis
-const getMockMLAnalysis = () => ({
-    packageName: 'com.example.app',
-    prediction: 'Benign',
-    classIndex: 0,
-    confidence: 0.85,
-    probabilities: {
-        Benign: 0.85,
-        Adware: 0.05,
-        Banking: 0.03,
-        SMS: 0.02,
-        Riskware: 0.05,
-    },
-    riskLevel: 'LOW',
-    isBenign: true,
-    scanTimestamp: Date.now(),
-});
+/**
+ * Subscribe to apps being installed, updated or removed
+ * The native module watches the package broadcasts until unsubscribed (one subscriber at a time);
+ * without the native module nothing is emitted.
+ * @param {Function} listener - Called with ({ packageName, action }), action is one of PACKAGE_CHANGES
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribePackageChanges = (listener) => {
+    if (!isNativeEngineAvailable()) {
+        return () => {};
+    }
+    const bridge = { module: BehaviorModule, source: DATA_SOURCES.NATIVE };
+    const subscription = new NativeEventEmitter(BehaviorModule).addListener(PACKAGE_CHANGE_EVENT, listener);
+    invoke(bridge, 'startPackageMonitoring')
+        .catch((error) => console.error('Package Monitoring Error:', error));
+    return () => {
+        subscription.remove();
+        invoke(bridge, 'stopPackageMonitoring')
+            .catch((error) => console.error('Package Monitoring Error:', error));
+    };
+};
+
+/**
+ * Ask for the notification permission (a runtime permission from Android 13)
+ * @returns {Promise<boolean>} - Whether notifications may be shown
+ */
+export const requestNotificationPermission = async () => {
+    if (Platform.OS !== 'android' || Platform.Version < 33) {
+        return Platform.OS === 'android';
+    }
+    const status = await PermissionsAndroid.request(PermissionsAndroid.PERMISSIONS.POST_NOTIFICATIONS);
+    return status === PermissionsAndroid.RESULTS.GRANTED;
+};
+
+/**
+ * Show a local notification that opens a deep link when tapped
+ * @param {Object} notification - { tag, title, body, link, channelName }; a later notification with
+ *   the same tag replaces the earlier one
+ * @returns {Promise<boolean>} - False without the native module
+ * @throws {NativeBridgeError} - If the notification permission is missing or posting fails
+ */
+export const showNotification = async (notification) => {
+    if (!isNativeEngineAvailable()) {
+        return false;
+    }
+    const bridge = { module: BehaviorModule, source: DATA_SOURCES.NATIVE };
+    return invoke(bridge, 'showNotification', notification);
+};
+
+/**
+ * Schedule or cancel the native periodic rescan (WorkManager)
+ * The worker starts the RESCAN_TASK headless task about once per interval, also while the app is
+ * closed; Android may defer it to save battery.
+ * @param {number} intervalMs - Rescan interval in ms; 0 cancels the schedule
+ * @returns {Promise<boolean>} - False without the native module
+ * @throws {NativeBridgeError}
+ */
+export const setBackgroundRescan = async (intervalMs) => {
+    if (!isNativeEngineAvailable()) {
+        return false;
+    }
+    const bridge = { module: BehaviorModule, source: DATA_SOURCES.NATIVE };
+    return intervalMs > 0 ? invoke(bridge, 'scheduleRescan', intervalMs) : invoke(bridge, 'cancelRescan');
+};
 
 // Helper: Get mock scan result
 const getMockScanResult = (fileType) => {
@@ -316,18 +744,3 @@ const getMockScanResult = (fileType) => {
     };
     return mockResponses[fileType] || { risk: 'LOW', confidence: 0.85, action: 'ALLOWED' };
 };
-
-// Helper: Get mock apps (fallback)
-const getMockApps = () => [
-    {
-        id: 'mock1',
-        fileName: 'Sample App',
-        fileType: 'apk',
-        fileSize: '12.5 MB',
-        packageName: 'com.example.sample',
-        risk: 'LOW',
-        confidence: 0.85,
-        action: 'ALLOWED',
-        scannedAt: new Date().toISOString(),
-    },
-];
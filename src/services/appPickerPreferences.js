@@ -0,0 +1,29 @@
+// Android Sandbox - App Picker Preferences
+// Remembers the filter and sort choices of the app picker between openings and launches
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS } from '../utils/constants';
+import { DEFAULT_APP_FILTERS } from '../utils/appFilters';
+
+/**
+ * Load the saved picker filters
+ * @returns {Promise<Object>} - Filters shaped like DEFAULT_APP_FILTERS
+ */
+export const loadAppPickerFilters = async () => {
+    try {
+        const raw = await AsyncStorage.getItem(STORAGE_KEYS.appPickerFilters);
+        return { ...DEFAULT_APP_FILTERS, ...(raw ? JSON.parse(raw) : {}) };
+    } catch (error) {
+        console.error('Load App Picker Filters Error:', error);
+        return { ...DEFAULT_APP_FILTERS };
+    }
+};
+
+/**
+ * Save the picker filters
+ * @param {Object} filters - Filters shaped like DEFAULT_APP_FILTERS
+ * @returns {Promise<void>}
+ */
+export const saveAppPickerFilters = (filters) =>
+    AsyncStorage.setItem(STORAGE_KEYS.appPickerFilters, JSON.stringify(filters))
+        .catch((error) => console.error('Save App Picker Filters Error:', error));
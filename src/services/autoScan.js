@@ -0,0 +1,106 @@
+// Android Sandbox - Auto Scan
+// Scans apps installed or updated while the app runs and notifies the user of risky verdicts
+
+import { RISK_LEVELS, SCAN_QUEUE_CONFIG, PACKAGE_CHANGES } from '../utils/constants';
+import { buildReportLink } from '../utils/deepLinks';
+import { isDemoMode, runAutoScan, showNotification, subscribePackageChanges } from './api';
+import { runScanQueue } from './scanQueue';
+import { loadSettings, getSettings } from './settingsStore';
+import { loadSimulatorSettings } from './simulator';
+import { getTranslator } from './i18n';
+
+// Minimum alert severities offered in Settings, lowest first
+export const AUTO_SCAN_MIN_RISKS = [RISK_LEVELS.MEDIUM, RISK_LEVELS.HIGH];
+
+const RISK_ORDER = [RISK_LEVELS.LOW, RISK_LEVELS.MEDIUM, RISK_LEVELS.HIGH];
+
+// Packages waiting for their scan, in arrival order; a package is queued at most once
+const queued = new Set();
+let draining = false;
+
+/**
+ * Whether a final verdict raises a notification
+ * @param {string} risk - Final verdict risk level
+ * @param {string} minRisk - `autoScanMinRisk` setting (one of AUTO_SCAN_MIN_RISKS)
+ * @returns {boolean}
+ */
+export const shouldAlert = (risk, minRisk) => {
+    const threshold = AUTO_SCAN_MIN_RISKS.includes(minRisk) ? minRisk : AUTO_SCAN_MIN_RISKS[0];
+    return RISK_ORDER.indexOf(risk) >= RISK_ORDER.indexOf(threshold);
+};
+
+// Helper: Scan one package and notify when its final verdict reaches the minimum severity
+const scanPackage = async (packageName) => {
+    const [outcome] = await runScanQueue([packageName], runAutoScan, {
+        concurrency: 1,
+        itemTimeoutMs: SCAN_QUEUE_CONFIG.deepScanTimeoutMs,
+    });
+    if (outcome.status === 'rejected') {
+        console.error('Auto Scan Error:', packageName, outcome.error);
+        return;
+    }
+
+    const { entry, verdict } = outcome.value;
+    const settings = getSettings();
+    if (!shouldAlert(verdict.risk, settings.autoScanMinRisk)) {
+        return;
+    }
+    const { t, formatRisk } = getTranslator(settings.language);
+    try {
+        await showNotification({
+            tag: packageName,
+            title: t('autoScan.alertTitle', { risk: formatRisk(verdict.risk) }),
+            body: t('autoScan.alertBody', { app: entry.fileName }),
+            link: buildReportLink(entry.id),
+            channelName: t('autoScan.channelName'),
+        });
+    } catch (error) {
+        console.error('Scan Alert Error:', error);
+    }
+};
+
+// Helper: Scan the queued packages one at a time
+const drainQueue = async () => {
+    if (draining) {
+        return;
+    }
+    draining = true;
+    while (queued.size > 0) {
+        const [packageName] = queued;
+        queued.delete(packageName);
+        await scanPackage(packageName).catch((error) => console.error('Auto Scan Error:', packageName, error));
+    }
+    draining = false;
+};
+
+// Helper: Queue installed and updated apps; a removed app is dropped if it has not been scanned yet
+const handlePackageChange = async ({ packageName, action }) => {
+    if (action === PACKAGE_CHANGES.REMOVED) {
+        queued.delete(packageName);
+        return;
+    }
+    await Promise.all([loadSettings(), loadSimulatorSettings()]);
+    // Simulated results describe scenario apps, not the device's
+    if (!getSettings().autoScanNewApps || isDemoMode()) {
+        return;
+    }
+    queued.add(packageName);
+    drainQueue();
+};
+
+/**
+ * Start scanning apps as they are installed or updated
+ * Every app runs `analyzeApp` and the ML model (runAutoScan), one at a time, and is recorded in
+ * history; a final verdict at or above the `autoScanMinRisk` setting posts a notification that opens
+ * the report (hexlab://report/<scanId>). Package events only arrive while the app process runs.
+ * @returns {Function} - Stop watching; a scan already running is left to finish
+ */
+export const startAutoScan = () => {
+    const unsubscribe = subscribePackageChanges((event) => {
+        handlePackageChange(event).catch((error) => console.error('Auto Scan Error:', error));
+    });
+    return () => {
+        unsubscribe();
+        queued.clear();
+    };
+};
@@ -0,0 +1,89 @@
+// Android Sandbox - Error Model
+// Typed errors raised by the service layer instead of silently falling back to fake data
+
+// Stable error codes screens can switch on
+export const ERROR_CODES = {
+    NATIVE_CALL_FAILED: 'NATIVE_CALL_FAILED',
+    SCAN_TIMEOUT: 'SCAN_TIMEOUT',
+    SCAN_CANCELLED: 'SCAN_CANCELLED',
+    INVALID_INPUT: 'INVALID_INPUT',
+    UNKNOWN: 'UNKNOWN',
+};
+
+/**
+ * Base class for all service-layer errors
+ */
+export class AppError extends Error {
+    constructor(code, message, { cause = null, context = {} } = {}) {
+        super(message);
+        this.name = 'AppError';
+        this.code = code;
+        this.cause = cause;
+        this.context = context;
+    }
+}
+
+/**
+ * A BehaviorModule method rejected or threw
+ */
+export class NativeBridgeError extends AppError {
+    constructor(method, cause, context = {}) {
+        const detail = cause && cause.message ? cause.message : String(cause);
+        super(ERROR_CODES.NATIVE_CALL_FAILED, `BehaviorModule.${method} failed: ${detail}`, {
+            cause,
+            context: { method, ...context },
+        });
+        this.name = 'NativeBridgeError';
+        this.method = method;
+    }
+}
+
+/**
+ * A scan queue item exceeded its time budget
+ */
+export class ScanTimeoutError extends AppError {
+    constructor(timeoutMs) {
+        super(ERROR_CODES.SCAN_TIMEOUT, `Scan timed out after ${timeoutMs} ms`, { context: { timeoutMs } });
+        this.name = 'ScanTimeoutError';
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * A scan queue run was cancelled through its AbortSignal
+ */
+export class ScanCancelledError extends AppError {
+    constructor(message = 'Scan cancelled') {
+        super(ERROR_CODES.SCAN_CANCELLED, message);
+        this.name = 'ScanCancelledError';
+    }
+}
+
+/**
+ * User input was rejected before anything was stored
+ */
+export class ValidationError extends AppError {
+    constructor(message, context = {}) {
+        super(ERROR_CODES.INVALID_INPUT, message, { context });
+        this.name = 'ValidationError';
+    }
+}
+
+/**
+ * Check whether an error came from a cancelled queue run
+ * @param {Error} error - Error to inspect
+ * @returns {boolean}
+ */
+export const isScanCancelled = (error) => error instanceof ScanCancelledError;
+
+/**
+ * Convert any thrown value into a plain, serializable description
+ * Used to attach failures to results and history entries
+ * @param {*} error - Thrown value
+ * @returns {Object} - { name, code, message }
+ */
+export const toErrorInfo = (error) => ({
+    name: error?.name || 'Error',
+    code: error?.code || ERROR_CODES.UNKNOWN,
+    message: error?.message || String(error),
+});
@@ -0,0 +1,170 @@
+// Android Sandbox - Scan History Store
+// Persists every scan result on-device with its real timestamp and engine outputs
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, HISTORY_CONFIG } from '../utils/constants';
+
+// In-memory copy of the persisted store, loaded lazily on first access
+let historyState = null;
+
+// Serializes writes so concurrent scans never overwrite each other
+let writeChain = Promise.resolve();
+
+/**
+ * Load the history store from AsyncStorage (once per app session)
+ * @returns {Promise<Object>} - Store with entries (newest first) and icons by package
+ */
+const loadState = async () => {
+    if (historyState) {
+        return historyState;
+    }
+    try {
+        const raw = await AsyncStorage.getItem(STORAGE_KEYS.scanHistory);
+        const parsed = raw ? JSON.parse(raw) : null;
+        historyState = {
+            entries: Array.isArray(parsed?.entries) ? parsed.entries : [],
+            icons: parsed?.icons || {},
+        };
+    } catch (error) {
+        console.error('Load Scan History Error:', error);
+        historyState = { entries: [], icons: {} };
+    }
+    return historyState;
+};
+
+// Helper: Persist the in-memory store
+const persistState = async () => {
+    await AsyncStorage.setItem(STORAGE_KEYS.scanHistory, JSON.stringify(historyState));
+};
+
+// Helper: Queue a mutation of the store and persist it afterwards
+const mutate = (mutation) => {
+    const run = writeChain.then(async () => {
+        const state = await loadState();
+        const value = mutation(state);
+        await persistState();
+        return value;
+    });
+    // Keep the chain alive even if one write fails
+    writeChain = run.catch(() => {});
+    return run;
+};
+
+// Helper: Drop bulky or transient fields before storing an engine result
+const stripEngineResult = (result) => {
+    if (!result) {
+        return null;
+    }
+    const { iconBase64, ...rest } = result;
+    return rest;
+};
+
+// Helper: Attach the package icon to a stored entry
+const withIcon = (entry, icons) => ({
+    ...entry,
+    iconBase64: icons[entry.packageName] || '',
+});
+
+/**
+ * Record a completed scan
+ * @param {Object} app - Scanned app (packageName, fileName, fileType, fileSize, iconBase64)
+ * @param {Object} engines - Engine outputs: { heuristic, malware, ml, network, permissions, errors }
+ * @returns {Promise<Object>} - The stored history entry
+ */
+export const addScanRecord = (app, { heuristic = null, malware = null, ml = null, network = null, permissions = null, errors = {} }) => {
+    const scannedAt = Date.now();
+    const packageName = app.packageName || heuristic?.packageName;
+
+    const entry = {
+        id: `${packageName}-${scannedAt}`,
+        packageName,
+        fileName: heuristic?.fileName || app.fileName || app.appName || packageName,
+        fileType: heuristic?.fileType || app.fileType || 'apk',
+        fileSize: heuristic?.fileSize || app.fileSize || 'N/A',
+        hash: heuristic?.hash || app.hash || '',
+        risk: heuristic?.risk,
+        confidence: heuristic?.confidence,
+        action: heuristic?.action,
+        scannedAt: new Date(scannedAt).toISOString(),
+        source: heuristic?.source,
+        // Package update time when it was scanned, if the app came from the listing
+        lastUpdateTime: app.lastUpdateTime ?? null,
+        errors,
+        // Requested permission names (null when the lookup failed)
+        permissions: permissions ? permissions.map((p) => p.permission) : null,
+        engines: {
+            heuristic: stripEngineResult(heuristic),
+            malware: stripEngineResult(malware),
+            ml: stripEngineResult(ml),
+            network: stripEngineResult(network),
+        },
+    };
+
+    return mutate((state) => {
+        state.entries = [entry, ...state.entries].slice(0, HISTORY_CONFIG.maxEntries);
+        if (app.iconBase64) {
+            state.icons[packageName] = app.iconBase64;
+        }
+        // Forget icons of packages that no longer have any entry
+        const liveIcons = {};
+        state.entries.forEach(({ packageName: pkg }) => {
+            if (state.icons[pkg]) {
+                liveIcons[pkg] = state.icons[pkg];
+            }
+        });
+        state.icons = liveIcons;
+        return withIcon(entry, state.icons);
+    });
+};
+
+/**
+ * Get all stored scans, newest first
+ * @returns {Promise<Array>} - History entries with icons attached
+ */
+export const getHistoryEntries = async () => {
+    const state = await loadState();
+    return state.entries.map((entry) => withIcon(entry, state.icons));
+};
+
+/**
+ * Get a single stored scan by its ID
+ * @param {string} scanId - History entry ID
+ * @returns {Promise<Object|null>} - History entry or null if not found
+ */
+export const getHistoryEntry = async (scanId) => {
+    const state = await loadState();
+    const entry = state.entries.find((e) => e.id === scanId);
+    return entry ? withIcon(entry, state.icons) : null;
+};
+
+/**
+ * Get the most recent stored scan for a package
+ * @param {string} packageName - Package name
+ * @returns {Promise<Object|null>} - Latest history entry or null
+ */
+export const getLatestScanForPackage = async (packageName) => {
+    const state = await loadState();
+    const entry = state.entries.find((e) => e.packageName === packageName);
+    return entry ? withIcon(entry, state.icons) : null;
+};
+
+/**
+ * Get the scan of the same package recorded before a given entry
+ * @param {Object} entry - History entry
+ * @returns {Promise<Object|null>} - Previous history entry or null for a first scan
+ */
+export const getPreviousScan = async (entry) => {
+    const state = await loadState();
+    const previous = state.entries.find((e) =>
+        e.packageName === entry.packageName && e.id !== entry.id && e.scannedAt < entry.scannedAt);
+    return previous ? withIcon(previous, state.icons) : null;
+};
+
+/**
+ * Delete all stored scans
+ * @returns {Promise<void>}
+ */
+export const clearHistory = () => mutate((state) => {
+    state.entries = [];
+    state.icons = {};
+});
@@ -0,0 +1,173 @@
+// Android Sandbox - Internationalization
+// Message catalogs, plural forms and locale-aware number, size and date formatting
+
+import { NativeModules } from 'react-native';
+import en from './locales/en';
+import es from './locales/es';
+
+// Catalog per language code; English is the fallback for missing messages
+const CATALOGS = { en, es };
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// `language` setting that follows the device language
+export const SYSTEM_LANGUAGE = 'system';
+
+// Languages offered in Settings, each labelled in its own language
+export const LANGUAGES = Object.entries(CATALOGS).map(([code, catalog]) => ({ code, label: catalog.name }));
+
+// Size units and their multipliers, for sizes the native module reports preformatted ("12.5 MB")
+const SIZE_UNITS = [['GB', 1024 * 1024 * 1024], ['MB', 1024 * 1024], ['KB', 1024], ['B', 1]];
+
+// Translators are built once per language
+const translators = {};
+
+// Helper: BCP 47 tag of the device locale ("es-MX"), or null when unknown
+const getDeviceLocale = () => {
+    try {
+        const { locale } = Intl.DateTimeFormat().resolvedOptions();
+        if (locale) return locale;
+    } catch (error) {
+        // Fall back to the platform constant below
+    }
+    const identifier = NativeModules.I18nManager?.localeIdentifier;
+    return identifier ? identifier.replace('_', '-') : null;
+};
+
+// Helper: Message at a dotted key ("home.title") of a catalog, or undefined
+const lookup = (messages, key) => key.split('.').reduce((node, part) => (node == null ? node : node[part]), messages);
+
+// Helper: Bytes of a size given as a number or a preformatted string; null when it cannot be parsed
+const toBytes = (size) => {
+    if (typeof size === 'number') return size;
+    const match = /^([\d.]+)\s*(B|KB|MB|GB)$/i.exec(String(size || '').trim());
+    if (!match) return null;
+    const [, unitBytes] = SIZE_UNITS.find(([unit]) => unit === match[2].toUpperCase());
+    return parseFloat(match[1]) * unitBytes;
+};
+
+/**
+ * Language and formatting locale for a `language` setting
+ * An explicit language keeps the device region for formatting when the languages match
+ * (Spanish on an es-MX device formats as es-MX).
+ * @param {string} language - Language code or SYSTEM_LANGUAGE
+ * @returns {Object} - { language, locale }
+ */
+export const resolveLocale = (language = SYSTEM_LANGUAGE) => {
+    const deviceLocale = getDeviceLocale();
+    const deviceLanguage = deviceLocale ? deviceLocale.split('-')[0].toLowerCase() : null;
+
+    let resolved = language;
+    if (!CATALOGS[resolved]) {
+        resolved = CATALOGS[deviceLanguage] ? deviceLanguage : DEFAULT_LANGUAGE;
+    }
+    return { language: resolved, locale: deviceLanguage === resolved ? deviceLocale : resolved };
+};
+
+/**
+ * Translator for a `language` setting
+ * @param {string} language - Language code or SYSTEM_LANGUAGE
+ * @returns {Object} - { language, locale, t, formatRisk, formatAction, formatNumber, formatPercent, formatFileSize,
+ *   formatDate, formatDateTime, formatRelativeTime, formatDateWithAge }
+ */
+export const getTranslator = (language = SYSTEM_LANGUAGE) => {
+    if (translators[language]) return translators[language];
+
+    const { language: resolved, locale } = resolveLocale(language);
+    const catalog = CATALOGS[resolved];
+
+    const formatNumber = (value, options) => new Intl.NumberFormat(locale, options).format(value);
+
+    /**
+     * Translate a message
+     * Plural messages are objects of forms ({ one, other }) picked by `params.count`;
+     * `{name}` placeholders are filled from params, numbers formatted for the locale.
+     * @param {string} key - Dotted message key (e.g. "home.startScan")
+     * @param {Object} params - Placeholder values; `defaultValue` is returned when no catalog has the key
+     * @returns {string} - Message, or the default value (the key itself) when no catalog has it
+     */
+    const t = (key, params = {}) => {
+        let message = lookup(catalog.messages, key);
+        let plural = catalog.plural;
+        if (message === undefined) {
+            message = lookup(en.messages, key);
+            plural = en.plural;
+        }
+        if (message === undefined) return params.defaultValue ?? key;
+        if (typeof message === 'object') {
+            message = message[plural(params.count ?? 0)] ?? message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return match;
+            return typeof value === 'number' ? formatNumber(value) : String(value);
+        });
+    };
+
+    // Display name of a risk level or action; values without a message are shown as is
+    const formatRisk = (risk) => (risk ? t(`risk.${risk}`, { defaultValue: risk }) : t('common.unknown'));
+    const formatAction = (action) => (action ? t(`action.${action}`, { defaultValue: action }) : t('common.unknown'));
+
+    // Percentage of a 0-1 fraction
+    const formatPercent = (fraction, digits = 0) =>
+        formatNumber(fraction, { style: 'percent', maximumFractionDigits: digits, minimumFractionDigits: digits });
+
+    // Byte count or preformatted size ("12.5 MB") in the locale's number format
+    const formatFileSize = (size) => {
+        const bytes = toBytes(size);
+        if (bytes === null) return size ? String(size) : t('common.notAvailable');
+        const [unit, unitBytes] = SIZE_UNITS.find(([, multiplier]) => bytes >= multiplier) || SIZE_UNITS[SIZE_UNITS.length - 1];
+        const digits = unit === 'B' ? 0 : 1;
+        return `${formatNumber(bytes / unitBytes, { maximumFractionDigits: digits, minimumFractionDigits: digits })} ${unit}`;
+    };
+
+    const formatDate = (timestamp) => new Intl.DateTimeFormat(locale, { dateStyle: 'medium' }).format(new Date(timestamp));
+
+    const formatDateTime = (timestamp) =>
+        new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(timestamp));
+
+    // Relative time ("2 min ago"); anything older than a week is shown as a date, '' without a timestamp.
+    // Standalone times start with a capital letter, `inline` ones are kept lowercase for use inside a sentence.
+    const formatRelativeTime = (timestamp, { inline = false } = {}) => {
+        if (!timestamp) return '';
+
+        const time = typeof timestamp === 'string' ? new Date(timestamp).getTime() : timestamp;
+        const diffSec = Math.floor((Date.now() - time) / 1000);
+        const diffMin = Math.floor(diffSec / 60);
+        const diffHour = Math.floor(diffMin / 60);
+        const diffDay = Math.floor(diffHour / 24);
+
+        let relative;
+        if (diffSec < 60) relative = t('time.justNow');
+        else if (diffMin < 60) relative = t('time.minutesAgo', { count: diffMin });
+        else if (diffHour < 24) relative = t('time.hoursAgo', { count: diffHour });
+        else if (diffDay < 7) relative = t('time.daysAgo', { count: diffDay });
+        else return formatDate(time);
+        return inline ? relative : relative.charAt(0).toLocaleUpperCase(locale) + relative.slice(1);
+    };
+
+    // Date with its relative time ("Mar 14, 2025 (2 days ago)"); 'Unknown' without a timestamp
+    const formatDateWithAge = (timestamp) => {
+        if (!timestamp) return t('common.unknown');
+
+        const date = formatDate(timestamp);
+        const relative = formatRelativeTime(timestamp, { inline: true });
+        return relative === date ? date : t('time.dateWithAge', { date, age: relative });
+    };
+
+    translators[language] = {
+        language: resolved,
+        locale,
+        t,
+        formatRisk,
+        formatAction,
+        formatNumber,
+        formatPercent,
+        formatFileSize,
+        formatDate,
+        formatDateTime,
+        formatRelativeTime,
+        formatDateWithAge,
+    };
+    return translators[language];
+};
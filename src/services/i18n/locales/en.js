@@ -0,0 +1,1740 @@
+// Android Sandbox - English Messages
+// Source catalog: every message key exists here; other languages fall back to it
+
+export default {
+    name: 'English',
+    plural: (count) => (count === 1 ? 'one' : 'other'),
+    messages: {
+        common: {
+            loading: 'Loading...',
+            unknown: 'Unknown',
+            notAvailable: 'N/A',
+            never: 'Never',
+            cancel: 'Cancel',
+            ok: 'OK',
+            error: 'Error',
+            save: 'Save',
+            yes: 'Yes',
+            no: 'No',
+            shareChooser: 'Share report',
+        },
+        time: {
+            justNow: 'just now',
+            minutesAgo: '{count} min ago',
+            hoursAgo: '{count} hr ago',
+            daysAgo: { one: '{count} day ago', other: '{count} days ago' },
+            dateWithAge: '{date} ({age})',
+        },
+        risk: {
+            HIGH: 'HIGH',
+            MEDIUM: 'MEDIUM',
+            LOW: 'LOW',
+        },
+        action: {
+            REVIEW: 'REVIEW',
+            MONITOR: 'MONITOR',
+            SAFE: 'SAFE',
+            ALLOWED: 'ALLOWED',
+            RESTRICTED: 'RESTRICTED',
+            BLOCKED: 'BLOCKED',
+        },
+        tabs: {
+            home: 'Home',
+            history: 'History',
+            settings: 'Settings',
+        },
+        home: {
+            subtitle: 'Security Analysis Platform',
+            startScan: 'Start Security Scan',
+            scanHint: 'Analyze installed apps for permissions and threats',
+            listAppsFailed: 'Unable to List Apps',
+            installedApps: 'Installed Apps',
+            loadFailed: 'Installed apps could not be loaded: {error}',
+            failedApps: {
+                one: '{count} app could not be analyzed and is marked "Scan failed".',
+                other: '{count} apps could not be analyzed and are marked "Scan failed".',
+            },
+            analyzingApps: 'Analyzing apps... {completed}/{total}',
+            emptyTitle: 'No recent scans',
+            emptyHint: 'Tap "Start Security Scan" to analyze your first app',
+        },
+        scanButton: {
+            start: 'Start Scan',
+            loading: 'Loading the model...',
+        },
+        fileCard: {
+            demoData: 'DEMO DATA',
+            scanFailed: 'SCAN FAILED',
+            partialScan: 'PARTIAL SCAN',
+            sideloaded: 'SIDELOADED',
+            overridden: 'OVERRIDDEN',
+            updated: 'updated {time}',
+        },
+        dataSource: {
+            mock: {
+                title: 'Demo Data',
+                message: 'The native analysis engine is unavailable. These results are sample data, not an assessment of this device.',
+            },
+            error: {
+                title: 'Degraded Results',
+                message: 'Some analysis steps failed. The results shown are incomplete.',
+            },
+        },
+        override: {
+            title: 'Override Verdict',
+            trustedTitle: 'Mark as Trusted',
+            trustedDescription: 'Treat this app as LOW risk',
+            forceBlockTitle: 'Force Block',
+            forceBlockDescription: 'Always report the action as BLOCKED',
+            suppressFindings: 'Suppress Findings',
+            noFindings: 'No findings reported for this app',
+            reason: 'Reason (required)',
+            reasonPlaceholder: 'Why is this verdict wrong?',
+            setByLabel: 'Set By',
+            setByPlaceholder: 'Your name',
+            remove: 'Remove Override',
+            bannerTitle: 'Verdict Overridden',
+            setBy: 'By {user} on {date}',
+            engineVerdict: 'Engine verdict: {verdict}',
+            effects: {
+                trusted: 'Marked trusted',
+                forceBlock: 'Forced to BLOCKED',
+                suppressed: { one: '{count} finding suppressed', other: '{count} findings suppressed' },
+            },
+        },
+        appList: {
+            count: { one: '{count} app', other: '{count} apps' },
+            empty: 'No matching apps',
+        },
+        posture: {
+            title: 'Device Posture',
+            analyzed: { one: '{count} app analyzed', other: '{count} apps analyzed' },
+            failed: ', {count} failed',
+            riskLevels: 'Risk Levels',
+            actions: 'Actions',
+            findings: 'Findings',
+            riskiestApps: 'Riskiest Apps',
+            riskApps: {
+                HIGH: 'High Risk Apps',
+                MEDIUM: 'Medium Risk Apps',
+                LOW: 'Low Risk Apps',
+            },
+            actionApps: 'Action: {action}',
+            flagApps: '{flag} Apps',
+            allApps: 'All Apps',
+            flags: {
+                sideloaded: 'Sideloaded',
+                debuggable: 'Debuggable',
+                outdatedSdk: 'Outdated SDK',
+            },
+        },
+        appPicker: {
+            title: 'Select App to Scan',
+            titleMulti: 'Select Apps to Scan',
+            subtitle: 'Choose an app for deep security analysis',
+            subtitleMulti: 'Choose apps for a batch deep scan',
+            single: 'Single',
+            multiSelect: 'Multi-Select',
+            search: 'Search name or package',
+            unknownApp: 'Unknown App',
+            scanned: 'Scanned {date}',
+            filters: {
+                user: 'User',
+                system: 'System',
+                sideloaded: 'Sideloaded',
+                scanned: 'Scanned',
+                clear: 'Clear',
+            },
+            select: {
+                allUser: 'All User Apps',
+                allSideloaded: 'All Sideloaded',
+                none: 'None',
+            },
+            sortLabel: 'Sort',
+            sort: {
+                name: 'Name',
+                installDate: 'Newest',
+                size: 'Size',
+                risk: 'Risk',
+            },
+            loading: 'Loading apps...',
+            empty: 'No apps found',
+            scanSelected: { one: 'Scan {count} App', other: 'Scan {count} Apps' },
+        },
+        history: {
+            title: 'Scan History',
+            subtitle: 'Previously analyzed files',
+            loading: 'Loading history...',
+            emptyTitle: 'No scan history',
+            emptyHint: 'Deep scans you run will appear here',
+            exportSarif: 'Export Findings (SARIF)',
+            exporting: 'Exporting...',
+            exportFailed: 'Export Failed',
+            today: 'Today',
+            yesterday: 'Yesterday',
+            earlier: 'Earlier',
+            scanCount: { one: '{count} scan', other: '{count} scans' },
+        },
+        batch: {
+            title: 'Batch Deep Scan',
+            scanning: 'Scanning {finished}/{total}...',
+            scanned: '{finished}/{total} scanned',
+            failed: ', {count} failed',
+            policyNote: 'Final verdict under the {policy} scoring policy',
+            engines: 'ML: {prediction} ({confidence}) · Heuristic: {risk}',
+            status: {
+                queued: 'QUEUED',
+                failed: 'FAILED',
+                cancelled: 'CANCELLED',
+            },
+        },
+        deepLink: {
+            title: 'Open Link',
+            opening: 'Opening link...',
+            invalid: 'This link is not valid. Links look like hexlab://scan/<package> or hexlab://report/<scan ID>.',
+            notInstalled: '{package} is not installed on this device.',
+            reportNotFound: 'This report is no longer in the scan history.',
+            failed: 'The link could not be opened: {error}',
+            goHome: 'Go to Home',
+        },
+        autoScan: {
+            channelName: 'Scan alerts',
+            alertTitle: '{risk} risk app detected',
+            alertBody: '{app} was scanned after it was installed or updated. Tap to open the report.',
+        },
+        rescan: {
+            summaryTitle: 'Scheduled Rescan',
+            summarySubtitle: {
+                one: '{count} app rescanned on {date}',
+                other: '{count} apps rescanned on {date}',
+            },
+            summaryFailed: {
+                one: '{count} app could not be scanned.',
+                other: '{count} apps could not be scanned.',
+            },
+            noChanges: 'No new high-risk apps, changed verdicts or removed apps since the previous scans.',
+            newHighRisk: 'New high-risk apps ({count})',
+            changed: 'Changed verdicts ({count})',
+            disappeared: 'No longer installed ({count})',
+            done: 'Done',
+        },
+        settings: {
+            title: 'Settings',
+            subtitle: 'Configure your security preferences',
+            saveFailed: 'Unable to save settings.',
+            display: {
+                title: 'Display Settings',
+                showSystemApps: 'Show System Apps',
+                showSystemAppsHint: 'Include pre-installed system apps',
+                showTrustedApps: 'Show Trusted Apps',
+                showTrustedAppsHint: 'Include system, privileged and verified-publisher apps',
+            },
+            language: {
+                title: 'Language',
+                system: 'System Default',
+                systemHint: 'Follow the device language',
+            },
+            appearance: {
+                title: 'Appearance',
+                themes: {
+                    system: 'System Default',
+                    dark: 'Dark',
+                    light: 'Light',
+                    highContrast: 'High Contrast',
+                },
+                systemHint: 'Follow the device light or dark mode',
+                highContrastHint: 'Black background, white text and bright accents',
+                colorBlindRisk: 'Color-Blind-Safe Risk Colors',
+                colorBlindRiskHint: 'Blue, yellow and orange instead of green, amber and red',
+                riskPreview: 'Risk levels',
+            },
+            analysis: {
+                title: 'Security Analysis',
+                detailedRisk: 'Detailed Risk Info',
+                detailedRiskHint: 'Show risk breakdown and scores',
+                highlightSideloaded: 'Highlight Sideloaded',
+                highlightSideloadedHint: 'Flag apps not from Play Store',
+            },
+            autoScan: {
+                title: 'Background Scanning',
+                enabled: 'Scan New and Updated Apps',
+                enabledHint: 'Analyze apps installed or updated while Hexlab is running and alert on risky verdicts',
+                nativeUnavailable: 'Requires the native engine',
+                minRisks: {
+                    MEDIUM: 'Alert on Medium and High Risk',
+                    MEDIUMHint: 'Notify when the final verdict is MEDIUM or HIGH',
+                    HIGH: 'Alert on High Risk Only',
+                    HIGHHint: 'Notify only when the final verdict is HIGH',
+                },
+                permissionDenied: 'Notifications are turned off for Hexlab. New apps are still scanned and recorded in History.',
+            },
+            rescan: {
+                title: 'Scheduled Rescan',
+                intervals: {
+                    off: 'Off',
+                    offHint: 'Rescan only when you tap Rescan Now',
+                    daily: 'Every Day',
+                    dailyHint: 'Runs in the background, also while Hexlab is closed; Android may delay it to save battery',
+                    weekly: 'Every Week',
+                    weeklyHint: 'Runs in the background, also while Hexlab is closed; Android may delay it to save battery',
+                },
+                lastRun: 'Last Run',
+                lastRunCompleted: {
+                    one: '{date} · {count} app',
+                    other: '{date} · {count} apps',
+                },
+                lastRunFailed: 'Failed on {date}: {error}',
+                nextRun: 'Next Run',
+                nextRunDue: 'Now',
+                running: 'Rescanning...',
+                runNow: 'Rescan Now',
+                runNowHint: 'Deep scan every installed app, system and trusted apps included, and record the results in History',
+                demoMode: 'Not available in demo mode: a rescan audits this device, not the scenario apps',
+            },
+            scoring: {
+                title: 'Scoring Policy',
+                customEmpty: 'Create your own policy in the editor',
+                editor: 'Advanced Editor',
+                summary: 'Weights {weights} · HIGH ≥ {high} · MEDIUM ≥ {medium}',
+            },
+            cache: {
+                title: 'Scan Cache',
+                apps: 'Cached Apps',
+                heuristic: 'Heuristic Results',
+                malware: 'Malware Results',
+                ml: 'ML Results',
+                network: 'Network Results',
+                storage: 'Storage Used',
+                lastUpdated: 'Last Updated',
+                clear: 'Clear Cache',
+                clearHint: 'Force every app to be re-analyzed',
+                clearTitle: 'Clear Scan Cache',
+                clearMessage: 'Cached results will be discarded and every app will be re-analyzed on its next scan.',
+                clearConfirm: 'Clear',
+                clearFailed: 'Unable to clear the cache.',
+            },
+            developer: {
+                title: 'Developer',
+                simulator: 'Simulated Device',
+                simulatorHint: 'Use scenario data instead of the native engine',
+                nativeUnavailable: 'Native engine unavailable on this device',
+                saveFailed: 'Unable to save developer settings.',
+            },
+            actions: {
+                title: 'Quick Actions',
+                deviceSecurity: 'Device Security',
+                deviceSecurityHint: 'Open Android security settings',
+            },
+            info: {
+                title: 'App Information',
+                appName: 'App Name',
+                version: 'Version',
+                engine: 'Analysis Engine',
+                status: 'Status',
+                active: 'Active',
+            },
+            about: {
+                title: 'About',
+                description: 'Advanced app security analyzer with context-aware risk scoring, runtime behavioral detection, and comprehensive threat analysis.',
+            },
+            footer: 'Built with ❤️ by Skanda, Deekshith, Pratham and Afthab',
+        },
+        scoring: {
+            presets: {
+                engine: {
+                    label: 'Engine Default',
+                    description: 'Heuristic score with the native engine rules; a malicious ML verdict raises the risk',
+                },
+                balanced: {
+                    label: 'Balanced',
+                    description: 'Heuristic, malware and ML scores all count towards the final score',
+                },
+                strict: {
+                    label: 'Strict',
+                    description: 'Lower thresholds, no Play Store leniency, and HIGH risk apps are blocked',
+                },
+                lenient: {
+                    label: 'Lenient',
+                    description: 'Higher thresholds; only a very confident ML verdict raises the risk',
+                },
+                custom: {
+                    label: 'Custom',
+                    description: 'Your own weights, thresholds and rules',
+                },
+            },
+            inputs: {
+                heuristic: 'Heuristic risk score',
+                malware: 'Malware threat score',
+                ml: 'ML malicious probability',
+            },
+            rules: {
+                suspiciousComboHigh: 'Suspicious combos and debuggable sideloaded builds force HIGH',
+                malwareThreatHigh: 'Malware THREAT level forces HIGH',
+                playStoreCap: 'Play Store apps are capped at MEDIUM, without the floors above',
+                trustedPublisherLow: 'Trusted publishers are LOW',
+                mlEscalation: 'A malicious ML verdict raises the risk',
+                blockHighRisk: 'HIGH risk apps are BLOCKED',
+            },
+            engines: {
+                heuristic: 'heuristic',
+                malware: 'malware',
+                ml: 'ML',
+            },
+            problems: {
+                weightsInvalid: 'Weights must be numbers of 0 or more',
+                weightsZero: 'At least one weight must be above 0',
+                thresholdsInvalid: 'Thresholds must be between 1 and 100',
+                thresholdsOrder: 'The MEDIUM threshold must be below the HIGH threshold',
+                confidencesInvalid: 'ML confidences must be between 0 and 100%',
+                confidencesOrder: 'The weak ML confidence must not be above the strong one',
+            },
+            editor: {
+                title: 'Custom Scoring Policy',
+                subtitle: 'Starts from the {policy} policy',
+                weights: 'Input Weights',
+                weightsHint: 'Each input is scored 0-100; the final score is their weighted average.',
+                thresholds: 'Risk Thresholds',
+                highAt: 'HIGH at score',
+                mediumAt: 'MEDIUM at score',
+                points: 'pts',
+                mlEscalation: 'ML Escalation',
+                mlEscalationHint: 'A malicious ML verdict above the strong confidence raises the risk one level; above the weak one it raises LOW to MEDIUM.',
+                strongConfidence: 'Strong confidence',
+                weakConfidence: 'Weak confidence',
+                rules: 'Rules',
+                save: 'Use Custom Policy',
+            },
+        },
+        verdict: {
+            title: 'Verdict Derivation',
+            score: 'Score',
+            policy: '{policy} policy · HIGH ≥ {high}, MEDIUM ≥ {medium}',
+            inputs: 'Inputs',
+            notAvailable: 'not available',
+            steps: 'How it was decided',
+            raw: {
+                heuristicScore: '{score} points',
+                heuristicLevel: '{risk} (no score)',
+                malwareScore: '{score} ({threatLevel})',
+                mlPrediction: '{prediction} ({confidence}%)',
+            },
+            details: {
+                weightedScore: {
+                    one: 'Weighted score {score} from the {engines} result',
+                    other: 'Weighted score {score} from the {engines} results',
+                },
+                noWeightedInput: 'No weighted input available; using the heuristic score {score}',
+                aboveHigh: 'Score {score} ≥ HIGH threshold {threshold}',
+                aboveMedium: 'Score {score} ≥ MEDIUM threshold {threshold}',
+                belowMedium: 'Score {score} < MEDIUM threshold {threshold}',
+                suspiciousCombo: 'Suspicious permission combination detected',
+                debuggableSideloaded: 'Debuggable build installed outside any app store',
+                malwareThreat: 'Malware detector reports THREAT (score {score})',
+                playStoreCap: 'Installed from the Play Store (capped at MEDIUM)',
+                trustedPublisher: 'Published by a trusted developer',
+                mlMalicious: 'ML model reports malicious with {confidence}% confidence (> {threshold}%)',
+                overrideTrusted: 'Marked trusted by an analyst override',
+                overrideBlocked: 'Forced to BLOCKED by an analyst override',
+                blockHighRisk: 'HIGH risk apps are blocked by this policy',
+            },
+        },
+        riskBreakdown: {
+            title: 'Risk Breakdown',
+            judgedAs: 'Judged as',
+            expected: 'Expected permissions: {permissions}',
+            notFlagged: 'Not flagged: {combos}',
+            empty: 'No risk factors reported.',
+            total: 'Risk Score',
+            hint: 'Tap a factor for details',
+            steps: {
+                permission: 'Permission',
+                unitemized: 'Other permission points (not listed separately)',
+                score: 'Score',
+                capped: 'Score capped at 100',
+                adjusted: 'Adjusted to the reported score',
+            },
+            categories: {
+                camera: { label: 'Camera', hints: 'camera, photo, video, scanner, QR or barcode' },
+                messaging: { label: 'Messaging', hints: 'message, SMS, chat or a known messenger' },
+                social: { label: 'Social', hints: 'social or a known social network' },
+                communication: { label: 'Communication', hints: 'phone, dialer, call or a known meeting app' },
+                location: { label: 'Location', hints: 'map, navigation, GPS, ride-hailing, delivery or weather' },
+                game: { label: 'Game', hints: 'game' },
+                utility: { label: 'Utility', hints: 'flashlight or calculator' },
+                browser: { label: 'Browser', hints: 'browser or a known browser' },
+                productivity: { label: 'Productivity', hints: 'office, docs, editor or a known design/notes app' },
+                entertainment: { label: 'Entertainment', hints: 'music, video, player or a known streaming app' },
+                shopping: { label: 'Shopping', hints: 'shop, store, cart or a known retailer' },
+                finance: { label: 'Finance', hints: 'bank, pay, wallet or finance' },
+                unknown: 'Unknown',
+                uncategorized: 'uncategorized',
+            },
+            categoryText: {
+                known: 'Inferred from the package or app name ({hints}). The category decides which sensitive permissions are expected: those score 10 points, unusual ones 15, and some combinations are not flagged for it.',
+                unsupported: '"{category}" is not one of the engine\'s categories. Every sensitive permission counts as unusual (15 points instead of 10), and no permission combination is exempt.',
+                unknown: 'No category was recognized from the package or app name. Every sensitive permission counts as unusual (15 points instead of 10), and no permission combination is exempt.',
+            },
+            permissionGroups: {
+                camera: 'Camera',
+                microphone: 'Microphone',
+                location: 'Location',
+                contacts: 'Contacts',
+                sms: 'SMS',
+                callLog: 'Call log',
+                storage: 'Storage',
+            },
+            factors: {
+                unitemized: 'High-risk permissions that fit a {category} app (10 points each) and medium-risk permissions (4-6 points each) are scored without being listed as a finding.',
+                adjustment: 'The listed factors add up to more than the reported score. The engine caps the score at 100.',
+                permission: '{permission} is a high-risk permission that a {category} app does not usually need, so it scores 15 points instead of 10.',
+                expectedFor: 'Expected for {category} apps: {permissions}',
+                nothingExpected: 'No sensitive permission is expected for this category',
+                suspiciousCombo: 'Together these permissions let an app collect personal data and send it off the device, a pattern common in spyware and SMS fraud. Each combination adds 35 points and forces HIGH risk unless the app comes from the Play Store.',
+                comboExempt: 'Not flagged for {categories} apps',
+                or: ' or ',
+                oldTargetSdk: 'The app targets an Android version older than 10 (SDK 29). Android keeps old behavior for such apps, so they miss protections newer apps get.',
+                trusted: 'System apps, privileged apps and apps from verified publishers are always rated LOW. Their permissions are not scored.',
+                playStore: 'Play Store apps pass Google\'s review, so the engine takes 40% off their permission score. The discount is skipped when a suspicious permission combination is present, and Play Store apps are never rated above MEDIUM.',
+                thirdPartyStore: 'The app came from a store other than Google Play. Third-party stores review apps less strictly, so the install source adds 15 points.',
+                sideloaded: 'The app was installed from an APK file, outside any app store, so nobody reviewed it before it reached the device. Sideloading adds 30 points when the app also holds high-risk permissions, 20 otherwise.',
+                debuggable: 'A debuggable app lets anyone with USB access attach a debugger, read its private data and change how it behaves. Release builds should never be debuggable. Together with sideloading or a suspicious combination it forces HIGH risk.',
+                testOnly: 'Test-only builds are meant for development and are normally refused by app stores. Finding one installed is unusual.',
+                outdated: 'The app has not been updated in over two years. Vulnerabilities found since then are unlikely to be fixed.',
+                accessibility: 'An accessibility service can read everything on screen and tap for the user. Banking trojans and spyware rely on it to steal codes and approve actions, so it carries the highest single weight (40 points).',
+                overlay: 'Drawing over other apps lets the app cover a login screen with a fake one (overlay attack) or hide what a button really does.',
+                bootStart: 'The app starts itself whenever the device boots and has internet access, so it can run and send data without being opened.',
+                services: 'The app declares many background services. Each one can keep running without a visible screen.',
+                other: '{category} factor reported by the heuristic engine.',
+            },
+        },
+        permission: {
+            since: 'Since API {level}',
+            deprecated: 'Deprecated in {version}',
+            abuse: 'How malware abuses it',
+            engineRating: 'Scored as {risk} by the heuristic engine',
+        },
+        permissionCatalog: {
+            levels: {
+                normal: { label: 'Normal', text: 'Granted automatically at install; the user is never asked.' },
+                dangerous: { label: 'Dangerous', text: 'Gives access to private data; the user must allow it at runtime (Android 6.0+).' },
+                special: { label: 'Special access', text: 'The user has to turn it on for the app in system settings.' },
+                signature: { label: 'Signature', text: 'Only granted to apps signed with the same key as the declaring app, usually the system.' },
+                privileged: { label: 'Privileged', text: 'Only granted to system apps preinstalled in the privileged partition.' },
+                unknown: { label: 'Unknown', text: 'Not described by the catalog; the declaring app decides how it is granted.' },
+            },
+            groups: {
+                location: 'Location',
+                camera: 'Camera',
+                microphone: 'Microphone',
+                contacts: 'Contacts',
+                calendar: 'Calendar',
+                phone: 'Phone',
+                callLog: 'Call Log',
+                sms: 'SMS',
+                storage: 'Files & Media',
+                sensors: 'Body Sensors',
+                activity: 'Physical Activity',
+                nearby: 'Nearby Devices',
+                notifications: 'Notifications',
+                network: 'Network',
+                accounts: 'Accounts',
+                display: 'Display & Overlay',
+                apps: 'Apps & Packages',
+                background: 'Background & Power',
+                binding: 'System Service',
+                system: 'System',
+                biometric: 'Biometrics',
+                other: 'Other',
+                custom: 'Custom',
+            },
+            custom: {
+                summary: 'Custom permission of {owner}',
+                summaryNoOwner: 'Custom permission',
+                explanation: 'Declared by {owner}, not by Android. Custom permissions protect that app\'s own components or data; whoever declares them decides how they are granted.',
+                anotherApp: 'another app',
+            },
+            unknown: {
+                summary: 'Android permission',
+                explanation: 'An Android permission this catalog does not describe. It may be newer than the catalog, hidden from apps, or added by the device maker.',
+            },
+            abuse: {
+                stalkerwareTracking: 'Stalkerware tracking where the user lives, works and travels',
+                sellingLocationHistory: 'Selling location history to data brokers',
+                covertCamera: 'Spyware taking photos or video without the user noticing',
+                backgroundRecording: 'Recording conversations and phone calls in the background',
+                uploadingAddressBook: 'Uploading the address book for spam or phishing campaigns',
+                spreadingToContacts: 'Spreading malware links to every contact',
+                learningSchedule: 'Learning the user\'s schedule and meetings',
+                fakeCalendarEvents: 'Injecting fake events with phishing links',
+                premiumCalls: 'Calling premium-rate numbers',
+                phoneFingerprinting: 'Fingerprinting the device through its phone identity',
+                harvestingCalls: 'Harvesting who the user calls and when',
+                stealingOtps: 'Stealing one-time passwords to break into bank accounts',
+                premiumSms: 'Sending premium SMS that the user is billed for',
+                uploadingPrivateFiles: 'Uploading private photos and documents',
+                ransomwareEncryption: 'Ransomware encrypting shared files',
+                healthData: 'Collecting health data such as heart rate without consent',
+                profilingRoutines: 'Profiling daily routines from steps and movement',
+                nearbyTracking: 'Tracking the user through nearby Bluetooth and Wi-Fi devices',
+                pairedDevices: 'Connecting to paired devices without the user noticing',
+                scamNotifications: 'Pushing scam or adware notifications',
+                exfiltration: 'Sending collected data to a remote server',
+                commandAndControl: 'Receiving commands from a command-and-control server',
+                listingAccounts: 'Listing the user\'s accounts to target phishing',
+                stealingTokens: 'Stealing account tokens',
+                fakeLoginScreens: 'Covering banking apps with fake login screens',
+                tapjacking: 'Hiding what a button really does (tapjacking)',
+                dropper: 'Installing further malware (dropper)',
+                findingBankingApps: 'Finding banking apps to target',
+                removingSecurityApps: 'Removing security apps',
+                persistentSpyware: 'Keeping spyware running and draining the battery',
+                posingAsSystemService: 'Posing as a system service to receive the data the system hands to it',
+                weakeningSettings: 'Changing device settings to weaken security',
+                covertTracking: 'Continuous covert tracking by stalkerware',
+                photoMetadata: 'Rebuilding where the user has been from photo metadata',
+                replacingContactNumber: 'Replacing a contact\'s number so calls go to a scammer',
+                deletingContacts: 'Deleting contacts',
+                trackingReinstalls: 'Tracking the device across app reinstalls',
+                pausingOnCalls: 'Noticing calls to pause spyware and avoid detection',
+                linkingIdentity: 'Linking the device to a real identity for spam or tracking',
+                tollFraud: 'Calling premium-rate numbers (toll fraud)',
+                silentAnswer: 'Silently answering calls to listen in',
+                fakeVoicemails: 'Planting fake voicemails that point to a scam number',
+                hidingPremiumCalls: 'Hiding calls that malware placed to premium numbers',
+                redirectingBankCalls: 'Redirecting calls to the bank to a scammer',
+                premiumSubscriptions: 'Subscribing the user to premium SMS services',
+                smsSpreading: 'Spreading itself by texting links to contacts',
+                interceptingOtps: 'Intercepting one-time passwords and bank codes',
+                vibrationSideChannel: 'Inferring typed PINs or speech from tiny vibrations',
+                nfcRelay: 'Relaying contactless payment cards (NFC relay attacks)',
+                waitingForWifi: 'Waiting for unmetered Wi-Fi before uploading stolen data',
+                networkFingerprinting: 'Fingerprinting the device or its location from nearby networks',
+                attackerProxy: 'Routing mobile traffic through an attacker\'s proxy',
+                fakeVpn: 'Fake VPNs inspecting or redirecting all traffic',
+                fullScreenScams: 'Full-screen scam pages that are hard to dismiss',
+                notificationOtps: 'Stealing one-time passwords from notifications',
+                readingChats: 'Reading private chats from message previews',
+                keepingUnlocked: 'Keeping the device unlocked for remote control',
+                storeDroppers: 'Droppers that install the real malware after passing store review',
+                naggingRemoval: 'Nagging the user into removing security apps',
+                findingFinanceApps: 'Finding banking and crypto apps to attack',
+                appProfiling: 'Building a detailed profile of the user from their apps',
+                detectingBankingApps: 'Detecting when a banking app opens to show a fake login over it',
+                usageProfiling: 'Profiling the user from app usage',
+                foregroundOverlays: 'Detecting the foreground app to show phishing overlays (before Android 5.0)',
+                pushingToFront: 'Pushing itself to the front over the app the user is using',
+                killingSecurityApps: 'Killing security apps running in the background',
+                workProfileLeak: 'Moving data out of the managed work profile',
+                adShortcuts: 'Adware placing shortcuts to ad sites',
+                browsingHistory: 'Collecting browsing history',
+                phishingBookmarks: 'Replacing bookmarks with phishing sites',
+                bootPersistence: 'Restarting spyware after every reboot without being opened',
+                cryptoMining: 'Mining cryptocurrency while the screen is off',
+                backgroundFilming: 'Filming in the background',
+                backgroundConversations: 'Recording conversations in the background',
+                continuousTracking: 'Continuous tracking',
+                screenRecording: 'Recording everything shown on screen, including passwords',
+                stayingAlive: 'Staying alive in the background to keep spying',
+                bankingTrojans: 'Banking trojans reading and approving transactions',
+                selfGranting: 'Granting itself more permissions by tapping the dialogs',
+                ransomwareLock: 'Ransomware locking the device',
+                blockingRemoval: 'Malware blocking its own removal',
+                keyloggers: 'Keyloggers stealing passwords and card numbers',
+                collectingLogins: 'Collecting every login the user enters',
+                enablingAccessibility: 'Enabling its own accessibility service without the user (granted over ADB)',
+                logHarvesting: 'Harvesting tokens and personal data other apps wrote to the log',
+            },
+            permissions: {
+                ACCESS_FINE_LOCATION: {
+                    summary: 'Access precise GPS location',
+                    text: 'Lets the app read the device position to within a few meters using GPS, Wi-Fi and cell data.',
+                },
+                ACCESS_COARSE_LOCATION: {
+                    summary: 'Access approximate location',
+                    text: 'Lets the app read an approximate position (about a city block) from Wi-Fi and cell towers.',
+                },
+                ACCESS_BACKGROUND_LOCATION: {
+                    summary: 'Access location in the background',
+                    text: 'Lets the app keep reading the location while it is closed. Without it, location is only available while the app is in use.',
+                },
+                ACCESS_LOCATION_EXTRA_COMMANDS: {
+                    summary: 'Send extra location provider commands',
+                    text: 'Lets the app send extra commands to location providers, for example to refresh GPS assistance data.',
+                },
+                ACCESS_MEDIA_LOCATION: {
+                    summary: 'Read locations stored in photos',
+                    text: 'Lets the app read the GPS coordinates saved in the user\'s photos and videos.',
+                },
+                CONTROL_LOCATION_UPDATES: {
+                    summary: 'Control location update notifications',
+                    text: 'Lets a system app turn location update notifications from the radio on or off.',
+                },
+                INSTALL_LOCATION_PROVIDER: {
+                    summary: 'Install a location provider',
+                    text: 'Lets a system app provide locations to the Location Manager.',
+                },
+                LOCATION_HARDWARE: {
+                    summary: 'Use location hardware features',
+                    text: 'Lets a system app use location features of the hardware, such as geofencing.',
+                },
+                CAMERA: {
+                    summary: 'Take photos and videos',
+                    text: 'Lets the app use the cameras to take pictures and record video.',
+                },
+                RECORD_AUDIO: {
+                    summary: 'Record audio from microphone',
+                    text: 'Lets the app record sound with the microphone.',
+                },
+                CAPTURE_AUDIO_OUTPUT: {
+                    summary: 'Capture audio output',
+                    text: 'Lets a system app capture the audio other apps play, including calls.',
+                },
+                MODIFY_AUDIO_SETTINGS: {
+                    summary: 'Change audio settings',
+                    text: 'Lets the app change global audio settings such as volume and the output speaker.',
+                },
+                READ_CONTACTS: {
+                    summary: 'Read your contacts',
+                    text: 'Lets the app read every contact on the device, including names, numbers, emails and notes.',
+                },
+                WRITE_CONTACTS: {
+                    summary: 'Modify your contacts',
+                    text: 'Lets the app add, change and delete contacts.',
+                },
+                GET_ACCOUNTS: {
+                    summary: 'Find accounts on the device',
+                    text: 'Lets the app list the accounts known to the device. Since Android 8.0 apps only see accounts they created or were given access to.',
+                },
+                GET_ACCOUNTS_PRIVILEGED: {
+                    summary: 'Find all accounts on the device',
+                    text: 'Lets a system app list every account on the device.',
+                },
+                ACCOUNT_MANAGER: {
+                    summary: 'Act as the account manager',
+                    text: 'Lets the system call into account authenticators.',
+                },
+                AUTHENTICATE_ACCOUNTS: {
+                    summary: 'Create accounts and set passwords',
+                    text: 'Let the app act as an account authenticator. Removed in Android 6.0.',
+                },
+                MANAGE_ACCOUNTS: {
+                    summary: 'Add or remove accounts',
+                    text: 'Let the app add and remove accounts and delete their passwords. Removed in Android 6.0.',
+                },
+                USE_CREDENTIALS: {
+                    summary: 'Use accounts on the device',
+                    text: 'Let the app request authentication tokens for the user\'s accounts. Removed in Android 6.0.',
+                },
+                READ_PROFILE: {
+                    summary: 'Read your own contact card',
+                    text: 'Let the app read the user\'s own profile card. Removed in Android 6.0.',
+                },
+                WRITE_PROFILE: {
+                    summary: 'Modify your own contact card',
+                    text: 'Let the app change the user\'s own profile card. Removed in Android 6.0.',
+                },
+                READ_CALENDAR: {
+                    summary: 'Read calendar events',
+                    text: 'Lets the app read every calendar event, including guests and locations.',
+                },
+                WRITE_CALENDAR: {
+                    summary: 'Add or modify calendar events',
+                    text: 'Lets the app add, change and delete calendar events and send emails to guests.',
+                },
+                READ_PHONE_STATE: {
+                    summary: 'Read phone status and identity',
+                    text: 'Lets the app read the phone number, cellular network, ongoing calls and, before Android 10, the device IMEI.',
+                },
+                READ_BASIC_PHONE_STATE: {
+                    summary: 'Read basic phone status',
+                    text: 'Lets the app read basic telephony state, such as whether the device has a SIM, without its identifiers.',
+                },
+                READ_PRECISE_PHONE_STATE: {
+                    summary: 'Read precise phone status',
+                    text: 'Lets a system app read detailed call and data connection states.',
+                },
+                READ_PHONE_NUMBERS: {
+                    summary: 'Read phone numbers',
+                    text: 'Lets the app read the phone numbers of the SIM cards.',
+                },
+                CALL_PHONE: {
+                    summary: 'Make phone calls',
+                    text: 'Lets the app place calls without going through the dialer for the user to confirm.',
+                },
+                CALL_PRIVILEGED: {
+                    summary: 'Call any number, including emergency',
+                    text: 'Lets a system app call any number, including emergency numbers, without confirmation.',
+                },
+                ANSWER_PHONE_CALLS: {
+                    summary: 'Answer phone calls',
+                    text: 'Lets the app answer incoming calls.',
+                },
+                ACCEPT_HANDOVER: {
+                    summary: 'Continue a call from another app',
+                    text: 'Lets a calling app take over a call that started in another app, for example moving it to Wi-Fi.',
+                },
+                MANAGE_OWN_CALLS: {
+                    summary: 'Route its own calls through the system',
+                    text: 'Lets a calling app manage its own calls through the system call screen.',
+                },
+                MANAGE_ONGOING_CALLS: {
+                    summary: 'Manage ongoing calls',
+                    text: 'Lets a companion app see and control calls in progress.',
+                },
+                CALL_COMPANION_APP: {
+                    summary: 'Act as a call companion app',
+                    text: 'Lets the app be notified about calls as a companion, for example to show them on a watch.',
+                },
+                MODIFY_PHONE_STATE: {
+                    summary: 'Modify phone state',
+                    text: 'Lets a system app control the radio, for example turning it off.',
+                },
+                USE_SIP: {
+                    summary: 'Make internet (SIP) calls',
+                    text: 'Lets the app make and receive calls over SIP.',
+                },
+                com_android_voicemail_permission_ADD_VOICEMAIL: {
+                    summary: 'Add voicemail',
+                    text: 'Lets the app add messages to the voicemail inbox.',
+                },
+                com_android_voicemail_permission_READ_VOICEMAIL: {
+                    summary: 'Read voicemail',
+                    text: 'Lets a system app read every voicemail.',
+                },
+                com_android_voicemail_permission_WRITE_VOICEMAIL: {
+                    summary: 'Modify voicemail',
+                    text: 'Lets a system app change and delete voicemails.',
+                },
+                READ_CALL_LOG: {
+                    summary: 'Read call history',
+                    text: 'Lets the app read the list of incoming and outgoing calls with their numbers and times.',
+                },
+                WRITE_CALL_LOG: {
+                    summary: 'Modify call history',
+                    text: 'Lets the app add, change and delete entries in the call history.',
+                },
+                PROCESS_OUTGOING_CALLS: {
+                    summary: 'Monitor outgoing calls',
+                    text: 'Lets the app see the number of every outgoing call and redirect or cancel it. Replaced by call redirection services in Android 10.',
+                },
+                READ_SMS: {
+                    summary: 'Read your text messages',
+                    text: 'Lets the app read every SMS and MMS stored on the device.',
+                },
+                SEND_SMS: {
+                    summary: 'Send text messages',
+                    text: 'Lets the app send SMS without the user seeing them.',
+                },
+                RECEIVE_SMS: {
+                    summary: 'Receive text messages',
+                    text: 'Lets the app read incoming SMS as they arrive.',
+                },
+                RECEIVE_MMS: {
+                    summary: 'Receive MMS messages',
+                    text: 'Lets the app read incoming MMS as they arrive.',
+                },
+                RECEIVE_WAP_PUSH: {
+                    summary: 'Receive WAP push messages',
+                    text: 'Lets the app receive WAP push messages, which carriers use to deliver MMS and settings.',
+                },
+                BROADCAST_SMS: {
+                    summary: 'Broadcast SMS received',
+                    text: 'Lets the system announce a received SMS. An app holding it could fake incoming messages.',
+                },
+                BROADCAST_WAP_PUSH: {
+                    summary: 'Broadcast WAP push received',
+                    text: 'Lets the system announce a received WAP push message.',
+                },
+                SEND_RESPOND_VIA_MESSAGE: {
+                    summary: 'Reply to calls with a message',
+                    text: 'Lets a system app send the quick "respond via message" replies to incoming calls.',
+                },
+                SMS_FINANCIAL_TRANSACTIONS: {
+                    summary: 'Read premium SMS transactions',
+                    text: 'Let the app read premium SMS charges the user made.',
+                },
+                READ_EXTERNAL_STORAGE: {
+                    summary: 'Read files from storage',
+                    text: 'Lets the app read shared storage. Scoped storage limits it from Android 10, and from Android 13 it is replaced by the photo, video and audio permissions.',
+                },
+                WRITE_EXTERNAL_STORAGE: {
+                    summary: 'Write files to storage',
+                    text: 'Lets the app create, change and delete files in shared storage. It has no effect for apps targeting Android 11 or newer.',
+                },
+                MANAGE_EXTERNAL_STORAGE: {
+                    summary: 'Access all files',
+                    text: 'Lets the app read and change every file in shared storage, bypassing scoped storage. Google Play only allows it for file managers, backup and antivirus apps.',
+                },
+                MANAGE_MEDIA: {
+                    summary: 'Change or delete media without asking',
+                    text: 'Lets the app edit, trash and delete photos and videos without a confirmation each time.',
+                },
+                READ_MEDIA_IMAGES: {
+                    summary: 'Read photos',
+                    text: 'Lets the app read the photos in shared storage.',
+                },
+                READ_MEDIA_VIDEO: {
+                    summary: 'Read videos',
+                    text: 'Lets the app read the videos in shared storage.',
+                },
+                READ_MEDIA_AUDIO: {
+                    summary: 'Read music and audio',
+                    text: 'Lets the app read audio files in shared storage, including voice recordings.',
+                },
+                READ_MEDIA_VISUAL_USER_SELECTED: {
+                    summary: 'Read selected photos and videos',
+                    text: 'Lets the app read only the photos and videos the user picked.',
+                },
+                MANAGE_DOCUMENTS: {
+                    summary: 'Manage document storage',
+                    text: 'Lets the system document picker manage access to documents.',
+                },
+                MOUNT_UNMOUNT_FILESYSTEMS: {
+                    summary: 'Mount and unmount storage',
+                    text: 'Lets a system app mount and unmount removable storage.',
+                },
+                MOUNT_FORMAT_FILESYSTEMS: {
+                    summary: 'Format removable storage',
+                    text: 'Lets a system app format removable storage, erasing it.',
+                },
+                BODY_SENSORS: {
+                    summary: 'Access body sensors',
+                    text: 'Lets the app read sensors that measure the body, such as heart rate.',
+                },
+                BODY_SENSORS_BACKGROUND: {
+                    summary: 'Access body sensors in the background',
+                    text: 'Lets the app keep reading body sensors while it is closed.',
+                },
+                HIGH_SAMPLING_RATE_SENSORS: {
+                    summary: 'Read motion sensors at a high rate',
+                    text: 'Lets the app read motion sensors faster than 200 times a second.',
+                },
+                ACTIVITY_RECOGNITION: {
+                    summary: 'Recognize physical activity',
+                    text: 'Lets the app detect whether the user is walking, cycling or in a vehicle, and count steps.',
+                },
+                BLUETOOTH: {
+                    summary: 'Pair with Bluetooth devices',
+                    text: 'Lets the app connect to paired Bluetooth devices. Replaced by Bluetooth Connect in Android 12.',
+                },
+                BLUETOOTH_ADMIN: {
+                    summary: 'Discover and pair Bluetooth devices',
+                    text: 'Lets the app scan for and pair with Bluetooth devices. Replaced by Bluetooth Scan in Android 12.',
+                },
+                BLUETOOTH_SCAN: {
+                    summary: 'Find nearby Bluetooth devices',
+                    text: 'Lets the app scan for nearby Bluetooth devices. Unless the app says otherwise, the results can reveal location.',
+                },
+                BLUETOOTH_CONNECT: {
+                    summary: 'Connect to paired Bluetooth devices',
+                    text: 'Lets the app connect to Bluetooth devices the user already paired.',
+                },
+                BLUETOOTH_ADVERTISE: {
+                    summary: 'Advertise to nearby Bluetooth devices',
+                    text: 'Lets the device announce itself to nearby Bluetooth devices.',
+                },
+                BLUETOOTH_PRIVILEGED: {
+                    summary: 'Pair Bluetooth devices without the user',
+                    text: 'Lets a system app pair Bluetooth devices without user interaction.',
+                },
+                NEARBY_WIFI_DEVICES: {
+                    summary: 'Find nearby Wi-Fi devices',
+                    text: 'Lets the app discover and connect to nearby devices over Wi-Fi.',
+                },
+                UWB_RANGING: {
+                    summary: 'Measure distance to nearby devices',
+                    text: 'Lets the app find the relative position of nearby Ultra-Wideband devices.',
+                },
+                NFC: {
+                    summary: 'Use NFC',
+                    text: 'Lets the app communicate with NFC tags, cards and readers.',
+                },
+                NFC_PREFERRED_PAYMENT_INFO: {
+                    summary: 'Read the preferred NFC payment service',
+                    text: 'Lets the app read which contactless payment service is the default.',
+                },
+                NFC_TRANSACTION_EVENT: {
+                    summary: 'Receive NFC transaction events',
+                    text: 'Lets the app be notified of transactions on the device\'s secure element.',
+                },
+                TRANSMIT_IR: {
+                    summary: 'Use the infrared transmitter',
+                    text: 'Lets the app send infrared signals, for example to control a TV.',
+                },
+                INTERNET: {
+                    summary: 'Full network access',
+                    text: 'Lets the app open network connections. Almost every app needs it; combined with access to private data it is how data leaves the device.',
+                },
+                ACCESS_NETWORK_STATE: {
+                    summary: 'View network connections',
+                    text: 'Lets the app see which networks exist and whether the device is online.',
+                },
+                CHANGE_NETWORK_STATE: {
+                    summary: 'Change network connectivity',
+                    text: 'Lets the app change network connectivity state.',
+                },
+                ACCESS_WIFI_STATE: {
+                    summary: 'View Wi-Fi connections',
+                    text: 'Lets the app see Wi-Fi state and the networks it knows.',
+                },
+                CHANGE_WIFI_STATE: {
+                    summary: 'Connect to and disconnect from Wi-Fi',
+                    text: 'Lets the app turn Wi-Fi on or off and change the connected network.',
+                },
+                CHANGE_WIFI_MULTICAST_STATE: {
+                    summary: 'Receive Wi-Fi multicast',
+                    text: 'Lets the app receive packets sent to every device on the Wi-Fi network, used to discover local devices.',
+                },
+                MANAGE_WIFI_INTERFACES: {
+                    summary: 'Manage Wi-Fi interfaces',
+                    text: 'Lets a system app manage the device\'s Wi-Fi interfaces.',
+                },
+                MANAGE_WIFI_NETWORK_SELECTION: {
+                    summary: 'Manage Wi-Fi network selection',
+                    text: 'Lets a system app decide which Wi-Fi network the device joins.',
+                },
+                OVERRIDE_WIFI_CONFIG: {
+                    summary: 'Change any Wi-Fi configuration',
+                    text: 'Lets a system app change the configuration of any saved Wi-Fi network.',
+                },
+                WRITE_APN_SETTINGS: {
+                    summary: 'Change mobile data APN settings',
+                    text: 'Lets a system app change the access point settings that route mobile data.',
+                },
+                BIND_VPN_SERVICE: {
+                    summary: 'Provide a VPN',
+                    text: 'Marks the app\'s VPN service so only the system can start it. A VPN app sees all network traffic once the user accepts its connection request.',
+                },
+                POST_NOTIFICATIONS: {
+                    summary: 'Show notifications',
+                    text: 'Lets the app post notifications. Android 13 and newer ask the user first.',
+                },
+                ACCESS_NOTIFICATION_POLICY: {
+                    summary: 'Read Do Not Disturb settings',
+                    text: 'Lets the app read the Do Not Disturb policy. Changing it needs the user to grant access in settings.',
+                },
+                USE_FULL_SCREEN_INTENT: {
+                    summary: 'Show full-screen notifications',
+                    text: 'Lets the app show notifications that take over the screen, meant for calls and alarms. Android 14 limits it to those apps.',
+                },
+                BIND_NOTIFICATION_LISTENER_SERVICE: {
+                    summary: 'Read all notifications',
+                    text: 'Marks the app\'s notification listener so only the system can bind it. Once the user enables it, the app reads every notification, including message previews and login codes.',
+                },
+                BIND_CONDITION_PROVIDER_SERVICE: {
+                    summary: 'Provide Do Not Disturb conditions',
+                    text: 'Marks the app\'s service that tells Do Not Disturb when to turn on.',
+                },
+                SYSTEM_ALERT_WINDOW: {
+                    summary: 'Draw over other apps',
+                    text: 'Lets the app show windows on top of every other app.',
+                },
+                HIDE_OVERLAY_WINDOWS: {
+                    summary: 'Hide other apps\' overlays',
+                    text: 'Lets the app hide other apps\' overlays while its own screens are shown, a protection against overlay attacks.',
+                },
+                DISABLE_KEYGUARD: {
+                    summary: 'Disable the screen lock',
+                    text: 'Lets the app turn off a non-secure screen lock (no PIN, pattern or password).',
+                },
+                EXPAND_STATUS_BAR: {
+                    summary: 'Expand or collapse the status bar',
+                    text: 'Lets the app open or close the notification shade.',
+                },
+                STATUS_BAR: {
+                    summary: 'Control the status bar',
+                    text: 'Lets a system app disable the status bar or add system icons.',
+                },
+                SET_WALLPAPER: {
+                    summary: 'Set the wallpaper',
+                    text: 'Lets the app change the wallpaper.',
+                },
+                SET_WALLPAPER_HINTS: {
+                    summary: 'Adjust the wallpaper size',
+                    text: 'Lets the app set wallpaper size hints.',
+                },
+                BIND_WALLPAPER: {
+                    summary: 'Provide a live wallpaper',
+                    text: 'Marks the app\'s live wallpaper service so only the system can bind it.',
+                },
+                BIND_DREAM_SERVICE: {
+                    summary: 'Provide a screen saver',
+                    text: 'Marks the app\'s screen saver (daydream) so only the system can bind it.',
+                },
+                DETECT_SCREEN_CAPTURE: {
+                    summary: 'Detect screenshots',
+                    text: 'Lets the app be told when the user takes a screenshot of it.',
+                },
+                REQUEST_INSTALL_PACKAGES: {
+                    summary: 'Install other apps',
+                    text: 'Lets the app ask to install APK files. The user still has to allow installs from this app in settings.',
+                },
+                REQUEST_DELETE_PACKAGES: {
+                    summary: 'Request to uninstall apps',
+                    text: 'Lets the app ask the user to uninstall other apps.',
+                },
+                INSTALL_PACKAGES: {
+                    summary: 'Install apps silently',
+                    text: 'Lets a system app install apps without asking the user.',
+                },
+                DELETE_PACKAGES: {
+                    summary: 'Uninstall apps silently',
+                    text: 'Lets a system app remove apps without asking the user.',
+                },
+                UPDATE_PACKAGES_WITHOUT_USER_ACTION: {
+                    summary: 'Update its own installs automatically',
+                    text: 'Lets an app store update apps it installed without asking again.',
+                },
+                QUERY_ALL_PACKAGES: {
+                    summary: 'See all installed apps',
+                    text: 'Lets the app list every installed app. Since Android 11 apps only see a few others without it, and Google Play restricts who may use it.',
+                },
+                GET_PACKAGE_SIZE: {
+                    summary: 'Measure app storage',
+                    text: 'Lets the app read how much storage other apps use.',
+                },
+                CLEAR_APP_CACHE: {
+                    summary: 'Delete all app caches',
+                    text: 'Lets a system app clear the cache of every app.',
+                },
+                DELETE_CACHE_FILES: {
+                    summary: 'Delete other apps\' caches',
+                    text: 'Lets a system app delete other apps\' cache files.',
+                },
+                CHANGE_COMPONENT_ENABLED_STATE: {
+                    summary: 'Enable or disable app components',
+                    text: 'Lets a system app turn parts of other apps on or off.',
+                },
+                BROADCAST_PACKAGE_REMOVED: {
+                    summary: 'Announce removed apps',
+                    text: 'Lets the system announce that an app was removed.',
+                },
+                PACKAGE_USAGE_STATS: {
+                    summary: 'Access app usage data',
+                    text: 'Lets the app see which apps the user opens and for how long, once the user grants usage access.',
+                },
+                LOADER_USAGE_STATS: {
+                    summary: 'Collect code loading statistics',
+                    text: 'Lets a system app collect statistics about code loading in other apps.',
+                },
+                GET_TASKS: {
+                    summary: 'Retrieve running apps',
+                    text: 'Let the app see which apps ran recently. Since Android 5.0 it only returns the app\'s own tasks.',
+                },
+                REORDER_TASKS: {
+                    summary: 'Reorder running apps',
+                    text: 'Lets the app move its tasks to the foreground or background.',
+                },
+                KILL_BACKGROUND_PROCESSES: {
+                    summary: 'Close other apps',
+                    text: 'Lets the app stop other apps\' background processes.',
+                },
+                RESTART_PACKAGES: {
+                    summary: 'Close other apps',
+                    text: 'Old name of Close other apps; it no longer does anything.',
+                },
+                INTERACT_ACROSS_PROFILES: {
+                    summary: 'Connect work and personal profiles',
+                    text: 'Lets the app talk to its copy in the other profile, for example between work and personal apps.',
+                },
+                com_android_launcher_permission_INSTALL_SHORTCUT: {
+                    summary: 'Add home screen shortcuts',
+                    text: 'Lets the app add shortcuts to the home screen without asking.',
+                },
+                com_android_launcher_permission_UNINSTALL_SHORTCUT: {
+                    summary: 'Remove home screen shortcuts',
+                    text: 'Lets the app remove home screen shortcuts.',
+                },
+                com_android_browser_permission_READ_HISTORY_BOOKMARKS: {
+                    summary: 'Read browser history and bookmarks',
+                    text: 'Let the app read the stock browser\'s history and bookmarks. Removed in Android 6.0.',
+                },
+                com_android_browser_permission_WRITE_HISTORY_BOOKMARKS: {
+                    summary: 'Change browser history and bookmarks',
+                    text: 'Let the app change the stock browser\'s history and bookmarks. Removed in Android 6.0.',
+                },
+                RECEIVE_BOOT_COMPLETED: {
+                    summary: 'Start at device boot',
+                    text: 'Lets the app start as soon as the device finishes booting.',
+                },
+                WAKE_LOCK: {
+                    summary: 'Keep the device awake',
+                    text: 'Lets the app keep the processor or screen from sleeping.',
+                },
+                FOREGROUND_SERVICE: {
+                    summary: 'Run foreground services',
+                    text: 'Lets the app keep running with an ongoing notification.',
+                },
+                FOREGROUND_SERVICE_CAMERA: {
+                    summary: 'Use the camera in a foreground service',
+                    text: 'Lets the app keep using the camera while running in the background with an ongoing notification.',
+                },
+                FOREGROUND_SERVICE_MICROPHONE: {
+                    summary: 'Use the microphone in a foreground service',
+                    text: 'Lets the app keep recording audio while running in the background with an ongoing notification.',
+                },
+                FOREGROUND_SERVICE_LOCATION: {
+                    summary: 'Use location in a foreground service',
+                    text: 'Lets the app keep reading the location while running in the background with an ongoing notification.',
+                },
+                FOREGROUND_SERVICE_MEDIA_PROJECTION: {
+                    summary: 'Capture the screen in a foreground service',
+                    text: 'Lets the app keep recording or casting the screen from the background once the user starts a capture.',
+                },
+                FOREGROUND_SERVICE_PHONE_CALL: {
+                    summary: 'Handle calls in a foreground service',
+                    text: 'Lets a calling app keep a call running in the background.',
+                },
+                FOREGROUND_SERVICE_MEDIA_PLAYBACK: {
+                    summary: 'Play media in a foreground service',
+                    text: 'Lets the app keep playing audio or video in the background.',
+                },
+                FOREGROUND_SERVICE_DATA_SYNC: {
+                    summary: 'Sync data in a foreground service',
+                    text: 'Lets the app keep uploading or downloading in the background.',
+                },
+                FOREGROUND_SERVICE_CONNECTED_DEVICE: {
+                    summary: 'Talk to connected devices in a foreground service',
+                    text: 'Lets the app stay connected to Bluetooth, USB or network devices in the background.',
+                },
+                FOREGROUND_SERVICE_HEALTH: {
+                    summary: 'Track health in a foreground service',
+                    text: 'Lets a fitness app keep tracking exercise in the background.',
+                },
+                FOREGROUND_SERVICE_REMOTE_MESSAGING: {
+                    summary: 'Relay messages in a foreground service',
+                    text: 'Lets the app keep relaying messages between devices in the background.',
+                },
+                FOREGROUND_SERVICE_SPECIAL_USE: {
+                    summary: 'Run a special-use foreground service',
+                    text: 'Lets the app run a foreground service for a use no other type covers; Google Play reviews the stated reason.',
+                },
+                FOREGROUND_SERVICE_SYSTEM_EXEMPTED: {
+                    summary: 'Run an exempted foreground service',
+                    text: 'Lets system and device-admin apps run foreground services outside the usual limits.',
+                },
+                START_FOREGROUND_SERVICES_FROM_BACKGROUND: {
+                    summary: 'Start foreground services from the background',
+                    text: 'Lets a system app start foreground services while it is not visible.',
+                },
+                INSTANT_APP_FOREGROUND_SERVICE: {
+                    summary: 'Run foreground services as an instant app',
+                    text: 'Lets an instant app run a foreground service.',
+                },
+                REQUEST_IGNORE_BATTERY_OPTIMIZATIONS: {
+                    summary: 'Ask to ignore battery optimizations',
+                    text: 'Lets the app ask the user to exempt it from battery saving, so it keeps running in the background.',
+                },
+                RUN_USER_INITIATED_JOBS: {
+                    summary: 'Run user-initiated data transfers',
+                    text: 'Lets the app run long data transfers the user started.',
+                },
+                SCHEDULE_EXACT_ALARM: {
+                    summary: 'Schedule exact alarms',
+                    text: 'Lets the app wake the device at an exact time. Android 14 and newer ask the user first.',
+                },
+                USE_EXACT_ALARM: {
+                    summary: 'Schedule exact alarms',
+                    text: 'Lets alarm clock and calendar apps wake the device at an exact time. Google Play restricts it to those apps.',
+                },
+                com_android_alarm_permission_SET_ALARM: {
+                    summary: 'Set an alarm',
+                    text: 'Lets the app set alarms in the alarm clock app.',
+                },
+                BIND_JOB_SERVICE: {
+                    summary: 'Run scheduled jobs',
+                    text: 'Marks the app\'s job service so only the system scheduler can run it.',
+                },
+                PERSISTENT_ACTIVITY: {
+                    summary: 'Keep the app always running',
+                    text: 'Let the app keep parts of itself in memory. It no longer does anything.',
+                },
+                BROADCAST_STICKY: {
+                    summary: 'Send sticky broadcasts',
+                    text: 'Lets the app send broadcasts that stay around after they are delivered.',
+                },
+                REQUEST_COMPANION_RUN_IN_BACKGROUND: {
+                    summary: 'Run in the background as a companion app',
+                    text: 'Lets an app paired with a device such as a watch run in the background.',
+                },
+                REQUEST_COMPANION_USE_DATA_IN_BACKGROUND: {
+                    summary: 'Use data in the background as a companion app',
+                    text: 'Lets an app paired with a device such as a watch use mobile data in the background.',
+                },
+                DELIVER_COMPANION_MESSAGES: {
+                    summary: 'Deliver companion device messages',
+                    text: 'Lets a companion app deliver messages to its paired device.',
+                },
+                BIND_ACCESSIBILITY_SERVICE: {
+                    summary: 'Read and control screen content',
+                    text: 'Marks the app\'s accessibility service. Once the user enables it, the app can read everything on screen and tap, type and swipe for the user.',
+                },
+                BIND_DEVICE_ADMIN: {
+                    summary: 'Act as a device administrator',
+                    text: 'Marks the app\'s device admin receiver. Once activated, the app can lock the device, change the screen lock and wipe data, and cannot be uninstalled until it is deactivated.',
+                },
+                BIND_INPUT_METHOD: {
+                    summary: 'Provide a keyboard',
+                    text: 'Marks the app\'s keyboard. Once the user switches to it, the keyboard sees everything typed, including passwords.',
+                },
+                BIND_AUTOFILL_SERVICE: {
+                    summary: 'Provide autofill',
+                    text: 'Marks the app\'s autofill service. Once selected, it sees the forms the user fills in and can fill in passwords.',
+                },
+                BIND_CREDENTIAL_PROVIDER_SERVICE: {
+                    summary: 'Provide passwords and passkeys',
+                    text: 'Marks the app\'s credential provider, which stores and offers passwords and passkeys to other apps.',
+                },
+                BIND_NFC_SERVICE: {
+                    summary: 'Emulate NFC cards',
+                    text: 'Marks the app\'s NFC card emulation service, used by contactless payment and transit apps.',
+                },
+                BIND_QUICK_ACCESS_WALLET_SERVICE: {
+                    summary: 'Provide the quick access wallet',
+                    text: 'Marks the app\'s wallet service shown from the power menu or lock screen.',
+                },
+                BIND_SCREENING_SERVICE: {
+                    summary: 'Screen incoming calls',
+                    text: 'Marks the app\'s call screening service, which can see incoming numbers and block calls.',
+                },
+                BIND_CALL_REDIRECTION_SERVICE: {
+                    summary: 'Redirect outgoing calls',
+                    text: 'Marks the app\'s call redirection service, which can change or cancel outgoing calls.',
+                },
+                BIND_INCALL_SERVICE: {
+                    summary: 'Provide the in-call screen',
+                    text: 'Marks the app\'s in-call service. As the default dialer it controls every call.',
+                },
+                BIND_TELECOM_CONNECTION_SERVICE: {
+                    summary: 'Provide calling connections',
+                    text: 'Marks the app\'s connection service for its own calls, such as VoIP.',
+                },
+                BIND_VISUAL_VOICEMAIL_SERVICE: {
+                    summary: 'Provide visual voicemail',
+                    text: 'Marks the app\'s visual voicemail service.',
+                },
+                BIND_CARRIER_SERVICES: {
+                    summary: 'Provide carrier services',
+                    text: 'Marks a carrier app\'s service so only the system can bind it.',
+                },
+                BIND_CARRIER_MESSAGING_SERVICE: {
+                    summary: 'Provide carrier messaging',
+                    text: 'Marked a carrier messaging service. Replaced by Provide carrier services.',
+                },
+                BIND_CARRIER_MESSAGING_CLIENT_SERVICE: {
+                    summary: 'Act as carrier messaging client',
+                    text: 'Marks the default SMS app\'s service that carrier messaging apps bind to.',
+                },
+                BIND_VOICE_INTERACTION: {
+                    summary: 'Provide a voice assistant',
+                    text: 'Marks the app\'s voice interaction service. As the assistant it can hear voice commands and see the current screen.',
+                },
+                BIND_PRINT_SERVICE: {
+                    summary: 'Provide printing',
+                    text: 'Marks the app\'s print service, which receives the documents the user prints.',
+                },
+                BIND_TEXT_SERVICE: {
+                    summary: 'Provide spell checking',
+                    text: 'Marks the app\'s spell checker, which sees the text the user types.',
+                },
+                BIND_COMPANION_DEVICE_SERVICE: {
+                    summary: 'Manage a companion device',
+                    text: 'Marks the app\'s companion device service.',
+                },
+                BIND_CONTROLS: {
+                    summary: 'Provide device controls',
+                    text: 'Marks the app\'s smart home controls shown in the power menu.',
+                },
+                BIND_QUICK_SETTINGS_TILE: {
+                    summary: 'Provide a quick settings tile',
+                    text: 'Marks the app\'s quick settings tile.',
+                },
+                BIND_REMOTEVIEWS: {
+                    summary: 'Provide widget content',
+                    text: 'Marks the app\'s widget list service.',
+                },
+                BIND_APPWIDGET: {
+                    summary: 'Choose widgets',
+                    text: 'Lets a launcher app bind widgets and read their data.',
+                },
+                BIND_CHOOSER_TARGET_SERVICE: {
+                    summary: 'Provide direct share targets',
+                    text: 'Marked the app\'s direct share service. Replaced by sharing shortcuts.',
+                },
+                BIND_MIDI_DEVICE_SERVICE: {
+                    summary: 'Provide a MIDI device',
+                    text: 'Marks the app\'s virtual MIDI device.',
+                },
+                BIND_TV_INPUT: {
+                    summary: 'Provide a TV input',
+                    text: 'Marks the app\'s TV input service.',
+                },
+                BIND_VR_LISTENER_SERVICE: {
+                    summary: 'Provide a VR listener',
+                    text: 'Marks the app\'s VR listener service.',
+                },
+                WRITE_SETTINGS: {
+                    summary: 'Modify system settings',
+                    text: 'Lets the app change system settings such as screen brightness, timeout and ringtone, once the user allows it.',
+                },
+                WRITE_SECURE_SETTINGS: {
+                    summary: 'Modify secure system settings',
+                    text: 'Lets a system app change secure settings, such as enabled accessibility services.',
+                },
+                WRITE_GSERVICES: {
+                    summary: 'Modify Google services settings',
+                    text: 'Lets a system app change the Google services map.',
+                },
+                READ_SYNC_SETTINGS: {
+                    summary: 'Read sync settings',
+                    text: 'Lets the app see whether sync is on for each account.',
+                },
+                WRITE_SYNC_SETTINGS: {
+                    summary: 'Turn sync on and off',
+                    text: 'Lets the app change sync settings for the user\'s accounts.',
+                },
+                READ_SYNC_STATS: {
+                    summary: 'Read sync statistics',
+                    text: 'Lets the app read sync history and statistics.',
+                },
+                SET_TIME: {
+                    summary: 'Set the time',
+                    text: 'Lets a system app change the device clock.',
+                },
+                SET_TIME_ZONE: {
+                    summary: 'Set the time zone',
+                    text: 'Lets a system app change the time zone.',
+                },
+                REBOOT: {
+                    summary: 'Restart the device',
+                    text: 'Lets a system app reboot the device.',
+                },
+                MASTER_CLEAR: {
+                    summary: 'Factory reset the device',
+                    text: 'Lets a system app erase all user data.',
+                },
+                ACCESS_CHECKIN_PROPERTIES: {
+                    summary: 'Access check-in properties',
+                    text: 'Lets a system app read and write the check-in database.',
+                },
+                BATTERY_STATS: {
+                    summary: 'Read battery statistics',
+                    text: 'Lets a system app collect battery usage statistics.',
+                },
+                UPDATE_DEVICE_STATS: {
+                    summary: 'Update device statistics',
+                    text: 'Lets a system app update device usage statistics.',
+                },
+                CHANGE_CONFIGURATION: {
+                    summary: 'Change system configuration',
+                    text: 'Lets a system app change the current configuration, such as locale.',
+                },
+                DUMP: {
+                    summary: 'Read system service state',
+                    text: 'Lets a system app dump the state of system services, which can include private data.',
+                },
+                READ_LOGS: {
+                    summary: 'Read system logs',
+                    text: 'Lets a system app read the logs of every app, which can include private data.',
+                },
+                DIAGNOSTIC: {
+                    summary: 'Access diagnostic resources',
+                    text: 'Lets a system app read and write diagnostic resources.',
+                },
+                FACTORY_TEST: {
+                    summary: 'Run as factory test',
+                    text: 'Lets the app run as a manufacturer test with root access.',
+                },
+                GLOBAL_SEARCH: {
+                    summary: 'Provide global search',
+                    text: 'Lets the system search app read content providers for global search.',
+                },
+                MEDIA_CONTENT_CONTROL: {
+                    summary: 'Control media playback',
+                    text: 'Lets a system app control media playback and read what is playing.',
+                },
+                SET_ALWAYS_FINISH: {
+                    summary: 'Force apps to close',
+                    text: 'Lets a developer tool finish activities as soon as they go to the background.',
+                },
+                SET_ANIMATION_SCALE: {
+                    summary: 'Change animation speed',
+                    text: 'Lets a developer tool change the animation scale.',
+                },
+                SET_DEBUG_APP: {
+                    summary: 'Enable app debugging',
+                    text: 'Lets a developer tool turn on debugging for another app.',
+                },
+                SET_PROCESS_LIMIT: {
+                    summary: 'Limit running processes',
+                    text: 'Lets a developer tool set how many app processes may run.',
+                },
+                SIGNAL_PERSISTENT_PROCESSES: {
+                    summary: 'Send signals to persistent apps',
+                    text: 'Lets a system app signal all persistent processes.',
+                },
+                READ_INPUT_STATE: {
+                    summary: 'Record keystrokes',
+                    text: 'Let the app read the state of keys and switches. No longer available to apps.',
+                },
+                READ_NEARBY_STREAMING_POLICY: {
+                    summary: 'Read nearby streaming policy',
+                    text: 'Lets the app read the device policy on streaming to nearby devices.',
+                },
+                REQUEST_PASSWORD_COMPLEXITY: {
+                    summary: 'Request screen lock complexity',
+                    text: 'Lets the app learn how complex the screen lock is (none, low, medium or high), not the lock itself.',
+                },
+                START_VIEW_PERMISSION_USAGE: {
+                    summary: 'Open permission usage',
+                    text: 'Lets the permission controller open the app\'s explanation of how it uses a permission.',
+                },
+                USE_ICC_AUTH_WITH_DEVICE_IDENTIFIER: {
+                    summary: 'Authenticate with the SIM using device identifiers',
+                    text: 'Lets a system app run SIM authentication that reveals device identifiers.',
+                },
+                VIBRATE: {
+                    summary: 'Control vibration',
+                    text: 'Lets the app make the device vibrate.',
+                },
+                USE_BIOMETRIC: {
+                    summary: 'Use biometric hardware',
+                    text: 'Lets the app ask the user to confirm with a fingerprint or face. The app never sees the biometric data.',
+                },
+                USE_FINGERPRINT: {
+                    summary: 'Use fingerprint hardware',
+                    text: 'Lets the app ask for a fingerprint. Replaced by the biometric permission in Android 9.',
+                },
+            },
+        },
+        network: {
+            title: 'Network & Data Exfiltration',
+            failed: 'Network analysis failed: {error}',
+            unavailable: 'Network analysis not available.',
+            score: 'Score',
+            riskLevel: '{risk} EXFILTRATION RISK',
+            sourcesAtRisk: {
+                one: '{count} sensitive data source could leave the device',
+                other: '{count} sensitive data sources could leave the device',
+            },
+            noSources: 'Internet access, but no sensitive data sources',
+            noInternet: 'No internet access - data cannot be sent directly',
+            cleartext: 'Cleartext (HTTP) Traffic',
+            cleartextAllowed: 'Allowed - the app targets Android 8.1 or lower, so unencrypted traffic is permitted by default',
+            cleartextBlocked: 'Blocked by default - network traffic must be encrypted',
+            dataSources: 'Sensitive Data Sources',
+            noDataSources: 'No sensitive data permissions requested.',
+            capabilities: 'Network Capabilities',
+            sources: {
+                READ_CONTACTS: 'Contacts',
+                READ_SMS: 'SMS messages',
+                READ_CALL_LOG: 'Call log',
+                ACCESS_FINE_LOCATION: 'Precise location',
+                ACCESS_COARSE_LOCATION: 'Approximate location',
+                READ_EXTERNAL_STORAGE: 'Files and media',
+                CAMERA: 'Camera',
+                RECORD_AUDIO: 'Microphone audio',
+                READ_PHONE_STATE: 'Phone identity and state',
+            },
+        },
+        metadata: {
+            title: 'App Metadata',
+            failed: 'App metadata unavailable: {error}',
+            unavailable: 'App metadata not available.',
+            version: 'Version',
+            versionValue: '{name} (code {code})',
+            firstInstalled: 'First Installed',
+            lastUpdated: 'Last Updated',
+            systemApp: 'System App',
+            sdkRange: 'SDK Range',
+            sdkHint: 'Installs on {min} and newer; built for {target}',
+            apkLocation: 'APK Location',
+            apkLocationSize: 'APK Location ({size})',
+        },
+        scanDiff: {
+            title: 'Changes Since Last Scan',
+            comparedWith: 'Compared with scan from {date}',
+            firstScan: 'First scan of this app — nothing to compare yet.',
+            noChanges: 'No security-relevant changes.',
+            changes: {
+                hash: 'APK binary changed (app updated)',
+                risk: 'Risk level changed',
+                riskScore: 'Risk score changed',
+                permissionAdded: 'New permission: {permission}',
+                permissionRemoved: 'Permission removed: {permission}',
+                targetSdk: 'Target SDK changed',
+                installer: 'Install source changed',
+                nowDebuggable: 'App is now debuggable',
+                noLongerDebuggable: 'App is no longer debuggable',
+                factorAdded: 'New risk factor: {factor}',
+                factorChanged: 'Risk factor changed: {factor}',
+                factorRemoved: 'Risk factor gone: {factor}',
+                indicatorAdded: 'New risk indicator: {indicator}',
+                indicatorRemoved: 'Risk indicator gone: {indicator}',
+                mlPrediction: 'ML verdict changed',
+                mlConfidenceRose: 'ML confidence in "{prediction}" rose',
+                mlConfidenceFell: 'ML confidence in "{prediction}" fell',
+            },
+            installers: {
+                playStore: 'Play Store',
+                sideloaded: 'Sideloaded',
+                other: 'Other source',
+            },
+        },
+        scan: {
+            home: 'Home',
+            backHome: 'Back to Home',
+            scanning: 'Scanning {app}...',
+            mlTitle: 'ML Security Analysis',
+            elapsed: 'Elapsed {time}',
+            modelBadge: 'EMBER2024 · ONNX Runtime',
+            stages: {
+                read: 'Reading APK binary data',
+                byteHistogram: 'Computing byte histogram',
+                byteEntropy: 'Computing byte-entropy histogram',
+                strings: 'Extracting string features',
+                inference: 'Running ONNX inference',
+            },
+            engines: {
+                heuristic: 'Risk analysis',
+                malware: 'Malware analysis',
+                ml: 'ML classification',
+                network: 'Network analysis',
+                permissions: 'Permission list',
+            },
+            enginesFailed: 'Failed: {engines}. The results shown are incomplete.',
+            deepScanFailed: 'Deep Scan Failed',
+            uninstallTitle: 'Uninstall App',
+            uninstallMessage: 'Are you sure you want to uninstall {app}?',
+            uninstallFailed: 'Unable to uninstall.',
+            findingsFailed: 'Unable to load findings: {error}',
+            settingsFailed: 'Unable to open app settings.',
+            exportTitle: 'Export Report',
+            exportMessage: 'Choose a format to share.',
+            exportFailed: 'Export Failed',
+            riskVerdict: '{risk} RISK',
+            scannedApp: 'Scanned Application',
+            package: 'Package: {name}',
+            reportTitle: 'Security Report',
+            reportSubtitle: 'File Analysis Complete',
+            fileDetails: 'File Details',
+            hash: 'Hash: {hash}',
+            fileType: 'File Type',
+            fileSize: 'File Size',
+            assessment: 'Security Assessment',
+            riskLevel: 'Risk Level',
+            confidence: 'Detection Confidence',
+            model: {
+                title: 'Model Information',
+                model: 'Model',
+                modelValue: 'EMBER2024 APK Classifier',
+                runtime: 'Runtime',
+                runtimeValue: 'ONNX Runtime (On-Device)',
+                features: 'Feature Vector',
+                featuresValue: '2381-dimensional (raw APK bytes)',
+                classification: 'Classification',
+                classificationValue: 'Binary (Safe / Malicious)',
+                scanTime: 'Scan Time',
+                scanTimeCached: 'Scan Time (cached result)',
+            },
+            ml: {
+                title: 'ML Classification',
+                model: 'EMBER2024 Model',
+                resultTitle: 'Classification Result',
+                prediction: 'Prediction',
+                classes: {
+                    Benign: 'Benign',
+                    Malicious: 'Malicious',
+                },
+                safe: 'Safe',
+                malicious: 'Malicious',
+                unavailable: 'Unavailable',
+                summary: 'ML: {label} · {confidence} Confidence',
+                failed: 'ML analysis could not be completed',
+                notAvailable: 'ML analysis not available',
+                confidence: '{confidence} confidence',
+                confidenceLabel: 'ML Confidence',
+                probabilities: 'Class Probabilities',
+                interpretation: 'Risk Interpretation',
+                benignSummary: 'The ML model classifies this application as benign software with no malicious behavior detected in the binary structure.',
+                maliciousSummary: 'The ML model has identified patterns in the APK binary that are consistent with known malicious software.',
+                meaning: 'What does this mean?',
+                benignPoints: {
+                    patterns: 'No malicious code patterns detected in the APK binary analysis.',
+                    features: 'Binary feature distribution is consistent with legitimate applications.',
+                    safe: 'The app can be used safely based on the ML assessment.',
+                },
+                maliciousPoints: {
+                    signatures: 'APK binary features match known malware signatures in the training dataset.',
+                    behavior: 'This app may contain code designed to steal data, display unwanted ads, or perform unauthorized actions.',
+                    advice: 'Consider uninstalling this application and reporting it.',
+                },
+            },
+            info: {
+                title: 'App Information',
+                source: 'Installation Source',
+                playStore: '✓ Google Play Store',
+                sideloaded: '⚠ Sideloaded',
+                thirdParty: 'Third-Party Store',
+                publisher: 'Publisher Status',
+                verified: '✓ Verified Publisher',
+                unverified: 'Unverified Publisher',
+                packageName: 'Package Name',
+            },
+            threat: {
+                title: 'Threat Analysis',
+                score: 'Score',
+                level: '{level} THREAT',
+                levels: {
+                    THREAT: 'THREAT',
+                    WARNING: 'WARNING',
+                    SAFE: 'SAFE',
+                },
+                appearsSafe: '✓ App appears safe',
+                risksDetected: '⚠ Potential risks detected',
+                why: 'Why this assessment?',
+                highRisk: 'This app has requested multiple high-risk permissions that could compromise your privacy.',
+                mediumRisk: 'This app has some permissions that may pose moderate privacy risks.',
+                suspiciousName: 'The app name matches known suspicious patterns.',
+                combos: {
+                    one: 'Detected {count} suspicious permission combination.',
+                    other: 'Detected {count} suspicious permission combinations.',
+                },
+                indicators: 'Behavioral indicators suggest potential malicious activity.',
+                highRiskPermissions: 'High-risk permissions detected: {permissions}.',
+                safe: 'This app appears to be safe with no significant security concerns.',
+            },
+            permissions: {
+                title: 'Permission Breakdown',
+                none: 'No special permissions required',
+                high: 'High',
+                medium: 'Medium',
+                low: 'Low',
+                more: { one: '+{count} more permission', other: '+{count} more permissions' },
+                showLess: 'Show Less',
+            },
+            actions: {
+                title: 'Actions',
+                appSettings: 'App Settings',
+                uninstall: 'Uninstall',
+                export: 'Export Report',
+                override: 'Override Verdict',
+                editOverride: 'Edit Override',
+            },
+        },
+        a11y: {
+            risk: '{risk} risk',
+            riskOverridden: '{risk} risk, set by an override',
+            lastScanned: 'last scanned {time}',
+            openReport: 'Opens the scan report',
+            scanProgress: 'Scan progress',
+            scanStage: 'Step {step} of {total}: {stage}',
+            scanComplete: 'Scan of {app} complete',
+            verdictChanged: 'Verdict changed to {risk} risk, {action}',
+            probability: '{label} probability',
+            close: 'Close',
+            back: 'Back',
+            clearSearch: 'Clear search',
+        },
+    },
+};
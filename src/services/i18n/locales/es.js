@@ -0,0 +1,1740 @@
+// Android Sandbox - Spanish Messages
+// Mirrors the English catalog key for key; missing messages fall back to English
+
+export default {
+    name: 'Español',
+    plural: (count) => (count === 1 ? 'one' : 'other'),
+    messages: {
+        common: {
+            loading: 'Cargando...',
+            unknown: 'Desconocido',
+            notAvailable: 'N/D',
+            never: 'Nunca',
+            cancel: 'Cancelar',
+            ok: 'Aceptar',
+            error: 'Error',
+            save: 'Guardar',
+            yes: 'Sí',
+            no: 'No',
+            shareChooser: 'Compartir informe',
+        },
+        time: {
+            justNow: 'ahora mismo',
+            minutesAgo: 'hace {count} min',
+            hoursAgo: 'hace {count} h',
+            daysAgo: { one: 'hace {count} día', other: 'hace {count} días' },
+            dateWithAge: '{date} ({age})',
+        },
+        risk: {
+            HIGH: 'ALTO',
+            MEDIUM: 'MEDIO',
+            LOW: 'BAJO',
+        },
+        action: {
+            REVIEW: 'REVISAR',
+            MONITOR: 'VIGILAR',
+            SAFE: 'SEGURA',
+            ALLOWED: 'PERMITIDA',
+            RESTRICTED: 'RESTRINGIDA',
+            BLOCKED: 'BLOQUEADA',
+        },
+        tabs: {
+            home: 'Inicio',
+            history: 'Historial',
+            settings: 'Ajustes',
+        },
+        home: {
+            subtitle: 'Plataforma de análisis de seguridad',
+            startScan: 'Iniciar análisis de seguridad',
+            scanHint: 'Analiza los permisos y amenazas de las apps instaladas',
+            listAppsFailed: 'No se pueden listar las apps',
+            installedApps: 'Apps instaladas',
+            loadFailed: 'No se pudieron cargar las apps instaladas: {error}',
+            failedApps: {
+                one: '{count} app no se pudo analizar y está marcada como "Análisis fallido".',
+                other: '{count} apps no se pudieron analizar y están marcadas como "Análisis fallido".',
+            },
+            analyzingApps: 'Analizando apps... {completed}/{total}',
+            emptyTitle: 'No hay análisis recientes',
+            emptyHint: 'Toca "Iniciar análisis de seguridad" para analizar tu primera app',
+        },
+        scanButton: {
+            start: 'Iniciar análisis',
+            loading: 'Cargando el modelo...',
+        },
+        fileCard: {
+            demoData: 'DATOS DE DEMO',
+            scanFailed: 'ANÁLISIS FALLIDO',
+            partialScan: 'ANÁLISIS PARCIAL',
+            sideloaded: 'INSTALACIÓN MANUAL',
+            overridden: 'ANULADO',
+            updated: 'actualizado {time}',
+        },
+        dataSource: {
+            mock: {
+                title: 'Datos de demostración',
+                message: 'El motor de análisis nativo no está disponible. Estos resultados son datos de ejemplo, no una evaluación de este dispositivo.',
+            },
+            error: {
+                title: 'Resultados degradados',
+                message: 'Algunos pasos del análisis fallaron. Los resultados mostrados están incompletos.',
+            },
+        },
+        override: {
+            title: 'Anular veredicto',
+            trustedTitle: 'Marcar como de confianza',
+            trustedDescription: 'Tratar esta app como de riesgo BAJO',
+            forceBlockTitle: 'Forzar bloqueo',
+            forceBlockDescription: 'Indicar siempre la acción como BLOQUEADA',
+            suppressFindings: 'Ocultar hallazgos',
+            noFindings: 'No hay hallazgos para esta app',
+            reason: 'Motivo (obligatorio)',
+            reasonPlaceholder: '¿Por qué es incorrecto este veredicto?',
+            setByLabel: 'Establecido por',
+            setByPlaceholder: 'Tu nombre',
+            remove: 'Quitar anulación',
+            bannerTitle: 'Veredicto anulado',
+            setBy: 'Por {user} el {date}',
+            engineVerdict: 'Veredicto del motor: {verdict}',
+            effects: {
+                trusted: 'Marcada como de confianza',
+                forceBlock: 'Forzada a BLOQUEADA',
+                suppressed: { one: '{count} hallazgo oculto', other: '{count} hallazgos ocultos' },
+            },
+        },
+        appList: {
+            count: { one: '{count} app', other: '{count} apps' },
+            empty: 'Ninguna app coincide',
+        },
+        posture: {
+            title: 'Estado del dispositivo',
+            analyzed: { one: '{count} app analizada', other: '{count} apps analizadas' },
+            failed: ', {count} fallidas',
+            riskLevels: 'Niveles de riesgo',
+            actions: 'Acciones',
+            findings: 'Hallazgos',
+            riskiestApps: 'Apps de mayor riesgo',
+            riskApps: {
+                HIGH: 'Apps de riesgo alto',
+                MEDIUM: 'Apps de riesgo medio',
+                LOW: 'Apps de riesgo bajo',
+            },
+            actionApps: 'Acción: {action}',
+            flagApps: 'Apps: {flag}',
+            allApps: 'Todas las apps',
+            flags: {
+                sideloaded: 'Instalación manual',
+                debuggable: 'Depurable',
+                outdatedSdk: 'SDK obsoleto',
+            },
+        },
+        appPicker: {
+            title: 'Selecciona una app para analizar',
+            titleMulti: 'Selecciona apps para analizar',
+            subtitle: 'Elige una app para un análisis de seguridad profundo',
+            subtitleMulti: 'Elige apps para un análisis profundo por lotes',
+            single: 'Una',
+            multiSelect: 'Varias',
+            search: 'Buscar nombre o paquete',
+            unknownApp: 'App desconocida',
+            scanned: 'Analizada el {date}',
+            filters: {
+                user: 'Usuario',
+                system: 'Sistema',
+                sideloaded: 'Instalación manual',
+                scanned: 'Analizadas',
+                clear: 'Limpiar',
+            },
+            select: {
+                allUser: 'Todas las de usuario',
+                allSideloaded: 'Todas las manuales',
+                none: 'Ninguna',
+            },
+            sortLabel: 'Ordenar',
+            sort: {
+                name: 'Nombre',
+                installDate: 'Recientes',
+                size: 'Tamaño',
+                risk: 'Riesgo',
+            },
+            loading: 'Cargando apps...',
+            empty: 'No se encontraron apps',
+            scanSelected: { one: 'Analizar {count} app', other: 'Analizar {count} apps' },
+        },
+        history: {
+            title: 'Historial de análisis',
+            subtitle: 'Archivos analizados anteriormente',
+            loading: 'Cargando historial...',
+            emptyTitle: 'Sin historial de análisis',
+            emptyHint: 'Aquí aparecerán los análisis profundos que realices',
+            exportSarif: 'Exportar hallazgos (SARIF)',
+            exporting: 'Exportando...',
+            exportFailed: 'Error al exportar',
+            today: 'Hoy',
+            yesterday: 'Ayer',
+            earlier: 'Anteriores',
+            scanCount: { one: '{count} análisis', other: '{count} análisis' },
+        },
+        batch: {
+            title: 'Análisis profundo por lotes',
+            scanning: 'Analizando {finished}/{total}...',
+            scanned: '{finished}/{total} analizadas',
+            failed: ', {count} fallidas',
+            policyNote: 'Veredicto final con la política de puntuación {policy}',
+            engines: 'ML: {prediction} ({confidence}) · Heurístico: {risk}',
+            status: {
+                queued: 'EN COLA',
+                failed: 'FALLIDO',
+                cancelled: 'CANCELADO',
+            },
+        },
+        deepLink: {
+            title: 'Abrir enlace',
+            opening: 'Abriendo enlace...',
+            invalid: 'Este enlace no es válido. Los enlaces tienen la forma hexlab://scan/<paquete> o hexlab://report/<ID de análisis>.',
+            notInstalled: '{package} no está instalado en este dispositivo.',
+            reportNotFound: 'Este informe ya no está en el historial de análisis.',
+            failed: 'No se pudo abrir el enlace: {error}',
+            goHome: 'Ir al inicio',
+        },
+        autoScan: {
+            channelName: 'Alertas de análisis',
+            alertTitle: 'App de riesgo {risk} detectada',
+            alertBody: 'Se analizó {app} tras instalarse o actualizarse. Toca para abrir el informe.',
+        },
+        rescan: {
+            summaryTitle: 'Reanálisis programado',
+            summarySubtitle: {
+                one: '{count} app reanalizada el {date}',
+                other: '{count} apps reanalizadas el {date}',
+            },
+            summaryFailed: {
+                one: 'No se pudo analizar {count} app.',
+                other: 'No se pudieron analizar {count} apps.',
+            },
+            noChanges: 'No hay apps nuevas de riesgo alto, veredictos cambiados ni apps eliminadas desde los análisis anteriores.',
+            newHighRisk: 'Nuevas apps de riesgo alto ({count})',
+            changed: 'Veredictos cambiados ({count})',
+            disappeared: 'Ya no instaladas ({count})',
+            done: 'Listo',
+        },
+        settings: {
+            title: 'Ajustes',
+            subtitle: 'Configura tus preferencias de seguridad',
+            saveFailed: 'No se pudieron guardar los ajustes.',
+            display: {
+                title: 'Visualización',
+                showSystemApps: 'Mostrar apps del sistema',
+                showSystemAppsHint: 'Incluir las apps del sistema preinstaladas',
+                showTrustedApps: 'Mostrar apps de confianza',
+                showTrustedAppsHint: 'Incluir apps del sistema, privilegiadas y de editores verificados',
+            },
+            language: {
+                title: 'Idioma',
+                system: 'Predeterminado del sistema',
+                systemHint: 'Usar el idioma del dispositivo',
+            },
+            appearance: {
+                title: 'Apariencia',
+                themes: {
+                    system: 'Predeterminado del sistema',
+                    dark: 'Oscuro',
+                    light: 'Claro',
+                    highContrast: 'Alto contraste',
+                },
+                systemHint: 'Usar el modo claro u oscuro del dispositivo',
+                highContrastHint: 'Fondo negro, texto blanco y acentos brillantes',
+                colorBlindRisk: 'Colores de riesgo aptos para daltonismo',
+                colorBlindRiskHint: 'Azul, amarillo y naranja en lugar de verde, ámbar y rojo',
+                riskPreview: 'Niveles de riesgo',
+            },
+            analysis: {
+                title: 'Análisis de seguridad',
+                detailedRisk: 'Información detallada de riesgo',
+                detailedRiskHint: 'Mostrar el desglose y las puntuaciones de riesgo',
+                highlightSideloaded: 'Resaltar instalaciones manuales',
+                highlightSideloadedHint: 'Marcar las apps que no vienen de Play Store',
+            },
+            autoScan: {
+                title: 'Análisis en segundo plano',
+                enabled: 'Analizar apps nuevas y actualizadas',
+                enabledHint: 'Analizar las apps que se instalan o actualizan mientras Hexlab está abierto y avisar de los veredictos de riesgo',
+                nativeUnavailable: 'Requiere el motor nativo',
+                minRisks: {
+                    MEDIUM: 'Avisar de riesgo medio y alto',
+                    MEDIUMHint: 'Notificar cuando el veredicto final sea MEDIO o ALTO',
+                    HIGH: 'Avisar solo de riesgo alto',
+                    HIGHHint: 'Notificar solo cuando el veredicto final sea ALTO',
+                },
+                permissionDenied: 'Las notificaciones de Hexlab están desactivadas. Las apps nuevas se siguen analizando y guardando en el historial.',
+            },
+            rescan: {
+                title: 'Reanálisis programado',
+                intervals: {
+                    off: 'Desactivado',
+                    offHint: 'Solo se vuelve a analizar al tocar «Reanalizar ahora»',
+                    daily: 'Cada día',
+                    dailyHint: 'Se ejecuta en segundo plano, también con Hexlab cerrada; Android puede retrasarlo para ahorrar batería',
+                    weekly: 'Cada semana',
+                    weeklyHint: 'Se ejecuta en segundo plano, también con Hexlab cerrada; Android puede retrasarlo para ahorrar batería',
+                },
+                lastRun: 'Última ejecución',
+                lastRunCompleted: {
+                    one: '{date} · {count} app',
+                    other: '{date} · {count} apps',
+                },
+                lastRunFailed: 'Falló el {date}: {error}',
+                nextRun: 'Próxima ejecución',
+                nextRunDue: 'Ahora',
+                running: 'Reanalizando...',
+                runNow: 'Reanalizar ahora',
+                runNowHint: 'Analizar en profundidad todas las apps instaladas, incluidas las del sistema y las de confianza, y guardar los resultados en el historial',
+                demoMode: 'No disponible en el modo demo: el reanálisis audita este dispositivo, no las apps del escenario',
+            },
+            scoring: {
+                title: 'Política de puntuación',
+                customEmpty: 'Crea tu propia política en el editor',
+                editor: 'Editor avanzado',
+                summary: 'Pesos {weights} · ALTO ≥ {high} · MEDIO ≥ {medium}',
+            },
+            cache: {
+                title: 'Caché de análisis',
+                apps: 'Apps en caché',
+                heuristic: 'Resultados heurísticos',
+                malware: 'Resultados de malware',
+                ml: 'Resultados de ML',
+                network: 'Resultados de red',
+                storage: 'Almacenamiento usado',
+                lastUpdated: 'Última actualización',
+                clear: 'Vaciar caché',
+                clearHint: 'Volver a analizar todas las apps',
+                clearTitle: 'Vaciar caché de análisis',
+                clearMessage: 'Se descartarán los resultados en caché y cada app se volverá a analizar en su próximo análisis.',
+                clearConfirm: 'Vaciar',
+                clearFailed: 'No se pudo vaciar la caché.',
+            },
+            developer: {
+                title: 'Desarrollador',
+                simulator: 'Dispositivo simulado',
+                simulatorHint: 'Usar datos de escenario en lugar del motor nativo',
+                nativeUnavailable: 'El motor nativo no está disponible en este dispositivo',
+                saveFailed: 'No se pudieron guardar los ajustes de desarrollador.',
+            },
+            actions: {
+                title: 'Acciones rápidas',
+                deviceSecurity: 'Seguridad del dispositivo',
+                deviceSecurityHint: 'Abrir los ajustes de seguridad de Android',
+            },
+            info: {
+                title: 'Información de la app',
+                appName: 'Nombre',
+                version: 'Versión',
+                engine: 'Motor de análisis',
+                status: 'Estado',
+                active: 'Activo',
+            },
+            about: {
+                title: 'Acerca de',
+                description: 'Analizador avanzado de seguridad de apps con puntuación de riesgo según el contexto, detección de comportamiento en tiempo de ejecución y análisis completo de amenazas.',
+            },
+            footer: 'Hecho con ❤️ por Skanda, Deekshith, Pratham y Afthab',
+        },
+        scoring: {
+            presets: {
+                engine: {
+                    label: 'Predeterminada del motor',
+                    description: 'Puntuación heurística con las reglas del motor nativo; un veredicto ML malicioso eleva el riesgo',
+                },
+                balanced: {
+                    label: 'Equilibrada',
+                    description: 'Las puntuaciones heurística, de malware y de ML cuentan para la puntuación final',
+                },
+                strict: {
+                    label: 'Estricta',
+                    description: 'Umbrales más bajos, sin indulgencia con Play Store, y las apps de riesgo ALTO se bloquean',
+                },
+                lenient: {
+                    label: 'Permisiva',
+                    description: 'Umbrales más altos; solo un veredicto ML muy seguro eleva el riesgo',
+                },
+                custom: {
+                    label: 'Personalizada',
+                    description: 'Tus propios pesos, umbrales y reglas',
+                },
+            },
+            inputs: {
+                heuristic: 'Puntuación de riesgo heurística',
+                malware: 'Puntuación de amenaza de malware',
+                ml: 'Probabilidad maliciosa según ML',
+            },
+            rules: {
+                suspiciousComboHigh: 'Las combinaciones sospechosas y las compilaciones depurables de instalación manual fuerzan ALTO',
+                malwareThreatHigh: 'El nivel THREAT de malware fuerza ALTO',
+                playStoreCap: 'Las apps de Play Store se limitan a MEDIO, sin los mínimos anteriores',
+                trustedPublisherLow: 'Los editores de confianza son BAJO',
+                mlEscalation: 'Un veredicto ML malicioso eleva el riesgo',
+                blockHighRisk: 'Las apps de riesgo ALTO se BLOQUEAN',
+            },
+            engines: {
+                heuristic: 'heurístico',
+                malware: 'de malware',
+                ml: 'de ML',
+            },
+            problems: {
+                weightsInvalid: 'Los pesos deben ser números iguales o mayores que 0',
+                weightsZero: 'Al menos un peso debe ser mayor que 0',
+                thresholdsInvalid: 'Los umbrales deben estar entre 1 y 100',
+                thresholdsOrder: 'El umbral MEDIO debe ser menor que el umbral ALTO',
+                confidencesInvalid: 'Las confianzas de ML deben estar entre 0 y 100 %',
+                confidencesOrder: 'La confianza débil de ML no puede superar la fuerte',
+            },
+            editor: {
+                title: 'Política de puntuación personalizada',
+                subtitle: 'Parte de la política {policy}',
+                weights: 'Pesos de las entradas',
+                weightsHint: 'Cada entrada se puntúa de 0 a 100; la puntuación final es su media ponderada.',
+                thresholds: 'Umbrales de riesgo',
+                highAt: 'ALTO desde',
+                mediumAt: 'MEDIO desde',
+                points: 'pts',
+                mlEscalation: 'Escalado por ML',
+                mlEscalationHint: 'Un veredicto ML malicioso por encima de la confianza fuerte sube el riesgo un nivel; por encima de la débil sube BAJO a MEDIO.',
+                strongConfidence: 'Confianza fuerte',
+                weakConfidence: 'Confianza débil',
+                rules: 'Reglas',
+                save: 'Usar política personalizada',
+            },
+        },
+        verdict: {
+            title: 'Cómo se obtuvo el veredicto',
+            score: 'Puntos',
+            policy: 'Política {policy} · ALTO ≥ {high}, MEDIO ≥ {medium}',
+            inputs: 'Entradas',
+            notAvailable: 'no disponible',
+            steps: 'Cómo se decidió',
+            raw: {
+                heuristicScore: '{score} puntos',
+                heuristicLevel: '{risk} (sin puntuación)',
+                malwareScore: '{score} ({threatLevel})',
+                mlPrediction: '{prediction} ({confidence} %)',
+            },
+            details: {
+                weightedScore: {
+                    one: 'Puntuación ponderada {score} a partir del resultado {engines}',
+                    other: 'Puntuación ponderada {score} a partir de los resultados {engines}',
+                },
+                noWeightedInput: 'Ninguna entrada ponderada disponible; se usa la puntuación heurística {score}',
+                aboveHigh: 'Puntuación {score} ≥ umbral ALTO {threshold}',
+                aboveMedium: 'Puntuación {score} ≥ umbral MEDIO {threshold}',
+                belowMedium: 'Puntuación {score} < umbral MEDIO {threshold}',
+                suspiciousCombo: 'Se detectó una combinación de permisos sospechosa',
+                debuggableSideloaded: 'Compilación depurable de instalación manual',
+                malwareThreat: 'El detector de malware informa PELIGRO (puntuación {score})',
+                playStoreCap: 'Instalada desde Play Store (limitada a MEDIO)',
+                trustedPublisher: 'Publicada por un desarrollador de confianza',
+                mlMalicious: 'El modelo ML la clasifica como maliciosa con un {confidence} % de confianza (> {threshold} %)',
+                overrideTrusted: 'Marcada como de confianza por una anulación del analista',
+                overrideBlocked: 'Forzada a BLOQUEADA por una anulación del analista',
+                blockHighRisk: 'Esta política bloquea las apps de riesgo ALTO',
+            },
+        },
+        riskBreakdown: {
+            title: 'Desglose del riesgo',
+            judgedAs: 'Clasificada como',
+            expected: 'Permisos esperados: {permissions}',
+            notFlagged: 'No se marcan: {combos}',
+            empty: 'No se informaron factores de riesgo.',
+            total: 'Puntuación de riesgo',
+            hint: 'Toca un factor para ver los detalles',
+            steps: {
+                permission: 'Permiso',
+                unitemized: 'Otros puntos por permisos (no listados por separado)',
+                score: 'Puntuación',
+                capped: 'Puntuación limitada a 100',
+                adjusted: 'Ajustada a la puntuación informada',
+            },
+            categories: {
+                camera: { label: 'Cámara', hints: 'cámara, foto, vídeo, escáner, QR o código de barras' },
+                messaging: { label: 'Mensajería', hints: 'mensaje, SMS, chat o un servicio de mensajería conocido' },
+                social: { label: 'Social', hints: 'social o una red social conocida' },
+                communication: { label: 'Comunicación', hints: 'teléfono, marcador, llamada o una app de reuniones conocida' },
+                location: { label: 'Ubicación', hints: 'mapa, navegación, GPS, transporte, reparto o tiempo' },
+                game: { label: 'Juego', hints: 'juego' },
+                utility: { label: 'Utilidad', hints: 'linterna o calculadora' },
+                browser: { label: 'Navegador', hints: 'navegador o un navegador conocido' },
+                productivity: { label: 'Productividad', hints: 'oficina, documentos, editor o una app de diseño o notas conocida' },
+                entertainment: { label: 'Entretenimiento', hints: 'música, vídeo, reproductor o una app de streaming conocida' },
+                shopping: { label: 'Compras', hints: 'tienda, carrito o un comercio conocido' },
+                finance: { label: 'Finanzas', hints: 'banco, pago, cartera o finanzas' },
+                unknown: 'Desconocida',
+                uncategorized: 'sin categoría',
+            },
+            categoryText: {
+                known: 'Deducida del nombre del paquete o de la app ({hints}). La categoría decide qué permisos sensibles se esperan: esos suman 10 puntos, los inusuales 15, y algunas combinaciones no se marcan para ella.',
+                unsupported: '«{category}» no es una de las categorías del motor. Todos los permisos sensibles cuentan como inusuales (15 puntos en lugar de 10) y ninguna combinación de permisos está exenta.',
+                unknown: 'No se reconoció ninguna categoría a partir del nombre del paquete o de la app. Todos los permisos sensibles cuentan como inusuales (15 puntos en lugar de 10) y ninguna combinación de permisos está exenta.',
+            },
+            permissionGroups: {
+                camera: 'Cámara',
+                microphone: 'Micrófono',
+                location: 'Ubicación',
+                contacts: 'Contactos',
+                sms: 'SMS',
+                callLog: 'Registro de llamadas',
+                storage: 'Almacenamiento',
+            },
+            factors: {
+                unitemized: 'Los permisos de alto riesgo adecuados para una app de tipo {category} (10 puntos cada uno) y los de riesgo medio (4-6 puntos cada uno) se puntúan sin listarse como hallazgo.',
+                adjustment: 'Los factores listados suman más que la puntuación informada. El motor limita la puntuación a 100.',
+                permission: '{permission} es un permiso de alto riesgo que una app de tipo {category} no suele necesitar, por lo que suma 15 puntos en lugar de 10.',
+                expectedFor: 'Esperados en apps de tipo {category}: {permissions}',
+                nothingExpected: 'No se espera ningún permiso sensible en esta categoría',
+                suspiciousCombo: 'Juntos, estos permisos permiten a una app recopilar datos personales y enviarlos fuera del dispositivo, un patrón habitual en spyware y fraude por SMS. Cada combinación suma 35 puntos y fuerza riesgo ALTO salvo que la app venga de Play Store.',
+                comboExempt: 'No se marca en apps de tipo {categories}',
+                or: ' o ',
+                oldTargetSdk: 'La app está dirigida a una versión de Android anterior a la 10 (SDK 29). Android mantiene el comportamiento antiguo para estas apps, así que no reciben las protecciones de las apps más recientes.',
+                trusted: 'Las apps del sistema, las privilegiadas y las de editores verificados siempre se clasifican como BAJO. Sus permisos no se puntúan.',
+                playStore: 'Las apps de Play Store pasan la revisión de Google, así que el motor descuenta un 40 % de su puntuación por permisos. El descuento no se aplica si hay una combinación de permisos sospechosa, y las apps de Play Store nunca pasan de MEDIO.',
+                thirdPartyStore: 'La app procede de una tienda distinta de Google Play. Las tiendas de terceros revisan las apps con menos rigor, así que el origen de instalación suma 15 puntos.',
+                sideloaded: 'La app se instaló desde un archivo APK, fuera de cualquier tienda, así que nadie la revisó antes de llegar al dispositivo. La instalación manual suma 30 puntos si la app también tiene permisos de alto riesgo, y 20 en otro caso.',
+                debuggable: 'Una app depurable permite que cualquiera con acceso USB le conecte un depurador, lea sus datos privados y cambie su comportamiento. Las versiones de publicación nunca deberían ser depurables. Junto con la instalación manual o una combinación sospechosa fuerza riesgo ALTO.',
+                testOnly: 'Las versiones solo de prueba están pensadas para el desarrollo y las tiendas suelen rechazarlas. Encontrar una instalada es inusual.',
+                outdated: 'La app no se ha actualizado en más de dos años. Es poco probable que se corrijan las vulnerabilidades descubiertas desde entonces.',
+                accessibility: 'Un servicio de accesibilidad puede leer todo lo que hay en pantalla y tocar en nombre del usuario. Los troyanos bancarios y el spyware lo usan para robar códigos y aprobar acciones, así que tiene el mayor peso individual (40 puntos).',
+                overlay: 'Dibujar sobre otras apps permite tapar una pantalla de inicio de sesión con una falsa (ataque de superposición) u ocultar lo que hace realmente un botón.',
+                bootStart: 'La app se inicia sola cada vez que arranca el dispositivo y tiene acceso a internet, así que puede ejecutarse y enviar datos sin abrirse.',
+                services: 'La app declara muchos servicios en segundo plano. Cada uno puede seguir ejecutándose sin una pantalla visible.',
+                other: 'Factor «{category}» informado por el motor heurístico.',
+            },
+        },
+        permission: {
+            since: 'Desde API {level}',
+            deprecated: 'Obsoleto en {version}',
+            abuse: 'Cómo lo aprovecha el malware',
+            engineRating: 'El motor heurístico lo puntúa como {risk}',
+        },
+        permissionCatalog: {
+            levels: {
+                normal: { label: 'Normal', text: 'Se concede automáticamente al instalar; nunca se pregunta al usuario.' },
+                dangerous: { label: 'Peligroso', text: 'Da acceso a datos privados; el usuario tiene que permitirlo en tiempo de ejecución (Android 6.0+).' },
+                special: { label: 'Acceso especial', text: 'El usuario tiene que activarlo para la app en los ajustes del sistema.' },
+                signature: { label: 'Firma', text: 'Solo se concede a apps firmadas con la misma clave que la app que lo declara, normalmente el sistema.' },
+                privileged: { label: 'Privilegiado', text: 'Solo se concede a apps del sistema preinstaladas en la partición privilegiada.' },
+                unknown: { label: 'Desconocido', text: 'El catálogo no lo describe; la app que lo declara decide cómo se concede.' },
+            },
+            groups: {
+                location: 'Ubicación',
+                camera: 'Cámara',
+                microphone: 'Micrófono',
+                contacts: 'Contactos',
+                calendar: 'Calendario',
+                phone: 'Teléfono',
+                callLog: 'Registro de llamadas',
+                sms: 'SMS',
+                storage: 'Archivos y multimedia',
+                sensors: 'Sensores corporales',
+                activity: 'Actividad física',
+                nearby: 'Dispositivos cercanos',
+                notifications: 'Notificaciones',
+                network: 'Red',
+                accounts: 'Cuentas',
+                display: 'Pantalla y superposición',
+                apps: 'Apps y paquetes',
+                background: 'Segundo plano y energía',
+                binding: 'Servicio del sistema',
+                system: 'Sistema',
+                biometric: 'Biometría',
+                other: 'Otros',
+                custom: 'Personalizado',
+            },
+            custom: {
+                summary: 'Permiso personalizado de {owner}',
+                summaryNoOwner: 'Permiso personalizado',
+                explanation: 'Lo declara {owner}, no Android. Los permisos personalizados protegen los componentes o datos propios de esa app; quien los declara decide cómo se conceden.',
+                anotherApp: 'otra app',
+            },
+            unknown: {
+                summary: 'Permiso de Android',
+                explanation: 'Un permiso de Android que este catálogo no describe. Puede ser más reciente que el catálogo, estar oculto para las apps o haberlo añadido el fabricante.',
+            },
+            abuse: {
+                stalkerwareTracking: 'Rastreo por stalkerware de dónde vive, trabaja y viaja el usuario',
+                sellingLocationHistory: 'Venta del historial de ubicaciones a brókeres de datos',
+                covertCamera: 'Spyware que hace fotos o vídeos sin que el usuario lo note',
+                backgroundRecording: 'Grabación de conversaciones y llamadas en segundo plano',
+                uploadingAddressBook: 'Subida de la agenda para campañas de spam o phishing',
+                spreadingToContacts: 'Envío de enlaces de malware a todos los contactos',
+                learningSchedule: 'Conocer la agenda y las reuniones del usuario',
+                fakeCalendarEvents: 'Inserción de eventos falsos con enlaces de phishing',
+                premiumCalls: 'Llamadas a números de tarificación adicional',
+                phoneFingerprinting: 'Identificación del dispositivo a través de su identidad telefónica',
+                harvestingCalls: 'Recopilación de a quién llama el usuario y cuándo',
+                stealingOtps: 'Robo de contraseñas de un solo uso para entrar en cuentas bancarias',
+                premiumSms: 'Envío de SMS premium que se cobran al usuario',
+                uploadingPrivateFiles: 'Subida de fotos y documentos privados',
+                ransomwareEncryption: 'Ransomware que cifra los archivos compartidos',
+                healthData: 'Recopilación de datos de salud, como el ritmo cardiaco, sin consentimiento',
+                profilingRoutines: 'Perfilado de las rutinas diarias a partir de los pasos y el movimiento',
+                nearbyTracking: 'Rastreo del usuario a través de dispositivos Bluetooth y Wi-Fi cercanos',
+                pairedDevices: 'Conexión a dispositivos vinculados sin que el usuario lo note',
+                scamNotifications: 'Notificaciones de estafas o de adware',
+                exfiltration: 'Envío de los datos recopilados a un servidor remoto',
+                commandAndControl: 'Recepción de órdenes de un servidor de mando y control',
+                listingAccounts: 'Listado de las cuentas del usuario para dirigir el phishing',
+                stealingTokens: 'Robo de tokens de cuentas',
+                fakeLoginScreens: 'Pantallas de inicio de sesión falsas sobre las apps bancarias',
+                tapjacking: 'Ocultar lo que hace realmente un botón (tapjacking)',
+                dropper: 'Instalación de más malware (dropper)',
+                findingBankingApps: 'Búsqueda de apps bancarias a las que atacar',
+                removingSecurityApps: 'Eliminación de apps de seguridad',
+                persistentSpyware: 'Mantener el spyware en ejecución y agotar la batería',
+                posingAsSystemService: 'Hacerse pasar por un servicio del sistema para recibir los datos que el sistema le entrega',
+                weakeningSettings: 'Cambio de ajustes del dispositivo para debilitar la seguridad',
+                covertTracking: 'Rastreo encubierto y continuo por stalkerware',
+                photoMetadata: 'Reconstrucción de los lugares visitados a partir de los metadatos de las fotos',
+                replacingContactNumber: 'Cambio del número de un contacto para que las llamadas vayan a un estafador',
+                deletingContacts: 'Borrado de contactos',
+                trackingReinstalls: 'Rastreo del dispositivo entre reinstalaciones de apps',
+                pausingOnCalls: 'Detección de llamadas para pausar el spyware y evitar ser descubierto',
+                linkingIdentity: 'Vinculación del dispositivo a una identidad real para spam o rastreo',
+                tollFraud: 'Llamadas a números de tarificación adicional (fraude telefónico)',
+                silentAnswer: 'Respuesta silenciosa de llamadas para escuchar',
+                fakeVoicemails: 'Mensajes de voz falsos que remiten a un número fraudulento',
+                hidingPremiumCalls: 'Ocultación de las llamadas que el malware hizo a números de tarificación adicional',
+                redirectingBankCalls: 'Desvío a un estafador de las llamadas al banco',
+                premiumSubscriptions: 'Suscripción del usuario a servicios de SMS premium',
+                smsSpreading: 'Propagación enviando enlaces por SMS a los contactos',
+                interceptingOtps: 'Interceptación de contraseñas de un solo uso y códigos bancarios',
+                vibrationSideChannel: 'Deducción de PIN tecleados o de la voz a partir de pequeñas vibraciones',
+                nfcRelay: 'Retransmisión de tarjetas de pago sin contacto (ataques de relé NFC)',
+                waitingForWifi: 'Esperar a un Wi-Fi sin límite de datos para subir los datos robados',
+                networkFingerprinting: 'Identificación del dispositivo o de su ubicación a partir de las redes cercanas',
+                attackerProxy: 'Envío del tráfico móvil a través del proxy de un atacante',
+                fakeVpn: 'VPN falsas que inspeccionan o redirigen todo el tráfico',
+                fullScreenScams: 'Páginas de estafa a pantalla completa difíciles de cerrar',
+                notificationOtps: 'Robo de contraseñas de un solo uso desde las notificaciones',
+                readingChats: 'Lectura de chats privados desde las vistas previas de los mensajes',
+                keepingUnlocked: 'Mantener el dispositivo desbloqueado para controlarlo a distancia',
+                storeDroppers: 'Droppers que instalan el malware real después de superar la revisión de la tienda',
+                naggingRemoval: 'Insistir al usuario para que quite las apps de seguridad',
+                findingFinanceApps: 'Búsqueda de apps bancarias y de criptomonedas que atacar',
+                appProfiling: 'Creación de un perfil detallado del usuario a partir de sus apps',
+                detectingBankingApps: 'Detección de la apertura de una app bancaria para mostrar encima un inicio de sesión falso',
+                usageProfiling: 'Perfilado del usuario a partir del uso de apps',
+                foregroundOverlays: 'Detección de la app en primer plano para mostrar superposiciones de phishing (antes de Android 5.0)',
+                pushingToFront: 'Ponerse delante de la app que está usando el usuario',
+                killingSecurityApps: 'Cierre de las apps de seguridad que se ejecutan en segundo plano',
+                workProfileLeak: 'Sacar datos del perfil de trabajo gestionado',
+                adShortcuts: 'Adware que coloca accesos directos a sitios de anuncios',
+                browsingHistory: 'Recopilación del historial de navegación',
+                phishingBookmarks: 'Sustitución de marcadores por sitios de phishing',
+                bootPersistence: 'Reinicio del spyware tras cada arranque sin que se abra',
+                cryptoMining: 'Minado de criptomonedas con la pantalla apagada',
+                backgroundFilming: 'Grabación de vídeo en segundo plano',
+                backgroundConversations: 'Grabación de conversaciones en segundo plano',
+                continuousTracking: 'Rastreo continuo',
+                screenRecording: 'Grabación de todo lo que se muestra en pantalla, incluidas las contraseñas',
+                stayingAlive: 'Seguir activo en segundo plano para continuar espiando',
+                bankingTrojans: 'Troyanos bancarios que leen y aprueban transacciones',
+                selfGranting: 'Concederse más permisos tocando los diálogos',
+                ransomwareLock: 'Ransomware que bloquea el dispositivo',
+                blockingRemoval: 'Malware que impide su propia desinstalación',
+                keyloggers: 'Keyloggers que roban contraseñas y números de tarjeta',
+                collectingLogins: 'Recopilación de todos los inicios de sesión que introduce el usuario',
+                enablingAccessibility: 'Activación de su propio servicio de accesibilidad sin el usuario (concedido por ADB)',
+                logHarvesting: 'Recopilación de tokens y datos personales que otras apps escribieron en el registro',
+            },
+            permissions: {
+                ACCESS_FINE_LOCATION: {
+                    summary: 'Acceder a la ubicación GPS precisa',
+                    text: 'Permite a la app leer la posición del dispositivo con unos pocos metros de precisión usando GPS, Wi-Fi y datos de la red móvil.',
+                },
+                ACCESS_COARSE_LOCATION: {
+                    summary: 'Acceder a la ubicación aproximada',
+                    text: 'Permite a la app leer una posición aproximada (del tamaño de una manzana) a partir del Wi-Fi y las antenas de telefonía.',
+                },
+                ACCESS_BACKGROUND_LOCATION: {
+                    summary: 'Acceder a la ubicación en segundo plano',
+                    text: 'Permite a la app seguir leyendo la ubicación mientras está cerrada. Sin él, la ubicación solo está disponible mientras se usa la app.',
+                },
+                ACCESS_LOCATION_EXTRA_COMMANDS: {
+                    summary: 'Enviar comandos extra a los proveedores de ubicación',
+                    text: 'Permite a la app enviar comandos extra a los proveedores de ubicación, por ejemplo para actualizar los datos de asistencia del GPS.',
+                },
+                ACCESS_MEDIA_LOCATION: {
+                    summary: 'Leer las ubicaciones guardadas en las fotos',
+                    text: 'Permite a la app leer las coordenadas GPS guardadas en las fotos y los vídeos del usuario.',
+                },
+                CONTROL_LOCATION_UPDATES: {
+                    summary: 'Controlar los avisos de cambio de ubicación',
+                    text: 'Permite a una app del sistema activar o desactivar los avisos de cambio de ubicación de la radio.',
+                },
+                INSTALL_LOCATION_PROVIDER: {
+                    summary: 'Instalar un proveedor de ubicación',
+                    text: 'Permite a una app del sistema proporcionar ubicaciones al gestor de ubicación.',
+                },
+                LOCATION_HARDWARE: {
+                    summary: 'Usar funciones de ubicación del hardware',
+                    text: 'Permite a una app del sistema usar funciones de ubicación del hardware, como las geovallas.',
+                },
+                CAMERA: {
+                    summary: 'Hacer fotos y vídeos',
+                    text: 'Permite a la app usar las cámaras para hacer fotos y grabar vídeo.',
+                },
+                RECORD_AUDIO: {
+                    summary: 'Grabar audio con el micrófono',
+                    text: 'Permite a la app grabar sonido con el micrófono.',
+                },
+                CAPTURE_AUDIO_OUTPUT: {
+                    summary: 'Capturar la salida de audio',
+                    text: 'Permite a una app del sistema capturar el audio que reproducen otras apps, incluidas las llamadas.',
+                },
+                MODIFY_AUDIO_SETTINGS: {
+                    summary: 'Cambiar los ajustes de audio',
+                    text: 'Permite a la app cambiar ajustes de audio globales, como el volumen y el altavoz de salida.',
+                },
+                READ_CONTACTS: {
+                    summary: 'Leer tus contactos',
+                    text: 'Permite a la app leer todos los contactos del dispositivo, con sus nombres, números, correos y notas.',
+                },
+                WRITE_CONTACTS: {
+                    summary: 'Modificar tus contactos',
+                    text: 'Permite a la app añadir, cambiar y borrar contactos.',
+                },
+                GET_ACCOUNTS: {
+                    summary: 'Buscar cuentas en el dispositivo',
+                    text: 'Permite a la app listar las cuentas que conoce el dispositivo. Desde Android 8.0 las apps solo ven las cuentas que crearon o a las que se les dio acceso.',
+                },
+                GET_ACCOUNTS_PRIVILEGED: {
+                    summary: 'Buscar todas las cuentas del dispositivo',
+                    text: 'Permite a una app del sistema listar todas las cuentas del dispositivo.',
+                },
+                ACCOUNT_MANAGER: {
+                    summary: 'Actuar como gestor de cuentas',
+                    text: 'Permite al sistema llamar a los autenticadores de cuentas.',
+                },
+                AUTHENTICATE_ACCOUNTS: {
+                    summary: 'Crear cuentas y establecer contraseñas',
+                    text: 'Permitía a la app actuar como autenticador de cuentas. Eliminado en Android 6.0.',
+                },
+                MANAGE_ACCOUNTS: {
+                    summary: 'Añadir o quitar cuentas',
+                    text: 'Permitía a la app añadir y quitar cuentas y borrar sus contraseñas. Eliminado en Android 6.0.',
+                },
+                USE_CREDENTIALS: {
+                    summary: 'Usar las cuentas del dispositivo',
+                    text: 'Permitía a la app pedir tokens de autenticación de las cuentas del usuario. Eliminado en Android 6.0.',
+                },
+                READ_PROFILE: {
+                    summary: 'Leer tu propia ficha de contacto',
+                    text: 'Permitía a la app leer la ficha de perfil del propio usuario. Eliminado en Android 6.0.',
+                },
+                WRITE_PROFILE: {
+                    summary: 'Modificar tu propia ficha de contacto',
+                    text: 'Permitía a la app cambiar la ficha de perfil del propio usuario. Eliminado en Android 6.0.',
+                },
+                READ_CALENDAR: {
+                    summary: 'Leer los eventos del calendario',
+                    text: 'Permite a la app leer todos los eventos del calendario, con sus invitados y lugares.',
+                },
+                WRITE_CALENDAR: {
+                    summary: 'Añadir o modificar eventos del calendario',
+                    text: 'Permite a la app añadir, cambiar y borrar eventos del calendario y enviar correos a los invitados.',
+                },
+                READ_PHONE_STATE: {
+                    summary: 'Leer el estado y la identidad del teléfono',
+                    text: 'Permite a la app leer el número de teléfono, la red móvil, las llamadas en curso y, antes de Android 10, el IMEI del dispositivo.',
+                },
+                READ_BASIC_PHONE_STATE: {
+                    summary: 'Leer el estado básico del teléfono',
+                    text: 'Permite a la app leer el estado básico de telefonía, como si el dispositivo tiene SIM, sin sus identificadores.',
+                },
+                READ_PRECISE_PHONE_STATE: {
+                    summary: 'Leer el estado detallado del teléfono',
+                    text: 'Permite a una app del sistema leer el estado detallado de las llamadas y de la conexión de datos.',
+                },
+                READ_PHONE_NUMBERS: {
+                    summary: 'Leer los números de teléfono',
+                    text: 'Permite a la app leer los números de teléfono de las tarjetas SIM.',
+                },
+                CALL_PHONE: {
+                    summary: 'Hacer llamadas',
+                    text: 'Permite a la app hacer llamadas sin pasar por el marcador para que el usuario las confirme.',
+                },
+                CALL_PRIVILEGED: {
+                    summary: 'Llamar a cualquier número, incluidos los de emergencia',
+                    text: 'Permite a una app del sistema llamar a cualquier número, incluidos los de emergencia, sin confirmación.',
+                },
+                ANSWER_PHONE_CALLS: {
+                    summary: 'Responder llamadas',
+                    text: 'Permite a la app responder las llamadas entrantes.',
+                },
+                ACCEPT_HANDOVER: {
+                    summary: 'Continuar una llamada de otra app',
+                    text: 'Permite a una app de llamadas hacerse cargo de una llamada iniciada en otra app, por ejemplo para pasarla a Wi-Fi.',
+                },
+                MANAGE_OWN_CALLS: {
+                    summary: 'Gestionar sus propias llamadas a través del sistema',
+                    text: 'Permite a una app de llamadas gestionar sus propias llamadas desde la pantalla de llamada del sistema.',
+                },
+                MANAGE_ONGOING_CALLS: {
+                    summary: 'Gestionar las llamadas en curso',
+                    text: 'Permite a una app complementaria ver y controlar las llamadas en curso.',
+                },
+                CALL_COMPANION_APP: {
+                    summary: 'Actuar como app complementaria de llamadas',
+                    text: 'Permite a la app recibir avisos de llamadas como complemento, por ejemplo para mostrarlas en un reloj.',
+                },
+                MODIFY_PHONE_STATE: {
+                    summary: 'Modificar el estado del teléfono',
+                    text: 'Permite a una app del sistema controlar la radio, por ejemplo para apagarla.',
+                },
+                USE_SIP: {
+                    summary: 'Hacer llamadas por internet (SIP)',
+                    text: 'Permite a la app hacer y recibir llamadas por SIP.',
+                },
+                com_android_voicemail_permission_ADD_VOICEMAIL: {
+                    summary: 'Añadir mensajes de voz',
+                    text: 'Permite a la app añadir mensajes al buzón de voz.',
+                },
+                com_android_voicemail_permission_READ_VOICEMAIL: {
+                    summary: 'Leer el buzón de voz',
+                    text: 'Permite a una app del sistema leer todos los mensajes de voz.',
+                },
+                com_android_voicemail_permission_WRITE_VOICEMAIL: {
+                    summary: 'Modificar el buzón de voz',
+                    text: 'Permite a una app del sistema cambiar y borrar mensajes de voz.',
+                },
+                READ_CALL_LOG: {
+                    summary: 'Leer el historial de llamadas',
+                    text: 'Permite a la app leer la lista de llamadas entrantes y salientes con sus números y horas.',
+                },
+                WRITE_CALL_LOG: {
+                    summary: 'Modificar el historial de llamadas',
+                    text: 'Permite a la app añadir, cambiar y borrar entradas del historial de llamadas.',
+                },
+                PROCESS_OUTGOING_CALLS: {
+                    summary: 'Vigilar las llamadas salientes',
+                    text: 'Permite a la app ver el número de cada llamada saliente y desviarla o cancelarla. Sustituido por los servicios de redirección de llamadas en Android 10.',
+                },
+                READ_SMS: {
+                    summary: 'Leer tus mensajes de texto',
+                    text: 'Permite a la app leer todos los SMS y MMS guardados en el dispositivo.',
+                },
+                SEND_SMS: {
+                    summary: 'Enviar mensajes de texto',
+                    text: 'Permite a la app enviar SMS sin que el usuario los vea.',
+                },
+                RECEIVE_SMS: {
+                    summary: 'Recibir mensajes de texto',
+                    text: 'Permite a la app leer los SMS entrantes en cuanto llegan.',
+                },
+                RECEIVE_MMS: {
+                    summary: 'Recibir mensajes MMS',
+                    text: 'Permite a la app leer los MMS entrantes en cuanto llegan.',
+                },
+                RECEIVE_WAP_PUSH: {
+                    summary: 'Recibir mensajes WAP push',
+                    text: 'Permite a la app recibir mensajes WAP push, que los operadores usan para entregar MMS y ajustes.',
+                },
+                BROADCAST_SMS: {
+                    summary: 'Anunciar SMS recibidos',
+                    text: 'Permite al sistema anunciar un SMS recibido. Una app con este permiso podría falsificar mensajes entrantes.',
+                },
+                BROADCAST_WAP_PUSH: {
+                    summary: 'Anunciar mensajes WAP push recibidos',
+                    text: 'Permite al sistema anunciar un mensaje WAP push recibido.',
+                },
+                SEND_RESPOND_VIA_MESSAGE: {
+                    summary: 'Responder llamadas con un mensaje',
+                    text: 'Permite a una app del sistema enviar las respuestas rápidas por mensaje a las llamadas entrantes.',
+                },
+                SMS_FINANCIAL_TRANSACTIONS: {
+                    summary: 'Leer los cobros por SMS premium',
+                    text: 'Permitía a la app leer los cobros por SMS premium que hizo el usuario.',
+                },
+                READ_EXTERNAL_STORAGE: {
+                    summary: 'Leer archivos del almacenamiento',
+                    text: 'Permite a la app leer el almacenamiento compartido. El almacenamiento acotado lo limita desde Android 10, y desde Android 13 lo sustituyen los permisos de fotos, vídeo y audio.',
+                },
+                WRITE_EXTERNAL_STORAGE: {
+                    summary: 'Escribir archivos en el almacenamiento',
+                    text: 'Permite a la app crear, cambiar y borrar archivos del almacenamiento compartido. No tiene efecto en apps para Android 11 o posterior.',
+                },
+                MANAGE_EXTERNAL_STORAGE: {
+                    summary: 'Acceder a todos los archivos',
+                    text: 'Permite a la app leer y cambiar todos los archivos del almacenamiento compartido, saltándose el almacenamiento acotado. Google Play solo lo permite a gestores de archivos, copias de seguridad y antivirus.',
+                },
+                MANAGE_MEDIA: {
+                    summary: 'Cambiar o borrar contenido multimedia sin preguntar',
+                    text: 'Permite a la app editar, enviar a la papelera y borrar fotos y vídeos sin pedir confirmación cada vez.',
+                },
+                READ_MEDIA_IMAGES: {
+                    summary: 'Leer fotos',
+                    text: 'Permite a la app leer las fotos del almacenamiento compartido.',
+                },
+                READ_MEDIA_VIDEO: {
+                    summary: 'Leer vídeos',
+                    text: 'Permite a la app leer los vídeos del almacenamiento compartido.',
+                },
+                READ_MEDIA_AUDIO: {
+                    summary: 'Leer música y audio',
+                    text: 'Permite a la app leer los archivos de audio del almacenamiento compartido, incluidas las grabaciones de voz.',
+                },
+                READ_MEDIA_VISUAL_USER_SELECTED: {
+                    summary: 'Leer las fotos y vídeos seleccionados',
+                    text: 'Permite a la app leer solo las fotos y los vídeos que eligió el usuario.',
+                },
+                MANAGE_DOCUMENTS: {
+                    summary: 'Gestionar el almacenamiento de documentos',
+                    text: 'Permite al selector de documentos del sistema gestionar el acceso a los documentos.',
+                },
+                MOUNT_UNMOUNT_FILESYSTEMS: {
+                    summary: 'Montar y desmontar el almacenamiento',
+                    text: 'Permite a una app del sistema montar y desmontar el almacenamiento extraíble.',
+                },
+                MOUNT_FORMAT_FILESYSTEMS: {
+                    summary: 'Formatear el almacenamiento extraíble',
+                    text: 'Permite a una app del sistema formatear el almacenamiento extraíble y borrarlo.',
+                },
+                BODY_SENSORS: {
+                    summary: 'Acceder a los sensores corporales',
+                    text: 'Permite a la app leer los sensores que miden el cuerpo, como el ritmo cardiaco.',
+                },
+                BODY_SENSORS_BACKGROUND: {
+                    summary: 'Acceder a los sensores corporales en segundo plano',
+                    text: 'Permite a la app seguir leyendo los sensores corporales mientras está cerrada.',
+                },
+                HIGH_SAMPLING_RATE_SENSORS: {
+                    summary: 'Leer los sensores de movimiento a alta frecuencia',
+                    text: 'Permite a la app leer los sensores de movimiento más de 200 veces por segundo.',
+                },
+                ACTIVITY_RECOGNITION: {
+                    summary: 'Reconocer la actividad física',
+                    text: 'Permite a la app detectar si el usuario camina, va en bici o en un vehículo, y contar sus pasos.',
+                },
+                BLUETOOTH: {
+                    summary: 'Vincularse con dispositivos Bluetooth',
+                    text: 'Permite a la app conectarse a dispositivos Bluetooth vinculados. Sustituido por Conectar Bluetooth en Android 12.',
+                },
+                BLUETOOTH_ADMIN: {
+                    summary: 'Descubrir y vincular dispositivos Bluetooth',
+                    text: 'Permite a la app buscar dispositivos Bluetooth y vincularse con ellos. Sustituido por Buscar Bluetooth en Android 12.',
+                },
+                BLUETOOTH_SCAN: {
+                    summary: 'Buscar dispositivos Bluetooth cercanos',
+                    text: 'Permite a la app buscar dispositivos Bluetooth cercanos. Salvo que la app indique lo contrario, los resultados pueden revelar la ubicación.',
+                },
+                BLUETOOTH_CONNECT: {
+                    summary: 'Conectarse a dispositivos Bluetooth vinculados',
+                    text: 'Permite a la app conectarse a los dispositivos Bluetooth que el usuario ya vinculó.',
+                },
+                BLUETOOTH_ADVERTISE: {
+                    summary: 'Anunciarse a dispositivos Bluetooth cercanos',
+                    text: 'Permite al dispositivo anunciarse a los dispositivos Bluetooth cercanos.',
+                },
+                BLUETOOTH_PRIVILEGED: {
+                    summary: 'Vincular dispositivos Bluetooth sin el usuario',
+                    text: 'Permite a una app del sistema vincular dispositivos Bluetooth sin intervención del usuario.',
+                },
+                NEARBY_WIFI_DEVICES: {
+                    summary: 'Buscar dispositivos Wi-Fi cercanos',
+                    text: 'Permite a la app descubrir dispositivos cercanos por Wi-Fi y conectarse a ellos.',
+                },
+                UWB_RANGING: {
+                    summary: 'Medir la distancia a dispositivos cercanos',
+                    text: 'Permite a la app conocer la posición relativa de dispositivos de banda ultraancha cercanos.',
+                },
+                NFC: {
+                    summary: 'Usar NFC',
+                    text: 'Permite a la app comunicarse con etiquetas, tarjetas y lectores NFC.',
+                },
+                NFC_PREFERRED_PAYMENT_INFO: {
+                    summary: 'Leer el servicio de pago NFC preferido',
+                    text: 'Permite a la app leer qué servicio de pago sin contacto es el predeterminado.',
+                },
+                NFC_TRANSACTION_EVENT: {
+                    summary: 'Recibir eventos de transacciones NFC',
+                    text: 'Permite a la app recibir avisos de las transacciones del elemento seguro del dispositivo.',
+                },
+                TRANSMIT_IR: {
+                    summary: 'Usar el emisor de infrarrojos',
+                    text: 'Permite a la app enviar señales de infrarrojos, por ejemplo para controlar una televisión.',
+                },
+                INTERNET: {
+                    summary: 'Acceso completo a la red',
+                    text: 'Permite a la app abrir conexiones de red. Casi todas las apps lo necesitan; junto con acceso a datos privados, es la vía por la que los datos salen del dispositivo.',
+                },
+                ACCESS_NETWORK_STATE: {
+                    summary: 'Ver las conexiones de red',
+                    text: 'Permite a la app ver qué redes hay y si el dispositivo tiene conexión.',
+                },
+                CHANGE_NETWORK_STATE: {
+                    summary: 'Cambiar la conectividad de red',
+                    text: 'Permite a la app cambiar el estado de la conectividad de red.',
+                },
+                ACCESS_WIFI_STATE: {
+                    summary: 'Ver las conexiones Wi-Fi',
+                    text: 'Permite a la app ver el estado del Wi-Fi y las redes que conoce.',
+                },
+                CHANGE_WIFI_STATE: {
+                    summary: 'Conectarse y desconectarse del Wi-Fi',
+                    text: 'Permite a la app activar o desactivar el Wi-Fi y cambiar la red conectada.',
+                },
+                CHANGE_WIFI_MULTICAST_STATE: {
+                    summary: 'Recibir multidifusión Wi-Fi',
+                    text: 'Permite a la app recibir paquetes enviados a todos los dispositivos de la red Wi-Fi, que se usan para descubrir dispositivos locales.',
+                },
+                MANAGE_WIFI_INTERFACES: {
+                    summary: 'Gestionar las interfaces Wi-Fi',
+                    text: 'Permite a una app del sistema gestionar las interfaces Wi-Fi del dispositivo.',
+                },
+                MANAGE_WIFI_NETWORK_SELECTION: {
+                    summary: 'Gestionar la selección de red Wi-Fi',
+                    text: 'Permite a una app del sistema decidir a qué red Wi-Fi se conecta el dispositivo.',
+                },
+                OVERRIDE_WIFI_CONFIG: {
+                    summary: 'Cambiar cualquier configuración Wi-Fi',
+                    text: 'Permite a una app del sistema cambiar la configuración de cualquier red Wi-Fi guardada.',
+                },
+                WRITE_APN_SETTINGS: {
+                    summary: 'Cambiar los ajustes APN de datos móviles',
+                    text: 'Permite a una app del sistema cambiar los ajustes del punto de acceso por los que pasan los datos móviles.',
+                },
+                BIND_VPN_SERVICE: {
+                    summary: 'Ofrecer una VPN',
+                    text: 'Marca el servicio VPN de la app para que solo el sistema pueda iniciarlo. Una app de VPN ve todo el tráfico de red en cuanto el usuario acepta su solicitud de conexión.',
+                },
+                POST_NOTIFICATIONS: {
+                    summary: 'Mostrar notificaciones',
+                    text: 'Permite a la app publicar notificaciones. Android 13 y posteriores preguntan antes al usuario.',
+                },
+                ACCESS_NOTIFICATION_POLICY: {
+                    summary: 'Leer los ajustes de No molestar',
+                    text: 'Permite a la app leer la política de No molestar. Para cambiarla, el usuario tiene que darle acceso en los ajustes.',
+                },
+                USE_FULL_SCREEN_INTENT: {
+                    summary: 'Mostrar notificaciones a pantalla completa',
+                    text: 'Permite a la app mostrar notificaciones que ocupan la pantalla, pensadas para llamadas y alarmas. Android 14 lo limita a esas apps.',
+                },
+                BIND_NOTIFICATION_LISTENER_SERVICE: {
+                    summary: 'Leer todas las notificaciones',
+                    text: 'Marca el servicio de escucha de notificaciones de la app para que solo el sistema pueda vincularlo. Cuando el usuario lo activa, la app lee todas las notificaciones, incluidas las vistas previas de mensajes y los códigos de inicio de sesión.',
+                },
+                BIND_CONDITION_PROVIDER_SERVICE: {
+                    summary: 'Ofrecer condiciones de No molestar',
+                    text: 'Marca el servicio de la app que indica a No molestar cuándo activarse.',
+                },
+                SYSTEM_ALERT_WINDOW: {
+                    summary: 'Mostrar sobre otras apps',
+                    text: 'Permite a la app mostrar ventanas encima de todas las demás apps.',
+                },
+                HIDE_OVERLAY_WINDOWS: {
+                    summary: 'Ocultar las superposiciones de otras apps',
+                    text: 'Permite a la app ocultar las superposiciones de otras apps mientras muestra sus propias pantallas, una protección contra los ataques de superposición.',
+                },
+                DISABLE_KEYGUARD: {
+                    summary: 'Desactivar el bloqueo de pantalla',
+                    text: 'Permite a la app desactivar un bloqueo de pantalla no seguro (sin PIN, patrón ni contraseña).',
+                },
+                EXPAND_STATUS_BAR: {
+                    summary: 'Desplegar o contraer la barra de estado',
+                    text: 'Permite a la app abrir o cerrar el panel de notificaciones.',
+                },
+                STATUS_BAR: {
+                    summary: 'Controlar la barra de estado',
+                    text: 'Permite a una app del sistema desactivar la barra de estado o añadir iconos del sistema.',
+                },
+                SET_WALLPAPER: {
+                    summary: 'Cambiar el fondo de pantalla',
+                    text: 'Permite a la app cambiar el fondo de pantalla.',
+                },
+                SET_WALLPAPER_HINTS: {
+                    summary: 'Ajustar el tamaño del fondo de pantalla',
+                    text: 'Permite a la app indicar el tamaño del fondo de pantalla.',
+                },
+                BIND_WALLPAPER: {
+                    summary: 'Ofrecer un fondo de pantalla animado',
+                    text: 'Marca el servicio de fondo animado de la app para que solo el sistema pueda vincularlo.',
+                },
+                BIND_DREAM_SERVICE: {
+                    summary: 'Ofrecer un salvapantallas',
+                    text: 'Marca el salvapantallas de la app para que solo el sistema pueda vincularlo.',
+                },
+                DETECT_SCREEN_CAPTURE: {
+                    summary: 'Detectar capturas de pantalla',
+                    text: 'Permite a la app saber cuándo el usuario hace una captura de pantalla de ella.',
+                },
+                REQUEST_INSTALL_PACKAGES: {
+                    summary: 'Instalar otras apps',
+                    text: 'Permite a la app pedir la instalación de archivos APK. El usuario aún tiene que permitir en los ajustes las instalaciones desde esta app.',
+                },
+                REQUEST_DELETE_PACKAGES: {
+                    summary: 'Pedir la desinstalación de apps',
+                    text: 'Permite a la app pedir al usuario que desinstale otras apps.',
+                },
+                INSTALL_PACKAGES: {
+                    summary: 'Instalar apps sin avisar',
+                    text: 'Permite a una app del sistema instalar apps sin preguntar al usuario.',
+                },
+                DELETE_PACKAGES: {
+                    summary: 'Desinstalar apps sin avisar',
+                    text: 'Permite a una app del sistema quitar apps sin preguntar al usuario.',
+                },
+                UPDATE_PACKAGES_WITHOUT_USER_ACTION: {
+                    summary: 'Actualizar automáticamente sus instalaciones',
+                    text: 'Permite a una tienda de apps actualizar las apps que instaló sin volver a preguntar.',
+                },
+                QUERY_ALL_PACKAGES: {
+                    summary: 'Ver todas las apps instaladas',
+                    text: 'Permite a la app listar todas las apps instaladas. Desde Android 11, sin él las apps solo ven unas pocas más, y Google Play restringe quién puede usarlo.',
+                },
+                GET_PACKAGE_SIZE: {
+                    summary: 'Medir el almacenamiento de las apps',
+                    text: 'Permite a la app leer cuánto almacenamiento usan las demás apps.',
+                },
+                CLEAR_APP_CACHE: {
+                    summary: 'Borrar la caché de todas las apps',
+                    text: 'Permite a una app del sistema vaciar la caché de todas las apps.',
+                },
+                DELETE_CACHE_FILES: {
+                    summary: 'Borrar la caché de otras apps',
+                    text: 'Permite a una app del sistema borrar los archivos de caché de otras apps.',
+                },
+                CHANGE_COMPONENT_ENABLED_STATE: {
+                    summary: 'Activar o desactivar componentes de apps',
+                    text: 'Permite a una app del sistema activar o desactivar partes de otras apps.',
+                },
+                BROADCAST_PACKAGE_REMOVED: {
+                    summary: 'Anunciar apps eliminadas',
+                    text: 'Permite al sistema anunciar que se quitó una app.',
+                },
+                PACKAGE_USAGE_STATS: {
+                    summary: 'Acceder a los datos de uso de apps',
+                    text: 'Permite a la app ver qué apps abre el usuario y durante cuánto tiempo, cuando el usuario le da acceso al uso.',
+                },
+                LOADER_USAGE_STATS: {
+                    summary: 'Recopilar estadísticas de carga de código',
+                    text: 'Permite a una app del sistema recopilar estadísticas sobre la carga de código en otras apps.',
+                },
+                GET_TASKS: {
+                    summary: 'Obtener las apps en ejecución',
+                    text: 'Permitía a la app ver qué apps se ejecutaron hace poco. Desde Android 5.0 solo devuelve las tareas de la propia app.',
+                },
+                REORDER_TASKS: {
+                    summary: 'Reordenar las apps en ejecución',
+                    text: 'Permite a la app mover sus tareas a primer o segundo plano.',
+                },
+                KILL_BACKGROUND_PROCESSES: {
+                    summary: 'Cerrar otras apps',
+                    text: 'Permite a la app detener los procesos en segundo plano de otras apps.',
+                },
+                RESTART_PACKAGES: {
+                    summary: 'Cerrar otras apps',
+                    text: 'Nombre antiguo de Cerrar otras apps; ya no hace nada.',
+                },
+                INTERACT_ACROSS_PROFILES: {
+                    summary: 'Conectar los perfiles de trabajo y personal',
+                    text: 'Permite a la app comunicarse con su copia en el otro perfil, por ejemplo entre las apps de trabajo y las personales.',
+                },
+                com_android_launcher_permission_INSTALL_SHORTCUT: {
+                    summary: 'Añadir accesos directos a la pantalla de inicio',
+                    text: 'Permite a la app añadir accesos directos a la pantalla de inicio sin preguntar.',
+                },
+                com_android_launcher_permission_UNINSTALL_SHORTCUT: {
+                    summary: 'Quitar accesos directos de la pantalla de inicio',
+                    text: 'Permite a la app quitar accesos directos de la pantalla de inicio.',
+                },
+                com_android_browser_permission_READ_HISTORY_BOOKMARKS: {
+                    summary: 'Leer el historial y los marcadores del navegador',
+                    text: 'Permitía a la app leer el historial y los marcadores del navegador integrado. Eliminado en Android 6.0.',
+                },
+                com_android_browser_permission_WRITE_HISTORY_BOOKMARKS: {
+                    summary: 'Cambiar el historial y los marcadores del navegador',
+                    text: 'Permitía a la app cambiar el historial y los marcadores del navegador integrado. Eliminado en Android 6.0.',
+                },
+                RECEIVE_BOOT_COMPLETED: {
+                    summary: 'Iniciarse al arrancar el dispositivo',
+                    text: 'Permite a la app iniciarse en cuanto el dispositivo termina de arrancar.',
+                },
+                WAKE_LOCK: {
+                    summary: 'Mantener el dispositivo activo',
+                    text: 'Permite a la app impedir que el procesador o la pantalla entren en reposo.',
+                },
+                FOREGROUND_SERVICE: {
+                    summary: 'Ejecutar servicios en primer plano',
+                    text: 'Permite a la app seguir ejecutándose con una notificación permanente.',
+                },
+                FOREGROUND_SERVICE_CAMERA: {
+                    summary: 'Usar la cámara en un servicio en primer plano',
+                    text: 'Permite a la app seguir usando la cámara en segundo plano con una notificación permanente.',
+                },
+                FOREGROUND_SERVICE_MICROPHONE: {
+                    summary: 'Usar el micrófono en un servicio en primer plano',
+                    text: 'Permite a la app seguir grabando audio en segundo plano con una notificación permanente.',
+                },
+                FOREGROUND_SERVICE_LOCATION: {
+                    summary: 'Usar la ubicación en un servicio en primer plano',
+                    text: 'Permite a la app seguir leyendo la ubicación en segundo plano con una notificación permanente.',
+                },
+                FOREGROUND_SERVICE_MEDIA_PROJECTION: {
+                    summary: 'Capturar la pantalla en un servicio en primer plano',
+                    text: 'Permite a la app seguir grabando o enviando la pantalla desde segundo plano una vez que el usuario inicia una captura.',
+                },
+                FOREGROUND_SERVICE_PHONE_CALL: {
+                    summary: 'Gestionar llamadas en un servicio en primer plano',
+                    text: 'Permite a una app de llamadas mantener una llamada en segundo plano.',
+                },
+                FOREGROUND_SERVICE_MEDIA_PLAYBACK: {
+                    summary: 'Reproducir contenido en un servicio en primer plano',
+                    text: 'Permite a la app seguir reproduciendo audio o vídeo en segundo plano.',
+                },
+                FOREGROUND_SERVICE_DATA_SYNC: {
+                    summary: 'Sincronizar datos en un servicio en primer plano',
+                    text: 'Permite a la app seguir subiendo o descargando datos en segundo plano.',
+                },
+                FOREGROUND_SERVICE_CONNECTED_DEVICE: {
+                    summary: 'Comunicarse con dispositivos conectados en un servicio en primer plano',
+                    text: 'Permite a la app seguir conectada a dispositivos Bluetooth, USB o de red en segundo plano.',
+                },
+                FOREGROUND_SERVICE_HEALTH: {
+                    summary: 'Registrar la salud en un servicio en primer plano',
+                    text: 'Permite a una app de ejercicio seguir registrando la actividad en segundo plano.',
+                },
+                FOREGROUND_SERVICE_REMOTE_MESSAGING: {
+                    summary: 'Retransmitir mensajes en un servicio en primer plano',
+                    text: 'Permite a la app seguir retransmitiendo mensajes entre dispositivos en segundo plano.',
+                },
+                FOREGROUND_SERVICE_SPECIAL_USE: {
+                    summary: 'Ejecutar un servicio en primer plano de uso especial',
+                    text: 'Permite a la app ejecutar un servicio en primer plano para un uso que ningún otro tipo cubre; Google Play revisa el motivo indicado.',
+                },
+                FOREGROUND_SERVICE_SYSTEM_EXEMPTED: {
+                    summary: 'Ejecutar un servicio en primer plano exento',
+                    text: 'Permite a las apps del sistema y de administración del dispositivo ejecutar servicios en primer plano sin los límites habituales.',
+                },
+                START_FOREGROUND_SERVICES_FROM_BACKGROUND: {
+                    summary: 'Iniciar servicios en primer plano desde segundo plano',
+                    text: 'Permite a una app del sistema iniciar servicios en primer plano mientras no está visible.',
+                },
+                INSTANT_APP_FOREGROUND_SERVICE: {
+                    summary: 'Ejecutar servicios en primer plano como app instantánea',
+                    text: 'Permite a una app instantánea ejecutar un servicio en primer plano.',
+                },
+                REQUEST_IGNORE_BATTERY_OPTIMIZATIONS: {
+                    summary: 'Pedir que se ignoren las optimizaciones de batería',
+                    text: 'Permite a la app pedir al usuario que la excluya del ahorro de batería, para seguir ejecutándose en segundo plano.',
+                },
+                RUN_USER_INITIATED_JOBS: {
+                    summary: 'Ejecutar transferencias de datos iniciadas por el usuario',
+                    text: 'Permite a la app ejecutar transferencias de datos largas que inició el usuario.',
+                },
+                SCHEDULE_EXACT_ALARM: {
+                    summary: 'Programar alarmas exactas',
+                    text: 'Permite a la app activar el dispositivo a una hora exacta. Android 14 y posteriores preguntan antes al usuario.',
+                },
+                USE_EXACT_ALARM: {
+                    summary: 'Programar alarmas exactas',
+                    text: 'Permite a las apps de despertador y calendario activar el dispositivo a una hora exacta. Google Play lo limita a esas apps.',
+                },
+                com_android_alarm_permission_SET_ALARM: {
+                    summary: 'Poner una alarma',
+                    text: 'Permite a la app poner alarmas en la app de despertador.',
+                },
+                BIND_JOB_SERVICE: {
+                    summary: 'Ejecutar tareas programadas',
+                    text: 'Marca el servicio de tareas de la app para que solo el programador del sistema pueda ejecutarlo.',
+                },
+                PERSISTENT_ACTIVITY: {
+                    summary: 'Mantener la app siempre en ejecución',
+                    text: 'Permitía a la app mantener partes de sí misma en memoria. Ya no hace nada.',
+                },
+                BROADCAST_STICKY: {
+                    summary: 'Enviar difusiones persistentes',
+                    text: 'Permite a la app enviar difusiones que se conservan después de entregarse.',
+                },
+                REQUEST_COMPANION_RUN_IN_BACKGROUND: {
+                    summary: 'Ejecutarse en segundo plano como app complementaria',
+                    text: 'Permite a una app vinculada a un dispositivo, como un reloj, ejecutarse en segundo plano.',
+                },
+                REQUEST_COMPANION_USE_DATA_IN_BACKGROUND: {
+                    summary: 'Usar datos en segundo plano como app complementaria',
+                    text: 'Permite a una app vinculada a un dispositivo, como un reloj, usar datos móviles en segundo plano.',
+                },
+                DELIVER_COMPANION_MESSAGES: {
+                    summary: 'Entregar mensajes del dispositivo complementario',
+                    text: 'Permite a una app complementaria entregar mensajes a su dispositivo vinculado.',
+                },
+                BIND_ACCESSIBILITY_SERVICE: {
+                    summary: 'Leer y controlar el contenido de la pantalla',
+                    text: 'Marca el servicio de accesibilidad de la app. Cuando el usuario lo activa, la app puede leer todo lo que hay en pantalla y tocar, escribir y deslizar por el usuario.',
+                },
+                BIND_DEVICE_ADMIN: {
+                    summary: 'Actuar como administrador del dispositivo',
+                    text: 'Marca el receptor de administración del dispositivo de la app. Una vez activado, la app puede bloquear el dispositivo, cambiar el bloqueo de pantalla y borrar los datos, y no se puede desinstalar hasta desactivarla.',
+                },
+                BIND_INPUT_METHOD: {
+                    summary: 'Ofrecer un teclado',
+                    text: 'Marca el teclado de la app. Cuando el usuario lo elige, el teclado ve todo lo que se escribe, incluidas las contraseñas.',
+                },
+                BIND_AUTOFILL_SERVICE: {
+                    summary: 'Ofrecer autocompletado',
+                    text: 'Marca el servicio de autocompletado de la app. Una vez elegido, ve los formularios que rellena el usuario y puede rellenar contraseñas.',
+                },
+                BIND_CREDENTIAL_PROVIDER_SERVICE: {
+                    summary: 'Ofrecer contraseñas y llaves de acceso',
+                    text: 'Marca el proveedor de credenciales de la app, que guarda contraseñas y llaves de acceso y las ofrece a otras apps.',
+                },
+                BIND_NFC_SERVICE: {
+                    summary: 'Emular tarjetas NFC',
+                    text: 'Marca el servicio de emulación de tarjetas NFC de la app, que usan las apps de pago sin contacto y de transporte.',
+                },
+                BIND_QUICK_ACCESS_WALLET_SERVICE: {
+                    summary: 'Ofrecer la cartera de acceso rápido',
+                    text: 'Marca el servicio de cartera de la app que se muestra desde el menú de apagado o la pantalla de bloqueo.',
+                },
+                BIND_SCREENING_SERVICE: {
+                    summary: 'Filtrar las llamadas entrantes',
+                    text: 'Marca el servicio de filtrado de llamadas de la app, que puede ver los números entrantes y bloquear llamadas.',
+                },
+                BIND_CALL_REDIRECTION_SERVICE: {
+                    summary: 'Redirigir las llamadas salientes',
+                    text: 'Marca el servicio de redirección de llamadas de la app, que puede cambiar o cancelar las llamadas salientes.',
+                },
+                BIND_INCALL_SERVICE: {
+                    summary: 'Ofrecer la pantalla de llamada',
+                    text: 'Marca el servicio de llamada de la app. Como marcador predeterminado, controla todas las llamadas.',
+                },
+                BIND_TELECOM_CONNECTION_SERVICE: {
+                    summary: 'Ofrecer conexiones de llamada',
+                    text: 'Marca el servicio de conexión de la app para sus propias llamadas, como las de VoIP.',
+                },
+                BIND_VISUAL_VOICEMAIL_SERVICE: {
+                    summary: 'Ofrecer buzón de voz visual',
+                    text: 'Marca el servicio de buzón de voz visual de la app.',
+                },
+                BIND_CARRIER_SERVICES: {
+                    summary: 'Ofrecer servicios del operador',
+                    text: 'Marca el servicio de una app del operador para que solo el sistema pueda vincularlo.',
+                },
+                BIND_CARRIER_MESSAGING_SERVICE: {
+                    summary: 'Ofrecer mensajería del operador',
+                    text: 'Marcaba un servicio de mensajería del operador. Sustituido por Ofrecer servicios del operador.',
+                },
+                BIND_CARRIER_MESSAGING_CLIENT_SERVICE: {
+                    summary: 'Actuar como cliente de mensajería del operador',
+                    text: 'Marca el servicio de la app de SMS predeterminada al que se vinculan las apps de mensajería del operador.',
+                },
+                BIND_VOICE_INTERACTION: {
+                    summary: 'Ofrecer un asistente de voz',
+                    text: 'Marca el servicio de interacción por voz de la app. Como asistente, puede oír los comandos de voz y ver la pantalla actual.',
+                },
+                BIND_PRINT_SERVICE: {
+                    summary: 'Ofrecer impresión',
+                    text: 'Marca el servicio de impresión de la app, que recibe los documentos que imprime el usuario.',
+                },
+                BIND_TEXT_SERVICE: {
+                    summary: 'Ofrecer corrección ortográfica',
+                    text: 'Marca el corrector ortográfico de la app, que ve el texto que escribe el usuario.',
+                },
+                BIND_COMPANION_DEVICE_SERVICE: {
+                    summary: 'Gestionar un dispositivo complementario',
+                    text: 'Marca el servicio de dispositivo complementario de la app.',
+                },
+                BIND_CONTROLS: {
+                    summary: 'Ofrecer controles de dispositivos',
+                    text: 'Marca los controles domóticos de la app que se muestran en el menú de apagado.',
+                },
+                BIND_QUICK_SETTINGS_TILE: {
+                    summary: 'Ofrecer un icono de ajustes rápidos',
+                    text: 'Marca el icono de ajustes rápidos de la app.',
+                },
+                BIND_REMOTEVIEWS: {
+                    summary: 'Ofrecer contenido de widgets',
+                    text: 'Marca el servicio de listas de widgets de la app.',
+                },
+                BIND_APPWIDGET: {
+                    summary: 'Elegir widgets',
+                    text: 'Permite a un launcher vincular widgets y leer sus datos.',
+                },
+                BIND_CHOOSER_TARGET_SERVICE: {
+                    summary: 'Ofrecer destinos de compartir directo',
+                    text: 'Marcaba el servicio de compartir directo de la app. Sustituido por los accesos directos para compartir.',
+                },
+                BIND_MIDI_DEVICE_SERVICE: {
+                    summary: 'Ofrecer un dispositivo MIDI',
+                    text: 'Marca el dispositivo MIDI virtual de la app.',
+                },
+                BIND_TV_INPUT: {
+                    summary: 'Ofrecer una entrada de TV',
+                    text: 'Marca el servicio de entrada de TV de la app.',
+                },
+                BIND_VR_LISTENER_SERVICE: {
+                    summary: 'Ofrecer un receptor de RV',
+                    text: 'Marca el servicio receptor de realidad virtual de la app.',
+                },
+                WRITE_SETTINGS: {
+                    summary: 'Modificar los ajustes del sistema',
+                    text: 'Permite a la app cambiar ajustes del sistema como el brillo, el tiempo de espera de la pantalla y el tono de llamada, cuando el usuario lo permite.',
+                },
+                WRITE_SECURE_SETTINGS: {
+                    summary: 'Modificar los ajustes seguros del sistema',
+                    text: 'Permite a una app del sistema cambiar ajustes seguros, como los servicios de accesibilidad activos.',
+                },
+                WRITE_GSERVICES: {
+                    summary: 'Modificar los ajustes de los servicios de Google',
+                    text: 'Permite a una app del sistema cambiar el mapa de servicios de Google.',
+                },
+                READ_SYNC_SETTINGS: {
+                    summary: 'Leer los ajustes de sincronización',
+                    text: 'Permite a la app ver si la sincronización está activada en cada cuenta.',
+                },
+                WRITE_SYNC_SETTINGS: {
+                    summary: 'Activar y desactivar la sincronización',
+                    text: 'Permite a la app cambiar los ajustes de sincronización de las cuentas del usuario.',
+                },
+                READ_SYNC_STATS: {
+                    summary: 'Leer las estadísticas de sincronización',
+                    text: 'Permite a la app leer el historial y las estadísticas de sincronización.',
+                },
+                SET_TIME: {
+                    summary: 'Cambiar la hora',
+                    text: 'Permite a una app del sistema cambiar el reloj del dispositivo.',
+                },
+                SET_TIME_ZONE: {
+                    summary: 'Cambiar la zona horaria',
+                    text: 'Permite a una app del sistema cambiar la zona horaria.',
+                },
+                REBOOT: {
+                    summary: 'Reiniciar el dispositivo',
+                    text: 'Permite a una app del sistema reiniciar el dispositivo.',
+                },
+                MASTER_CLEAR: {
+                    summary: 'Restablecer el estado de fábrica',
+                    text: 'Permite a una app del sistema borrar todos los datos del usuario.',
+                },
+                ACCESS_CHECKIN_PROPERTIES: {
+                    summary: 'Acceder a las propiedades de registro',
+                    text: 'Permite a una app del sistema leer y escribir la base de datos de registro (check-in).',
+                },
+                BATTERY_STATS: {
+                    summary: 'Leer las estadísticas de batería',
+                    text: 'Permite a una app del sistema recopilar estadísticas de uso de la batería.',
+                },
+                UPDATE_DEVICE_STATS: {
+                    summary: 'Actualizar las estadísticas del dispositivo',
+                    text: 'Permite a una app del sistema actualizar las estadísticas de uso del dispositivo.',
+                },
+                CHANGE_CONFIGURATION: {
+                    summary: 'Cambiar la configuración del sistema',
+                    text: 'Permite a una app del sistema cambiar la configuración actual, como el idioma.',
+                },
+                DUMP: {
+                    summary: 'Leer el estado de los servicios del sistema',
+                    text: 'Permite a una app del sistema volcar el estado de los servicios del sistema, que puede incluir datos privados.',
+                },
+                READ_LOGS: {
+                    summary: 'Leer los registros del sistema',
+                    text: 'Permite a una app del sistema leer los registros de todas las apps, que pueden incluir datos privados.',
+                },
+                DIAGNOSTIC: {
+                    summary: 'Acceder a recursos de diagnóstico',
+                    text: 'Permite a una app del sistema leer y escribir recursos de diagnóstico.',
+                },
+                FACTORY_TEST: {
+                    summary: 'Ejecutarse como prueba de fábrica',
+                    text: 'Permite a la app ejecutarse como prueba del fabricante con acceso root.',
+                },
+                GLOBAL_SEARCH: {
+                    summary: 'Ofrecer búsqueda global',
+                    text: 'Permite a la app de búsqueda del sistema leer proveedores de contenido para la búsqueda global.',
+                },
+                MEDIA_CONTENT_CONTROL: {
+                    summary: 'Controlar la reproducción multimedia',
+                    text: 'Permite a una app del sistema controlar la reproducción y leer lo que se está reproduciendo.',
+                },
+                SET_ALWAYS_FINISH: {
+                    summary: 'Forzar el cierre de las apps',
+                    text: 'Permite a una herramienta de desarrollo cerrar las actividades en cuanto pasan a segundo plano.',
+                },
+                SET_ANIMATION_SCALE: {
+                    summary: 'Cambiar la velocidad de las animaciones',
+                    text: 'Permite a una herramienta de desarrollo cambiar la escala de las animaciones.',
+                },
+                SET_DEBUG_APP: {
+                    summary: 'Activar la depuración de apps',
+                    text: 'Permite a una herramienta de desarrollo activar la depuración de otra app.',
+                },
+                SET_PROCESS_LIMIT: {
+                    summary: 'Limitar los procesos en ejecución',
+                    text: 'Permite a una herramienta de desarrollo fijar cuántos procesos de apps pueden ejecutarse.',
+                },
+                SIGNAL_PERSISTENT_PROCESSES: {
+                    summary: 'Enviar señales a las apps persistentes',
+                    text: 'Permite a una app del sistema enviar señales a todos los procesos persistentes.',
+                },
+                READ_INPUT_STATE: {
+                    summary: 'Registrar las pulsaciones de teclas',
+                    text: 'Permitía a la app leer el estado de las teclas y los interruptores. Ya no está disponible para las apps.',
+                },
+                READ_NEARBY_STREAMING_POLICY: {
+                    summary: 'Leer la política de transmisión a dispositivos cercanos',
+                    text: 'Permite a la app leer la política del dispositivo sobre la transmisión a dispositivos cercanos.',
+                },
+                REQUEST_PASSWORD_COMPLEXITY: {
+                    summary: 'Consultar la complejidad del bloqueo de pantalla',
+                    text: 'Permite a la app saber lo complejo que es el bloqueo de pantalla (ninguno, bajo, medio o alto), pero no el bloqueo en sí.',
+                },
+                START_VIEW_PERMISSION_USAGE: {
+                    summary: 'Abrir el uso de permisos',
+                    text: 'Permite al controlador de permisos abrir la explicación de la app sobre cómo usa un permiso.',
+                },
+                USE_ICC_AUTH_WITH_DEVICE_IDENTIFIER: {
+                    summary: 'Autenticarse con la SIM usando identificadores del dispositivo',
+                    text: 'Permite a una app del sistema ejecutar autenticaciones de la SIM que revelan identificadores del dispositivo.',
+                },
+                VIBRATE: {
+                    summary: 'Controlar la vibración',
+                    text: 'Permite a la app hacer vibrar el dispositivo.',
+                },
+                USE_BIOMETRIC: {
+                    summary: 'Usar el hardware biométrico',
+                    text: 'Permite a la app pedir al usuario que confirme con la huella o la cara. La app nunca ve los datos biométricos.',
+                },
+                USE_FINGERPRINT: {
+                    summary: 'Usar el lector de huellas',
+                    text: 'Permite a la app pedir una huella. Sustituido por el permiso biométrico en Android 9.',
+                },
+            },
+        },
+        network: {
+            title: 'Red y exfiltración de datos',
+            failed: 'Falló el análisis de red: {error}',
+            unavailable: 'Análisis de red no disponible.',
+            score: 'Puntos',
+            riskLevel: 'RIESGO DE EXFILTRACIÓN {risk}',
+            sourcesAtRisk: {
+                one: '{count} fuente de datos sensibles podría salir del dispositivo',
+                other: '{count} fuentes de datos sensibles podrían salir del dispositivo',
+            },
+            noSources: 'Tiene acceso a Internet, pero ninguna fuente de datos sensibles',
+            noInternet: 'Sin acceso a Internet: los datos no se pueden enviar directamente',
+            cleartext: 'Tráfico sin cifrar (HTTP)',
+            cleartextAllowed: 'Permitido: la app apunta a Android 8.1 o anterior, así que el tráfico sin cifrar se permite por defecto',
+            cleartextBlocked: 'Bloqueado por defecto: el tráfico de red debe ir cifrado',
+            dataSources: 'Fuentes de datos sensibles',
+            noDataSources: 'No solicita permisos sobre datos sensibles.',
+            capabilities: 'Capacidades de red',
+            sources: {
+                READ_CONTACTS: 'Contactos',
+                READ_SMS: 'Mensajes SMS',
+                READ_CALL_LOG: 'Registro de llamadas',
+                ACCESS_FINE_LOCATION: 'Ubicación precisa',
+                ACCESS_COARSE_LOCATION: 'Ubicación aproximada',
+                READ_EXTERNAL_STORAGE: 'Archivos y multimedia',
+                CAMERA: 'Cámara',
+                RECORD_AUDIO: 'Audio del micrófono',
+                READ_PHONE_STATE: 'Identidad y estado del teléfono',
+            },
+        },
+        metadata: {
+            title: 'Metadatos de la app',
+            failed: 'Metadatos de la app no disponibles: {error}',
+            unavailable: 'Metadatos de la app no disponibles.',
+            version: 'Versión',
+            versionValue: '{name} (código {code})',
+            firstInstalled: 'Instalada por primera vez',
+            lastUpdated: 'Última actualización',
+            systemApp: 'App del sistema',
+            sdkRange: 'Rango de SDK',
+            sdkHint: 'Se instala en {min} o posterior; compilada para {target}',
+            apkLocation: 'Ubicación del APK',
+            apkLocationSize: 'Ubicación del APK ({size})',
+        },
+        scanDiff: {
+            title: 'Cambios desde el último análisis',
+            comparedWith: 'Comparado con el análisis del {date}',
+            firstScan: 'Primer análisis de esta app: todavía no hay nada que comparar.',
+            noChanges: 'Sin cambios relevantes para la seguridad.',
+            changes: {
+                hash: 'El binario del APK cambió (app actualizada)',
+                risk: 'El nivel de riesgo cambió',
+                riskScore: 'La puntuación de riesgo cambió',
+                permissionAdded: 'Permiso nuevo: {permission}',
+                permissionRemoved: 'Permiso eliminado: {permission}',
+                targetSdk: 'El SDK de destino cambió',
+                installer: 'El origen de instalación cambió',
+                nowDebuggable: 'La app ahora es depurable',
+                noLongerDebuggable: 'La app ya no es depurable',
+                factorAdded: 'Factor de riesgo nuevo: {factor}',
+                factorChanged: 'Factor de riesgo modificado: {factor}',
+                factorRemoved: 'Factor de riesgo eliminado: {factor}',
+                indicatorAdded: 'Indicador de riesgo nuevo: {indicator}',
+                indicatorRemoved: 'Indicador de riesgo eliminado: {indicator}',
+                mlPrediction: 'El veredicto ML cambió',
+                mlConfidenceRose: 'La confianza ML en «{prediction}» subió',
+                mlConfidenceFell: 'La confianza ML en «{prediction}» bajó',
+            },
+            installers: {
+                playStore: 'Play Store',
+                sideloaded: 'Instalación manual',
+                other: 'Otro origen',
+            },
+        },
+        scan: {
+            home: 'Inicio',
+            backHome: 'Volver al inicio',
+            scanning: 'Analizando {app}...',
+            mlTitle: 'Análisis de seguridad con ML',
+            elapsed: 'Transcurrido {time}',
+            modelBadge: 'EMBER2024 · ONNX Runtime',
+            stages: {
+                read: 'Leyendo los datos binarios del APK',
+                byteHistogram: 'Calculando el histograma de bytes',
+                byteEntropy: 'Calculando el histograma de entropía de bytes',
+                strings: 'Extrayendo características de cadenas',
+                inference: 'Ejecutando la inferencia ONNX',
+            },
+            engines: {
+                heuristic: 'Análisis de riesgo',
+                malware: 'Análisis de malware',
+                ml: 'Clasificación ML',
+                network: 'Análisis de red',
+                permissions: 'Lista de permisos',
+            },
+            enginesFailed: 'Fallaron: {engines}. Los resultados mostrados están incompletos.',
+            deepScanFailed: 'Falló el análisis profundo',
+            uninstallTitle: 'Desinstalar app',
+            uninstallMessage: '¿Seguro que quieres desinstalar {app}?',
+            uninstallFailed: 'No se pudo desinstalar.',
+            findingsFailed: 'No se pudieron cargar los hallazgos: {error}',
+            settingsFailed: 'No se pudieron abrir los ajustes de la app.',
+            exportTitle: 'Exportar informe',
+            exportMessage: 'Elige un formato para compartir.',
+            exportFailed: 'Error al exportar',
+            riskVerdict: 'RIESGO {risk}',
+            scannedApp: 'Aplicación analizada',
+            package: 'Paquete: {name}',
+            reportTitle: 'Informe de seguridad',
+            reportSubtitle: 'Análisis del archivo completado',
+            fileDetails: 'Detalles del archivo',
+            hash: 'Hash: {hash}',
+            fileType: 'Tipo de archivo',
+            fileSize: 'Tamaño',
+            assessment: 'Evaluación de seguridad',
+            riskLevel: 'Nivel de riesgo',
+            confidence: 'Confianza de detección',
+            model: {
+                title: 'Información del modelo',
+                model: 'Modelo',
+                modelValue: 'Clasificador de APK EMBER2024',
+                runtime: 'Entorno de ejecución',
+                runtimeValue: 'ONNX Runtime (en el dispositivo)',
+                features: 'Vector de características',
+                featuresValue: '2381 dimensiones (bytes del APK)',
+                classification: 'Clasificación',
+                classificationValue: 'Binaria (Segura / Maliciosa)',
+                scanTime: 'Tiempo de análisis',
+                scanTimeCached: 'Tiempo de análisis (resultado en caché)',
+            },
+            ml: {
+                title: 'Clasificación ML',
+                model: 'Modelo EMBER2024',
+                resultTitle: 'Resultado de la clasificación',
+                prediction: 'Predicción',
+                classes: {
+                    Benign: 'Benigna',
+                    Malicious: 'Maliciosa',
+                },
+                safe: 'Segura',
+                malicious: 'Maliciosa',
+                unavailable: 'No disponible',
+                summary: 'ML: {label} · {confidence} de confianza',
+                failed: 'No se pudo completar el análisis ML',
+                notAvailable: 'Análisis ML no disponible',
+                confidence: '{confidence} de confianza',
+                confidenceLabel: 'Confianza ML',
+                probabilities: 'Probabilidades por clase',
+                interpretation: 'Interpretación del riesgo',
+                benignSummary: 'El modelo ML clasifica esta aplicación como software benigno, sin comportamiento malicioso detectado en la estructura binaria.',
+                maliciousSummary: 'El modelo ML ha identificado patrones en el binario del APK coherentes con software malicioso conocido.',
+                meaning: '¿Qué significa esto?',
+                benignPoints: {
+                    patterns: 'No se detectaron patrones de código malicioso en el análisis binario del APK.',
+                    features: 'La distribución de características binarias es coherente con aplicaciones legítimas.',
+                    safe: 'Según la evaluación ML, la app se puede usar con seguridad.',
+                },
+                maliciousPoints: {
+                    signatures: 'Las características binarias del APK coinciden con firmas de malware conocidas del conjunto de entrenamiento.',
+                    behavior: 'Esta app puede contener código diseñado para robar datos, mostrar anuncios no deseados o realizar acciones no autorizadas.',
+                    advice: 'Considera desinstalar esta aplicación y denunciarla.',
+                },
+            },
+            info: {
+                title: 'Información de la app',
+                source: 'Origen de la instalación',
+                playStore: '✓ Google Play Store',
+                sideloaded: '⚠ Instalación manual',
+                thirdParty: 'Tienda de terceros',
+                publisher: 'Estado del editor',
+                verified: '✓ Editor verificado',
+                unverified: 'Editor no verificado',
+                packageName: 'Nombre del paquete',
+            },
+            threat: {
+                title: 'Análisis de amenazas',
+                score: 'Puntos',
+                level: 'AMENAZA: {level}',
+                levels: {
+                    THREAT: 'PELIGRO',
+                    WARNING: 'AVISO',
+                    SAFE: 'SEGURA',
+                },
+                appearsSafe: '✓ La app parece segura',
+                risksDetected: '⚠ Se detectaron posibles riesgos',
+                why: '¿Por qué esta evaluación?',
+                highRisk: 'Esta app ha solicitado varios permisos de alto riesgo que podrían comprometer tu privacidad.',
+                mediumRisk: 'Esta app tiene algunos permisos que pueden suponer riesgos moderados para la privacidad.',
+                suspiciousName: 'El nombre de la app coincide con patrones sospechosos conocidos.',
+                combos: {
+                    one: 'Se detectó {count} combinación de permisos sospechosa.',
+                    other: 'Se detectaron {count} combinaciones de permisos sospechosas.',
+                },
+                indicators: 'Los indicadores de comportamiento sugieren una posible actividad maliciosa.',
+                highRiskPermissions: 'Permisos de alto riesgo detectados: {permissions}.',
+                safe: 'Esta app parece segura y no presenta problemas de seguridad importantes.',
+            },
+            permissions: {
+                title: 'Desglose de permisos',
+                none: 'No requiere permisos especiales',
+                high: 'Alto',
+                medium: 'Medio',
+                low: 'Bajo',
+                more: { one: '+{count} permiso más', other: '+{count} permisos más' },
+                showLess: 'Mostrar menos',
+            },
+            actions: {
+                title: 'Acciones',
+                appSettings: 'Ajustes de la app',
+                uninstall: 'Desinstalar',
+                export: 'Exportar informe',
+                override: 'Anular veredicto',
+                editOverride: 'Editar anulación',
+            },
+        },
+        a11y: {
+            risk: 'riesgo {risk}',
+            riskOverridden: 'riesgo {risk}, fijado por una anulación',
+            lastScanned: 'último análisis {time}',
+            openReport: 'Abre el informe de análisis',
+            scanProgress: 'Progreso del análisis',
+            scanStage: 'Paso {step} de {total}: {stage}',
+            scanComplete: 'Análisis de {app} completado',
+            verdictChanged: 'El veredicto cambió a riesgo {risk}, {action}',
+            probability: 'Probabilidad de {label}',
+            close: 'Cerrar',
+            back: 'Atrás',
+            clearSearch: 'Borrar búsqueda',
+        },
+    },
+};
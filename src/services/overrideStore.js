@@ -0,0 +1,107 @@
+// Android Sandbox - Override Store
+// Persisted analyst verdict overrides per package, applied on top of analyzeApp results
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS } from '../utils/constants';
+import { ValidationError } from './errors';
+
+let overridesState = null;
+let loadPromise = null;
+const listeners = new Set();
+
+// Helper: Persist the current overrides and notify subscribers
+const commit = async (next) => {
+    overridesState = next;
+    listeners.forEach((listener) => listener(next));
+    await AsyncStorage.setItem(STORAGE_KEYS.overrides, JSON.stringify(next));
+};
+
+/**
+ * Load overrides from AsyncStorage (once per app session)
+ * @returns {Promise<Object>} - { [packageName]: override }
+ */
+export const loadOverrides = () => {
+    if (!loadPromise) {
+        loadPromise = AsyncStorage.getItem(STORAGE_KEYS.overrides)
+            .then((raw) => (raw ? JSON.parse(raw) : {}))
+            .catch((error) => {
+                console.error('Load Overrides Error:', error);
+                return {};
+            })
+            .then((loaded) => {
+                // A change made while loading wins over the stored value
+                overridesState = overridesState || loaded;
+                return overridesState;
+            });
+    }
+    return loadPromise;
+};
+
+/**
+ * Current overrides (empty until loadOverrides resolves)
+ * @returns {Object} - { [packageName]: override }
+ */
+export const getOverrides = () => overridesState || {};
+
+/**
+ * Current override of a package
+ * @param {string} packageName - Package name
+ * @returns {Object|null} - { packageName, trusted, suppressedIndicators, forceBlock, reason, setBy, setAt }
+ */
+export const getOverride = (packageName) => getOverrides()[packageName] || null;
+
+/**
+ * Create or replace the override of a package
+ * @param {string} packageName - Package name
+ * @param {Object} override
+ * @param {boolean} override.trusted - Treat the app as LOW risk
+ * @param {Array<string>} override.suppressedIndicators - riskIndicators to hide
+ * @param {boolean} override.forceBlock - Force the action to BLOCKED
+ * @param {string} override.reason - Why the verdict is overridden (required)
+ * @param {string} override.setBy - Who set the override
+ * @returns {Promise<Object>} - The stored override
+ * @throws {ValidationError} - If the reason is missing or the override changes nothing
+ */
+export const setOverride = async (packageName, { trusted, suppressedIndicators, forceBlock, reason, setBy }) => {
+    const override = {
+        packageName,
+        trusted: Boolean(trusted),
+        suppressedIndicators: [...new Set(suppressedIndicators || [])],
+        forceBlock: Boolean(forceBlock),
+        reason: (reason || '').trim(),
+        setBy: (setBy || '').trim() || 'Unknown',
+        setAt: new Date().toISOString(),
+    };
+    if (!override.reason) {
+        throw new ValidationError('A reason is required to override a verdict', { packageName });
+    }
+    if (!override.trusted && !override.forceBlock && override.suppressedIndicators.length === 0) {
+        throw new ValidationError('The override does not change anything', { packageName });
+    }
+
+    await loadOverrides();
+    await commit({ ...getOverrides(), [packageName]: override });
+    return override;
+};
+
+/**
+ * Remove the override of a package
+ * @param {string} packageName - Package name
+ * @returns {Promise<void>}
+ */
+export const removeOverride = async (packageName) => {
+    await loadOverrides();
+    const next = { ...getOverrides() };
+    delete next[packageName];
+    await commit(next);
+};
+
+/**
+ * Subscribe to override changes
+ * @param {Function} listener - Called with all overrides
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeOverrides = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
@@ -0,0 +1,441 @@
+// Android Sandbox - Report Export
+// Serializes a scan report into a versioned JSON document, Markdown and self-contained HTML
+
+import { APP_CONFIG, DATA_EXFIL_SOURCES } from '../utils/constants';
+import { formatVerdictMessage } from '../utils/scoringPolicy';
+import { formatChangeLabel } from '../utils/scanDiff';
+import { describePermission } from '../utils/permissionCatalog';
+import { getTranslator, DEFAULT_LANGUAGE } from './i18n';
+
+// Bump when the JSON document layout changes in a way consumers must handle
+export const REPORT_SCHEMA = 'hexlab.scan-report';
+export const REPORT_SCHEMA_VERSION = 1;
+
+export const REPORT_FORMATS = {
+    JSON: 'json',
+    MARKDOWN: 'markdown',
+    HTML: 'html',
+};
+
+// File extension and MIME type per format
+const FORMAT_FILES = {
+    [REPORT_FORMATS.JSON]: { extension: 'json', mimeType: 'application/json' },
+    [REPORT_FORMATS.MARKDOWN]: { extension: 'md', mimeType: 'text/markdown' },
+    [REPORT_FORMATS.HTML]: { extension: 'html', mimeType: 'text/html' },
+};
+
+// Helper: Installation source label, as shown on the report screen
+const installSourceOf = (result) => {
+    if (result.isFromPlayStore === undefined && result.isSideloaded === undefined) return null;
+    if (result.isFromPlayStore) return 'Google Play Store';
+    if (result.isSideloaded) return 'Sideloaded';
+    return 'Third-Party Store';
+};
+
+// Helper: Format a 0-1 ratio as a percentage
+const percent = (value) => (value == null ? '—' : `${Math.round(value * 100)}%`);
+
+// Helper: Escape text for HTML
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Helper: One verdict derivation step as text
+const describeStep = (step) => {
+    if (step.from) return `${step.detail}: ${step.from} → ${step.to}`;
+    if (step.to) return `${step.detail} → ${step.to}`;
+    return step.detail;
+};
+
+// Helper: A scan diff change with its label and install sources as text
+const describeChange = (change, translator) => ({
+    ...change,
+    label: formatChangeLabel(change.label, translator),
+    ...(change.field === 'installer' && {
+        before: translator.t(`scanDiff.installers.${change.before}`),
+        after: translator.t(`scanDiff.installers.${change.after}`),
+    }),
+});
+
+// Helper: Escape text for a Markdown table cell
+const escapeCell = (value) => String(value ?? '—').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+/**
+ * Build the report document for a scan
+ * Contains everything ScanResultScreen shows, plus provenance of each part.
+ * @param {Object} data
+ * @param {Object} data.file - Route file params (fileName, fileType, fileSize, hash, packageName, iconBase64)
+ * @param {Object} data.result - Route result params (risk, confidence, action, ml*, app info flags, override)
+ * @param {Array} data.permissions - Detailed permissions
+ * @param {Object} data.malwareAnalysis - Malware analysis result or null
+ * @param {Object} data.mlAnalysis - ML analysis result or null
+ * @param {Object} data.networkAnalysis - Network analysis result or null
+ * @param {Object} data.scanDiff - Result of getScanDiff() or null
+ * @param {Object} data.verdict - evaluateVerdict() result or null
+ * @param {Object} data.engineErrors - Failed analysis steps { [engine]: { name, code, message } }
+ * @param {string} data.scanId - History entry ID, if the scan is stored
+ * @returns {Object} - Versioned report document
+ */
+export const buildScanReport = ({
+    file,
+    result,
+    permissions = [],
+    malwareAnalysis = null,
+    mlAnalysis = null,
+    networkAnalysis = null,
+    scanDiff = null,
+    verdict = null,
+    engineErrors = {},
+    scanId = null,
+}) => {
+    // Messages in the document are written in English whatever the app language
+    const reportText = getTranslator(DEFAULT_LANGUAGE);
+    const prediction = result.mlPrediction || mlAnalysis?.prediction;
+    const ml = prediction ? {
+        prediction,
+        confidence: result.mlConfidence ?? mlAnalysis?.confidence ?? null,
+        probabilities: result.mlProbabilities || mlAnalysis?.probabilities || {},
+        riskLevel: result.mlRiskLevel || mlAnalysis?.riskLevel || null,
+        isBenign: prediction === 'Benign',
+    } : null;
+
+    return {
+        schema: REPORT_SCHEMA,
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        generator: { name: APP_CONFIG.name, version: APP_CONFIG.version },
+        scan: {
+            id: scanId,
+            scannedAt: scanDiff?.currentScannedAt || null,
+        },
+        app: {
+            name: file.fileName,
+            packageName: file.packageName || result.packageName || null,
+            fileType: file.fileType || 'apk',
+            fileSize: file.fileSize || null,
+            hash: file.hash || null,
+            icon: file.iconBase64 ? { mimeType: 'image/png', base64: file.iconBase64 } : null,
+        },
+        assessment: {
+            risk: result.risk,
+            confidence: result.confidence,
+            action: result.action,
+            riskScore: result.riskScore ?? null,
+            installSource: installSourceOf(result),
+            isTrusted: result.isTrusted ?? null,
+            appCategory: result.appCategory || null,
+            targetSdk: result.targetSdk ?? null,
+            permissionCount: result.permissionCount ?? permissions.length,
+            highRiskPermissionCount: result.highRiskPerms ?? permissions.filter((p) => p.riskLevel === 'HIGH').length,
+            riskIndicators: result.riskIndicators || [],
+        },
+        verdict: verdict ? {
+            risk: verdict.risk,
+            action: verdict.action,
+            score: verdict.score,
+            policy: verdict.policy,
+            inputs: verdict.inputs.map((input) => ({
+                ...input,
+                raw: input.raw && formatVerdictMessage(input.raw, reportText),
+                contribution: Math.round(input.contribution * 10) / 10,
+            })),
+            steps: verdict.steps.map((step) => ({ ...step, detail: formatVerdictMessage(step.detail, reportText) })),
+        } : null,
+        override: result.override ? {
+            trusted: result.override.trusted,
+            forceBlock: result.override.forceBlock,
+            suppressedIndicators: result.override.suppressedIndicators,
+            reason: result.override.reason,
+            setBy: result.override.setBy,
+            setAt: result.override.setAt,
+            original: result.override.original || null,
+        } : null,
+        ml,
+        threatAnalysis: malwareAnalysis ? {
+            threatLevel: malwareAnalysis.threatLevel,
+            threatScore: malwareAnalysis.threatScore,
+            isSafe: malwareAnalysis.isSafe,
+            suspiciousNameMatch: malwareAnalysis.suspiciousNameMatch,
+            matchedComboCount: malwareAnalysis.matchedComboCount,
+            indicators: malwareAnalysis.indicators || [],
+            suspiciousPermissions: malwareAnalysis.suspiciousPermissions || [],
+        } : null,
+        network: networkAnalysis ? {
+            hasInternet: networkAnalysis.hasInternet,
+            exfilRiskScore: networkAnalysis.exfilRiskScore,
+            riskLevel: networkAnalysis.riskLevel,
+            usesCleartext: networkAnalysis.usesCleartext,
+            networkCapabilities: networkAnalysis.networkCapabilities || [],
+            dataSources: (networkAnalysis.dataExfilPermissions || []).map((permission) => ({
+                permission,
+                label: DATA_EXFIL_SOURCES[permission]?.label || permission.split('.').pop(),
+            })),
+        } : null,
+        permissions: permissions.map((perm) => {
+            const texts = describePermission(perm, reportText);
+            return {
+                permission: perm.permission,
+                shortName: perm.shortName,
+                riskLevel: perm.riskLevel,
+                riskRating: perm.riskRating || perm.riskLevel,
+                category: texts.groupLabel,
+                description: texts.summary,
+                protectionLevel: perm.protectionLevel || null,
+                addedIn: perm.addedIn || null,
+                deprecatedIn: perm.deprecatedIn || null,
+                cataloged: Boolean(perm.known),
+            };
+        }),
+        changes: scanDiff ? {
+            isFirstScan: scanDiff.isFirstScan,
+            previousScannedAt: scanDiff.previousScannedAt,
+            items: scanDiff.changes.map((change) => describeChange(change, reportText)),
+        } : null,
+        provenance: {
+            sources: {
+                heuristic: result.source || null,
+                malware: malwareAnalysis?.source || null,
+                ml: result.mlSource || mlAnalysis?.source || null,
+                network: networkAnalysis?.source || null,
+                permissions: permissions[0]?.source || null,
+            },
+            errors: engineErrors,
+        },
+    };
+};
+
+// Helper: Render the report as Markdown
+const toMarkdown = (report) => {
+    const { app, assessment, verdict, override, ml, threatAnalysis, network, permissions, changes, provenance } = report;
+    const lines = [`# Scan Report: ${app.name}`, ''];
+
+    if (app.icon) {
+        lines.push(`![App icon](data:${app.icon.mimeType};base64,${app.icon.base64})`, '');
+    }
+    lines.push(
+        '| Field | Value |',
+        '| --- | --- |',
+        `| Package | \`${escapeCell(app.packageName)}\` |`,
+        `| File Size | ${escapeCell(app.fileSize)} |`,
+        `| SHA-256 | \`${escapeCell(app.hash)}\` |`,
+        `| Scanned | ${escapeCell(report.scan.scannedAt)} |`,
+        '',
+        '## Security Assessment',
+        '',
+        `- **Risk Level:** ${assessment.risk}`,
+        `- **Confidence:** ${percent(assessment.confidence)}`,
+        `- **Recommended Action:** ${assessment.action}`,
+    );
+    if (assessment.riskScore != null) lines.push(`- **Risk Score:** ${assessment.riskScore}/100`);
+    if (assessment.installSource) lines.push(`- **Installation Source:** ${assessment.installSource}`);
+    if (assessment.isTrusted != null) lines.push(`- **Publisher:** ${assessment.isTrusted ? 'Verified' : 'Unverified'}`);
+    if (assessment.targetSdk != null) lines.push(`- **Target SDK:** ${assessment.targetSdk}`);
+    assessment.riskIndicators.forEach((indicator) => lines.push(`- ${indicator}`));
+
+    if (verdict) {
+        const { policy } = verdict;
+        lines.push(
+            '', '## Final Verdict', '',
+            `- **Risk Level:** ${verdict.risk}`,
+            `- **Action:** ${verdict.action}`,
+            `- **Score:** ${verdict.score}/100`,
+            `- **Scoring Policy:** ${policy.label} (HIGH ≥ ${policy.thresholds.high}, MEDIUM ≥ ${policy.thresholds.medium})`,
+            '',
+            '| Input | Result | Score | Weight | Contribution |',
+            '| --- | --- | --- | --- | --- |',
+        );
+        verdict.inputs.forEach((input) => lines.push(input.available
+            ? `| ${input.label} | ${escapeCell(input.raw)} | ${input.value} | ${input.weight} | ${input.contribution} |`
+            : `| ${input.label} | not available | — | ${input.weight} | — |`));
+        lines.push('', '**Derivation:**', '');
+        verdict.steps.forEach((step, index) => lines.push(`${index + 1}. ${describeStep(step)}`));
+    }
+
+    if (override) {
+        lines.push('', '## Verdict Override', '', `_The verdict above was overridden by ${override.setBy} at ${override.setAt}._`, '');
+        lines.push(`- **Reason:** ${override.reason}`);
+        if (override.original) lines.push(`- **Engine Verdict:** ${override.original.risk} / ${override.original.action}`);
+        if (override.trusted) lines.push('- Marked trusted');
+        if (override.forceBlock) lines.push('- Forced to BLOCKED');
+        override.suppressedIndicators.forEach((indicator) => lines.push(`- Suppressed: ${indicator}`));
+    }
+
+    lines.push('', '## ML Classification', '');
+    if (ml) {
+        lines.push(`- **Prediction:** ${ml.prediction} (${percent(ml.confidence)} confidence)`);
+        Object.entries(ml.probabilities).forEach(([label, p]) => lines.push(`- ${label}: ${percent(p)}`));
+    } else {
+        lines.push('_ML analysis not available._');
+    }
+
+    lines.push('', '## Threat Analysis', '');
+    if (threatAnalysis) {
+        lines.push(`- **Threat Level:** ${threatAnalysis.threatLevel} (score ${threatAnalysis.threatScore})`);
+        threatAnalysis.indicators.forEach((indicator) => lines.push(`- ${indicator}`));
+    } else {
+        lines.push('_Threat analysis not available._');
+    }
+
+    lines.push('', '## Network & Data Exfiltration', '');
+    if (network) {
+        lines.push(`- **Exfiltration Risk:** ${network.riskLevel} (score ${network.exfilRiskScore})`);
+        lines.push(`- **Internet Access:** ${network.hasInternet ? 'Yes' : 'No'}`);
+        lines.push(`- **Cleartext Traffic:** ${network.usesCleartext ? 'Allowed' : 'Blocked by default'}`);
+        if (network.networkCapabilities.length > 0) lines.push(`- **Capabilities:** ${network.networkCapabilities.join(', ')}`);
+        network.dataSources.forEach((source) => lines.push(`- Data source: ${source.label} (\`${source.permission}\`)`));
+    } else {
+        lines.push('_Network analysis not available._');
+    }
+
+    lines.push('', `## Permissions (${permissions.length})`, '');
+    if (permissions.length > 0) {
+        lines.push('| Permission | Risk | Protection | Category | Description |', '| --- | --- | --- | --- | --- |');
+        permissions.forEach((p) => lines.push(
+            `| ${escapeCell(p.shortName)} | ${p.riskRating} | ${escapeCell(p.protectionLevel)} | ${escapeCell(p.category)} | ${escapeCell(p.description)} |`));
+    } else {
+        lines.push('_No permissions listed._');
+    }
+
+    if (changes) {
+        lines.push('', '## Changes Since Last Scan', '');
+        if (changes.isFirstScan) lines.push('_First scan of this app._');
+        else if (changes.items.length === 0) lines.push('_No security-relevant changes._');
+        changes.items.forEach((c) => lines.push(`- ${c.label}${c.kind === 'changed' ? ` (${c.before} → ${c.after})` : ''}`));
+    }
+
+    const failures = Object.entries(provenance.errors);
+    lines.push('', '## Provenance', '');
+    Object.entries(provenance.sources).forEach(([step, source]) => lines.push(`- ${step}: ${source || 'n/a'}`));
+    failures.forEach(([step, error]) => lines.push(`- **${step} failed:** ${error.message}`));
+
+    lines.push('', `_Generated by ${report.generator.name} ${report.generator.version} at ${report.generatedAt} (${report.schema} v${report.schemaVersion})_`, '');
+    return lines.join('\n');
+};
+
+// Helper: Render the report as a self-contained HTML page (inline styles, icon as data URI)
+const toHtml = (report) => {
+    const { app, assessment, verdict, override, ml, threatAnalysis, network, permissions, changes, provenance } = report;
+    const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value ?? '—')}</td></tr>`;
+    const list = (items) => (items.length > 0
+        ? `<ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+        : '<p class="muted">None</p>');
+
+    const sections = [];
+    sections.push(`<h2>Security Assessment</h2><table>${[
+        row('Risk Level', assessment.risk),
+        row('Confidence', percent(assessment.confidence)),
+        row('Recommended Action', assessment.action),
+        row('Risk Score', assessment.riskScore != null ? `${assessment.riskScore}/100` : null),
+        row('Installation Source', assessment.installSource),
+        row('Publisher', assessment.isTrusted == null ? null : (assessment.isTrusted ? 'Verified' : 'Unverified')),
+        row('Target SDK', assessment.targetSdk),
+    ].join('')}</table>${assessment.riskIndicators.length > 0 ? list(assessment.riskIndicators) : ''}`);
+
+    if (verdict) {
+        const { policy } = verdict;
+        sections.push(`<h2>Final Verdict</h2><table>${[
+            row('Risk Level', verdict.risk),
+            row('Action', verdict.action),
+            row('Score', `${verdict.score}/100`),
+            row('Scoring Policy', `${policy.label} (HIGH ≥ ${policy.thresholds.high}, MEDIUM ≥ ${policy.thresholds.medium})`),
+        ].join('')}</table><table><tr><th>Input</th><th>Result</th><th>Score</th><th>Weight</th><th>Contribution</th></tr>${verdict.inputs.map((input) =>
+            `<tr><td>${escapeHtml(input.label)}</td><td>${escapeHtml(input.available ? input.raw : 'not available')}</td><td>${escapeHtml(input.value ?? '—')}</td><td>${escapeHtml(input.weight)}</td><td>${escapeHtml(input.available ? input.contribution : '—')}</td></tr>`).join('')}</table><ol>${verdict.steps
+            .map((step) => `<li>${escapeHtml(describeStep(step))}</li>`).join('')}</ol>`);
+    }
+
+    if (override) {
+        sections.push(`<h2>Verdict Override</h2><table>${[
+            row('Set By', override.setBy),
+            row('Set At', override.setAt),
+            row('Reason', override.reason),
+            row('Engine Verdict', override.original ? `${override.original.risk} / ${override.original.action}` : null),
+            row('Marked Trusted', override.trusted ? 'Yes' : 'No'),
+            row('Forced to BLOCKED', override.forceBlock ? 'Yes' : 'No'),
+        ].join('')}</table>${override.suppressedIndicators.length > 0 ? list(override.suppressedIndicators) : ''}`);
+    }
+
+    sections.push(`<h2>ML Classification</h2>${ml
+        ? `<table>${row('Prediction', `${ml.prediction} (${percent(ml.confidence)})`)}${Object.entries(ml.probabilities)
+            .map(([label, p]) => row(label, percent(p))).join('')}</table>`
+        : '<p class="muted">ML analysis not available.</p>'}`);
+
+    sections.push(`<h2>Threat Analysis</h2>${threatAnalysis
+        ? `<table>${row('Threat Level', threatAnalysis.threatLevel)}${row('Threat Score', threatAnalysis.threatScore)}</table>${list(threatAnalysis.indicators)}`
+        : '<p class="muted">Threat analysis not available.</p>'}`);
+
+    sections.push(`<h2>Network &amp; Data Exfiltration</h2>${network
+        ? `<table>${[
+            row('Exfiltration Risk', `${network.riskLevel} (score ${network.exfilRiskScore})`),
+            row('Internet Access', network.hasInternet ? 'Yes' : 'No'),
+            row('Cleartext Traffic', network.usesCleartext ? 'Allowed' : 'Blocked by default'),
+            row('Capabilities', network.networkCapabilities.join(', ') || null),
+        ].join('')}</table>${list(network.dataSources.map((source) => `${source.label} (${source.permission})`))}`
+        : '<p class="muted">Network analysis not available.</p>'}`);
+
+    sections.push(`<h2>Permissions (${permissions.length})</h2>${permissions.length > 0
+        ? `<table><tr><th>Permission</th><th>Risk</th><th>Protection</th><th>Category</th><th>Description</th></tr>${permissions.map((p) =>
+            `<tr><td>${escapeHtml(p.shortName)}</td><td class="risk-${escapeHtml(p.riskRating)}">${escapeHtml(p.riskRating)}</td><td>${escapeHtml(p.protectionLevel || '—')}</td><td>${escapeHtml(p.category)}</td><td>${escapeHtml(p.description)}</td></tr>`).join('')}</table>`
+        : '<p class="muted">No permissions listed.</p>'}`);
+
+    if (changes) {
+        const items = changes.items.map((c) => `${c.label}${c.kind === 'changed' ? ` (${c.before} → ${c.after})` : ''}`);
+        sections.push(`<h2>Changes Since Last Scan</h2>${changes.isFirstScan ? '<p class="muted">First scan of this app.</p>' : list(items)}`);
+    }
+
+    sections.push(`<h2>Provenance</h2><table>${Object.entries(provenance.sources)
+        .map(([step, source]) => row(step, source || 'n/a')).join('')}${Object.entries(provenance.errors)
+        .map(([step, error]) => row(`${step} failed`, error.message)).join('')}</table>`);
+
+    const icon = app.icon ? `<img class="icon" alt="App icon" src="data:${app.icon.mimeType};base64,${app.icon.base64}">` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Scan Report: ${escapeHtml(app.name)}</title>
+<style>
+body { font-family: -apple-system, Roboto, sans-serif; background: #0D1B2A; color: #FFFFFF; max-width: 860px; margin: 0 auto; padding: 24px; }
+header { display: flex; align-items: center; gap: 16px; }
+.icon { width: 56px; height: 56px; border-radius: 12px; }
+h1 { font-size: 22px; margin: 0; }
+h2 { font-size: 15px; text-transform: uppercase; letter-spacing: 1px; color: #B0BEC5; margin-top: 28px; }
+table { width: 100%; border-collapse: collapse; background: #243447; border-radius: 8px; }
+th, td { text-align: left; padding: 8px 12px; border-bottom: 1px solid #37474F; font-size: 13px; vertical-align: top; }
+th { color: #B0BEC5; font-weight: 600; width: 32%; }
+.mono { font-family: monospace; word-break: break-all; }
+.muted { color: #78909C; }
+.risk-HIGH { color: #F44336; } .risk-MEDIUM { color: #FFC107; } .risk-LOW { color: #4CAF50; }
+footer { margin-top: 32px; font-size: 12px; color: #78909C; }
+</style>
+</head>
+<body>
+<header>${icon}<div><h1>${escapeHtml(app.name)}</h1><div class="mono muted">${escapeHtml(app.packageName)}</div></div></header>
+<table>${row('File Size', app.fileSize)}${row('SHA-256', app.hash)}${row('Scanned', report.scan.scannedAt)}</table>
+${sections.join('\n')}
+<footer>Generated by ${escapeHtml(report.generator.name)} ${escapeHtml(report.generator.version)} at ${escapeHtml(report.generatedAt)} (${REPORT_SCHEMA} v${REPORT_SCHEMA_VERSION})</footer>
+</body>
+</html>
+`;
+};
+
+/**
+ * Render a report document in an export format
+ * @param {Object} report - Document from buildScanReport()
+ * @param {string} format - One of REPORT_FORMATS
+ * @returns {Object} - { fileName, mimeType, content }
+ */
+export const renderReport = (report, format) => {
+    const { extension, mimeType } = FORMAT_FILES[format] || FORMAT_FILES[REPORT_FORMATS.JSON];
+    const stamp = report.generatedAt.replace(/[-:]/g, '').slice(0, 13);
+    const fileName = `hexlab-report-${report.app.packageName || 'file'}-${stamp}.${extension}`;
+
+    let content;
+    if (format === REPORT_FORMATS.MARKDOWN) content = toMarkdown(report);
+    else if (format === REPORT_FORMATS.HTML) content = toHtml(report);
+    else content = JSON.stringify(report, null, 2);
+
+    return { fileName, mimeType, content };
+};
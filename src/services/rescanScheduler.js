@@ -0,0 +1,198 @@
+// Android Sandbox - Rescan Scheduler
+// Re-audits the whole device on the interval chosen in Settings and keeps a summary for the next app open
+
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, RESCAN_INTERVALS, RESCAN_CHECK_INTERVAL_MS } from '../utils/constants';
+import { buildRescanSummary } from '../utils/rescanSummary';
+import { getInstalledApps, getLastScansByPackage, isDemoMode, runBatchDeepScan, setBackgroundRescan } from './api';
+import { toErrorInfo } from './errors';
+import { loadSettings, getSettings } from './settingsStore';
+import { loadSimulatorSettings } from './simulator';
+
+// lastRun: { startedAt, finishedAt, status ('completed' | 'failed'), scannedCount, failedCount, error, apps }
+// summary: buildRescanSummary() result with startedAt and finishedAt, until the user dismisses it
+const DEFAULT_STATE = { lastRun: null, summary: null };
+
+let scheduleState = null;
+let loadPromise = null;
+let running = false;
+const listeners = new Set();
+
+/**
+ * Load the schedule state from AsyncStorage (once per app session)
+ * @returns {Promise<Object>} - { lastRun, summary }
+ */
+export const loadRescanState = () => {
+    if (!loadPromise) {
+        loadPromise = AsyncStorage.getItem(STORAGE_KEYS.rescanSchedule)
+            .then((raw) => ({ ...DEFAULT_STATE, ...(raw ? JSON.parse(raw) : {}) }))
+            .catch((error) => {
+                console.error('Load Rescan State Error:', error);
+                return { ...DEFAULT_STATE };
+            })
+            .then((loaded) => {
+                scheduleState = scheduleState || loaded;
+                return scheduleState;
+            });
+    }
+    return loadPromise;
+};
+
+/**
+ * Current schedule state (defaults until loadRescanState resolves)
+ * @returns {Object} - { lastRun, summary, running }
+ */
+export const getRescanState = () => ({ ...(scheduleState || DEFAULT_STATE), running });
+
+// Helper: Notify subscribers of the current state
+const notify = () => {
+    const state = getRescanState();
+    listeners.forEach((listener) => listener(state));
+};
+
+// Helper: Update and persist the schedule state
+const updateState = async (changes) => {
+    scheduleState = { ...(scheduleState || DEFAULT_STATE), ...changes };
+    notify();
+    await AsyncStorage.setItem(STORAGE_KEYS.rescanSchedule, JSON.stringify(scheduleState));
+};
+
+/**
+ * Subscribe to schedule state changes (runs starting and finishing, summary dismissed)
+ * @param {Function} listener - Called with the new state
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeRescanState = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * When the next scheduled rescan is due
+ * The first rescan is due as soon as the schedule is turned on.
+ * @param {string} interval - `rescanInterval` setting (RESCAN_INTERVALS key)
+ * @param {Object} lastRun - Last run of the schedule state, or null
+ * @returns {number|null} - Timestamp in ms, or null when the schedule is off
+ */
+export const getNextRescanTime = (interval, lastRun) => {
+    const intervalMs = RESCAN_INTERVALS[interval];
+    if (!intervalMs) {
+        return null;
+    }
+    return lastRun ? lastRun.startedAt + intervalMs : Date.now();
+};
+
+/**
+ * Rescan every installed app now
+ * The rescan covers system and trusted apps too, whatever the list filters in Settings, so a
+ * changed filter never shows up as apps that disappeared. Apps are deep scanned through
+ * runBatchDeepScan(), so every result is recorded in history. The summary compares them with the
+ * verdicts stored before the run and with the apps installed at the previous run; it replaces any
+ * summary not dismissed yet. A failed run keeps the previous app list and is retried on the next interval.
+ * Nothing runs in demo mode.
+ * @returns {Promise<Object|null>} - The summary, or null when a rescan is already running, it failed or
+ *   demo mode is on
+ */
+export const runRescan = async () => {
+    await loadSimulatorSettings();
+    // Simulated results describe scenario apps, not the device's
+    if (running || isDemoMode()) {
+        return null;
+    }
+    running = true;
+    notify();
+
+    const startedAt = Date.now();
+    try {
+        const { lastRun } = await loadRescanState();
+        const [apps, previousScans] = await Promise.all([getInstalledApps({ includeHidden: true }), getLastScansByPackage()]);
+        const results = await runBatchDeepScan(apps);
+        const summary = buildRescanSummary({ results, previousScans, previousApps: lastRun?.apps || [] });
+        const finishedAt = Date.now();
+
+        await updateState({
+            lastRun: {
+                startedAt,
+                finishedAt,
+                status: 'completed',
+                scannedCount: summary.scannedCount,
+                failedCount: summary.failedCount,
+                error: null,
+                apps: apps.map((app) => ({ packageName: app.packageName, appName: app.fileName || app.packageName })),
+            },
+            summary: { ...summary, startedAt, finishedAt },
+        });
+        return summary;
+    } catch (error) {
+        console.error('Scheduled Rescan Error:', error);
+        await updateState({
+            lastRun: {
+                ...scheduleState?.lastRun,
+                startedAt,
+                finishedAt: Date.now(),
+                status: 'failed',
+                error: toErrorInfo(error),
+            },
+        }).catch((e) => console.error('Save Rescan State Error:', e));
+        return null;
+    } finally {
+        running = false;
+        notify();
+    }
+};
+
+/**
+ * Dismiss the summary of the last rescan
+ * @returns {Promise<void>}
+ */
+export const dismissRescanSummary = () => updateState({ summary: null });
+
+/**
+ * Run the rescan if the schedule is due
+ * The RESCAN_TASK headless task (index.js) calls it when the native worker fires, so a worker run
+ * right after a catch-up rescan in the app does nothing.
+ * @returns {Promise<void>}
+ */
+export const runDueRescan = async () => {
+    const [, { lastRun }] = await Promise.all([loadSettings(), loadRescanState()]);
+    const next = getNextRescanTime(getSettings().rescanInterval, lastRun);
+    if (next !== null && next <= Date.now()) {
+        await runRescan();
+    }
+};
+
+/**
+ * Schedule the native periodic rescan for the `rescanInterval` setting, or cancel it when the schedule is off
+ * @param {string} interval - `rescanInterval` setting (RESCAN_INTERVALS key)
+ * @returns {Promise<void>}
+ */
+export const syncBackgroundRescan = async (interval) => {
+    try {
+        await setBackgroundRescan(RESCAN_INTERVALS[interval] || 0);
+    } catch (error) {
+        console.error('Background Rescan Error:', error);
+    }
+};
+
+/**
+ * Start the in-app catch-up of the rescan schedule
+ * The native worker (syncBackgroundRescan) rescans while the app is closed, but Android may defer it.
+ * A due rescan also runs when the schedule starts, whenever the app comes back to the foreground and
+ * at every RESCAN_CHECK_INTERVAL_MS check while the app runs.
+ * @returns {Function} - Stop the checks; a rescan already running is left to finish
+ */
+export const startRescanScheduler = () => {
+    const check = () => {
+        runDueRescan().catch((error) => console.error('Scheduled Rescan Error:', error));
+    };
+    check();
+    const timer = setInterval(check, RESCAN_CHECK_INTERVAL_MS);
+    const subscription = AppState.addEventListener('change', (state) => {
+        if (state === 'active') check();
+    });
+    return () => {
+        clearInterval(timer);
+        subscription.remove();
+    };
+};
@@ -0,0 +1,242 @@
+// Android Sandbox - SARIF Export
+// Maps stored scan findings of every app onto a SARIF 2.1.0 log for security tooling
+
+import { APP_CONFIG, RISK_LEVELS } from '../utils/constants';
+
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+export const SARIF_MIME_TYPE = 'application/sarif+json';
+
+// SARIF result level per risk level
+const SARIF_LEVELS = {
+    [RISK_LEVELS.HIGH]: 'error',
+    [RISK_LEVELS.MEDIUM]: 'warning',
+    [RISK_LEVELS.LOW]: 'note',
+};
+
+// Risk level of a malware indicator, from the verdict it contributed to
+const THREAT_LEVEL_RISK = {
+    THREAT: RISK_LEVELS.HIGH,
+    WARNING: RISK_LEVELS.MEDIUM,
+    SAFE: RISK_LEVELS.LOW,
+};
+
+/**
+ * Rule catalog. IDs are part of the export contract: never renumber or reuse
+ * one, only append. Heuristic rules match a riskBreakdown factor by category
+ * and description; malware rules match a MalwareDetector indicator string.
+ */
+const RULES = [
+    // Heuristic risk factors (ThreatScoringEngine)
+    { id: 'HX1000', name: 'HeuristicRiskFactor', text: 'Heuristic risk factor', category: null },
+    { id: 'HX1001', name: 'SideloadedApp', text: 'App was sideloaded instead of installed from the Play Store', category: 'Installation', pattern: /^Sideloaded/ },
+    { id: 'HX1002', name: 'ThirdPartyStore', text: 'App was installed from a third-party store', category: 'Installation', pattern: /third-party store/ },
+    { id: 'HX1003', name: 'DebuggableBuild', text: 'App is debuggable', category: 'Build', pattern: /debuggable/ },
+    { id: 'HX1004', name: 'TestOnlyBuild', text: 'App is a test-only build', category: 'Build', pattern: /Test-only/ },
+    { id: 'HX1005', name: 'OutdatedTargetSdk', text: 'App targets an outdated Android SDK', category: 'Platform', pattern: /outdated Android/ },
+    { id: 'HX1006', name: 'UnmaintainedApp', text: 'App has not been updated in over two years', category: 'Maintenance', pattern: /Not updated/ },
+    { id: 'HX1007', name: 'AccessibilityService', text: 'App uses an accessibility service and can read the screen', category: 'Runtime', pattern: /Accessibility/ },
+    { id: 'HX1008', name: 'OverlayPermission', text: 'App can draw over other apps', category: 'Runtime', pattern: /draw over/ },
+    { id: 'HX1009', name: 'BootAutostart', text: 'App starts on boot with internet access', category: 'Runtime', pattern: /on boot/ },
+    { id: 'HX1010', name: 'ExcessiveServices', text: 'App declares many background services', category: 'Runtime', pattern: /background services/ },
+    { id: 'HX1011', name: 'UnusualPermission', text: 'Permission is unusual for the app category', category: 'Permission', pattern: /unusual for/ },
+
+    // Suspicious permission combinations (ThreatScoringEngine)
+    { id: 'HX2000', name: 'SuspiciousPermissionCombo', text: 'Suspicious permission combination', category: 'Suspicious Combo' },
+    { id: 'HX2001', name: 'SmsInternetCombo', text: 'SMS and internet access in a non-messaging app', category: 'Suspicious Combo', pattern: /^SMS \+ Internet/ },
+    { id: 'HX2002', name: 'ContactsExfiltrationCombo', text: 'Contacts, SMS and internet access (data exfiltration pattern)', category: 'Suspicious Combo', pattern: /^Contacts \+ SMS/ },
+    { id: 'HX2003', name: 'SpywareCombo', text: 'Call log, SMS and internet access (spyware pattern)', category: 'Suspicious Combo', pattern: /^Call Log/ },
+    { id: 'HX2004', name: 'SurveillanceCombo', text: 'Camera, microphone, location and contacts access (surveillance pattern)', category: 'Suspicious Combo', pattern: /surveillance/ },
+
+    // Malware indicators (MalwareDetector)
+    { id: 'HX3000', name: 'MalwareIndicator', text: 'Malware indicator', indicator: null },
+    { id: 'HX3001', name: 'SuspiciousAppName', text: 'App name matches a known malware naming pattern', indicator: 'Suspicious app name pattern' },
+    { id: 'HX3002', name: 'DangerousPermissionCombos', text: 'Dangerous permission combinations detected', indicator: 'Dangerous permission combinations detected' },
+    { id: 'HX3003', name: 'SuspiciousSystemPermissions', text: 'Suspicious system permissions requested', indicator: 'Suspicious system permissions requested' },
+    { id: 'HX3004', name: 'AccessibilityAccess', text: 'Accessibility service access', indicator: 'Accessibility service access (can read screen content)' },
+    { id: 'HX3005', name: 'OverlayAttack', text: 'Can draw over other apps (overlay attacks)', indicator: 'Can draw over other apps (overlay attacks)' },
+    { id: 'HX3006', name: 'DeviceAdminAccess', text: 'Device admin access requested', indicator: 'Device admin access requested' },
+
+    // On-device ML classifier
+    { id: 'HX4001', name: 'MlMalwareVerdict', text: 'ML classifier predicts the app is malicious' },
+];
+
+const RULES_BY_ID = RULES.reduce((byId, rule) => ({ ...byId, [rule.id]: rule }), {});
+
+// Matches "Category: description (+points)" as produced in riskIndicators
+const INDICATOR_PATTERN = /^([^:]+): (.*?)(?: \(\+?(-?\d+)\))?$/;
+
+// Helper: Risk level of a heuristic factor from its score contribution
+const factorRiskLevel = (points) => {
+    if (points >= 25) return RISK_LEVELS.HIGH;
+    if (points >= 10) return RISK_LEVELS.MEDIUM;
+    return RISK_LEVELS.LOW;
+};
+
+// Helper: Rule for a heuristic factor, falling back to the generic rule of its group
+const heuristicRuleFor = ({ category, description }) => {
+    const matched = RULES.find((rule) =>
+        rule.pattern && rule.category === category && rule.pattern.test(description));
+    if (matched) return matched;
+    return RULES_BY_ID[category === 'Suspicious Combo' ? 'HX2000' : 'HX1000'];
+};
+
+// Helper: Rule for a malware indicator string
+const malwareRuleFor = (indicator) =>
+    RULES.find((rule) => rule.indicator === indicator) || RULES_BY_ID.HX3000;
+
+// Helper: Heuristic factors of a result; older results only carry riskIndicators strings
+const heuristicFactors = (heuristic) => {
+    if (Array.isArray(heuristic?.riskBreakdown)) {
+        return heuristic.riskBreakdown;
+    }
+    return (heuristic?.riskIndicators || []).map((indicator) => {
+        const match = INDICATOR_PATTERN.exec(indicator);
+        return match
+            ? { category: match[1], description: match[2], points: Number(match[3] || 0) }
+            : { category: null, description: indicator, points: 0 };
+    });
+};
+
+// Helper: Findings of one history entry as { rule, riskLevel, message, detail }
+const collectFindings = (entry) => {
+    const { heuristic, malware, ml } = entry.engines || {};
+    const findings = [];
+
+    // Trust reductions and trusted markers are not findings
+    heuristicFactors(heuristic)
+        .filter((factor) => factor.points > 0)
+        .forEach((factor) => {
+            findings.push({
+                rule: heuristicRuleFor(factor),
+                riskLevel: factorRiskLevel(factor.points),
+                message: factor.description,
+                detail: { engine: 'heuristic', category: factor.category, points: factor.points },
+            });
+        });
+
+    (malware?.indicators || []).forEach((indicator) => {
+        findings.push({
+            rule: malwareRuleFor(indicator),
+            riskLevel: THREAT_LEVEL_RISK[malware.threatLevel] || RISK_LEVELS.MEDIUM,
+            message: indicator,
+            detail: { engine: 'malware', threatLevel: malware.threatLevel, threatScore: malware.threatScore },
+        });
+    });
+
+    if (ml && ml.isBenign === false) {
+        findings.push({
+            rule: RULES_BY_ID.HX4001,
+            riskLevel: ml.riskLevel || RISK_LEVELS.MEDIUM,
+            message: `Classified as ${ml.prediction} with ${Math.round((ml.confidence || 0) * 100)}% confidence`,
+            detail: { engine: 'ml', prediction: ml.prediction, confidence: ml.confidence },
+        });
+    }
+
+    return findings;
+};
+
+// Helper: Keep only the newest entry of each package (entries are newest first)
+const latestPerPackage = (entries) => {
+    const seen = new Set();
+    return entries.filter((entry) => {
+        if (!entry.packageName || seen.has(entry.packageName)) return false;
+        seen.add(entry.packageName);
+        return true;
+    });
+};
+
+// Helper: SARIF reportingDescriptor for a rule
+const toReportingDescriptor = (rule) => ({
+    id: rule.id,
+    name: rule.name,
+    shortDescription: { text: rule.text },
+});
+
+/**
+ * Build a SARIF log from stored scans
+ * Uses the newest scan of each package; the package is the artifact location.
+ * @param {Array} entries - History entries with their final verdicts, newest first
+ * @param {Object} options
+ * @param {Date} options.now - Export time (defaults to now)
+ * @returns {Object} - SARIF 2.1.0 log
+ */
+export const buildSarifLog = (entries, { now = new Date() } = {}) => {
+    const scans = latestPerPackage(entries);
+    const usedRuleIds = new Set();
+    const results = [];
+
+    const artifacts = scans.map((entry, artifactIndex) => {
+        collectFindings(entry).forEach(({ rule, riskLevel, message, detail }) => {
+            usedRuleIds.add(rule.id);
+            results.push({
+                ruleId: rule.id,
+                level: SARIF_LEVELS[riskLevel] || 'warning',
+                message: { text: message },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: `package:${entry.packageName}`, index: artifactIndex },
+                    },
+                }],
+                partialFingerprints: {
+                    findingId: `${entry.packageName}/${rule.id}/${message}`,
+                },
+                properties: {
+                    riskLevel,
+                    scanId: entry.id,
+                    scannedAt: entry.scannedAt,
+                    source: entry.source,
+                    ...detail,
+                },
+            });
+        });
+
+        return {
+            location: { uri: `package:${entry.packageName}` },
+            description: { text: entry.fileName },
+            ...(entry.hash ? { hashes: { 'sha-256': entry.hash } } : {}),
+            properties: {
+                risk: entry.risk,
+                action: entry.action,
+                // Final verdict under the scoring policy selected when exporting
+                ...(entry.verdict ? { scoringPolicy: entry.verdict.policy.preset, verdictScore: entry.verdict.score } : {}),
+                scannedAt: entry.scannedAt,
+                // Set when the verdict comes from a user override (see verdictOverrides)
+                ...(entry.override ? {
+                    override: { reason: entry.override.reason, setBy: entry.override.setBy, setAt: entry.override.setAt },
+                } : {}),
+            },
+        };
+    });
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: SARIF_VERSION,
+        runs: [{
+            tool: {
+                driver: {
+                    name: APP_CONFIG.name,
+                    version: APP_CONFIG.version,
+                    rules: RULES.filter((rule) => usedRuleIds.has(rule.id)).map(toReportingDescriptor),
+                },
+            },
+            invocations: [{ executionSuccessful: true, endTimeUtc: now.toISOString() }],
+            artifacts,
+            results,
+        }],
+    };
+};
+
+/**
+ * Render a SARIF log as a shareable file
+ * @param {Object} log - Log from buildSarifLog()
+ * @returns {Object} - { fileName, mimeType, content }
+ */
+export const renderSarifLog = (log) => {
+    const stamp = log.runs[0].invocations[0].endTimeUtc.replace(/[-:]/g, '').slice(0, 13);
+    return {
+        fileName: `hexlab-findings-${stamp}.sarif`,
+        mimeType: SARIF_MIME_TYPE,
+        content: JSON.stringify(log, null, 2),
+    };
+};
@@ -0,0 +1,151 @@
+// Android Sandbox - Scan Result Cache
+// Keeps engine results per package and reuses them until the APK changes
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS } from '../utils/constants';
+
+// Engines whose results are cached
+export const CACHE_ENGINES = {
+    heuristic: 'heuristic',
+    malware: 'malware',
+    ml: 'ml',
+    network: 'network',
+};
+
+// In-memory copy of the persisted cache: { [engine]: { [packageName]: { fingerprint, value, cachedAt } } }
+let cacheState = null;
+let writeChain = Promise.resolve();
+
+/**
+ * Build the cache key for an installed package
+ * Changes whenever the app is updated (new version code or update time) or its APK hash changes
+ * @param {Object} info - { packageName, versionCode, lastUpdateTime|updateTime, hash }
+ * @returns {string|null} - Fingerprint, or null when the version info is missing
+ */
+export const buildFingerprint = (info) => {
+    if (!info || !info.packageName) {
+        return null;
+    }
+    const updateTime = info.lastUpdateTime ?? info.updateTime;
+    if (info.versionCode == null && updateTime == null) {
+        return null;
+    }
+    return [info.packageName, info.versionCode ?? 0, updateTime ?? 0, info.hash || ''].join('|');
+};
+
+// Helper: Load the cache from AsyncStorage (once per app session)
+const loadState = async () => {
+    if (cacheState) {
+        return cacheState;
+    }
+    try {
+        const raw = await AsyncStorage.getItem(STORAGE_KEYS.scanCache);
+        cacheState = raw ? JSON.parse(raw) : {};
+    } catch (error) {
+        console.error('Load Scan Cache Error:', error);
+        cacheState = {};
+    }
+    Object.values(CACHE_ENGINES).forEach((engine) => {
+        cacheState[engine] = cacheState[engine] || {};
+    });
+    return cacheState;
+};
+
+// Helper: Queue a mutation and persist the cache afterwards
+const mutate = (mutation) => {
+    const run = writeChain.then(async () => {
+        const state = await loadState();
+        const value = mutation(state);
+        await AsyncStorage.setItem(STORAGE_KEYS.scanCache, JSON.stringify(state));
+        return value;
+    });
+    writeChain = run.catch(() => {});
+    return run;
+};
+
+/**
+ * Look up a cached engine result
+ * @param {string} engine - One of CACHE_ENGINES
+ * @param {string} packageName - Package name
+ * @param {string} fingerprint - Current package fingerprint
+ * @returns {Promise<Object|null>} - Cached value, or null on miss or stale entry
+ */
+export const getCachedResult = async (engine, packageName, fingerprint) => {
+    const state = await loadState();
+    const entry = state[engine][packageName];
+    if (!entry || entry.fingerprint !== fingerprint) {
+        return null;
+    }
+    return entry.value;
+};
+
+/**
+ * Store an engine result; replaces any entry for an older version of the package
+ * @param {string} engine - One of CACHE_ENGINES
+ * @param {string} packageName - Package name
+ * @param {string} fingerprint - Current package fingerprint
+ * @param {Object} value - Engine result
+ * @returns {Promise<void>}
+ */
+export const setCachedResult = (engine, packageName, fingerprint, value) => mutate((state) => {
+    const { iconBase64, ...storable } = value || {};
+    state[engine][packageName] = { fingerprint, value: storable, cachedAt: Date.now() };
+});
+
+/**
+ * Drop cached results whose package fingerprint no longer matches the installed app
+ * @param {Object} fingerprints - { [packageName]: fingerprint } for currently installed apps
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export const pruneStaleResults = (fingerprints) => mutate((state) => {
+    let removed = 0;
+    Object.values(CACHE_ENGINES).forEach((engine) => {
+        Object.keys(state[engine]).forEach((packageName) => {
+            if (state[engine][packageName].fingerprint !== fingerprints[packageName]) {
+                delete state[engine][packageName];
+                removed += 1;
+            }
+        });
+    });
+    return removed;
+});
+
+/**
+ * Summarize cache contents for the Settings screen
+ * @returns {Promise<Object>} - { totalEntries, byEngine, packageCount, sizeBytes, lastUpdated }
+ */
+export const getCacheStats = async () => {
+    const state = await loadState();
+    const byEngine = {};
+    const packages = new Set();
+    let lastUpdated = null;
+
+    Object.values(CACHE_ENGINES).forEach((engine) => {
+        const entries = Object.entries(state[engine]);
+        byEngine[engine] = entries.length;
+        entries.forEach(([packageName, entry]) => {
+            packages.add(packageName);
+            if (!lastUpdated || entry.cachedAt > lastUpdated) {
+                lastUpdated = entry.cachedAt;
+            }
+        });
+    });
+
+    return {
+        totalEntries: Object.values(byEngine).reduce((sum, n) => sum + n, 0),
+        byEngine,
+        packageCount: packages.size,
+        sizeBytes: JSON.stringify(state).length,
+        lastUpdated,
+    };
+};
+
+/**
+ * Remove every cached result
+ * @returns {Promise<void>}
+ */
+export const clearCache = () => mutate((state) => {
+    Object.values(CACHE_ENGINES).forEach((engine) => {
+        state[engine] = {};
+    });
+});
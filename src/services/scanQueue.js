@@ -0,0 +1,124 @@
+// Android Sandbox - Scan Queue
+// Runs bulk analysis with bounded parallelism so the native bridge is never flooded
+
+import { SCAN_QUEUE_CONFIG } from '../utils/constants';
+import { ScanCancelledError, ScanTimeoutError } from './errors';
+
+// Helper: Race a promise against a timeout
+const withTimeout = (promise, timeoutMs) => {
+    if (!timeoutMs) {
+        return promise;
+    }
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new ScanTimeoutError(timeoutMs)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run an async worker over a list of items with bounded concurrency
+ *
+ * Items are started in order, at most `concurrency` at a time. Each item gets
+ * its own timeout; a failed or timed-out item never stops the rest of the run.
+ * Aborting the signal stops new items from starting and rejects the run with
+ * ScanCancelledError (native calls already in flight are left to finish and
+ * their results are discarded).
+ *
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => value
+ * @param {Object} options
+ * @param {number} options.concurrency - Max items in flight
+ * @param {number} options.itemTimeoutMs - Per-item timeout (0 disables)
+ * @param {Function} options.onStart - Called when an item starts with { item, index }
+ * @param {Function} options.onProgress - Called after each item with
+ *   { completed, total, item, index, outcome }
+ * @param {AbortSignal} options.signal - Optional cancellation signal
+ * @returns {Promise<Array>} - Outcome per item, in input order:
+ *   { status: 'fulfilled', value } or { status: 'rejected', error }
+ */
+export const runScanQueue = (items, worker, options = {}) => {
+    const {
+        concurrency = SCAN_QUEUE_CONFIG.concurrency,
+        itemTimeoutMs = SCAN_QUEUE_CONFIG.itemTimeoutMs,
+        onStart,
+        onProgress,
+        signal,
+    } = options;
+
+    return new Promise((resolve, reject) => {
+        const total = items.length;
+        const outcomes = new Array(total);
+        let nextIndex = 0;
+        let completed = 0;
+        let settled = false;
+
+        if (signal?.aborted) {
+            reject(new ScanCancelledError());
+            return;
+        }
+        if (total === 0) {
+            resolve(outcomes);
+            return;
+        }
+
+        const onAbort = () => {
+            if (!settled) {
+                settled = true;
+                reject(new ScanCancelledError());
+            }
+        };
+        signal?.addEventListener?.('abort', onAbort);
+
+        const finish = () => {
+            settled = true;
+            signal?.removeEventListener?.('abort', onAbort);
+            resolve(outcomes);
+        };
+
+        const startNext = () => {
+            if (settled || nextIndex >= total) {
+                return;
+            }
+            const index = nextIndex++;
+            const item = items[index];
+            if (onStart) {
+                try {
+                    onStart({ item, index });
+                } catch (e) {
+                    console.error('Scan Queue Start Error:', e);
+                }
+            }
+
+            withTimeout(Promise.resolve().then(() => worker(item, index)), itemTimeoutMs)
+                .then(
+                    (value) => ({ status: 'fulfilled', value }),
+                    (error) => ({ status: 'rejected', error }),
+                )
+                .then((outcome) => {
+                    if (settled) {
+                        return;
+                    }
+                    outcomes[index] = outcome;
+                    completed += 1;
+                    if (onProgress) {
+                        try {
+                            onProgress({ completed, total, item, index, outcome });
+                        } catch (e) {
+                            console.error('Scan Queue Progress Error:', e);
+                        }
+                    }
+                    if (completed === total) {
+                        finish();
+                    } else {
+                        startNext();
+                    }
+                });
+        };
+
+        const workers = Math.max(1, Math.min(concurrency, total));
+        for (let i = 0; i < workers; i++) {
+            startNext();
+        }
+    });
+};
@@ -0,0 +1,86 @@
+// Android Sandbox - Settings Store
+// Persisted user settings that screens and services subscribe to
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS } from '../utils/constants';
+
+export const DEFAULT_SETTINGS = {
+    // Include pre-installed system apps in app lists
+    showSystemApps: false,
+    // Include system, privileged and trusted-publisher apps in app lists
+    showTrustedApps: true,
+    // Show the risk breakdown sections on the scan result screen
+    showDetailedRisk: true,
+    // Flag sideloaded apps on file cards
+    highlightSideloaded: true,
+    // Scoring policy preset of the final verdict (SCORING_PRESETS key or 'custom')
+    scoringPreset: 'engine',
+    // Policy edited in the advanced editor, used by the 'custom' preset
+    customScoringPolicy: null,
+    // Display language (LANGUAGES code, or 'system' to follow the device)
+    language: 'system',
+    // Color theme (THEMES name, or 'system' to follow the device light/dark mode)
+    theme: 'dark',
+    // Draw risk levels with the color-blind-safe palette
+    colorBlindRisk: false,
+    // Scan apps installed or updated while the app runs
+    autoScanNewApps: false,
+    // Lowest final verdict of an automatic scan that raises a notification ('MEDIUM' or 'HIGH')
+    autoScanMinRisk: 'MEDIUM',
+    // Scheduled full-device rescan (RESCAN_INTERVALS key)
+    rescanInterval: 'off',
+};
+
+let settingsState = null;
+let loadPromise = null;
+const listeners = new Set();
+
+/**
+ * Load settings from AsyncStorage (once per app session)
+ * @returns {Promise<Object>} - Settings shaped like DEFAULT_SETTINGS
+ */
+export const loadSettings = () => {
+    if (!loadPromise) {
+        loadPromise = AsyncStorage.getItem(STORAGE_KEYS.settings)
+            .then((raw) => ({ ...DEFAULT_SETTINGS, ...(raw ? JSON.parse(raw) : {}) }))
+            .catch((error) => {
+                console.error('Load Settings Error:', error);
+                return { ...DEFAULT_SETTINGS };
+            })
+            .then((loaded) => {
+                // A change made while loading wins over the stored value
+                settingsState = settingsState || loaded;
+                return settingsState;
+            });
+    }
+    return loadPromise;
+};
+
+/**
+ * Current settings (defaults until loadSettings resolves)
+ * @returns {Object} - Settings shaped like DEFAULT_SETTINGS
+ */
+export const getSettings = () => settingsState || DEFAULT_SETTINGS;
+
+/**
+ * Update and persist settings, then notify subscribers
+ * @param {Object} changes - Partial settings
+ * @returns {Promise<Object>} - The new settings
+ */
+export const setSettings = async (changes) => {
+    settingsState = { ...getSettings(), ...changes };
+    const next = settingsState;
+    listeners.forEach((listener) => listener(next));
+    await AsyncStorage.setItem(STORAGE_KEYS.settings, JSON.stringify(next));
+    return next;
+};
+
+/**
+ * Subscribe to settings changes
+ * @param {Function} listener - Called with the new settings
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeSettings = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
@@ -0,0 +1,186 @@
+// Android Sandbox - Simulated BehaviorModule
+// Answers every BehaviorModule method from a JSON scenario so the JS app runs without the native engine.
+// It never emits events: no scan progress and no package changes.
+
+import {
+    DAY_MS,
+    fakeSha256,
+    describePermission,
+    scoreApp,
+    detectMalware,
+    classifyApp,
+    analyzeNetwork,
+} from './engineRules';
+import { generateApps } from './generateApps';
+
+// Size unit multipliers for fixture sizes like "12.5 MB"
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+
+// Helper: Bytes of a formatted size (0 when it cannot be parsed)
+const parseSize = (fileSize) => {
+    const match = /^([\d.]+)\s*(B|KB|MB|GB)$/i.exec(fileSize || '');
+    return match ? Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2].toUpperCase()]) : 0;
+};
+
+// Helper: Fill in defaults for a fixture app; times are relative to the start of today
+const normalizeApp = (fixture, today) => {
+    const updatedDaysAgo = fixture.updatedDaysAgo ?? 30;
+    const installedDaysAgo = Math.max(fixture.installedDaysAgo ?? updatedDaysAgo, updatedDaysAgo);
+    const versionCode = fixture.versionCode ?? 1;
+
+    return {
+        appName: fixture.packageName,
+        versionName: '1.0.0',
+        fileSize: '10.0 MB',
+        isSystemApp: false,
+        isTrusted: Boolean(fixture.isSystemApp),
+        installer: fixture.isSystemApp ? 'system' : 'play',
+        appCategory: 'General',
+        targetSdk: 34,
+        minSdk: 24,
+        isDebuggable: false,
+        isTestOnly: false,
+        suspiciousName: false,
+        suspiciousCombos: [],
+        permissions: [],
+        ml: { prediction: 'Benign', confidence: 0.9 },
+        ...fixture,
+        versionCode,
+        installTime: today - installedDaysAgo * DAY_MS,
+        lastUpdateTime: today - updatedDaysAgo * DAY_MS,
+        hash: fixture.hash || fakeSha256(`${fixture.packageName}:${versionCode}`),
+    };
+};
+
+/**
+ * Create a BehaviorModule stand-in for a scenario
+ *
+ * Scenario format (see scenarios/*.json):
+ *   apps        - Fixture apps (packageName, appName, installer, permissions, ml, ...)
+ *   generate    - Optional { count, seed, ... } block expanded by generateApps
+ *   latencyMs   - { default, [method]: ms } simulated bridge latency
+ *   failures    - [{ method ('*' for all), packages (optional), message }] scripted rejections
+ *
+ * @param {Object} scenario - Parsed scenario JSON
+ * @returns {Object} - Object with the same async methods as NativeModules.BehaviorModule
+ */
+export const createSimulatedModule = (scenario) => {
+    const today = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+    const fixtures = [...(scenario.apps || []), ...(scenario.generate ? generateApps(scenario.generate) : [])];
+    const apps = fixtures.map((fixture) => normalizeApp(fixture, today));
+    const byPackage = new Map(apps.map((app) => [app.packageName, app]));
+
+    // Helper: Find the scripted failure for a call, if any
+    const findFailure = (method, packageName) => (scenario.failures || []).find((rule) =>
+        (rule.method === '*' || rule.method === method)
+        && (!rule.packages || rule.packages.includes(packageName)));
+
+    // Helper: Resolve a call after the scenario latency, or reject it as scripted
+    const respond = (method, packageName, answer) => new Promise((resolve, reject) => {
+        const latency = scenario.latencyMs?.[method] ?? scenario.latencyMs?.default ?? 0;
+        setTimeout(() => {
+            try {
+                const failure = findFailure(method, packageName);
+                if (failure) {
+                    throw new Error(failure.message);
+                }
+                resolve(answer());
+            } catch (error) {
+                reject(error);
+            }
+        }, latency);
+    });
+
+    // Helper: Look up a fixture app the way PackageManager would
+    const requireApp = (packageName) => {
+        const app = byPackage.get(packageName);
+        if (!app) {
+            throw new Error(`Package not found: ${packageName}`);
+        }
+        return app;
+    };
+
+    return {
+        getInstalledApps: () => respond('getInstalledApps', null, () => apps
+            .map((app) => ({
+                id: app.packageName,
+                fileName: app.appName,
+                packageName: app.packageName,
+                fileType: 'apk',
+                fileSize: app.fileSize,
+                isSystemApp: app.isSystemApp,
+                iconBase64: '',
+                hash: app.hash,
+                versionCode: app.versionCode,
+                lastUpdateTime: app.lastUpdateTime,
+                firstInstallTime: app.installTime,
+                sizeBytes: parseSize(app.fileSize),
+                isSideloaded: app.installer === 'sideloaded',
+                isTrusted: app.isTrusted,
+            }))
+            .sort((a, b) => Number(a.isSystemApp) - Number(b.isSystemApp))),
+
+        analyzeApp: (packageName) => respond('analyzeApp', packageName,
+            () => scoreApp(requireApp(packageName), Date.now())),
+
+        getAppPermissions: (packageName) => respond('getAppPermissions', packageName,
+            () => [...requireApp(packageName).permissions]),
+
+        monitorAllApps: () => respond('monitorAllApps', null,
+            () => `Monitoring complete - ${apps.length} simulated apps`),
+
+        getDetailedPermissions: (packageName) => respond('getDetailedPermissions', packageName,
+            () => requireApp(packageName).permissions.map(describePermission)),
+
+        getNetworkAnalysis: (packageName) => respond('getNetworkAnalysis', packageName,
+            () => analyzeNetwork(requireApp(packageName))),
+
+        getMalwareAnalysis: (packageName) => respond('getMalwareAnalysis', packageName,
+            () => detectMalware(requireApp(packageName), Date.now())),
+
+        getMLAnalysis: (packageName) => respond('getMLAnalysis', packageName,
+            () => classifyApp(requireApp(packageName), Date.now())),
+
+        getAppFullDetails: (packageName) => respond('getAppFullDetails', packageName, () => {
+            const app = byPackage.get(packageName);
+            if (!app) {
+                return { packageName, appName: packageName, error: `Package not found: ${packageName}` };
+            }
+            return {
+                packageName,
+                appName: app.appName,
+                versionName: app.versionName,
+                versionCode: app.versionCode,
+                fileSize: app.fileSize,
+                installTime: app.installTime,
+                updateTime: app.lastUpdateTime,
+                isSystemApp: app.isSystemApp,
+                targetSdk: app.targetSdk,
+                minSdk: app.minSdk,
+                sourceDir: `/data/app/${packageName}/base.apk`,
+                hash: app.hash,
+            };
+        }),
+
+        openAppSettings: (packageName) => respond('openAppSettings', packageName, () => true),
+
+        uninstallApp: (packageName) => respond('uninstallApp', packageName, () => true),
+
+        shareTextFile: () => respond('shareTextFile', null, () => true),
+
+        startPackageMonitoring: () => respond('startPackageMonitoring', null, () => true),
+
+        stopPackageMonitoring: () => respond('stopPackageMonitoring', null, () => true),
+
+        showNotification: () => respond('showNotification', null, () => true),
+
+        scheduleRescan: () => respond('scheduleRescan', null, () => true),
+
+        cancelRescan: () => respond('cancelRescan', null, () => true),
+
+        // NativeEventEmitter bookkeeping; there are no events to deliver
+        addListener: () => {},
+
+        removeListeners: () => {},
+    };
+};
@@ -0,0 +1,389 @@
+// Android Sandbox - Simulator Engine Rules
+// JavaScript mirror of the native scoring rules, used to derive simulated results from fixture apps
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Permission tiers (ThreatScoringEngine.kt)
+export const HIGH_RISK_PERMISSIONS = [
+    'android.permission.CAMERA',
+    'android.permission.RECORD_AUDIO',
+    'android.permission.ACCESS_FINE_LOCATION',
+    'android.permission.ACCESS_COARSE_LOCATION',
+    'android.permission.READ_CONTACTS',
+    'android.permission.WRITE_CONTACTS',
+    'android.permission.READ_SMS',
+    'android.permission.SEND_SMS',
+    'android.permission.READ_CALL_LOG',
+    'android.permission.PROCESS_OUTGOING_CALLS',
+];
+
+export const MEDIUM_RISK_PERMISSIONS = [
+    'android.permission.READ_EXTERNAL_STORAGE',
+    'android.permission.WRITE_EXTERNAL_STORAGE',
+    'android.permission.INTERNET',
+    'android.permission.ACCESS_NETWORK_STATE',
+    'android.permission.READ_PHONE_STATE',
+    'android.permission.BLUETOOTH',
+];
+
+const PERM_ACCESSIBILITY = 'android.permission.BIND_ACCESSIBILITY_SERVICE';
+const PERM_OVERLAY = 'android.permission.SYSTEM_ALERT_WINDOW';
+const PERM_BOOT = 'android.permission.RECEIVE_BOOT_COMPLETED';
+const PERM_INTERNET = 'android.permission.INTERNET';
+
+// Permissions flagged by MalwareDetector.kt
+export const SUSPICIOUS_PERMISSIONS = [
+    'android.permission.BIND_DEVICE_ADMIN',
+    PERM_ACCESSIBILITY,
+    PERM_OVERLAY,
+    'android.permission.WRITE_SETTINGS',
+    'android.permission.REQUEST_INSTALL_PACKAGES',
+    'android.permission.REQUEST_DELETE_PACKAGES',
+];
+
+// Network permissions (NetworkAnalyzer.kt)
+const NETWORK_PERMISSIONS = [
+    PERM_INTERNET,
+    'android.permission.ACCESS_NETWORK_STATE',
+    'android.permission.ACCESS_WIFI_STATE',
+    'android.permission.CHANGE_WIFI_STATE',
+    'android.permission.CHANGE_NETWORK_STATE',
+];
+
+const DATA_EXFIL_PERMISSIONS = [
+    'android.permission.READ_CONTACTS',
+    'android.permission.READ_SMS',
+    'android.permission.READ_CALL_LOG',
+    'android.permission.ACCESS_FINE_LOCATION',
+    'android.permission.ACCESS_COARSE_LOCATION',
+    'android.permission.READ_EXTERNAL_STORAGE',
+    'android.permission.CAMERA',
+    'android.permission.RECORD_AUDIO',
+    'android.permission.READ_PHONE_STATE',
+];
+
+const NETWORK_CAPABILITIES = {
+    'android.permission.INTERNET': 'Internet Access',
+    'android.permission.ACCESS_NETWORK_STATE': 'Network State Monitoring',
+    'android.permission.ACCESS_WIFI_STATE': 'WiFi State Access',
+    'android.permission.CHANGE_WIFI_STATE': 'WiFi Control',
+    'android.permission.CHANGE_NETWORK_STATE': 'Network Control',
+    'android.permission.BLUETOOTH': 'Bluetooth Access',
+    'android.permission.BLUETOOTH_ADMIN': 'Bluetooth Control',
+    'android.permission.NFC': 'NFC Access',
+};
+
+const PERMISSION_DESCRIPTIONS = {
+    'android.permission.CAMERA': 'Take photos and videos',
+    'android.permission.RECORD_AUDIO': 'Record audio from microphone',
+    'android.permission.ACCESS_FINE_LOCATION': 'Access precise GPS location',
+    'android.permission.ACCESS_COARSE_LOCATION': 'Access approximate location',
+    'android.permission.READ_CONTACTS': 'Read your contacts',
+    'android.permission.WRITE_CONTACTS': 'Modify your contacts',
+    'android.permission.READ_SMS': 'Read your text messages',
+    'android.permission.SEND_SMS': 'Send text messages',
+    'android.permission.READ_CALL_LOG': 'Read call history',
+    'android.permission.PROCESS_OUTGOING_CALLS': 'Monitor outgoing calls',
+    'android.permission.READ_EXTERNAL_STORAGE': 'Read files from storage',
+    'android.permission.WRITE_EXTERNAL_STORAGE': 'Write files to storage',
+    'android.permission.INTERNET': 'Full network access',
+    'android.permission.ACCESS_NETWORK_STATE': 'View network connections',
+    'android.permission.READ_PHONE_STATE': 'Read phone status and identity',
+    'android.permission.BLUETOOTH': 'Pair with Bluetooth devices',
+    'android.permission.BIND_ACCESSIBILITY_SERVICE': 'Read and control screen content',
+    'android.permission.SYSTEM_ALERT_WINDOW': 'Draw over other apps',
+    'android.permission.RECEIVE_BOOT_COMPLETED': 'Start at device boot',
+};
+
+// Category matchers, checked in order (first match wins)
+const PERMISSION_CATEGORIES = [
+    [['LOCATION'], 'Location', '📍'],
+    [['CAMERA'], 'Camera', '📷'],
+    [['RECORD_AUDIO', 'MICROPHONE'], 'Microphone', '🎤'],
+    [['CONTACTS'], 'Contacts', '👥'],
+    [['SMS', 'MMS'], 'SMS', '💬'],
+    [['CALL', 'PHONE'], 'Phone', '📞'],
+    [['STORAGE', 'EXTERNAL'], 'Storage', '💾'],
+    [['INTERNET', 'NETWORK'], 'Network', '🌐'],
+    [['BLUETOOTH'], 'Bluetooth', '📶'],
+    [['CALENDAR'], 'Calendar', '📅'],
+    [['SENSOR', 'BODY'], 'Sensors', '📡'],
+    [['ACCESSIBILITY'], 'Accessibility', '♿'],
+    [['ALERT_WINDOW'], 'Overlay', '🪟'],
+];
+
+// Helper: Short name of a permission (last segment)
+const shortNameOf = (permission) => permission.substring(permission.lastIndexOf('.') + 1);
+
+// Largest prime below 2^32 (each digest word fits in 8 hex digits) and a mixing multiplier;
+// every product stays below 2^53, so the arithmetic is exact
+const DIGEST_MODULUS = 4294967291;
+const DIGEST_MIX = 1000003;
+
+/**
+ * Stable 64-character hex digest of a string (stands in for the APK SHA-256)
+ * @param {string} input - Text to digest
+ * @returns {string}
+ */
+export const fakeSha256 = (input) => {
+    let out = '';
+    let h = 5381;
+    for (let round = 0; out.length < 64; round++) {
+        for (let i = 0; i < input.length; i++) {
+            h = (h * 33 + input.charCodeAt(i) + round) % DIGEST_MODULUS;
+        }
+        // Spread the last characters over the whole word
+        const word = (((h * DIGEST_MIX) % DIGEST_MODULUS) * DIGEST_MIX) % DIGEST_MODULUS;
+        out += word.toString(16).padStart(8, '0');
+    }
+    return out.slice(0, 64);
+};
+
+/**
+ * Describe a permission the way BehaviorModule.getDetailedPermissions does
+ * @param {string} permission - Full permission name
+ * @returns {Object} - { permission, shortName, riskLevel, category, description, icon }
+ */
+export const describePermission = (permission) => {
+    const match = PERMISSION_CATEGORIES.find(([keys]) => keys.some((key) => permission.includes(key)));
+    let riskLevel = 'LOW';
+    if (HIGH_RISK_PERMISSIONS.includes(permission)) riskLevel = 'HIGH';
+    else if (MEDIUM_RISK_PERMISSIONS.includes(permission)) riskLevel = 'MEDIUM';
+
+    return {
+        permission,
+        shortName: shortNameOf(permission),
+        riskLevel,
+        category: match ? match[1] : 'Other',
+        description: PERMISSION_DESCRIPTIONS[permission] || 'System permission',
+        icon: match ? match[2] : '⚙️',
+    };
+};
+
+/**
+ * Heuristic analysis (ThreatScoringEngine.analyzeApp) of a fixture app
+ * @param {Object} app - Normalized fixture app
+ * @param {number} now - Current time in ms
+ * @returns {Object} - Same shape as BehaviorModule.analyzeApp
+ */
+export const scoreApp = (app, now) => {
+    const { permissions } = app;
+    const factors = [];
+    const addFactor = (category, description, points, forcesHigh = false) => factors.push({ category, description, points, forcesHigh });
+
+    const isSideloaded = app.installer === 'sideloaded';
+    const isFromPlayStore = app.installer === 'play';
+    const isOutdated = now - app.lastUpdateTime > 2 * 365 * DAY_MS;
+    const highRiskPerms = permissions.filter((p) => HIGH_RISK_PERMISSIONS.includes(p)).length;
+    const mediumRiskPerms = permissions.filter((p) => MEDIUM_RISK_PERMISSIONS.includes(p)).length;
+
+    let riskScore = 0;
+    let forceHigh = false;
+
+    if (app.isTrusted) {
+        addFactor('Trusted', 'System or verified publisher app', 0);
+    } else {
+        riskScore += highRiskPerms * 10 + mediumRiskPerms * 4;
+
+        app.suspiciousCombos.forEach((combo) => {
+            riskScore += 35;
+            addFactor('Suspicious Combo', combo, 35, true);
+            forceHigh = true;
+        });
+
+        if (isFromPlayStore && app.suspiciousCombos.length === 0) {
+            const reduction = Math.floor(riskScore * 0.4);
+            riskScore -= reduction;
+            if (reduction > 0) {
+                addFactor('Trust', `Installed from Google Play Store (-${reduction})`, -reduction);
+            }
+        }
+
+        if (isSideloaded) {
+            const points = highRiskPerms > 0 ? 30 : 20;
+            riskScore += points;
+            addFactor('Installation', `Sideloaded (not from Play Store)${highRiskPerms > 0 ? ' with high-risk permissions' : ''}`, points);
+        } else if (app.installer === 'thirdParty') {
+            riskScore += 15;
+            addFactor('Installation', 'Installed from third-party store', 15);
+        }
+
+        if (app.isDebuggable) {
+            const debuggableForcesHigh = isSideloaded || app.suspiciousCombos.length > 0;
+            riskScore += 30;
+            addFactor('Build', 'App is debuggable (security vulnerability)', 30, debuggableForcesHigh);
+            if (debuggableForcesHigh) {
+                forceHigh = true;
+            }
+        }
+        if (app.isTestOnly) {
+            riskScore += 25;
+            addFactor('Build', 'Test-only build', 25);
+        }
+        if (app.targetSdk > 0 && app.targetSdk < 29) {
+            riskScore += 15;
+            addFactor('Platform', `Targets outdated Android (SDK ${app.targetSdk} < 29)`, 15);
+        }
+        if (isOutdated) {
+            riskScore += 10;
+            addFactor('Maintenance', 'Not updated in over 2 years', 10);
+        }
+        if (permissions.includes(PERM_ACCESSIBILITY)) {
+            riskScore += 40;
+            addFactor('Runtime', 'Uses Accessibility Service (can read screen)', 40);
+        }
+        if (permissions.includes(PERM_OVERLAY)) {
+            riskScore += 25;
+            addFactor('Runtime', 'Can draw over other apps (overlay attacks)', 25);
+        }
+        if (permissions.includes(PERM_BOOT) && permissions.includes(PERM_INTERNET)) {
+            riskScore += 15;
+            addFactor('Runtime', 'Auto-starts on boot with internet access', 15);
+        }
+    }
+    riskScore = Math.min(100, Math.max(0, riskScore));
+
+    let risk = 'LOW';
+    if (app.isTrusted) risk = 'LOW';
+    else if (isFromPlayStore) risk = riskScore >= 20 ? 'MEDIUM' : 'LOW';
+    else if (forceHigh || riskScore >= 45) risk = 'HIGH';
+    else if (riskScore >= 20) risk = 'MEDIUM';
+
+    const actions = { HIGH: 'REVIEW', MEDIUM: 'MONITOR', LOW: 'SAFE' };
+    const signalCount = [!isSideloaded, app.targetSdk > 0, app.lastUpdateTime > 0].filter(Boolean).length;
+
+    return {
+        id: app.packageName,
+        fileName: app.appName,
+        packageName: app.packageName,
+        fileType: 'apk',
+        fileSize: app.fileSize,
+        hash: app.hash,
+        risk,
+        confidence: Math.min(0.99, 0.7 + permissions.length * 0.01 + signalCount * 0.05),
+        action: actions[risk],
+        permissionCount: permissions.length,
+        highRiskPerms,
+        mediumRiskPerms,
+        scannedAt: now,
+        isFromPlayStore,
+        isSideloaded,
+        isDebuggable: app.isDebuggable,
+        isTestOnly: app.isTestOnly,
+        targetSdk: app.targetSdk,
+        isOutdated,
+        riskScore,
+        forceHigh,
+        appCategory: app.appCategory,
+        isTrusted: app.isTrusted,
+        riskIndicators: factors.map((f) => `${f.category}: ${f.description} (+${f.points})`),
+        riskBreakdown: factors,
+        mlPrediction: 'Pending',
+        mlConfidence: 0,
+        hybridRisk: risk,
+        mlAvailable: false,
+    };
+};
+
+/**
+ * Malware analysis (MalwareDetector.analyzeApp) of a fixture app
+ * @param {Object} app - Normalized fixture app
+ * @param {number} now - Current time in ms
+ * @returns {Object} - Same shape as BehaviorModule.getMalwareAnalysis
+ */
+export const detectMalware = (app, now) => {
+    const { permissions } = app;
+    const suspiciousPermissions = permissions.filter((p) => SUSPICIOUS_PERMISSIONS.includes(p));
+    const threatScore = Math.min(100,
+        (app.suspiciousName ? 40 : 0) + app.suspiciousCombos.length * 20 + suspiciousPermissions.length * 10);
+
+    let threatLevel = 'SAFE';
+    if (threatScore >= 60) threatLevel = 'THREAT';
+    else if (threatScore >= 30) threatLevel = 'WARNING';
+
+    const indicators = [];
+    if (app.suspiciousName) indicators.push('Suspicious app name pattern');
+    if (app.suspiciousCombos.length > 0) indicators.push('Dangerous permission combinations detected');
+    if (suspiciousPermissions.length > 0) indicators.push('Suspicious system permissions requested');
+    if (permissions.includes(PERM_ACCESSIBILITY)) indicators.push('Accessibility service access (can read screen content)');
+    if (permissions.includes(PERM_OVERLAY)) indicators.push('Can draw over other apps (overlay attacks)');
+    if (permissions.includes('android.permission.BIND_DEVICE_ADMIN')) indicators.push('Device admin access requested');
+
+    return {
+        packageName: app.packageName,
+        appName: app.appName,
+        threatLevel,
+        threatScore,
+        suspiciousNameMatch: app.suspiciousName,
+        matchedComboCount: app.suspiciousCombos.length,
+        suspiciousPermCount: suspiciousPermissions.length,
+        indicatorCount: indicators.length,
+        isSafe: threatLevel === 'SAFE',
+        scanTimestamp: now,
+        indicators,
+        suspiciousPermissions,
+    };
+};
+
+/**
+ * ML classification (BehaviorModule.getMLAnalysis) of a fixture app
+ * @param {Object} app - Normalized fixture app (ml: { prediction, confidence })
+ * @param {number} now - Current time in ms
+ * @returns {Object} - Same shape as BehaviorModule.getMLAnalysis
+ */
+export const classifyApp = (app, now) => {
+    const isBenign = app.ml.prediction !== 'Malicious';
+    const { confidence } = app.ml;
+
+    let riskLevel = 'LOW';
+    if (!isBenign && confidence > 0.7) riskLevel = 'HIGH';
+    else if (!isBenign && confidence > 0.4) riskLevel = 'MEDIUM';
+
+    return {
+        packageName: app.packageName,
+        prediction: isBenign ? 'Benign' : 'Malicious',
+        classIndex: isBenign ? 0 : 1,
+        confidence,
+        probabilities: {
+            Benign: isBenign ? confidence : 1 - confidence,
+            Malicious: isBenign ? 1 - confidence : confidence,
+        },
+        riskLevel,
+        isBenign,
+        scanTimestamp: now,
+    };
+};
+
+/**
+ * Network analysis (NetworkAnalyzer.analyzeNetworkRisk) of a fixture app
+ * @param {Object} app - Normalized fixture app
+ * @returns {Object} - Same shape as BehaviorModule.getNetworkAnalysis
+ */
+export const analyzeNetwork = (app) => {
+    const { permissions } = app;
+    const hasInternet = permissions.includes(PERM_INTERNET);
+    const networkPermissions = permissions.filter((p) => NETWORK_PERMISSIONS.includes(p));
+    const dataExfilPermissions = permissions.filter((p) => DATA_EXFIL_PERMISSIONS.includes(p));
+    const exfilRiskScore = hasInternet && dataExfilPermissions.length > 0
+        ? Math.min(100, dataExfilPermissions.length * 20)
+        : 0;
+
+    let riskLevel = 'LOW';
+    if (exfilRiskScore >= 60) riskLevel = 'HIGH';
+    else if (exfilRiskScore >= 30) riskLevel = 'MEDIUM';
+
+    return {
+        hasInternet,
+        networkPermissionCount: networkPermissions.length,
+        dataExfilPermissionCount: dataExfilPermissions.length,
+        exfilRiskScore,
+        riskLevel,
+        usesCleartext: app.targetSdk < 28,
+        canAccessWifi: permissions.includes('android.permission.ACCESS_WIFI_STATE'),
+        canChangeNetwork: permissions.includes('android.permission.CHANGE_NETWORK_STATE'),
+        networkCapabilities: Object.keys(NETWORK_CAPABILITIES)
+            .filter((p) => permissions.includes(p))
+            .map((p) => NETWORK_CAPABILITIES[p]),
+        dataExfilPermissions,
+    };
+};
@@ -0,0 +1,106 @@
+// Android Sandbox - Simulator App Generator
+// Expands a scenario's "generate" block into a large, reproducible set of fixture apps
+
+import { HIGH_RISK_PERMISSIONS, MEDIUM_RISK_PERMISSIONS } from './engineRules';
+
+const PUBLISHERS = ['acme', 'brightline', 'cobalt', 'driftwood', 'ember', 'fjord', 'granite', 'harbor', 'indigo', 'juniper'];
+const PRODUCTS = ['notes', 'weather', 'fitness', 'camera', 'music', 'maps', 'chat', 'wallet', 'reader', 'photos', 'calendar', 'scanner', 'radio', 'recipes', 'travel'];
+const CATEGORIES = {
+    notes: 'Productivity', weather: 'Weather', fitness: 'Health', camera: 'Photography', music: 'Music',
+    maps: 'Navigation', chat: 'Communication', wallet: 'Finance', reader: 'Books', photos: 'Photography',
+    calendar: 'Productivity', scanner: 'Tools', radio: 'Music', recipes: 'Food', travel: 'Travel',
+};
+const LOW_RISK_PERMISSIONS = [
+    'android.permission.VIBRATE',
+    'android.permission.WAKE_LOCK',
+    'android.permission.POST_NOTIFICATIONS',
+    'android.permission.ACCESS_WIFI_STATE',
+    'android.permission.RECEIVE_BOOT_COMPLETED',
+];
+const MALICIOUS_PERMISSIONS = [
+    'android.permission.BIND_ACCESSIBILITY_SERVICE',
+    'android.permission.SYSTEM_ALERT_WINDOW',
+    'android.permission.READ_SMS',
+    'android.permission.SEND_SMS',
+    'android.permission.REQUEST_INSTALL_PACKAGES',
+];
+
+// Park-Miller modulus and multiplier: every product stays below 2^53, so the arithmetic is exact
+const RANDOM_MODULUS = 2147483647;
+const RANDOM_MULTIPLIER = 48271;
+
+// Helper: Deterministic PRNG (Park-Miller LCG) so a seed always yields the same device
+const createRandom = (seed) => {
+    let state = (Math.abs(Math.floor(seed)) % (RANDOM_MODULUS - 1)) + 1;
+    const next = () => {
+        state = (state * RANDOM_MULTIPLIER) % RANDOM_MODULUS;
+        return (state - 1) / (RANDOM_MODULUS - 1);
+    };
+    // Small seeds start with small values; skip the first draws
+    next();
+    next();
+    return next;
+};
+
+// Helper: Pick `count` distinct items from a list
+const pickSome = (random, list, count) => {
+    const pool = [...list];
+    const picked = [];
+    while (picked.length < count && pool.length > 0) {
+        picked.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+    }
+    return picked;
+};
+
+/**
+ * Generate fixture apps for a scenario
+ * @param {Object} spec - { count, seed, sideloadedRatio, maliciousRatio, systemRatio }
+ * @returns {Array} - Fixture apps in the same format as a scenario's "apps" list
+ */
+export const generateApps = ({ count = 50, seed = 1, sideloadedRatio = 0.1, maliciousRatio = 0.02, systemRatio = 0.15 }) => {
+    const random = createRandom(seed);
+    const apps = [];
+
+    for (let i = 0; i < count; i++) {
+        const publisher = PUBLISHERS[Math.floor(random() * PUBLISHERS.length)];
+        const product = PRODUCTS[Math.floor(random() * PRODUCTS.length)];
+        const isSystemApp = random() < systemRatio;
+        const isMalicious = !isSystemApp && random() < maliciousRatio;
+        const roll = random();
+        let installer = 'play';
+        if (isSystemApp) installer = 'system';
+        else if (isMalicious || roll < sideloadedRatio) installer = 'sideloaded';
+        else if (roll < sideloadedRatio + 0.05) installer = 'thirdParty';
+
+        const permissions = [
+            'android.permission.INTERNET',
+            ...pickSome(random, HIGH_RISK_PERMISSIONS, Math.floor(random() * 4)),
+            ...pickSome(random, MEDIUM_RISK_PERMISSIONS.filter((p) => p !== 'android.permission.INTERNET'), Math.floor(random() * 3)),
+            ...pickSome(random, LOW_RISK_PERMISSIONS, 1 + Math.floor(random() * 3)),
+            ...(isMalicious ? pickSome(random, MALICIOUS_PERMISSIONS, 3) : []),
+        ];
+
+        apps.push({
+            packageName: `com.${publisher}.${product}${i}`,
+            appName: `${publisher.charAt(0).toUpperCase()}${publisher.slice(1)} ${product.charAt(0).toUpperCase()}${product.slice(1)} ${i}`,
+            versionName: `${1 + Math.floor(random() * 9)}.${Math.floor(random() * 20)}.${Math.floor(random() * 10)}`,
+            versionCode: 1 + Math.floor(random() * 500),
+            fileSize: `${(2 + random() * 120).toFixed(1)} MB`,
+            isSystemApp,
+            isTrusted: isSystemApp,
+            installer,
+            appCategory: CATEGORIES[product],
+            targetSdk: 26 + Math.floor(random() * 9),
+            installedDaysAgo: 30 + Math.floor(random() * 900),
+            updatedDaysAgo: Math.floor(random() * 900),
+            isDebuggable: isMalicious && random() < 0.5,
+            suspiciousName: false,
+            suspiciousCombos: isMalicious ? ['Reads SMS with accessibility access (credential theft pattern)'] : [],
+            permissions: [...new Set(permissions)],
+            ml: isMalicious
+                ? { prediction: 'Malicious', confidence: Number((0.75 + random() * 0.2).toFixed(3)) }
+                : { prediction: 'Benign', confidence: Number((0.8 + random() * 0.19).toFixed(3)) },
+        });
+    }
+    return apps;
+};
@@ -0,0 +1,97 @@
+// Android Sandbox - Bridge Simulator
+// Scenario registry and developer settings for the simulated BehaviorModule
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS } from '../../utils/constants';
+import { createSimulatedModule } from './createSimulatedModule';
+import demo from './scenarios/demo.json';
+import bankingTrojan from './scenarios/bankingTrojan.json';
+import manyApps from './scenarios/manyApps.json';
+import bridgeThrows from './scenarios/bridgeThrows.json';
+import slowMl from './scenarios/slowMl.json';
+
+// Scenarios in the order shown in Settings
+const SCENARIOS = [demo, bankingTrojan, manyApps, bridgeThrows, slowMl];
+
+export const DEFAULT_SCENARIO_ID = demo.id;
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    scenarioId: DEFAULT_SCENARIO_ID,
+};
+
+let settingsState = null;
+let loadPromise = null;
+const listeners = new Set();
+
+// Simulated modules are built once per scenario so app state is stable within a session
+const modules = {};
+
+/**
+ * List available scenarios
+ * @returns {Array} - [{ id, name, description }]
+ */
+export const listScenarios = () => SCENARIOS.map(({ id, name, description }) => ({ id, name, description }));
+
+/**
+ * Load simulator settings from AsyncStorage (once per app session)
+ * @returns {Promise<Object>} - { enabled, scenarioId }
+ */
+export const loadSimulatorSettings = () => {
+    if (!loadPromise) {
+        loadPromise = AsyncStorage.getItem(STORAGE_KEYS.simulatorSettings)
+            .then((raw) => ({ ...DEFAULT_SETTINGS, ...(raw ? JSON.parse(raw) : {}) }))
+            .catch((error) => {
+                console.error('Load Simulator Settings Error:', error);
+                return { ...DEFAULT_SETTINGS };
+            })
+            .then((loaded) => {
+                // A change made while loading wins over the stored value
+                settingsState = settingsState || loaded;
+                return settingsState;
+            });
+    }
+    return loadPromise;
+};
+
+/**
+ * Current simulator settings (defaults until loadSimulatorSettings resolves)
+ * @returns {Object} - { enabled, scenarioId }
+ */
+export const getSimulatorSettings = () => settingsState || DEFAULT_SETTINGS;
+
+/**
+ * Update and persist simulator settings, then notify subscribers
+ * @param {Object} changes - Partial { enabled, scenarioId }
+ * @returns {Promise<Object>} - The new settings
+ */
+export const setSimulatorSettings = async (changes) => {
+    settingsState = { ...getSimulatorSettings(), ...changes };
+    const next = settingsState;
+    listeners.forEach((listener) => listener(next));
+    await AsyncStorage.setItem(STORAGE_KEYS.simulatorSettings, JSON.stringify(next));
+    return next;
+};
+
+/**
+ * Subscribe to simulator settings changes
+ * @param {Function} listener - Called with the new settings
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeSimulatorSettings = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Get the simulated BehaviorModule for a scenario
+ * @param {string} scenarioId - Scenario ID (falls back to the demo scenario)
+ * @returns {Object} - Simulated module
+ */
+export const getSimulatedModule = (scenarioId) => {
+    const scenario = SCENARIOS.find((s) => s.id === scenarioId) || demo;
+    if (!modules[scenario.id]) {
+        modules[scenario.id] = createSimulatedModule(scenario);
+    }
+    return modules[scenario.id];
+};
@@ -0,0 +1,62 @@
+// Android Sandbox - Android SDK Levels
+// Android version names per API level and what an app's min/target SDK means for security
+
+// Android release per API level
+const ANDROID_VERSIONS = {
+    16: '4.1', 17: '4.2', 18: '4.3', 19: '4.4', 21: '5.0', 22: '5.1', 23: '6.0', 24: '7.0', 25: '7.1',
+    26: '8.0', 27: '8.1', 28: '9', 29: '10', 30: '11', 31: '12', 32: '12L', 33: '13', 34: '14', 35: '15', 36: '16',
+};
+
+// Oldest API level that still receives security updates
+const OLDEST_PATCHED_SDK = 29;
+
+// Platform protections an app only gets when it targets at least `sinceSdk`
+const TARGET_SDK_PROTECTIONS = [
+    { sinceSdk: 23, missing: 'Dangerous permissions are granted at install time, without runtime prompts' },
+    { sinceSdk: 24, missing: 'User-installed CA certificates are trusted, so HTTPS traffic is easier to intercept' },
+    { sinceSdk: 28, missing: 'Cleartext (HTTP) traffic is allowed by default' },
+    { sinceSdk: 30, missing: 'Scoped storage is not enforced; storage permissions expose all shared files' },
+    { sinceSdk: 31, missing: 'Components are not required to declare whether they are exported to other apps' },
+];
+
+// Target SDK at or above which the app is considered current
+const RECENT_TARGET_SDK = 33;
+
+/**
+ * Android version label of an API level (e.g. "Android 9 (API 28)")
+ * @param {number} sdk - API level
+ * @returns {string} - Label, or 'Unknown' without a level
+ */
+export const describeSdkLevel = (sdk) => {
+    if (!sdk) return 'Unknown';
+    const version = ANDROID_VERSIONS[sdk];
+    return version ? `Android ${version} (API ${sdk})` : `API ${sdk}`;
+};
+
+/**
+ * Security notes for an app's SDK range
+ * @param {number} minSdk - Oldest API level the app installs on
+ * @param {number} targetSdk - API level the app was built for
+ * @returns {Array<Object>} - { level ('warning'|'info'|'ok'), text }
+ */
+export const getSdkSecurityNotes = (minSdk, targetSdk) => {
+    const notes = [];
+
+    if (targetSdk) {
+        TARGET_SDK_PROTECTIONS
+            .filter((protection) => targetSdk < protection.sinceSdk)
+            .forEach((protection) => notes.push({ level: 'warning', text: protection.missing }));
+        if (targetSdk >= RECENT_TARGET_SDK) {
+            notes.push({ level: 'ok', text: 'Targets a recent Android version and gets its current platform protections' });
+        }
+    }
+
+    if (minSdk && minSdk < OLDEST_PATCHED_SDK) {
+        notes.push({
+            level: 'info',
+            text: `Also installs on ${describeSdkLevel(minSdk)}, which no longer receives security updates`,
+        });
+    }
+
+    return notes;
+};
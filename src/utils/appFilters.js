@@ -0,0 +1,107 @@
+// Android Sandbox - App Filters
+// Search, filter and sort of the installed app list shown in the app picker
+
+import { RISK_LEVELS } from './constants';
+
+// App type filter values
+export const APP_TYPES = {
+    ALL: 'all',
+    USER: 'user',
+    SYSTEM: 'system',
+};
+
+// Sort order of known risk levels (unknown risk sorts last)
+const RISK_ORDER = { [RISK_LEVELS.HIGH]: 0, [RISK_LEVELS.MEDIUM]: 1, [RISK_LEVELS.LOW]: 2 };
+
+// Helper: Display name of an app
+const nameOf = (app) => (app.fileName || app.appName || app.packageName || '').toLowerCase();
+
+// Helper: Compare by name, used as the tie-breaker of every sort
+const byName = (a, b) => nameOf(a).localeCompare(nameOf(b));
+
+/**
+ * Sort options; each sorts in the direction that is most useful for triage
+ * (labelled by key as appPicker.sort.<option> in the message catalogs)
+ */
+export const APP_SORT_OPTIONS = {
+    name: { compare: byName },
+    installDate: {
+        compare: (a, b) => (b.firstInstallTime || 0) - (a.firstInstallTime || 0) || byName(a, b),
+    },
+    size: {
+        compare: (a, b) => (b.sizeBytes || 0) - (a.sizeBytes || 0) || byName(a, b),
+    },
+    risk: {
+        compare: (a, b) => (RISK_ORDER[a.risk] ?? 3) - (RISK_ORDER[b.risk] ?? 3) || byName(a, b),
+    },
+};
+
+// Filter and sort state used until the user changes it
+export const DEFAULT_APP_FILTERS = {
+    appType: APP_TYPES.ALL,
+    sideloadedOnly: false,
+    scannedOnly: false,
+    risks: [],
+    sortBy: 'name',
+};
+
+/**
+ * Attach what is already known about each app to the installed app list
+ * @param {Array} apps - Results of getInstalledApps()
+ * @param {Object} lastScans - Latest deep scan per package ({ [packageName]: { risk, scannedAt } })
+ * @param {Array} analyzedApps - Results of getRecentFiles(), used for apps never deep scanned
+ * @returns {Array} - Apps with `risk` (or null) and `lastScannedAt` (or null)
+ */
+export const withKnownVerdicts = (apps, lastScans = {}, analyzedApps = []) => {
+    const analyzedRisk = {};
+    analyzedApps.forEach((app) => {
+        if (app.risk in RISK_ORDER) {
+            analyzedRisk[app.packageName] = app.risk;
+        }
+    });
+    return apps.map((app) => {
+        const lastScan = lastScans[app.packageName];
+        return {
+            ...app,
+            risk: lastScan?.risk || analyzedRisk[app.packageName] || null,
+            lastScannedAt: lastScan?.scannedAt || null,
+        };
+    });
+};
+
+/**
+ * Apply search, filters and sort to the app list
+ * @param {Array} apps - Apps from withKnownVerdicts()
+ * @param {string} query - Search text, matched against name and package
+ * @param {Object} filters - State shaped like DEFAULT_APP_FILTERS
+ * @returns {Array} - Matching apps in sort order
+ */
+export const applyAppFilters = (apps, query, filters) => {
+    const needle = query.trim().toLowerCase();
+    const { compare } = APP_SORT_OPTIONS[filters.sortBy] || APP_SORT_OPTIONS.name;
+
+    return apps
+        .filter((app) => {
+            if (needle && !nameOf(app).includes(needle) && !(app.packageName || '').toLowerCase().includes(needle)) {
+                return false;
+            }
+            if (filters.appType === APP_TYPES.USER && app.isSystemApp) return false;
+            if (filters.appType === APP_TYPES.SYSTEM && !app.isSystemApp) return false;
+            if (filters.sideloadedOnly && !app.isSideloaded) return false;
+            if (filters.scannedOnly && !app.lastScannedAt) return false;
+            if (filters.risks.length > 0 && !filters.risks.includes(app.risk)) return false;
+            return true;
+        })
+        .sort(compare);
+};
+
+/**
+ * Whether any filter differs from the defaults (search and sort excluded)
+ * @param {Object} filters - State shaped like DEFAULT_APP_FILTERS
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (filters) =>
+    filters.appType !== DEFAULT_APP_FILTERS.appType ||
+    filters.sideloadedOnly ||
+    filters.scannedOnly ||
+    filters.risks.length > 0;
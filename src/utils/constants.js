@@ -1,36 +1,5 @@
 // Android Sandbox - App Constants
-// Defines colors, risk levels, and action statuses for the security app
-
-export const COLORS = {
-  // Primary colors
-  primary: '#1E3A5F',
-  primaryLight: '#2E5077',
-  secondary: '#3498DB',
-
-  // Background colors
-  background: '#0D1B2A',
-  surface: '#1B2838',
-  card: '#243447',
-
-  // Text colors
-  textPrimary: '#FFFFFF',
-  textSecondary: '#B0BEC5',
-  textMuted: '#78909C',
-
-  // Risk level colors (high contrast)
-  riskLow: '#4CAF50',      // Green
-  riskMedium: '#FFC107',   // Yellow/Amber
-  riskHigh: '#F44336',     // Red
-
-  // Action status colors
-  actionAllowed: '#4CAF50',
-  actionRestricted: '#FF9800',
-  actionBlocked: '#F44336',
-
-  // Border and divider
-  border: '#37474F',
-  divider: '#455A64',
-};
+// Defines risk levels and action statuses for the security app (colors live in theme.js)
 
 // Risk levels for file assessment
 export const RISK_LEVELS = {
@@ -46,6 +15,21 @@ export const ACTION_STATUS = {
   BLOCKED: 'BLOCKED',
 };
 
+// analyzeApp action per risk level (mirrors ThreatScoringEngine)
+export const ENGINE_ACTIONS = {
+  [RISK_LEVELS.HIGH]: 'REVIEW',
+  [RISK_LEVELS.MEDIUM]: 'MONITOR',
+  [RISK_LEVELS.LOW]: 'SAFE',
+};
+
+// Provenance of a result shown to the user
+export const DATA_SOURCES = {
+  NATIVE: 'native',
+  CACHE: 'cache',
+  MOCK: 'mock',
+  ERROR: 'error',
+};
+
 // File type icons (Material Community Icons)
 export const FILE_TYPE_ICONS = {
   apk: 'android',
@@ -62,3 +46,77 @@ export const APP_CONFIG = {
   version: '1.0.0',
   backendStatus: 'Connected',
 };
+
+// AsyncStorage keys for on-device persistence
+export const STORAGE_KEYS = {
+  scanHistory: '@hexlab/scanHistory',
+  scanCache: '@hexlab/scanCache',
+  simulatorSettings: '@hexlab/simulatorSettings',
+  appPickerFilters: '@hexlab/appPickerFilters',
+  settings: '@hexlab/settings',
+  overrides: '@hexlab/overrides',
+  rescanSchedule: '@hexlab/rescanSchedule',
+};
+
+// Scan history retention
+export const HISTORY_CONFIG = {
+  maxEntries: 500,
+};
+
+// Bulk analysis queue defaults
+export const SCAN_QUEUE_CONFIG = {
+  concurrency: 4,
+  itemTimeoutMs: 20000,
+  // Batch deep scans run four engines per app, including the ML model on the APK
+  deepScanConcurrency: 2,
+  deepScanTimeoutMs: 60000,
+};
+
+// Scheduled full-device rescan: interval in ms per `rescanInterval` setting (0 turns it off)
+export const RESCAN_INTERVALS = {
+  off: 0,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+// How often a due rescan is looked for while the app is in the foreground
+export const RESCAN_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// Sensitive data each data-exfiltration permission (NetworkAnalyzer.kt) can read
+export const DATA_EXFIL_SOURCES = {
+  'android.permission.READ_CONTACTS': { label: 'Contacts', icon: 'contacts' },
+  'android.permission.READ_SMS': { label: 'SMS messages', icon: 'message-text' },
+  'android.permission.READ_CALL_LOG': { label: 'Call log', icon: 'phone-log' },
+  'android.permission.ACCESS_FINE_LOCATION': { label: 'Precise location', icon: 'map-marker' },
+  'android.permission.ACCESS_COARSE_LOCATION': { label: 'Approximate location', icon: 'map-marker-radius' },
+  'android.permission.READ_EXTERNAL_STORAGE': { label: 'Files and media', icon: 'folder' },
+  'android.permission.CAMERA': { label: 'Camera', icon: 'camera' },
+  'android.permission.RECORD_AUDIO': { label: 'Microphone audio', icon: 'microphone' },
+  'android.permission.READ_PHONE_STATE': { label: 'Phone identity and state', icon: 'cellphone-information' },
+};
+
+// Event emitted by BehaviorModule while the ML engine scans an APK
+export const SCAN_PROGRESS_EVENT = 'BehaviorScanProgress';
+
+// Event emitted by BehaviorModule when an app is installed, updated or removed (while package monitoring runs)
+export const PACKAGE_CHANGE_EVENT = 'BehaviorPackageChanged';
+
+// Headless JS task the native RescanWorker starts for the scheduled rescan (registered in index.js)
+export const RESCAN_TASK = 'HexlabRescan';
+
+// `action` of a package change event
+export const PACKAGE_CHANGES = {
+  ADDED: 'added',
+  REPLACED: 'replaced',
+  REMOVED: 'removed',
+};
+
+// ML scan stages in the order BehaviorModule reports them
+// weight: share of the overall progress bar
+export const ML_SCAN_STAGES = [
+  { key: 'read', label: 'Reading APK binary data', weight: 0.3 },
+  { key: 'byteHistogram', label: 'Computing byte histogram', weight: 0.05 },
+  { key: 'byteEntropy', label: 'Computing byte-entropy histogram', weight: 0.35 },
+  { key: 'strings', label: 'Extracting string features', weight: 0.2 },
+  { key: 'inference', label: 'Running ONNX inference', weight: 0.1 },
+];
@@ -0,0 +1,98 @@
+// Android Sandbox - Deep Links
+// Parses and builds the hexlab:// links that open a scan or a stored report
+
+export const DEEP_LINK_SCHEME = 'hexlab';
+
+// Prefixes of the links the navigation container handles
+export const DEEP_LINK_PREFIXES = [`${DEEP_LINK_SCHEME}://`];
+
+export const DEEP_LINK_TYPES = {
+    SCAN: 'scan',
+    REPORT: 'report',
+    INVALID: 'invalid',
+};
+
+// Android package names: two or more dot-separated segments, each starting with a letter
+const PACKAGE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)+$/;
+const MAX_PACKAGE_NAME_LENGTH = 255;
+
+// History entry IDs are `<packageName>-<scan time in ms>` (historyStore.addScanRecord)
+const SCAN_ID_PATTERN = /^(.+)-(\d{1,15})$/;
+
+// Helper: Decode a path segment; null when it is not valid percent-encoding
+const decodeSegment = (segment) => {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Whether a string is a well-formed Android package name
+ * @param {string} packageName - Candidate package name
+ * @returns {boolean}
+ */
+export const isValidPackageName = (packageName) =>
+    typeof packageName === 'string'
+    && packageName.length <= MAX_PACKAGE_NAME_LENGTH
+    && PACKAGE_NAME_PATTERN.test(packageName);
+
+/**
+ * Whether a string is a well-formed scan history ID
+ * @param {string} scanId - Candidate history entry ID
+ * @returns {boolean}
+ */
+export const isValidScanId = (scanId) => {
+    const match = typeof scanId === 'string' ? SCAN_ID_PATTERN.exec(scanId) : null;
+    return Boolean(match) && isValidPackageName(match[1]);
+};
+
+/**
+ * Parse the path of a deep link ("scan/com.example.app", "report/com.example.app-1718000000000")
+ * Query strings and fragments are ignored; anything else than exactly `<type>/<value>` with a valid
+ * value is an invalid link.
+ * @param {string} path - Link path without the scheme
+ * @returns {Object} - { type: 'scan', packageName } | { type: 'report', scanId } | { type: 'invalid' }
+ */
+export const parseDeepLinkPath = (path) => {
+    const invalid = { type: DEEP_LINK_TYPES.INVALID };
+    if (typeof path !== 'string') return invalid;
+
+    const segments = path.split(/[?#]/)[0].split('/').filter(Boolean);
+    if (segments.length !== 2) return invalid;
+
+    const [type, rawValue] = segments;
+    const value = decodeSegment(rawValue);
+    if (type === DEEP_LINK_TYPES.SCAN && isValidPackageName(value)) {
+        return { type, packageName: value };
+    }
+    if (type === DEEP_LINK_TYPES.REPORT && isValidScanId(value)) {
+        return { type, scanId: value };
+    }
+    return invalid;
+};
+
+/**
+ * Parse a full deep link URL
+ * @param {string} url - Link such as "hexlab://scan/com.example.app"
+ * @returns {Object} - parseDeepLinkPath() result; links of other schemes are invalid
+ */
+export const parseDeepLink = (url) => {
+    const prefix = DEEP_LINK_PREFIXES.find((candidate) => typeof url === 'string' && url.toLowerCase().startsWith(candidate));
+    return prefix ? parseDeepLinkPath(url.slice(prefix.length)) : { type: DEEP_LINK_TYPES.INVALID };
+};
+
+/**
+ * Link that deep scans an installed app
+ * @param {string} packageName - Package name
+ * @returns {string} - "hexlab://scan/<packageName>"
+ */
+export const buildScanLink = (packageName) => `${DEEP_LINK_PREFIXES[0]}${DEEP_LINK_TYPES.SCAN}/${encodeURIComponent(packageName)}`;
+
+/**
+ * Link that opens a stored scan report
+ * @param {string} scanId - History entry ID
+ * @returns {string} - "hexlab://report/<scanId>"
+ */
+export const buildReportLink = (scanId) => `${DEEP_LINK_PREFIXES[0]}${DEEP_LINK_TYPES.REPORT}/${encodeURIComponent(scanId)}`;
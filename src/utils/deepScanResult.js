@@ -0,0 +1,113 @@
+// Android Sandbox - Deep Scan Result
+// Shapes deep scans, listed apps and stored scans into the route params of ScanResultScreen
+
+/**
+ * Build the ScanResultScreen data of a deep scan
+ * @param {Object} app - Scanned app (packageName, iconBase64)
+ * @param {Object} scan - runDeepScan result
+ * @returns {Object} - { file, result, scanId }
+ */
+export const buildDeepScanResult = (app, scan) => {
+    const { entry, heuristic, ml, errors } = scan;
+    return {
+        file: {
+            fileName: entry.fileName,
+            fileType: entry.fileType,
+            fileSize: entry.fileSize,
+            hash: entry.hash,
+            packageName: app.packageName,
+            iconBase64: app.iconBase64,
+        },
+        result: {
+            ...heuristic,
+            packageName: app.packageName,
+            // ML data (null when the ML engine failed)
+            mlPrediction: ml?.prediction,
+            mlConfidence: ml?.confidence,
+            mlProbabilities: ml?.probabilities,
+            mlRiskLevel: ml?.riskLevel,
+            mlIsBenign: ml?.isBenign,
+            mlAvailable: Boolean(ml),
+            mlSource: ml?.source,
+            engineErrors: errors,
+        },
+        scanId: entry.id,
+    };
+};
+
+/**
+ * ScanResultScreen params that deep scan an app on the result screen (live ML progress)
+ * @param {Object} app - App from the listing or the picker (packageName, fileName/appName, iconBase64)
+ * @returns {Object} - { file, app, scanMode: 'ml' }
+ */
+export const buildScanRequest = (app) => ({
+    file: {
+        fileName: app.fileName || app.appName,
+        fileType: 'apk',
+        fileSize: app.fileSize || 'N/A',
+        hash: app.hash || `sha256-${app.packageName}`,
+        packageName: app.packageName,
+        iconBase64: app.iconBase64,
+    },
+    app,
+    scanMode: 'ml',
+});
+
+/**
+ * ScanResultScreen params of an analyzed app from the listing
+ * @param {Object} file - getRecentFiles() result
+ * @returns {Object} - { file, result }
+ */
+export const buildListedScanResult = (file) => ({
+    file: {
+        fileName: file.fileName,
+        fileType: file.fileType,
+        fileSize: file.fileSize,
+        hash: file.hash,
+        packageName: file.packageName,
+        iconBase64: file.iconBase64,
+    },
+    result: {
+        risk: file.risk,
+        confidence: file.confidence,
+        action: file.action,
+        riskScore: file.riskScore,
+        riskBreakdown: file.riskBreakdown,
+        riskIndicators: file.riskIndicators,
+        appCategory: file.appCategory,
+        isFromPlayStore: file.isFromPlayStore,
+        isSideloaded: file.isSideloaded,
+        isTrusted: file.isTrusted,
+        targetSdk: file.targetSdk,
+        packageName: file.packageName,
+        source: file.source,
+        override: file.override,
+        engineErrors: file.error ? { heuristic: file.error } : {},
+    },
+});
+
+/**
+ * ScanResultScreen params of a stored scan
+ * @param {Object} entry - Scan history entry
+ * @returns {Object} - { file, result, scanId }
+ */
+export const buildStoredScanResult = (entry) => ({
+    file: {
+        fileName: entry.fileName,
+        fileType: entry.fileType,
+        fileSize: entry.fileSize,
+        hash: entry.hash,
+        packageName: entry.packageName,
+        iconBase64: entry.iconBase64,
+    },
+    result: {
+        ...entry.engines?.heuristic,
+        risk: entry.risk,
+        confidence: entry.confidence,
+        action: entry.action,
+        packageName: entry.packageName,
+        source: entry.source,
+        engineErrors: entry.errors || {},
+    },
+    scanId: entry.id,
+});
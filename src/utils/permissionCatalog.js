@@ -0,0 +1,629 @@
+// Android Sandbox - Permission Catalog
+// What each AOSP permission protects, how it is granted and how malware abuses it
+// The texts live in the permissionCatalog section of the locales; describePermission() resolves them.
+
+// Permission groups: MaterialCommunityIcons icon and default abuse examples (permissionCatalog.abuse message keys)
+const PERMISSION_GROUPS = {
+    location: { icon: 'map-marker', abuse: ['stalkerwareTracking', 'sellingLocationHistory'] },
+    camera: { icon: 'camera', abuse: ['covertCamera'] },
+    microphone: { icon: 'microphone', abuse: ['backgroundRecording'] },
+    contacts: { icon: 'contacts', abuse: ['uploadingAddressBook', 'spreadingToContacts'] },
+    calendar: { icon: 'calendar', abuse: ['learningSchedule', 'fakeCalendarEvents'] },
+    phone: { icon: 'phone', abuse: ['premiumCalls', 'phoneFingerprinting'] },
+    callLog: { icon: 'phone-log', abuse: ['harvestingCalls'] },
+    sms: { icon: 'message-text', abuse: ['stealingOtps', 'premiumSms'] },
+    storage: { icon: 'folder', abuse: ['uploadingPrivateFiles', 'ransomwareEncryption'] },
+    sensors: { icon: 'heart-pulse', abuse: ['healthData'] },
+    activity: { icon: 'run', abuse: ['profilingRoutines'] },
+    nearby: { icon: 'bluetooth', abuse: ['nearbyTracking', 'pairedDevices'] },
+    notifications: { icon: 'bell', abuse: ['scamNotifications'] },
+    network: { icon: 'wifi', abuse: ['exfiltration', 'commandAndControl'] },
+    accounts: { icon: 'account-key', abuse: ['listingAccounts', 'stealingTokens'] },
+    display: { icon: 'layers', abuse: ['fakeLoginScreens', 'tapjacking'] },
+    apps: { icon: 'package-variant', abuse: ['dropper', 'findingBankingApps', 'removingSecurityApps'] },
+    background: { icon: 'timer-outline', abuse: ['persistentSpyware'] },
+    binding: { icon: 'link-variant', abuse: ['posingAsSystemService'] },
+    system: { icon: 'cog', abuse: ['weakeningSettings'] },
+    biometric: { icon: 'fingerprint', abuse: [] },
+    other: { icon: 'shield-alert', abuse: [] },
+};
+
+// AOSP permissions by name (android.permission.* unless the key has a namespace); summary and
+// explanation are permissionCatalog.permissions messages under the name with dots replaced by "_".
+// Ratings of the permissions the heuristic engine scores match its HIGH/MEDIUM lists.
+const CATALOG = {
+    // Location
+    ACCESS_FINE_LOCATION: { level: 'dangerous', group: 'location', added: 1, risk: 'HIGH' },
+    ACCESS_COARSE_LOCATION: { level: 'dangerous', group: 'location', added: 1, risk: 'HIGH' },
+    ACCESS_BACKGROUND_LOCATION: {
+        level: 'dangerous', group: 'location', added: 29, risk: 'HIGH',
+        abuse: ['covertTracking'],
+    },
+    ACCESS_LOCATION_EXTRA_COMMANDS: { level: 'normal', group: 'location', added: 1, risk: 'LOW' },
+    ACCESS_MEDIA_LOCATION: {
+        level: 'dangerous', group: 'storage', added: 29, risk: 'MEDIUM',
+        abuse: ['photoMetadata'],
+    },
+    CONTROL_LOCATION_UPDATES: { level: 'privileged', group: 'location', added: 1, risk: 'MEDIUM' },
+    INSTALL_LOCATION_PROVIDER: { level: 'privileged', group: 'location', added: 4, risk: 'MEDIUM' },
+    LOCATION_HARDWARE: { level: 'privileged', group: 'location', added: 18, risk: 'MEDIUM' },
+
+    // Camera and microphone
+    CAMERA: { level: 'dangerous', group: 'camera', added: 1, risk: 'HIGH' },
+    RECORD_AUDIO: { level: 'dangerous', group: 'microphone', added: 1, risk: 'HIGH' },
+    CAPTURE_AUDIO_OUTPUT: { level: 'privileged', group: 'microphone', added: 19, risk: 'HIGH' },
+    MODIFY_AUDIO_SETTINGS: {
+        level: 'normal', group: 'microphone', added: 1, risk: 'LOW',
+        abuse: [],
+    },
+
+    // Contacts and accounts
+    READ_CONTACTS: { level: 'dangerous', group: 'contacts', added: 1, risk: 'HIGH' },
+    WRITE_CONTACTS: {
+        level: 'dangerous', group: 'contacts', added: 1, risk: 'HIGH',
+        abuse: ['replacingContactNumber', 'deletingContacts'],
+    },
+    GET_ACCOUNTS: { level: 'dangerous', group: 'accounts', added: 1, risk: 'MEDIUM' },
+    GET_ACCOUNTS_PRIVILEGED: { level: 'privileged', group: 'accounts', added: 23, risk: 'MEDIUM' },
+    ACCOUNT_MANAGER: { level: 'signature', group: 'accounts', added: 5, risk: 'MEDIUM' },
+    AUTHENTICATE_ACCOUNTS: { level: 'dangerous', group: 'accounts', added: 5, deprecated: 23, risk: 'MEDIUM' },
+    MANAGE_ACCOUNTS: { level: 'dangerous', group: 'accounts', added: 5, deprecated: 23, risk: 'MEDIUM' },
+    USE_CREDENTIALS: { level: 'dangerous', group: 'accounts', added: 5, deprecated: 23, risk: 'MEDIUM' },
+    READ_PROFILE: { level: 'dangerous', group: 'contacts', added: 14, deprecated: 23, risk: 'MEDIUM' },
+    WRITE_PROFILE: { level: 'dangerous', group: 'contacts', added: 14, deprecated: 23, risk: 'MEDIUM' },
+
+    // Calendar
+    READ_CALENDAR: { level: 'dangerous', group: 'calendar', added: 1, risk: 'MEDIUM' },
+    WRITE_CALENDAR: { level: 'dangerous', group: 'calendar', added: 1, risk: 'MEDIUM' },
+
+    // Phone and call log
+    READ_PHONE_STATE: {
+        level: 'dangerous', group: 'phone', added: 1, risk: 'MEDIUM',
+        abuse: ['trackingReinstalls', 'pausingOnCalls'],
+    },
+    READ_BASIC_PHONE_STATE: {
+        level: 'normal', group: 'phone', added: 33, risk: 'LOW',
+        abuse: [],
+    },
+    READ_PRECISE_PHONE_STATE: { level: 'privileged', group: 'phone', added: 30, risk: 'MEDIUM' },
+    READ_PHONE_NUMBERS: {
+        level: 'dangerous', group: 'phone', added: 26, risk: 'MEDIUM',
+        abuse: ['linkingIdentity'],
+    },
+    CALL_PHONE: {
+        level: 'dangerous', group: 'phone', added: 1, risk: 'HIGH',
+        abuse: ['tollFraud'],
+    },
+    CALL_PRIVILEGED: { level: 'privileged', group: 'phone', added: 1, risk: 'HIGH' },
+    ANSWER_PHONE_CALLS: {
+        level: 'dangerous', group: 'phone', added: 26, risk: 'MEDIUM',
+        abuse: ['silentAnswer'],
+    },
+    ACCEPT_HANDOVER: { level: 'dangerous', group: 'phone', added: 28, risk: 'LOW' },
+    MANAGE_OWN_CALLS: {
+        level: 'normal', group: 'phone', added: 26, risk: 'LOW',
+        abuse: [],
+    },
+    MANAGE_ONGOING_CALLS: { level: 'privileged', group: 'phone', added: 31, risk: 'MEDIUM' },
+    CALL_COMPANION_APP: { level: 'normal', group: 'phone', added: 29, risk: 'LOW' },
+    MODIFY_PHONE_STATE: { level: 'privileged', group: 'phone', added: 1, risk: 'HIGH' },
+    USE_SIP: { level: 'dangerous', group: 'phone', added: 9, risk: 'MEDIUM' },
+    'com.android.voicemail.permission.ADD_VOICEMAIL': {
+        level: 'dangerous', group: 'phone', added: 14, risk: 'MEDIUM',
+        abuse: ['fakeVoicemails'],
+    },
+    'com.android.voicemail.permission.READ_VOICEMAIL': { level: 'privileged', group: 'phone', added: 21, risk: 'HIGH' },
+    'com.android.voicemail.permission.WRITE_VOICEMAIL': { level: 'privileged', group: 'phone', added: 21, risk: 'MEDIUM' },
+    READ_CALL_LOG: { level: 'dangerous', group: 'callLog', added: 16, risk: 'HIGH' },
+    WRITE_CALL_LOG: {
+        level: 'dangerous', group: 'callLog', added: 16, risk: 'MEDIUM',
+        abuse: ['hidingPremiumCalls'],
+    },
+    PROCESS_OUTGOING_CALLS: {
+        level: 'dangerous', group: 'callLog', added: 1, deprecated: 29, risk: 'HIGH',
+        abuse: ['redirectingBankCalls'],
+    },
+
+    // SMS
+    READ_SMS: { level: 'dangerous', group: 'sms', added: 1, risk: 'HIGH' },
+    SEND_SMS: {
+        level: 'dangerous', group: 'sms', added: 1, risk: 'HIGH',
+        abuse: ['premiumSubscriptions', 'smsSpreading'],
+    },
+    RECEIVE_SMS: {
+        level: 'dangerous', group: 'sms', added: 1, risk: 'HIGH',
+        abuse: ['interceptingOtps'],
+    },
+    RECEIVE_MMS: { level: 'dangerous', group: 'sms', added: 1, risk: 'MEDIUM' },
+    RECEIVE_WAP_PUSH: { level: 'dangerous', group: 'sms', added: 1, risk: 'MEDIUM' },
+    BROADCAST_SMS: { level: 'signature', group: 'sms', added: 2, risk: 'HIGH' },
+    BROADCAST_WAP_PUSH: { level: 'signature', group: 'sms', added: 2, risk: 'MEDIUM' },
+    SEND_RESPOND_VIA_MESSAGE: { level: 'privileged', group: 'sms', added: 18, risk: 'MEDIUM' },
+    SMS_FINANCIAL_TRANSACTIONS: { level: 'special', group: 'sms', added: 29, deprecated: 31, risk: 'MEDIUM' },
+
+    // Files and media
+    READ_EXTERNAL_STORAGE: { level: 'dangerous', group: 'storage', added: 16, deprecated: 33, risk: 'MEDIUM' },
+    WRITE_EXTERNAL_STORAGE: { level: 'dangerous', group: 'storage', added: 4, deprecated: 30, risk: 'MEDIUM' },
+    MANAGE_EXTERNAL_STORAGE: { level: 'special', group: 'storage', added: 30, risk: 'HIGH' },
+    MANAGE_MEDIA: { level: 'special', group: 'storage', added: 31, risk: 'MEDIUM' },
+    READ_MEDIA_IMAGES: { level: 'dangerous', group: 'storage', added: 33, risk: 'MEDIUM' },
+    READ_MEDIA_VIDEO: { level: 'dangerous', group: 'storage', added: 33, risk: 'MEDIUM' },
+    READ_MEDIA_AUDIO: { level: 'dangerous', group: 'storage', added: 33, risk: 'LOW' },
+    READ_MEDIA_VISUAL_USER_SELECTED: {
+        level: 'dangerous', group: 'storage', added: 34, risk: 'LOW',
+        abuse: [],
+    },
+    MANAGE_DOCUMENTS: { level: 'signature', group: 'storage', added: 19, risk: 'MEDIUM' },
+    MOUNT_UNMOUNT_FILESYSTEMS: { level: 'privileged', group: 'storage', added: 1, risk: 'MEDIUM' },
+    MOUNT_FORMAT_FILESYSTEMS: { level: 'privileged', group: 'storage', added: 3, risk: 'HIGH' },
+
+    // Sensors and activity
+    BODY_SENSORS: { level: 'dangerous', group: 'sensors', added: 20, risk: 'MEDIUM' },
+    BODY_SENSORS_BACKGROUND: { level: 'dangerous', group: 'sensors', added: 33, risk: 'MEDIUM' },
+    HIGH_SAMPLING_RATE_SENSORS: {
+        level: 'normal', group: 'sensors', added: 31, risk: 'LOW',
+        abuse: ['vibrationSideChannel'],
+    },
+    ACTIVITY_RECOGNITION: { level: 'dangerous', group: 'activity', added: 29, risk: 'LOW' },
+
+    // Nearby devices and network
+    BLUETOOTH: { level: 'normal', group: 'nearby', added: 1, deprecated: 31, risk: 'MEDIUM' },
+    BLUETOOTH_ADMIN: { level: 'normal', group: 'nearby', added: 1, deprecated: 31, risk: 'LOW' },
+    BLUETOOTH_SCAN: { level: 'dangerous', group: 'nearby', added: 31, risk: 'MEDIUM' },
+    BLUETOOTH_CONNECT: { level: 'dangerous', group: 'nearby', added: 31, risk: 'MEDIUM' },
+    BLUETOOTH_ADVERTISE: { level: 'dangerous', group: 'nearby', added: 31, risk: 'LOW' },
+    BLUETOOTH_PRIVILEGED: { level: 'privileged', group: 'nearby', added: 19, risk: 'MEDIUM' },
+    NEARBY_WIFI_DEVICES: { level: 'dangerous', group: 'nearby', added: 33, risk: 'MEDIUM' },
+    UWB_RANGING: { level: 'dangerous', group: 'nearby', added: 31, risk: 'MEDIUM' },
+    NFC: {
+        level: 'normal', group: 'nearby', added: 9, risk: 'LOW',
+        abuse: ['nfcRelay'],
+    },
+    NFC_PREFERRED_PAYMENT_INFO: { level: 'normal', group: 'nearby', added: 30, risk: 'LOW' },
+    NFC_TRANSACTION_EVENT: { level: 'normal', group: 'nearby', added: 28, risk: 'LOW' },
+    TRANSMIT_IR: {
+        level: 'normal', group: 'nearby', added: 19, risk: 'LOW',
+        abuse: [],
+    },
+    INTERNET: { level: 'normal', group: 'network', added: 1, risk: 'MEDIUM' },
+    ACCESS_NETWORK_STATE: {
+        level: 'normal', group: 'network', added: 1, risk: 'MEDIUM',
+        abuse: ['waitingForWifi'],
+    },
+    CHANGE_NETWORK_STATE: { level: 'normal', group: 'network', added: 1, risk: 'LOW' },
+    ACCESS_WIFI_STATE: {
+        level: 'normal', group: 'network', added: 1, risk: 'LOW',
+        abuse: ['networkFingerprinting'],
+    },
+    CHANGE_WIFI_STATE: { level: 'normal', group: 'network', added: 1, risk: 'LOW' },
+    CHANGE_WIFI_MULTICAST_STATE: { level: 'normal', group: 'network', added: 4, risk: 'LOW' },
+    MANAGE_WIFI_INTERFACES: { level: 'privileged', group: 'network', added: 33, risk: 'MEDIUM' },
+    MANAGE_WIFI_NETWORK_SELECTION: { level: 'privileged', group: 'network', added: 33, risk: 'MEDIUM' },
+    OVERRIDE_WIFI_CONFIG: { level: 'privileged', group: 'network', added: 33, risk: 'MEDIUM' },
+    WRITE_APN_SETTINGS: {
+        level: 'privileged', group: 'network', added: 1, risk: 'HIGH',
+        abuse: ['attackerProxy'],
+    },
+    BIND_VPN_SERVICE: {
+        level: 'signature', group: 'network', added: 14, risk: 'HIGH',
+        abuse: ['fakeVpn'],
+    },
+
+    // Notifications
+    POST_NOTIFICATIONS: { level: 'dangerous', group: 'notifications', added: 33, risk: 'LOW' },
+    ACCESS_NOTIFICATION_POLICY: { level: 'normal', group: 'notifications', added: 23, risk: 'LOW' },
+    USE_FULL_SCREEN_INTENT: {
+        level: 'normal', group: 'notifications', added: 29, risk: 'LOW',
+        abuse: ['fullScreenScams'],
+    },
+    BIND_NOTIFICATION_LISTENER_SERVICE: {
+        level: 'signature', group: 'notifications', added: 18, risk: 'HIGH',
+        abuse: ['notificationOtps', 'readingChats'],
+    },
+    BIND_CONDITION_PROVIDER_SERVICE: { level: 'signature', group: 'notifications', added: 24, risk: 'LOW' },
+
+    // Display
+    SYSTEM_ALERT_WINDOW: { level: 'special', group: 'display', added: 1, risk: 'HIGH' },
+    HIDE_OVERLAY_WINDOWS: {
+        level: 'normal', group: 'display', added: 31, risk: 'LOW',
+        abuse: [],
+    },
+    DISABLE_KEYGUARD: {
+        level: 'normal', group: 'display', added: 1, risk: 'MEDIUM',
+        abuse: ['keepingUnlocked'],
+    },
+    EXPAND_STATUS_BAR: { level: 'normal', group: 'display', added: 1, risk: 'LOW' },
+    STATUS_BAR: { level: 'privileged', group: 'display', added: 1, risk: 'MEDIUM' },
+    SET_WALLPAPER: {
+        level: 'normal', group: 'display', added: 1, risk: 'LOW',
+        abuse: [],
+    },
+    SET_WALLPAPER_HINTS: {
+        level: 'normal', group: 'display', added: 1, risk: 'LOW',
+        abuse: [],
+    },
+    BIND_WALLPAPER: { level: 'signature', group: 'display', added: 8, risk: 'LOW' },
+    BIND_DREAM_SERVICE: { level: 'signature', group: 'display', added: 21, risk: 'LOW' },
+    DETECT_SCREEN_CAPTURE: {
+        level: 'normal', group: 'display', added: 34, risk: 'LOW',
+        abuse: [],
+    },
+
+    // Apps and packages
+    REQUEST_INSTALL_PACKAGES: {
+        level: 'special', group: 'apps', added: 23, risk: 'HIGH',
+        abuse: ['storeDroppers'],
+    },
+    REQUEST_DELETE_PACKAGES: {
+        level: 'normal', group: 'apps', added: 26, risk: 'MEDIUM',
+        abuse: ['naggingRemoval'],
+    },
+    INSTALL_PACKAGES: { level: 'privileged', group: 'apps', added: 1, risk: 'HIGH' },
+    DELETE_PACKAGES: { level: 'privileged', group: 'apps', added: 1, risk: 'HIGH' },
+    UPDATE_PACKAGES_WITHOUT_USER_ACTION: { level: 'normal', group: 'apps', added: 31, risk: 'LOW' },
+    QUERY_ALL_PACKAGES: {
+        level: 'normal', group: 'apps', added: 30, risk: 'MEDIUM',
+        abuse: ['findingFinanceApps', 'appProfiling'],
+    },
+    GET_PACKAGE_SIZE: { level: 'normal', group: 'apps', added: 1, risk: 'LOW' },
+    CLEAR_APP_CACHE: { level: 'privileged', group: 'apps', added: 1, risk: 'LOW' },
+    DELETE_CACHE_FILES: { level: 'privileged', group: 'apps', added: 1, risk: 'LOW' },
+    CHANGE_COMPONENT_ENABLED_STATE: { level: 'privileged', group: 'apps', added: 1, risk: 'HIGH' },
+    BROADCAST_PACKAGE_REMOVED: { level: 'signature', group: 'apps', added: 1, risk: 'MEDIUM' },
+    PACKAGE_USAGE_STATS: {
+        level: 'special', group: 'apps', added: 21, risk: 'HIGH',
+        abuse: ['detectingBankingApps', 'usageProfiling'],
+    },
+    LOADER_USAGE_STATS: { level: 'special', group: 'apps', added: 30, risk: 'LOW' },
+    GET_TASKS: {
+        level: 'normal', group: 'apps', added: 1, deprecated: 21, risk: 'MEDIUM',
+        abuse: ['foregroundOverlays'],
+    },
+    REORDER_TASKS: {
+        level: 'normal', group: 'apps', added: 1, risk: 'LOW',
+        abuse: ['pushingToFront'],
+    },
+    KILL_BACKGROUND_PROCESSES: {
+        level: 'normal', group: 'apps', added: 8, risk: 'LOW',
+        abuse: ['killingSecurityApps'],
+    },
+    RESTART_PACKAGES: {
+        level: 'normal', group: 'apps', added: 1, deprecated: 8, risk: 'LOW',
+        abuse: [],
+    },
+    INTERACT_ACROSS_PROFILES: {
+        level: 'special', group: 'apps', added: 30, risk: 'MEDIUM',
+        abuse: ['workProfileLeak'],
+    },
+    'com.android.launcher.permission.INSTALL_SHORTCUT': {
+        level: 'normal', group: 'apps', added: 19, risk: 'LOW',
+        abuse: ['adShortcuts'],
+    },
+    'com.android.launcher.permission.UNINSTALL_SHORTCUT': {
+        level: 'normal', group: 'apps', added: 19, risk: 'LOW',
+        abuse: [],
+    },
+    'com.android.browser.permission.READ_HISTORY_BOOKMARKS': {
+        level: 'dangerous', group: 'other', added: 1, deprecated: 23, risk: 'MEDIUM',
+        abuse: ['browsingHistory'],
+    },
+    'com.android.browser.permission.WRITE_HISTORY_BOOKMARKS': {
+        level: 'dangerous', group: 'other', added: 1, deprecated: 23, risk: 'MEDIUM',
+        abuse: ['phishingBookmarks'],
+    },
+
+    // Background and power
+    RECEIVE_BOOT_COMPLETED: {
+        level: 'normal', group: 'background', added: 1, risk: 'MEDIUM',
+        abuse: ['bootPersistence'],
+    },
+    WAKE_LOCK: {
+        level: 'normal', group: 'background', added: 1, risk: 'LOW',
+        abuse: ['cryptoMining'],
+    },
+    FOREGROUND_SERVICE: { level: 'normal', group: 'background', added: 28, risk: 'LOW' },
+    FOREGROUND_SERVICE_CAMERA: {
+        level: 'normal', group: 'background', added: 34, risk: 'MEDIUM',
+        abuse: ['backgroundFilming'],
+    },
+    FOREGROUND_SERVICE_MICROPHONE: {
+        level: 'normal', group: 'background', added: 34, risk: 'MEDIUM',
+        abuse: ['backgroundConversations'],
+    },
+    FOREGROUND_SERVICE_LOCATION: {
+        level: 'normal', group: 'background', added: 34, risk: 'MEDIUM',
+        abuse: ['continuousTracking'],
+    },
+    FOREGROUND_SERVICE_MEDIA_PROJECTION: {
+        level: 'normal', group: 'background', added: 34, risk: 'MEDIUM',
+        abuse: ['screenRecording'],
+    },
+    FOREGROUND_SERVICE_PHONE_CALL: { level: 'normal', group: 'background', added: 34, risk: 'LOW' },
+    FOREGROUND_SERVICE_MEDIA_PLAYBACK: {
+        level: 'normal', group: 'background', added: 34, risk: 'LOW',
+        abuse: [],
+    },
+    FOREGROUND_SERVICE_DATA_SYNC: { level: 'normal', group: 'background', added: 34, risk: 'LOW' },
+    FOREGROUND_SERVICE_CONNECTED_DEVICE: { level: 'normal', group: 'background', added: 34, risk: 'LOW' },
+    FOREGROUND_SERVICE_HEALTH: { level: 'normal', group: 'background', added: 34, risk: 'LOW' },
+    FOREGROUND_SERVICE_REMOTE_MESSAGING: { level: 'normal', group: 'background', added: 34, risk: 'LOW' },
+    FOREGROUND_SERVICE_SPECIAL_USE: { level: 'normal', group: 'background', added: 34, risk: 'LOW' },
+    FOREGROUND_SERVICE_SYSTEM_EXEMPTED: { level: 'normal', group: 'background', added: 34, risk: 'LOW' },
+    START_FOREGROUND_SERVICES_FROM_BACKGROUND: { level: 'privileged', group: 'background', added: 31, risk: 'MEDIUM' },
+    INSTANT_APP_FOREGROUND_SERVICE: { level: 'signature', group: 'background', added: 26, risk: 'LOW' },
+    REQUEST_IGNORE_BATTERY_OPTIMIZATIONS: {
+        level: 'normal', group: 'background', added: 23, risk: 'MEDIUM',
+        abuse: ['stayingAlive'],
+    },
+    RUN_USER_INITIATED_JOBS: { level: 'normal', group: 'background', added: 34, risk: 'LOW' },
+    SCHEDULE_EXACT_ALARM: { level: 'special', group: 'background', added: 31, risk: 'LOW' },
+    USE_EXACT_ALARM: { level: 'normal', group: 'background', added: 33, risk: 'LOW' },
+    'com.android.alarm.permission.SET_ALARM': {
+        level: 'normal', group: 'background', added: 9, risk: 'LOW',
+        abuse: [],
+    },
+    BIND_JOB_SERVICE: {
+        level: 'signature', group: 'background', added: 21, risk: 'LOW',
+        abuse: [],
+    },
+    PERSISTENT_ACTIVITY: { level: 'normal', group: 'background', added: 1, deprecated: 9, risk: 'LOW' },
+    BROADCAST_STICKY: {
+        level: 'normal', group: 'background', added: 1, risk: 'LOW',
+        abuse: [],
+    },
+    REQUEST_COMPANION_RUN_IN_BACKGROUND: { level: 'normal', group: 'background', added: 26, risk: 'LOW' },
+    REQUEST_COMPANION_USE_DATA_IN_BACKGROUND: { level: 'normal', group: 'background', added: 26, risk: 'LOW' },
+    DELIVER_COMPANION_MESSAGES: { level: 'normal', group: 'background', added: 33, risk: 'LOW' },
+
+    // System services the app provides (BIND_*: only the system may bind them)
+    BIND_ACCESSIBILITY_SERVICE: {
+        level: 'signature', group: 'binding', added: 16, risk: 'HIGH',
+        abuse: ['bankingTrojans', 'selfGranting'],
+    },
+    BIND_DEVICE_ADMIN: {
+        level: 'signature', group: 'binding', added: 8, risk: 'HIGH',
+        abuse: ['ransomwareLock', 'blockingRemoval'],
+    },
+    BIND_INPUT_METHOD: {
+        level: 'signature', group: 'binding', added: 3, risk: 'HIGH',
+        abuse: ['keyloggers'],
+    },
+    BIND_AUTOFILL_SERVICE: {
+        level: 'signature', group: 'binding', added: 26, risk: 'HIGH',
+        abuse: ['collectingLogins'],
+    },
+    BIND_CREDENTIAL_PROVIDER_SERVICE: { level: 'signature', group: 'binding', added: 34, risk: 'HIGH' },
+    BIND_NFC_SERVICE: { level: 'signature', group: 'binding', added: 19, risk: 'MEDIUM' },
+    BIND_QUICK_ACCESS_WALLET_SERVICE: { level: 'signature', group: 'binding', added: 30, risk: 'MEDIUM' },
+    BIND_SCREENING_SERVICE: { level: 'signature', group: 'binding', added: 24, risk: 'MEDIUM' },
+    BIND_CALL_REDIRECTION_SERVICE: {
+        level: 'signature', group: 'binding', added: 29, risk: 'MEDIUM',
+        abuse: ['redirectingBankCalls'],
+    },
+    BIND_INCALL_SERVICE: { level: 'signature', group: 'binding', added: 23, risk: 'MEDIUM' },
+    BIND_TELECOM_CONNECTION_SERVICE: { level: 'signature', group: 'binding', added: 23, risk: 'LOW' },
+    BIND_VISUAL_VOICEMAIL_SERVICE: { level: 'signature', group: 'binding', added: 26, risk: 'LOW' },
+    BIND_CARRIER_SERVICES: { level: 'signature', group: 'binding', added: 23, risk: 'LOW' },
+    BIND_CARRIER_MESSAGING_SERVICE: { level: 'signature', group: 'binding', added: 22, deprecated: 23, risk: 'LOW' },
+    BIND_CARRIER_MESSAGING_CLIENT_SERVICE: { level: 'signature', group: 'binding', added: 29, risk: 'LOW' },
+    BIND_VOICE_INTERACTION: { level: 'signature', group: 'binding', added: 21, risk: 'MEDIUM' },
+    BIND_PRINT_SERVICE: { level: 'signature', group: 'binding', added: 19, risk: 'LOW' },
+    BIND_TEXT_SERVICE: { level: 'signature', group: 'binding', added: 14, risk: 'LOW' },
+    BIND_COMPANION_DEVICE_SERVICE: { level: 'signature', group: 'binding', added: 31, risk: 'LOW' },
+    BIND_CONTROLS: { level: 'signature', group: 'binding', added: 30, risk: 'LOW' },
+    BIND_QUICK_SETTINGS_TILE: {
+        level: 'signature', group: 'binding', added: 24, risk: 'LOW',
+        abuse: [],
+    },
+    BIND_REMOTEVIEWS: {
+        level: 'signature', group: 'binding', added: 11, risk: 'LOW',
+        abuse: [],
+    },
+    BIND_APPWIDGET: { level: 'privileged', group: 'binding', added: 3, risk: 'MEDIUM' },
+    BIND_CHOOSER_TARGET_SERVICE: {
+        level: 'signature', group: 'binding', added: 23, deprecated: 30, risk: 'LOW',
+        abuse: [],
+    },
+    BIND_MIDI_DEVICE_SERVICE: {
+        level: 'signature', group: 'binding', added: 23, risk: 'LOW',
+        abuse: [],
+    },
+    BIND_TV_INPUT: {
+        level: 'signature', group: 'binding', added: 21, risk: 'LOW',
+        abuse: [],
+    },
+    BIND_VR_LISTENER_SERVICE: {
+        level: 'signature', group: 'binding', added: 24, risk: 'LOW',
+        abuse: [],
+    },
+
+    // System settings and device
+    WRITE_SETTINGS: { level: 'special', group: 'system', added: 1, risk: 'HIGH' },
+    WRITE_SECURE_SETTINGS: {
+        level: 'privileged', group: 'system', added: 3, risk: 'HIGH',
+        abuse: ['enablingAccessibility'],
+    },
+    WRITE_GSERVICES: { level: 'privileged', group: 'system', added: 1, risk: 'MEDIUM' },
+    READ_SYNC_SETTINGS: {
+        level: 'normal', group: 'system', added: 1, risk: 'LOW',
+        abuse: [],
+    },
+    WRITE_SYNC_SETTINGS: {
+        level: 'normal', group: 'system', added: 1, risk: 'LOW',
+        abuse: [],
+    },
+    READ_SYNC_STATS: {
+        level: 'normal', group: 'system', added: 1, risk: 'LOW',
+        abuse: [],
+    },
+    SET_TIME: { level: 'privileged', group: 'system', added: 8, risk: 'MEDIUM' },
+    SET_TIME_ZONE: { level: 'privileged', group: 'system', added: 1, risk: 'LOW' },
+    REBOOT: { level: 'privileged', group: 'system', added: 1, risk: 'MEDIUM' },
+    MASTER_CLEAR: { level: 'privileged', group: 'system', added: 1, risk: 'HIGH' },
+    ACCESS_CHECKIN_PROPERTIES: { level: 'privileged', group: 'system', added: 1, risk: 'MEDIUM' },
+    BATTERY_STATS: { level: 'privileged', group: 'system', added: 1, risk: 'LOW' },
+    UPDATE_DEVICE_STATS: { level: 'privileged', group: 'system', added: 3, risk: 'LOW' },
+    CHANGE_CONFIGURATION: { level: 'privileged', group: 'system', added: 1, risk: 'LOW' },
+    DUMP: { level: 'privileged', group: 'system', added: 1, risk: 'HIGH' },
+    READ_LOGS: {
+        level: 'privileged', group: 'system', added: 1, risk: 'HIGH',
+        abuse: ['logHarvesting'],
+    },
+    DIAGNOSTIC: { level: 'signature', group: 'system', added: 1, risk: 'MEDIUM' },
+    FACTORY_TEST: { level: 'signature', group: 'system', added: 1, risk: 'HIGH' },
+    GLOBAL_SEARCH: { level: 'privileged', group: 'system', added: 4, risk: 'LOW' },
+    MEDIA_CONTENT_CONTROL: { level: 'privileged', group: 'system', added: 19, risk: 'LOW' },
+    SET_ALWAYS_FINISH: { level: 'privileged', group: 'system', added: 1, risk: 'LOW' },
+    SET_ANIMATION_SCALE: { level: 'privileged', group: 'system', added: 1, risk: 'LOW' },
+    SET_DEBUG_APP: { level: 'privileged', group: 'system', added: 1, risk: 'MEDIUM' },
+    SET_PROCESS_LIMIT: { level: 'privileged', group: 'system', added: 1, risk: 'LOW' },
+    SIGNAL_PERSISTENT_PROCESSES: { level: 'privileged', group: 'system', added: 1, risk: 'LOW' },
+    READ_INPUT_STATE: { level: 'signature', group: 'system', added: 1, deprecated: 16, risk: 'MEDIUM' },
+    READ_NEARBY_STREAMING_POLICY: {
+        level: 'normal', group: 'system', added: 31, risk: 'LOW',
+        abuse: [],
+    },
+    REQUEST_PASSWORD_COMPLEXITY: {
+        level: 'normal', group: 'system', added: 29, risk: 'LOW',
+        abuse: [],
+    },
+    START_VIEW_PERMISSION_USAGE: {
+        level: 'signature', group: 'system', added: 29, risk: 'LOW',
+        abuse: [],
+    },
+    USE_ICC_AUTH_WITH_DEVICE_IDENTIFIER: { level: 'privileged', group: 'system', added: 31, risk: 'MEDIUM' },
+    VIBRATE: {
+        level: 'normal', group: 'system', added: 1, risk: 'LOW',
+        abuse: [],
+    },
+
+    // Biometrics
+    USE_BIOMETRIC: { level: 'normal', group: 'biometric', added: 28, risk: 'LOW' },
+    USE_FINGERPRINT: { level: 'normal', group: 'biometric', added: 23, deprecated: 28, risk: 'LOW' },
+};
+
+// Namespace of the core Android permissions
+const ANDROID_PREFIX = 'android.permission.';
+
+// Helper: Catalog name of a full permission name (namespaced names are kept whole)
+const catalogNameOf = (permission) => (permission.startsWith(ANDROID_PREFIX)
+    ? permission.slice(ANDROID_PREFIX.length)
+    : permission);
+
+// Helper: App or vendor that declares a custom permission (name before ".permission.", else before the last dot)
+const ownerOf = (permission) => {
+    const marker = permission.indexOf('.permission.');
+    if (marker > 0) return permission.slice(0, marker);
+    const lastDot = permission.lastIndexOf('.');
+    return lastDot > 0 ? permission.slice(0, lastDot) : null;
+};
+
+/**
+ * Catalog information for a permission
+ * Permissions the catalog does not describe (newer Android releases, device makers, custom app
+ * permissions) still get an entry: `known` is false and describePermission() says what is unknown.
+ * @param {string} permission - Full permission name (e.g. "android.permission.CAMERA")
+ * @returns {Object} - { permission, shortName, known, custom, owner, protectionLevel, group, icon,
+ *   addedIn, deprecatedIn, messageId, abuse, riskRating } where messageId and abuse are message keys
+ */
+export const getPermissionInfo = (permission) => {
+    const shortName = permission.split('.').pop();
+    const name = catalogNameOf(permission);
+    const entry = CATALOG[name];
+
+    if (entry) {
+        const group = PERMISSION_GROUPS[entry.group];
+        return {
+            permission,
+            shortName,
+            known: true,
+            custom: false,
+            owner: null,
+            protectionLevel: entry.level,
+            group: entry.group,
+            icon: group.icon,
+            addedIn: entry.added,
+            deprecatedIn: entry.deprecated || null,
+            messageId: name.replace(/\./g, '_'),
+            abuse: entry.abuse || group.abuse,
+            riskRating: entry.risk,
+        };
+    }
+
+    const custom = !permission.startsWith(ANDROID_PREFIX);
+    return {
+        permission,
+        shortName,
+        known: false,
+        custom,
+        owner: custom ? ownerOf(permission) : null,
+        protectionLevel: 'unknown',
+        group: 'other',
+        icon: PERMISSION_GROUPS.other.icon,
+        addedIn: null,
+        deprecatedIn: null,
+        messageId: null,
+        abuse: [],
+        riskRating: null,
+    };
+};
+
+/**
+ * Texts of a catalog entry in the current language
+ * @param {Object} info - getPermissionInfo() result or enrichPermission() entry
+ * @param {Function} t - Translate function of useTranslation() or getTranslator()
+ * @returns {Object} - { summary, explanation, protectionLabel, protectionText, groupLabel, abuse }; groupLabel
+ *   is the engine's category for Android permissions the catalog does not know
+ */
+export const describePermission = (info, t) => {
+    const level = `permissionCatalog.levels.${info.protectionLevel || 'unknown'}`;
+    const texts = {
+        protectionLabel: t(`${level}.label`),
+        protectionText: t(`${level}.text`),
+        abuse: (info.abuse || []).map((key) => t(`permissionCatalog.abuse.${key}`)),
+    };
+
+    if (info.known) {
+        return {
+            ...texts,
+            summary: t(`permissionCatalog.permissions.${info.messageId}.summary`),
+            explanation: t(`permissionCatalog.permissions.${info.messageId}.text`),
+            groupLabel: t(`permissionCatalog.groups.${info.group}`),
+        };
+    }
+    if (info.custom) {
+        return {
+            ...texts,
+            summary: info.owner
+                ? t('permissionCatalog.custom.summary', { owner: info.owner })
+                : t('permissionCatalog.custom.summaryNoOwner'),
+            explanation: t('permissionCatalog.custom.explanation', {
+                owner: info.owner || t('permissionCatalog.custom.anotherApp'),
+            }),
+            groupLabel: t('permissionCatalog.groups.custom'),
+        };
+    }
+    return {
+        ...texts,
+        summary: t('permissionCatalog.unknown.summary'),
+        explanation: t('permissionCatalog.unknown.explanation'),
+        groupLabel: info.category || t('permissionCatalog.groups.other'),
+    };
+};
+
+/**
+ * Enrich a getDetailedPermissions entry with the catalog
+ * The engine's `riskLevel` is kept as is (it is what the heuristic score counts); `riskRating` is the
+ * catalog rating, or the engine's level for permissions the catalog does not know.
+ * @param {Object} perm - { permission, shortName, riskLevel, category, description, icon }
+ * @returns {Object} - perm with the getPermissionInfo() fields; the icon comes from the catalog, the
+ *   texts from describePermission() when the entry is shown
+ */
+export const enrichPermission = (perm) => {
+    const info = getPermissionInfo(perm.permission);
+    return {
+        ...perm,
+        ...info,
+        riskRating: info.riskRating || perm.riskLevel,
+    };
+};
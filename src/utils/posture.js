@@ -0,0 +1,152 @@
+// Android Sandbox - Device Posture
+// Summarizes the analyzed app list into device-wide counts and a single device score
+
+import { RISK_LEVELS, DATA_SOURCES } from './constants';
+
+// Number of apps listed as the riskiest
+const TOP_RISKY_COUNT = 5;
+
+// Device score lost per HIGH risk app, on top of the average app risk
+const HIGH_RISK_PENALTY = 5;
+
+// Target SDKs below this are flagged as outdated (same threshold as ThreatScoringEngine)
+const MIN_CURRENT_TARGET_SDK = 29;
+
+// App findings counted on the dashboard (labels are `posture.flags.<key>` messages). analyzeApp's
+// `isOutdated` means "not updated in two years", so the outdated-SDK finding is derived from `targetSdk` instead.
+export const POSTURE_FLAGS = {
+    sideloaded: { test: (app) => Boolean(app.isSideloaded) },
+    debuggable: { test: (app) => Boolean(app.isDebuggable) },
+    outdatedSdk: { test: (app) => app.targetSdk > 0 && app.targetSdk < MIN_CURRENT_TARGET_SDK },
+};
+
+/**
+ * Posture filter types; a filter is { type, value }
+ * - risk: value is a RISK_LEVELS entry
+ * - action: value is an action string as returned by analyzeApp
+ * - flag: value is a key of POSTURE_FLAGS
+ */
+export const POSTURE_FILTER_TYPES = {
+    RISK: 'risk',
+    ACTION: 'action',
+    FLAG: 'flag',
+};
+
+// Helper: Apps with a real verdict (failed analyses carry no risk fields)
+const isAnalyzed = (app) => app.source !== DATA_SOURCES.ERROR;
+
+// Helper: Clamp an app risk score to 0-100
+const clampScore = (score) => Math.min(100, Math.max(0, score || 0));
+
+/**
+ * Compute the device posture from analyzed apps
+ *
+ * The device score starts from 100 minus the average app risk score (each
+ * clamped to 0-100) and loses a fixed penalty for every HIGH risk app, so a
+ * single dangerous app is never averaged away by many harmless ones. Risk
+ * and action counts use each app's final verdict (its `risk` and `action`).
+ *
+ * @param {Array} apps - Results from getRecentFiles()
+ * @returns {Object} - { total, analyzedCount, failedCount, riskCounts, actionCounts,
+ *   flagCounts, topRisky, deviceScore } (deviceScore is null when nothing was analyzed)
+ */
+export const computePosture = (apps) => {
+    const analyzed = apps.filter(isAnalyzed);
+
+    const riskCounts = { [RISK_LEVELS.HIGH]: 0, [RISK_LEVELS.MEDIUM]: 0, [RISK_LEVELS.LOW]: 0 };
+    const actionCounts = {};
+    const flagCounts = {};
+    Object.keys(POSTURE_FLAGS).forEach((flag) => {
+        flagCounts[flag] = 0;
+    });
+
+    analyzed.forEach((app) => {
+        if (app.risk in riskCounts) {
+            riskCounts[app.risk] += 1;
+        }
+        if (app.action) {
+            actionCounts[app.action] = (actionCounts[app.action] || 0) + 1;
+        }
+        Object.keys(POSTURE_FLAGS).forEach((flag) => {
+            if (POSTURE_FLAGS[flag].test(app)) {
+                flagCounts[flag] += 1;
+            }
+        });
+    });
+
+    const topRisky = analyzed
+        .filter((app) => app.riskScore > 0)
+        .sort((a, b) => b.riskScore - a.riskScore)
+        .slice(0, TOP_RISKY_COUNT);
+
+    let deviceScore = null;
+    if (analyzed.length > 0) {
+        const averageRisk = analyzed.reduce((sum, app) => sum + clampScore(app.riskScore), 0) / analyzed.length;
+        const penalty = riskCounts[RISK_LEVELS.HIGH] * HIGH_RISK_PENALTY;
+        deviceScore = Math.max(0, Math.round(100 - averageRisk - penalty));
+    }
+
+    return {
+        total: apps.length,
+        analyzedCount: analyzed.length,
+        failedCount: apps.length - analyzed.length,
+        riskCounts,
+        actionCounts,
+        flagCounts,
+        topRisky,
+        deviceScore,
+    };
+};
+
+/**
+ * Get the risk level matching a device score
+ * @param {number} score - Device score (0-100)
+ * @returns {string} - RISK_LEVELS entry
+ */
+export const deviceScoreRisk = (score) => {
+    if (score >= 80) return RISK_LEVELS.LOW;
+    if (score >= 50) return RISK_LEVELS.MEDIUM;
+    return RISK_LEVELS.HIGH;
+};
+
+/**
+ * Apply a posture filter to the app list
+ * @param {Array} apps - Results from getRecentFiles()
+ * @param {Object} filter - { type, value } (see POSTURE_FILTER_TYPES)
+ * @returns {Array} - Matching apps, riskiest first
+ */
+export const filterAppsByPosture = (apps, { type, value }) => {
+    const matches = apps.filter((app) => {
+        if (!isAnalyzed(app)) return false;
+        switch (type) {
+            case POSTURE_FILTER_TYPES.RISK:
+                return app.risk === value;
+            case POSTURE_FILTER_TYPES.ACTION:
+                return app.action === value;
+            case POSTURE_FILTER_TYPES.FLAG:
+                return POSTURE_FLAGS[value].test(app);
+            default:
+                return true;
+        }
+    });
+    return matches.sort((a, b) => (b.riskScore || 0) - (a.riskScore || 0));
+};
+
+/**
+ * Human-readable title of a posture filter
+ * @param {Object} filter - { type, value }
+ * @param {Function} t - Translate function of useTranslation()
+ * @returns {string}
+ */
+export const describePostureFilter = ({ type, value }, t) => {
+    switch (type) {
+        case POSTURE_FILTER_TYPES.RISK:
+            return t(`posture.riskApps.${value}`, { defaultValue: t('posture.allApps') });
+        case POSTURE_FILTER_TYPES.ACTION:
+            return t('posture.actionApps', { action: t(`action.${value}`, { defaultValue: value }) });
+        case POSTURE_FILTER_TYPES.FLAG:
+            return t('posture.flagApps', { flag: t(`posture.flags.${value}`) });
+        default:
+            return t('posture.allApps');
+    }
+};
@@ -0,0 +1,52 @@
+// Android Sandbox - Rescan Summary
+// Compares a full-device rescan with the verdicts stored before it
+
+import { RISK_LEVELS } from './constants';
+
+/**
+ * Summarize a full-device rescan
+ * Every app appears in at most one list: an app that is HIGH now and was not before (or was never
+ * scanned) is a new high-risk app, any other changed verdict is a verdict change. Verdicts are the
+ * stored risk levels with the current overrides, as shown in History.
+ * @param {Object} params
+ * @param {Array} params.results - runBatchDeepScan() results
+ * @param {Object} params.previousScans - getLastScansByPackage() taken before the rescan
+ * @param {Array} params.previousApps - { packageName, appName } installed at the previous rescan ([] on the first one)
+ * @returns {Object} - { newHighRisk, changed, disappeared, scannedCount, failedCount }; new and changed
+ *   apps are { packageName, appName, scanId, risk, previousRisk }
+ */
+export const buildRescanSummary = ({ results, previousScans, previousApps = [] }) => {
+    const newHighRisk = [];
+    const changed = [];
+    let failedCount = 0;
+
+    results.forEach(({ app, status, scan }) => {
+        if (status !== 'done') {
+            failedCount += 1;
+            return;
+        }
+        const { entry } = scan;
+        const previousRisk = previousScans[app.packageName]?.risk ?? null;
+        const item = {
+            packageName: app.packageName,
+            appName: entry.fileName,
+            scanId: entry.id,
+            risk: entry.risk,
+            previousRisk,
+        };
+        if (entry.risk === RISK_LEVELS.HIGH && previousRisk !== RISK_LEVELS.HIGH) {
+            newHighRisk.push(item);
+        } else if (previousRisk && previousRisk !== entry.risk) {
+            changed.push(item);
+        }
+    });
+
+    const listed = new Set(results.map(({ app }) => app.packageName));
+    return {
+        newHighRisk,
+        changed,
+        disappeared: previousApps.filter(({ packageName }) => !listed.has(packageName)),
+        scannedCount: results.length - failedCount,
+        failedCount,
+    };
+};
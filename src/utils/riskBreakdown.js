@@ -0,0 +1,215 @@
+// Android Sandbox - Risk Breakdown
+// Turns an analyzeApp riskBreakdown into a points waterfall and explains each factor and the app category
+
+import { getSdkSecurityNotes } from './androidSdk';
+
+// Sensitive permission groups (riskBreakdown.permissionGroups keys) and the app categories they are
+// expected in (mirrors ThreatScoringEngine.isPermissionContextuallyAppropriate)
+const CONTEXT_PERMISSIONS = [
+    { group: 'camera', categories: ['camera', 'social', 'communication', 'messaging', 'browser', 'productivity'] },
+    { group: 'microphone', categories: ['camera', 'communication', 'social', 'browser', 'entertainment'] },
+    { group: 'location', categories: ['location', 'social', 'communication', 'browser', 'shopping'] },
+    { group: 'contacts', categories: ['messaging', 'social', 'communication'] },
+    { group: 'sms', categories: ['messaging'] },
+    { group: 'callLog', categories: ['communication'] },
+    { group: 'storage', categories: ['camera', 'productivity', 'browser', 'entertainment'] },
+];
+
+// Suspicious combos and the categories exempt from them (ThreatScoringEngine.detectSuspiciousCombos)
+const COMBO_EXEMPTIONS = [
+    { label: 'SMS + Internet', categories: ['messaging'] },
+    { label: 'Contacts + SMS + Internet', categories: ['messaging', 'social'] },
+    { label: 'Call Log + SMS + Internet', categories: ['communication'] },
+    { label: 'Camera + Microphone + Location + Contacts', categories: ['social', 'communication'] },
+];
+
+// Categories ThreatScoringEngine.inferAppCategory assigns; labels and name hints are in riskBreakdown.categories
+const APP_CATEGORIES = [
+    'camera',
+    'messaging',
+    'social',
+    'communication',
+    'location',
+    'game',
+    'utility',
+    'browser',
+    'productivity',
+    'entertainment',
+    'shopping',
+    'finance',
+];
+
+// Explanations of factors by category (riskBreakdown.factors keys); `match` picks a specific one by description
+const FACTOR_EXPLANATIONS = {
+    Trusted: [{ key: 'trusted' }],
+    Trust: [{ key: 'playStore' }],
+    Installation: [
+        { match: 'third-party', key: 'thirdPartyStore' },
+        { key: 'sideloaded' },
+    ],
+    Build: [
+        { match: 'debuggable', key: 'debuggable' },
+        { key: 'testOnly' },
+    ],
+    Maintenance: [{ key: 'outdated' }],
+    Runtime: [
+        { match: 'Accessibility', key: 'accessibility' },
+        { match: 'overlay', key: 'overlay' },
+        { match: 'boot', key: 'bootStart' },
+        { match: 'services', key: 'services' },
+    ],
+};
+
+// Helper: Translated permission groups that count as expected for a category
+const expectedGroupsOf = (category, t) => CONTEXT_PERMISSIONS
+    .filter(({ categories }) => categories.includes(category))
+    .map(({ group }) => t(`riskBreakdown.permissionGroups.${group}`));
+
+// Helper: Translated label of a known category
+const categoryLabel = (category, t) => t(`riskBreakdown.categories.${category}.label`);
+
+/**
+ * Points waterfall of an analyzeApp result: each factor as a step from the running total
+ *
+ * The engine scores permissions that fit the app's category without listing them as factors,
+ * and caps the score at 100; both show up as extra steps so the steps always end at riskScore.
+ *
+ * @param {Object} result - analyzeApp result (riskBreakdown, riskScore)
+ * @param {Function} t - Translate function of useTranslation(), for the steps the engine does not report
+ * @returns {Object} - { steps: [{ key, kind ('factor'|'unitemized'|'adjustment'), category, description, points, start, end, factor }], total, scale }
+ */
+export const buildRiskWaterfall = (result, t) => {
+    const factors = result.riskBreakdown || [];
+    const total = typeof result.riskScore === 'number' ? result.riskScore : 0;
+    const listed = factors.reduce((sum, factor) => sum + factor.points, 0);
+
+    const entries = [];
+    if (total > listed) {
+        entries.push({
+            key: 'unitemized',
+            kind: 'unitemized',
+            category: t('riskBreakdown.steps.permission'),
+            description: t('riskBreakdown.steps.unitemized'),
+            points: total - listed,
+        });
+    }
+    factors.forEach((factor, index) => entries.push({
+        key: `factor-${index}`,
+        kind: 'factor',
+        category: factor.category,
+        description: factor.description,
+        points: factor.points,
+        factor,
+    }));
+    if (total < listed) {
+        entries.push({
+            key: 'adjustment',
+            kind: 'adjustment',
+            category: t('riskBreakdown.steps.score'),
+            description: t(total === 100 ? 'riskBreakdown.steps.capped' : 'riskBreakdown.steps.adjusted'),
+            points: total - listed,
+        });
+    }
+
+    let running = 0;
+    let peak = 0;
+    const steps = entries.map((entry) => {
+        const start = running;
+        running += entry.points;
+        peak = Math.max(peak, start, running);
+        return { ...entry, start, end: running };
+    });
+
+    return { steps, total, scale: Math.max(100, peak) };
+};
+
+/**
+ * Detailed explanation of a waterfall step
+ * @param {Object} step - buildRiskWaterfall() step
+ * @param {Object} result - analyzeApp result (appCategory, targetSdk)
+ * @param {Function} t - Translate function of useTranslation()
+ * @returns {Object} - { text, notes } where notes is a list of extra lines
+ */
+export const explainRiskFactor = (step, result, t) => {
+    const category = (result.appCategory || 'unknown').toLowerCase();
+    const categoryName = APP_CATEGORIES.includes(category)
+        ? categoryLabel(category, t).toLocaleLowerCase()
+        : t('riskBreakdown.categories.uncategorized');
+
+    switch (step.kind === 'factor' ? step.category : step.kind) {
+        case 'unitemized':
+            return { text: t('riskBreakdown.factors.unitemized', { category: categoryName }), notes: [] };
+        case 'adjustment':
+            return { text: t('riskBreakdown.factors.adjustment'), notes: [] };
+        case 'Permission': {
+            const permission = step.description.split(' ')[0];
+            const expected = expectedGroupsOf(category, t);
+            return {
+                text: t('riskBreakdown.factors.permission', { permission, category: categoryName }),
+                notes: [expected.length > 0
+                    ? t('riskBreakdown.factors.expectedFor', { category: categoryName, permissions: expected.join(', ') })
+                    : t('riskBreakdown.factors.nothingExpected')],
+            };
+        }
+        case 'Suspicious Combo':
+            return {
+                text: t('riskBreakdown.factors.suspiciousCombo'),
+                notes: COMBO_EXEMPTIONS
+                    .filter((combo) => step.description.startsWith(combo.label))
+                    .map((combo) => t('riskBreakdown.factors.comboExempt', {
+                        categories: combo.categories.map((c) => categoryLabel(c, t)).join(t('riskBreakdown.factors.or')),
+                    })),
+            };
+        case 'Platform':
+            return {
+                text: t('riskBreakdown.factors.oldTargetSdk'),
+                notes: getSdkSecurityNotes(null, result.targetSdk)
+                    .filter((note) => note.level === 'warning')
+                    .map((note) => note.text),
+            };
+        default: {
+            const options = FACTOR_EXPLANATIONS[step.category] || [];
+            const explanation = options.find((option) => !option.match || step.description.includes(option.match));
+            return {
+                text: explanation
+                    ? t(`riskBreakdown.factors.${explanation.key}`)
+                    : t('riskBreakdown.factors.other', { category: step.category }),
+                notes: [],
+            };
+        }
+    }
+};
+
+/**
+ * What the app category inferred by the engine means for the score
+ * @param {string} appCategory - analyzeApp appCategory
+ * @param {Function} t - Translate function of useTranslation()
+ * @returns {Object} - { label, known, text, expected, exemptCombos }
+ */
+export const describeAppCategory = (appCategory, t) => {
+    const category = (appCategory || 'unknown').toLowerCase();
+    const expected = expectedGroupsOf(category, t);
+    const exemptCombos = COMBO_EXEMPTIONS
+        .filter((combo) => combo.categories.includes(category))
+        .map((combo) => combo.label);
+
+    if (!APP_CATEGORIES.includes(category)) {
+        const named = Boolean(appCategory) && category !== 'unknown';
+        return {
+            label: named ? appCategory : t('riskBreakdown.categories.unknown'),
+            known: false,
+            text: named
+                ? t('riskBreakdown.categoryText.unsupported', { category: appCategory })
+                : t('riskBreakdown.categoryText.unknown'),
+            expected,
+            exemptCombos,
+        };
+    }
+    return {
+        label: categoryLabel(category, t),
+        known: true,
+        text: t('riskBreakdown.categoryText.known', { hints: t(`riskBreakdown.categories.${category}.hints`) }),
+        expected,
+        exemptCombos,
+    };
+};
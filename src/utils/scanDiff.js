@@ -0,0 +1,156 @@
+// Android Sandbox - Scan Diff
+// Compares two stored scans of the same app and lists security-relevant changes
+
+// Order used to decide whether a risk level moved up or down
+const RISK_ORDER = { LOW: 0, MEDIUM: 1, HIGH: 2 };
+
+// ML confidence movement (0-1) below this is treated as noise
+const ML_CONFIDENCE_THRESHOLD = 0.05;
+
+// Helper: Installer from analyzeApp flags (scanDiff.installers message key)
+const installerOf = (heuristic) => {
+    if (heuristic.isFromPlayStore) return 'playStore';
+    if (heuristic.isSideloaded) return 'sideloaded';
+    return 'other';
+};
+
+// Helper: Label message of a change (scanDiff.changes message key and its params)
+const label = (key, params = {}) => ({ key: `scanDiff.changes.${key}`, params });
+
+// Helper: Build one change record
+const change = (field, kind, changeLabel, before, after, impact) => ({ field, kind, label: changeLabel, before, after, impact });
+
+// Helper: Items present in one list but not the other
+const listDelta = (before = [], after = []) => ({
+    added: after.filter((item) => !before.includes(item)),
+    removed: before.filter((item) => !after.includes(item)),
+});
+
+// Helper: Short name of a permission (last segment)
+const shortName = (permission) => permission.substring(permission.lastIndexOf('.') + 1);
+
+// Helper: Diff riskBreakdown factors, keyed by category and description
+const diffBreakdown = (before, after) => {
+    const changes = [];
+    const key = (factor) => `${factor.category}: ${factor.description}`;
+    const beforeMap = new Map(before.map((factor) => [key(factor), factor.points]));
+    const afterMap = new Map(after.map((factor) => [key(factor), factor.points]));
+
+    afterMap.forEach((points, name) => {
+        if (!beforeMap.has(name)) {
+            changes.push(change('riskBreakdown', 'added', label('factorAdded', { factor: name }), null, points, points > 0 ? 'worse' : 'better'));
+        } else if (beforeMap.get(name) !== points) {
+            const previous = beforeMap.get(name);
+            changes.push(change('riskBreakdown', 'changed', label('factorChanged', { factor: name }), previous, points, points > previous ? 'worse' : 'better'));
+        }
+    });
+    beforeMap.forEach((points, name) => {
+        if (!afterMap.has(name)) {
+            changes.push(change('riskBreakdown', 'removed', label('factorRemoved', { factor: name }), points, null, points > 0 ? 'better' : 'worse'));
+        }
+    });
+    return changes;
+};
+
+/**
+ * Text of a change label
+ * @param {Object} changeLabel - `label` of a change ({ key, params })
+ * @param {Object} translator - useTranslation() or getTranslator() result ({ t })
+ * @returns {string}
+ */
+export const formatChangeLabel = ({ key, params }, { t }) => t(key, {
+    ...params,
+    prediction: params.prediction && t(`scan.ml.classes.${params.prediction}`, { defaultValue: params.prediction }),
+});
+
+/**
+ * Compare two stored scans of the same app
+ *
+ * Each change is { field, kind ('added'|'removed'|'changed'), label, before, after,
+ * impact ('worse'|'better'|'neutral') } where label is a { key, params } message for
+ * formatChangeLabel() and installer values are scanDiff.installers keys. Data missing
+ * from either scan (e.g. a failed ML engine or permission lookup) is skipped rather
+ * than reported as removed.
+ *
+ * @param {Object|null} previous - Older history entry, or null for a first scan
+ * @param {Object} current - Newer history entry
+ * @returns {Object} - { isFirstScan, previousScannedAt, currentScannedAt, changes }
+ */
+export const diffScans = (previous, current) => {
+    const result = {
+        isFirstScan: !previous,
+        previousScannedAt: previous ? previous.scannedAt : null,
+        currentScannedAt: current.scannedAt,
+        changes: [],
+    };
+    if (!previous) {
+        return result;
+    }
+
+    const changes = result.changes;
+    const before = previous.engines?.heuristic || {};
+    const after = current.engines?.heuristic || {};
+
+    // APK binary
+    if (previous.hash && current.hash && previous.hash !== current.hash) {
+        changes.push(change('hash', 'changed', label('hash'), previous.hash, current.hash, 'neutral'));
+    }
+
+    // Overall verdict
+    if (before.risk && after.risk && before.risk !== after.risk) {
+        const impact = RISK_ORDER[after.risk] > RISK_ORDER[before.risk] ? 'worse' : 'better';
+        changes.push(change('risk', 'changed', label('risk'), before.risk, after.risk, impact));
+    }
+    if (before.riskScore != null && after.riskScore != null && before.riskScore !== after.riskScore) {
+        changes.push(change('riskScore', 'changed', label('riskScore'), before.riskScore, after.riskScore,
+            after.riskScore > before.riskScore ? 'worse' : 'better'));
+    }
+
+    // Permissions
+    if (Array.isArray(previous.permissions) && Array.isArray(current.permissions)) {
+        const { added, removed } = listDelta(previous.permissions, current.permissions);
+        added.forEach((perm) => changes.push(change('permissions', 'added', label('permissionAdded', { permission: shortName(perm) }), null, perm, 'worse')));
+        removed.forEach((perm) => changes.push(change('permissions', 'removed', label('permissionRemoved', { permission: shortName(perm) }), perm, null, 'better')));
+    }
+
+    // Platform and install flags
+    if (before.targetSdk && after.targetSdk && before.targetSdk !== after.targetSdk) {
+        changes.push(change('targetSdk', 'changed', label('targetSdk'), before.targetSdk, after.targetSdk,
+            after.targetSdk < before.targetSdk ? 'worse' : 'better'));
+    }
+    if (before.isFromPlayStore !== undefined && after.isFromPlayStore !== undefined
+        && installerOf(before) !== installerOf(after)) {
+        changes.push(change('installer', 'changed', label('installer'), installerOf(before), installerOf(after),
+            installerOf(after) === 'playStore' ? 'better' : 'worse'));
+    }
+    if (before.isDebuggable !== undefined && after.isDebuggable !== undefined && before.isDebuggable !== after.isDebuggable) {
+        changes.push(change('isDebuggable', 'changed', label(after.isDebuggable ? 'nowDebuggable' : 'noLongerDebuggable'),
+            before.isDebuggable, after.isDebuggable, after.isDebuggable ? 'worse' : 'better'));
+    }
+
+    // Risk factors (fall back to the flat indicator list when no breakdown is stored)
+    if (Array.isArray(before.riskBreakdown) && Array.isArray(after.riskBreakdown)) {
+        changes.push(...diffBreakdown(before.riskBreakdown, after.riskBreakdown));
+    } else if (Array.isArray(before.riskIndicators) && Array.isArray(after.riskIndicators)) {
+        const { added, removed } = listDelta(before.riskIndicators, after.riskIndicators);
+        added.forEach((ind) => changes.push(change('riskIndicators', 'added', label('indicatorAdded', { indicator: ind }), null, ind, 'worse')));
+        removed.forEach((ind) => changes.push(change('riskIndicators', 'removed', label('indicatorRemoved', { indicator: ind }), ind, null, 'better')));
+    }
+
+    // ML verdict
+    const mlBefore = previous.engines?.ml;
+    const mlAfter = current.engines?.ml;
+    if (mlBefore?.prediction && mlAfter?.prediction) {
+        if (mlBefore.prediction !== mlAfter.prediction) {
+            changes.push(change('mlPrediction', 'changed', label('mlPrediction'), mlBefore.prediction, mlAfter.prediction,
+                mlAfter.isBenign ? 'better' : 'worse'));
+        } else if (Math.abs(mlAfter.confidence - mlBefore.confidence) >= ML_CONFIDENCE_THRESHOLD) {
+            const moreConfident = mlAfter.confidence > mlBefore.confidence;
+            changes.push(change('mlConfidence', 'changed', label(moreConfident ? 'mlConfidenceRose' : 'mlConfidenceFell', { prediction: mlAfter.prediction }),
+                mlBefore.confidence, mlAfter.confidence,
+                moreConfident === Boolean(mlAfter.isBenign) ? 'better' : 'worse'));
+        }
+    }
+
+    return result;
+};
@@ -0,0 +1,330 @@
+// Android Sandbox - Scoring Policy
+// Combines the heuristic, malware and ML engine results into the final risk, action and rationale
+
+import { RISK_LEVELS, ACTION_STATUS, ENGINE_ACTIONS } from './constants';
+
+// Risk levels from lowest to highest
+const RISK_ORDER = [RISK_LEVELS.LOW, RISK_LEVELS.MEDIUM, RISK_LEVELS.HIGH];
+
+// Input engines in the order they are weighted and reported
+export const POLICY_INPUTS = [
+    { key: 'heuristic', label: 'Heuristic risk score', engine: 'heuristic' },
+    { key: 'malware', label: 'Malware threat score', engine: 'malware' },
+    { key: 'ml', label: 'ML malicious probability', engine: 'ML' },
+];
+
+// Switchable rules, applied in this order after the weighted score
+export const POLICY_RULES = [
+    { key: 'suspiciousComboHigh', label: 'Suspicious combos and debuggable sideloaded builds force HIGH' },
+    { key: 'malwareThreatHigh', label: 'Malware THREAT level forces HIGH' },
+    { key: 'playStoreCap', label: 'Play Store apps are capped at MEDIUM, without the floors above' },
+    { key: 'trustedPublisherLow', label: 'Trusted publishers are LOW' },
+    { key: 'mlEscalation', label: 'A malicious ML verdict raises the risk' },
+    { key: 'blockHighRisk', label: 'HIGH risk apps are BLOCKED' },
+];
+
+// Policy that reproduces the native engine verdict (heuristic thresholds 45/20, ML escalation at 60%/40%)
+const ENGINE_POLICY = {
+    weights: { heuristic: 1, malware: 0, ml: 0 },
+    thresholds: { high: 45, medium: 20 },
+    mlConfidence: { strong: 0.6, weak: 0.4 },
+    rules: {
+        suspiciousComboHigh: true,
+        malwareThreatHigh: false,
+        playStoreCap: true,
+        trustedPublisherLow: true,
+        mlEscalation: true,
+        blockHighRisk: false,
+    },
+};
+
+export const CUSTOM_PRESET = 'custom';
+
+export const SCORING_PRESETS = {
+    engine: {
+        label: 'Engine Default',
+        description: 'Heuristic score with the native engine rules; a malicious ML verdict raises the risk',
+        policy: ENGINE_POLICY,
+    },
+    balanced: {
+        label: 'Balanced',
+        description: 'Heuristic, malware and ML scores all count towards the final score',
+        policy: {
+            ...ENGINE_POLICY,
+            weights: { heuristic: 0.5, malware: 0.25, ml: 0.25 },
+            rules: { ...ENGINE_POLICY.rules, malwareThreatHigh: true },
+        },
+    },
+    strict: {
+        label: 'Strict',
+        description: 'Lower thresholds, no Play Store leniency, and HIGH risk apps are blocked',
+        policy: {
+            weights: { heuristic: 0.4, malware: 0.3, ml: 0.3 },
+            thresholds: { high: 35, medium: 15 },
+            mlConfidence: { strong: 0.5, weak: 0.3 },
+            rules: {
+                suspiciousComboHigh: true,
+                malwareThreatHigh: true,
+                playStoreCap: false,
+                trustedPublisherLow: true,
+                mlEscalation: true,
+                blockHighRisk: true,
+            },
+        },
+    },
+    lenient: {
+        label: 'Lenient',
+        description: 'Higher thresholds; only a very confident ML verdict raises the risk',
+        policy: {
+            ...ENGINE_POLICY,
+            thresholds: { high: 60, medium: 30 },
+            mlConfidence: { strong: 0.8, weak: 0.6 },
+        },
+    },
+};
+
+// Helper: Clamp a number into [min, max]
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Helper: Risk level one step above `risk`
+const raiseRisk = (risk) => RISK_ORDER[Math.min(RISK_ORDER.indexOf(risk) + 1, RISK_ORDER.length - 1)];
+
+// Helper: Whole percentage of a 0-1 value
+const percent = (value) => Math.round(value * 100);
+
+// Helper: Message of the rationale or of an input result, translated by formatVerdictMessage()
+const message = (key, params = {}) => ({ key, params });
+
+// Helper: Whether the heuristic result has a Suspicious Combo factor (breakdown, or indicators of older results)
+const hasSuspiciousCombo = (heuristic) => (heuristic.riskBreakdown
+    ? heuristic.riskBreakdown.some((factor) => factor.category === 'Suspicious Combo')
+    : (heuristic.riskIndicators || []).some((indicator) => indicator.startsWith('Suspicious Combo:')));
+
+// Helper: Whether the engine forces HIGH (its forceHigh flag: a suspicious combo, or a debuggable build
+// that is sideloaded or has a combo); results from before the flag fall back to the combo factors
+const isForcedHigh = (heuristic) => (typeof heuristic.forceHigh === 'boolean'
+    ? heuristic.forceHigh
+    : hasSuspiciousCombo(heuristic));
+
+// Helper: Probability (0-1) that the ML model assigns to the malicious class
+const mlMaliciousProbability = (ml) => {
+    if (typeof ml.probabilities?.Malicious === 'number') return ml.probabilities.Malicious;
+    const confidence = ml.confidence || 0;
+    return ml.prediction === 'Malicious' ? confidence : 1 - confidence;
+};
+
+// Helper: Normalized 0-100 score of every input engine, or null when it has no result
+const normalizeInputs = ({ heuristic, malware, ml }, policy) => {
+    let heuristicScore = null;
+    if (heuristic) {
+        // Results without a score (e.g. mock data) stand in with the threshold of their level
+        heuristicScore = typeof heuristic.riskScore === 'number'
+            ? { value: clamp(heuristic.riskScore, 0, 100), raw: message('verdict.raw.heuristicScore', { score: heuristic.riskScore }) }
+            : {
+                value: heuristic.risk === RISK_LEVELS.HIGH ? policy.thresholds.high
+                    : heuristic.risk === RISK_LEVELS.MEDIUM ? policy.thresholds.medium : 0,
+                raw: message('verdict.raw.heuristicLevel', { risk: heuristic.risk }),
+            };
+    }
+    return {
+        heuristic: heuristicScore,
+        malware: malware && typeof malware.threatScore === 'number'
+            ? {
+                value: clamp(malware.threatScore, 0, 100),
+                raw: message('verdict.raw.malwareScore', { score: malware.threatScore, threatLevel: malware.threatLevel }),
+            }
+            : null,
+        ml: ml?.prediction
+            ? {
+                value: Math.round(mlMaliciousProbability(ml) * 100),
+                raw: message('verdict.raw.mlPrediction', { prediction: ml.prediction, confidence: percent(ml.confidence || 0) }),
+            }
+            : null,
+    };
+};
+
+/**
+ * Policy selected in settings
+ * @param {Object} settings - Settings (scoringPreset, customScoringPolicy)
+ * @returns {Object} - Policy with its `preset` key and `label`
+ */
+export const resolveScoringPolicy = (settings) => {
+    if (settings.scoringPreset === CUSTOM_PRESET && settings.customScoringPolicy) {
+        return { ...settings.customScoringPolicy, preset: CUSTOM_PRESET, label: 'Custom' };
+    }
+    const preset = SCORING_PRESETS[settings.scoringPreset] ? settings.scoringPreset : 'engine';
+    return { ...SCORING_PRESETS[preset].policy, preset, label: SCORING_PRESETS[preset].label };
+};
+
+/**
+ * Text of a verdict message: an input `raw` result or a step `detail`
+ * Risk levels, malware threat levels, ML classes and engines in the params are translated too.
+ * @param {Object} verdictMessage - { key, params }
+ * @param {Object} translator - useTranslation() or getTranslator() result ({ t, formatRisk })
+ * @returns {string}
+ */
+export const formatVerdictMessage = ({ key, params }, { t, formatRisk }) => t(key, {
+    ...params,
+    risk: params.risk && formatRisk(params.risk),
+    threatLevel: params.threatLevel && t(`scan.threat.levels.${params.threatLevel}`, { defaultValue: params.threatLevel }),
+    prediction: params.prediction && t(`scan.ml.classes.${params.prediction}`, { defaultValue: params.prediction }),
+    engines: params.engines && params.engines.map((engine) => t(`scoring.engines.${engine}`)).join(', '),
+});
+
+/**
+ * Problems that make a policy unusable
+ * @param {Object} policy - Policy to check
+ * @returns {Array<string>} - Message keys of the problems; empty when the policy is valid
+ */
+export const getPolicyProblems = (policy) => {
+    const problems = [];
+    const weights = POLICY_INPUTS.map(({ key }) => policy.weights[key]);
+    if (weights.some((weight) => !Number.isFinite(weight) || weight < 0)) {
+        problems.push('scoring.problems.weightsInvalid');
+    } else if (weights.every((weight) => weight === 0)) {
+        problems.push('scoring.problems.weightsZero');
+    }
+
+    const { high, medium } = policy.thresholds;
+    if (![high, medium].every((threshold) => Number.isFinite(threshold) && threshold > 0 && threshold <= 100)) {
+        problems.push('scoring.problems.thresholdsInvalid');
+    } else if (medium >= high) {
+        problems.push('scoring.problems.thresholdsOrder');
+    }
+
+    const { strong, weak } = policy.mlConfidence;
+    if (![strong, weak].every((confidence) => Number.isFinite(confidence) && confidence >= 0 && confidence <= 1)) {
+        problems.push('scoring.problems.confidencesInvalid');
+    } else if (weak > strong) {
+        problems.push('scoring.problems.confidencesOrder');
+    }
+    return problems;
+};
+
+/**
+ * Evaluate the final verdict of an app under a scoring policy
+ *
+ * 1. Every available input is normalized to 0-100 (heuristic riskScore,
+ *    malware threatScore, ML malicious probability) and combined as a
+ *    weighted average; inputs without a result are left out
+ * 2. The score is compared with the HIGH/MEDIUM thresholds
+ * 3. The enabled rules adjust the level (engine force-HIGH/threat floors, then the
+ *    Play Store and trusted publisher caps, then ML escalation); with the
+ *    Play Store cap on, Play Store apps skip the floors like in the engine
+ * 4. An analyst override wins: trusted makes it LOW, forceBlock makes it BLOCKED
+ *
+ * @param {Object} inputs - { heuristic, malware, ml } engine results; malware and ml may be null
+ * @param {Object} policy - resolveScoringPolicy() result
+ * @returns {Object} - { risk, action, score, inputs, steps, policy } where steps is the ordered rationale;
+ *   input `raw` results and step `detail`s are { key, params } messages for formatVerdictMessage()
+ */
+export const evaluateVerdict = ({ heuristic, malware, ml }, policy) => {
+    const { weights, thresholds, mlConfidence, rules } = policy;
+    const normalized = normalizeInputs({ heuristic, malware, ml }, policy);
+
+    const inputs = POLICY_INPUTS.map(({ key, label, engine }) => ({
+        key,
+        label,
+        engine,
+        available: Boolean(normalized[key]),
+        raw: normalized[key]?.raw ?? null,
+        value: normalized[key]?.value ?? null,
+        weight: weights[key],
+    }));
+    const weighted = inputs.filter((input) => input.available && input.weight > 0);
+    const totalWeight = weighted.reduce((sum, input) => sum + input.weight, 0);
+    inputs.forEach((input) => {
+        input.contribution = weighted.includes(input) ? (input.value * input.weight) / totalWeight : 0;
+    });
+
+    const steps = [];
+    let score;
+    if (totalWeight > 0) {
+        score = Math.round(weighted.reduce((sum, input) => sum + input.contribution, 0));
+        steps.push({
+            rule: 'score',
+            detail: message('verdict.details.weightedScore', {
+                score,
+                engines: weighted.map((input) => input.key),
+                count: weighted.length,
+            }),
+        });
+    } else {
+        // None of the weighted engines returned a result
+        score = normalized.heuristic?.value ?? 0;
+        steps.push({ rule: 'score', detail: message('verdict.details.noWeightedInput', { score }) });
+    }
+
+    let risk;
+    if (score >= thresholds.high) {
+        risk = RISK_LEVELS.HIGH;
+        steps.push({ rule: 'thresholds', detail: message('verdict.details.aboveHigh', { score, threshold: thresholds.high }), to: risk });
+    } else if (score >= thresholds.medium) {
+        risk = RISK_LEVELS.MEDIUM;
+        steps.push({ rule: 'thresholds', detail: message('verdict.details.aboveMedium', { score, threshold: thresholds.medium }), to: risk });
+    } else {
+        risk = RISK_LEVELS.LOW;
+        steps.push({ rule: 'thresholds', detail: message('verdict.details.belowMedium', { score, threshold: thresholds.medium }), to: risk });
+    }
+
+    // Record a rule that changed the level
+    const applyRule = (rule, next, detail) => {
+        if (next !== risk) {
+            steps.push({ rule, detail, from: risk, to: next });
+            risk = next;
+        }
+    };
+
+    if (heuristic) {
+        // Like the engine, Play Store apps are judged on their score alone
+        const playStoreCapped = rules.playStoreCap && heuristic.isFromPlayStore;
+        if (!playStoreCapped && rules.suspiciousComboHigh && isForcedHigh(heuristic)) {
+            applyRule('suspiciousComboHigh', RISK_LEVELS.HIGH, message(hasSuspiciousCombo(heuristic)
+                ? 'verdict.details.suspiciousCombo'
+                : 'verdict.details.debuggableSideloaded'));
+        }
+        if (!playStoreCapped && rules.malwareThreatHigh && malware?.threatLevel === 'THREAT') {
+            applyRule('malwareThreatHigh', RISK_LEVELS.HIGH, message('verdict.details.malwareThreat', { score: malware.threatScore }));
+        }
+        if (playStoreCapped && risk === RISK_LEVELS.HIGH) {
+            applyRule('playStoreCap', RISK_LEVELS.MEDIUM, message('verdict.details.playStoreCap'));
+        }
+        if (rules.trustedPublisherLow && heuristic.isTrusted) {
+            applyRule('trustedPublisherLow', RISK_LEVELS.LOW, message('verdict.details.trustedPublisher'));
+        }
+    }
+
+    if (rules.mlEscalation && ml?.prediction === 'Malicious') {
+        const confidence = ml.confidence || 0;
+        if (confidence > mlConfidence.strong) {
+            applyRule('mlEscalation', raiseRisk(risk),
+                message('verdict.details.mlMalicious', { confidence: percent(confidence), threshold: percent(mlConfidence.strong) }));
+        } else if (confidence > mlConfidence.weak && risk === RISK_LEVELS.LOW) {
+            applyRule('mlEscalation', RISK_LEVELS.MEDIUM,
+                message('verdict.details.mlMalicious', { confidence: percent(confidence), threshold: percent(mlConfidence.weak) }));
+        }
+    }
+
+    const override = heuristic?.override;
+    if (override?.trusted) {
+        applyRule('override', RISK_LEVELS.LOW, message('verdict.details.overrideTrusted'));
+    }
+
+    let action = ENGINE_ACTIONS[risk];
+    if (override?.forceBlock) {
+        action = ACTION_STATUS.BLOCKED;
+        steps.push({ rule: 'override', detail: message('verdict.details.overrideBlocked') });
+    } else if (rules.blockHighRisk && risk === RISK_LEVELS.HIGH) {
+        action = ACTION_STATUS.BLOCKED;
+        steps.push({ rule: 'blockHighRisk', detail: message('verdict.details.blockHighRisk') });
+    }
+
+    return {
+        risk,
+        action,
+        score,
+        inputs,
+        steps,
+        policy: { preset: policy.preset, label: policy.label, thresholds, mlConfidence },
+    };
+};
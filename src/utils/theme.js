@@ -0,0 +1,175 @@
+// Android Sandbox - Themes
+// Color palettes (dark, light, high contrast), the color-blind-safe risk scale and the risk shapes
+
+import { RISK_LEVELS, ACTION_STATUS } from './constants';
+
+// `theme` setting that follows the device light/dark mode
+export const SYSTEM_THEME = 'system';
+
+export const DEFAULT_THEME = 'dark';
+
+// Base palettes; colors other than the overlay are 6-digit hex so components can append an alpha suffix (color + '20')
+const PALETTES = {
+    dark: {
+        // Primary colors
+        primary: '#1E3A5F',
+        primaryLight: '#2E5077',
+        secondary: '#3498DB',
+        secondaryDark: '#2980B9',
+        // Text and icons drawn on a secondary-colored fill
+        onSecondary: '#FFFFFF',
+
+        // Background colors
+        background: '#0D1B2A',
+        surface: '#1B2838',
+        card: '#243447',
+
+        // Text colors
+        textPrimary: '#FFFFFF',
+        textSecondary: '#B0BEC5',
+        textMuted: '#78909C',
+
+        // Risk level colors
+        riskLow: '#4CAF50',
+        riskMedium: '#FFC107',
+        riskHigh: '#F44336',
+
+        // Action status colors
+        actionAllowed: '#4CAF50',
+        actionRestricted: '#FF9800',
+        actionBlocked: '#F44336',
+
+        // Border and divider
+        border: '#37474F',
+        divider: '#455A64',
+
+        // Dimmed backdrop behind modals
+        overlay: '#000000B3',
+    },
+    light: {
+        primary: '#1E3A5F',
+        primaryLight: '#2E5077',
+        secondary: '#1F6FB2',
+        secondaryDark: '#175A91',
+        onSecondary: '#FFFFFF',
+        background: '#F2F5F8',
+        surface: '#FFFFFF',
+        card: '#E6ECF1',
+        textPrimary: '#0D1B2A',
+        textSecondary: '#37474F',
+        textMuted: '#5F7480',
+        riskLow: '#2E7D32',
+        riskMedium: '#A86400',
+        riskHigh: '#C62828',
+        actionAllowed: '#2E7D32',
+        actionRestricted: '#D84315',
+        actionBlocked: '#C62828',
+        border: '#C5D0D8',
+        divider: '#D5DEE4',
+        overlay: '#0D1B2A80',
+    },
+    // Pure black and white with saturated accents, for bright light and low vision
+    highContrast: {
+        primary: '#000000',
+        primaryLight: '#1A1A1A',
+        secondary: '#40C4FF',
+        secondaryDark: '#00B0FF',
+        onSecondary: '#000000',
+        background: '#000000',
+        surface: '#000000',
+        card: '#141414',
+        textPrimary: '#FFFFFF',
+        textSecondary: '#FFFFFF',
+        textMuted: '#D0D0D0',
+        riskLow: '#00E676',
+        riskMedium: '#FFEA00',
+        riskHigh: '#FF5252',
+        actionAllowed: '#00E676',
+        actionRestricted: '#FFAB40',
+        actionBlocked: '#FF5252',
+        border: '#FFFFFF',
+        divider: '#8A8A8A',
+        overlay: '#000000E6',
+    },
+};
+
+// Risk and action colors that stay apart for red-green color blindness (Okabe-Ito palette):
+// blue, yellow and vermillion differ in hue and brightness. Light backgrounds need darker shades.
+const COLOR_BLIND_RISK = {
+    onDark: {
+        riskLow: '#56B4E9',
+        riskMedium: '#F0E442',
+        riskHigh: '#E8702A',
+        actionAllowed: '#56B4E9',
+        actionRestricted: '#F0E442',
+        actionBlocked: '#E8702A',
+    },
+    onLight: {
+        riskLow: '#0072B2',
+        riskMedium: '#8A6D00',
+        riskHigh: '#C34E00',
+        actionAllowed: '#0072B2',
+        actionRestricted: '#8A6D00',
+        actionBlocked: '#C34E00',
+    },
+};
+
+// Themes offered in Settings, in display order (labelled by key as settings.appearance.themes.<name>)
+export const THEMES = ['dark', 'light', 'highContrast'];
+
+/**
+ * Icon shape per risk level, so risk never depends on color alone:
+ * LOW is a circle, MEDIUM a triangle and HIGH an octagon (MaterialCommunityIcons names)
+ */
+export const RISK_SHAPES = {
+    [RISK_LEVELS.LOW]: 'check-circle',
+    [RISK_LEVELS.MEDIUM]: 'alert',
+    [RISK_LEVELS.HIGH]: 'alert-octagon',
+};
+
+// Shape of a risk level without a known value
+export const UNKNOWN_RISK_SHAPE = 'help-circle';
+
+// Themes are built once per combination of palette and risk scale
+const themes = {};
+
+/**
+ * Theme for the appearance settings
+ * @param {string} name - One of THEMES, or SYSTEM_THEME
+ * @param {Object} options
+ * @param {string} options.colorScheme - Device color scheme ('light' | 'dark'), used by SYSTEM_THEME
+ * @param {boolean} options.colorBlind - Use the color-blind-safe risk scale
+ * @returns {Object} - { name, dark, colorBlind, colors, riskColors, actionColors }
+ */
+export const getTheme = (name = DEFAULT_THEME, { colorScheme, colorBlind = false } = {}) => {
+    let resolved = name;
+    if (resolved === SYSTEM_THEME) resolved = colorScheme === 'light' ? 'light' : 'dark';
+    if (!PALETTES[resolved]) resolved = DEFAULT_THEME;
+
+    const key = `${resolved}:${colorBlind}`;
+    if (themes[key]) return themes[key];
+
+    const dark = resolved !== 'light';
+    const colors = {
+        ...PALETTES[resolved],
+        ...(colorBlind ? COLOR_BLIND_RISK[dark ? 'onDark' : 'onLight'] : {}),
+    };
+
+    themes[key] = {
+        name: resolved,
+        dark,
+        colorBlind,
+        colors,
+        riskColors: {
+            [RISK_LEVELS.HIGH]: colors.riskHigh,
+            [RISK_LEVELS.MEDIUM]: colors.riskMedium,
+            [RISK_LEVELS.LOW]: colors.riskLow,
+        },
+        actionColors: {
+            [ACTION_STATUS.ALLOWED]: colors.actionAllowed,
+            [ACTION_STATUS.RESTRICTED]: colors.actionRestricted,
+            [ACTION_STATUS.BLOCKED]: colors.actionBlocked,
+        },
+    };
+    return themes[key];
+};
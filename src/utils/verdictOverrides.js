@@ -0,0 +1,113 @@
+// Android Sandbox - Verdict Overrides
+// Applies an analyst's per-package override on top of an analyzeApp result
+
+import { RISK_LEVELS, ACTION_STATUS, ENGINE_ACTIONS } from './constants';
+import { evaluateVerdict, resolveScoringPolicy } from './scoringPolicy';
+
+// Helper: riskIndicators string of a riskBreakdown factor (same format as the engine)
+const indicatorOf = (factor) => `${factor.category}: ${factor.description} (+${factor.points})`;
+
+// Policy that reproduces the native engine verdict
+const ENGINE_POLICY = resolveScoringPolicy({ scoringPreset: 'engine' });
+
+/**
+ * Apply an override to an analyzeApp result
+ *
+ * - suppressedIndicators: the matching riskIndicators/riskBreakdown factors are
+ *   removed and their points taken off riskScore; the risk level is then
+ *   re-derived by evaluateVerdict() with the engine policy, and `forceHigh`
+ *   only holds while a factor that forces HIGH is left
+ * - trusted: the risk level becomes LOW
+ * - forceBlock: the action becomes BLOCKED (wins over trusted)
+ *
+ * The engine's own verdict is kept in `override.original`.
+ *
+ * @param {Object} result - analyzeApp result (or the subset a screen has)
+ * @param {Object} override - Stored override, or null
+ * @returns {Object} - Result with the override applied and attached as `override`
+ */
+export const applyOverride = (result, override) => {
+    if (!result || !override) {
+        return result;
+    }
+
+    const suppressed = new Set(override.suppressedIndicators || []);
+    const breakdown = result.riskBreakdown || [];
+    const removed = breakdown.filter((factor) => suppressed.has(indicatorOf(factor)));
+
+    const riskBreakdown = result.riskBreakdown?.filter((factor) => !removed.includes(factor));
+    let { risk, riskScore, forceHigh } = result;
+    if (removed.length > 0 && typeof riskScore === 'number') {
+        riskScore = Math.max(0, riskScore - removed.reduce((sum, factor) => sum + factor.points, 0));
+        if (removed.some((factor) => factor.forcesHigh)) {
+            forceHigh = riskBreakdown.some((factor) => factor.forcesHigh);
+        }
+        risk = evaluateVerdict(
+            { heuristic: { ...result, riskScore, riskBreakdown, forceHigh }, malware: null, ml: null },
+            ENGINE_POLICY,
+        ).risk;
+    }
+    if (override.trusted) {
+        risk = RISK_LEVELS.LOW;
+    }
+
+    let action = risk === result.risk ? result.action : ENGINE_ACTIONS[risk];
+    if (override.forceBlock) {
+        action = ACTION_STATUS.BLOCKED;
+    }
+
+    return {
+        ...result,
+        risk,
+        action,
+        riskScore,
+        forceHigh,
+        hybridRisk: result.hybridRisk ? risk : result.hybridRisk,
+        riskIndicators: result.riskIndicators?.filter((indicator) => !suppressed.has(indicator)),
+        riskBreakdown,
+        override: {
+            ...override,
+            original: { risk: result.risk, action: result.action, riskScore: result.riskScore },
+        },
+    };
+};
+
+/**
+ * Apply an override to a stored history entry (top-level verdict and heuristic result)
+ * @param {Object} entry - History entry
+ * @param {Object} override - Stored override, or null
+ * @returns {Object} - Entry with the override applied
+ */
+export const applyOverrideToEntry = (entry, override) => {
+    if (!entry || !override) {
+        return entry;
+    }
+    const heuristic = applyOverride(
+        entry.engines?.heuristic || { risk: entry.risk, action: entry.action },
+        override,
+    );
+    return {
+        ...entry,
+        risk: heuristic.risk,
+        action: heuristic.action,
+        override: heuristic.override,
+        engines: { ...entry.engines, heuristic: entry.engines?.heuristic ? heuristic : null },
+    };
+};
+
+/**
+ * Short human-readable list of what an override changes
+ * @param {Object} override - Stored override
+ * @param {Function} t - Translate function of useTranslation()
+ * @returns {Array<string>}
+ */
+export const describeOverride = (override, t) => {
+    const effects = [];
+    if (override.trusted) effects.push(t('override.effects.trusted'));
+    if (override.forceBlock) effects.push(t('override.effects.forceBlock'));
+    const suppressedCount = (override.suppressedIndicators || []).length;
+    if (suppressedCount > 0) {
+        effects.push(t('override.effects.suppressed', { count: suppressedCount }));
+    }
+    return effects;
+};